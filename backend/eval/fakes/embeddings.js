@@ -0,0 +1,47 @@
+/**
+ * Fake OpenAI embeddings
+ * Deterministic bag-of-words vectors, so texts sharing words come out similar
+ */
+
+import { record } from './state.js';
+import { recordUsage } from '../../src/services/usage.js';
+
+const DIMENSIONS = 64;
+const MODEL = 'text-embedding-3-large';
+
+export const LEGACY_EMBEDDING_MODEL = `openai/${MODEL}`;
+
+export function getEmbeddingModel() {
+  return { id: LEGACY_EMBEDDING_MODEL, provider: 'openai', model: MODEL, dimensions: DIMENSIONS };
+}
+
+function hashWord(word) {
+  let hash = 0;
+  for (const char of word) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return hash % DIMENSIONS;
+}
+
+export function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  for (const word of words) {
+    vector[hashWord(word)] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+export async function generateEmbedding(text, { userId, purpose = 'embedding' } = {}) {
+  record('openai', 'generateEmbedding', { text, purpose });
+  await recordUsage({ userId, purpose, provider: 'openai', model: MODEL, inputTokens: Math.ceil(String(text).length / 4) });
+  return embedText(text);
+}
+
+export async function generateEmbeddings(texts, { userId, purpose = 'embedding' } = {}) {
+  record('openai', 'generateEmbeddings', { texts, purpose });
+  const inputTokens = texts.reduce((sum, text) => sum + Math.ceil(String(text).length / 4), 0);
+  await recordUsage({ userId, purpose, provider: 'openai', model: MODEL, inputTokens });
+  return texts.map(embedText);
+}
@@ -0,0 +1,23 @@
+/**
+ * Fake Firecrawl
+ * Search and scrape answered from the scenario's fixtures
+ */
+
+import { record, fixtures } from './state.js';
+
+export async function searchWeb(query) {
+  record('firecrawl', 'searchWeb', { query });
+  const results = typeof fixtures.searchResults === 'function'
+    ? fixtures.searchResults(query)
+    : fixtures.searchResults;
+  return { success: true, results: results || [] };
+}
+
+export async function scrapeUrl(url) {
+  record('firecrawl', 'scrapeUrl', { url });
+  const page = fixtures.pages[url];
+  if (!page) {
+    return { success: false, error: `No page fixture for ${url}`, data: null };
+  }
+  return { success: true, data: page };
+}
@@ -0,0 +1,58 @@
+/**
+ * Fake Gmail
+ * Sent mail is kept in the fake store; the inbox comes from the scenario's fixtures
+ */
+
+import { record, notFaked, fixtures, store } from './state.js';
+
+const ADDRESS = 'me@example.com';
+
+export async function getProfile() {
+  return { success: true, email: ADDRESS };
+}
+
+export async function listEmails(options = {}) {
+  record('gmail', 'listEmails', options);
+  const { maxResults = 10 } = options;
+  const emails = fixtures.inbox.slice(0, maxResults);
+  return { success: true, emails, resultSizeEstimate: emails.length };
+}
+
+export async function getEmail(messageId) {
+  record('gmail', 'getEmail', { messageId });
+  const email = fixtures.inbox.find(e => e.id === messageId);
+  return email ? { success: true, email } : { success: false, error: 'Email not found' };
+}
+
+export async function searchEmails(query, maxResults = 20) {
+  return listEmails({ query, maxResults });
+}
+
+export async function getUnreadEmails(maxResults = 10) {
+  return listEmails({ query: 'is:unread', maxResults });
+}
+
+export async function getEmailsFrom(senderEmail, maxResults = 10) {
+  return listEmails({ query: `from:${senderEmail}`, maxResults });
+}
+
+export async function getJobRelatedEmails(maxResults = 20) {
+  return listEmails({ query: 'job', maxResults });
+}
+
+export async function sendEmail(options) {
+  record('gmail', 'sendEmail', options);
+  const messageId = `msg_${store.sentEmails.length + 1}`;
+  store.sentEmails.push({ ...options, from: ADDRESS, messageId });
+  return { success: true, messageId, threadId: options.threadId || `thread_${messageId}` };
+}
+
+export const replyToEmail = notFaked('gmail', 'replyToEmail');
+export const markAsRead = notFaked('gmail', 'markAsRead');
+export const markAsUnread = notFaked('gmail', 'markAsUnread');
+export const trashEmail = notFaked('gmail', 'trashEmail');
+export const getLabels = notFaked('gmail', 'getLabels');
+
+export async function testConnection() {
+  return { success: true, email: ADDRESS };
+}
@@ -0,0 +1,234 @@
+/**
+ * Fake Google Sheets
+ * Spreadsheets live in the fake store as { title, sheets: { [sheetName]: rows[][] } }
+ */
+
+import { record, notFaked, store } from './state.js';
+
+// Column letters to a 0-based index: A -> 0, AA -> 26
+function columnIndex(letters) {
+  return [...letters.toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// "Sheet1!B2:D10", "Sheet1" or "A1:C3" -> { sheet, startRow, startCol, endRow, endCol } (0-based, inclusive)
+function parseRange(spreadsheet, range) {
+  const [sheetPart, cellPart] = range.includes('!') ? range.split('!') : [null, range];
+  const sheetNames = Object.keys(spreadsheet.sheets);
+  const isCells = !sheetPart && /^[A-Z]+\d*(:[A-Z]+\d*)?$/i.test(cellPart);
+  const sheet = sheetPart || (isCells ? sheetNames[0] : cellPart);
+  const cells = sheetPart || isCells ? cellPart : '';
+
+  const [start = '', end = ''] = (cells || '').split(':');
+  const parse = (cell, fallbackRow) => {
+    const match = cell.match(/^([A-Z]+)?(\d+)?$/i) || [];
+    return {
+      row: match[2] ? parseInt(match[2]) - 1 : fallbackRow,
+      col: match[1] ? columnIndex(match[1]) : null
+    };
+  };
+  const from = parse(start, 0);
+  const to = parse(end, Infinity);
+
+  return {
+    sheet: sheet.replace(/^'|'$/g, ''),
+    startRow: from.row,
+    startCol: from.col ?? 0,
+    endRow: to.row,
+    endCol: to.col ?? Infinity
+  };
+}
+
+function getSpreadsheetOrFail(spreadsheetId) {
+  const spreadsheet = store.spreadsheets.get(spreadsheetId);
+  if (!spreadsheet) {
+    throw new Error(`Requested entity was not found: ${spreadsheetId}`);
+  }
+  return spreadsheet;
+}
+
+function getRows(spreadsheet, sheet) {
+  const rows = spreadsheet.sheets[sheet];
+  if (!rows) {
+    throw new Error(`Unable to parse range: ${sheet}`);
+  }
+  return rows;
+}
+
+// Run a fake call, reporting thrown errors the way the real service does
+async function attempt(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export async function getSpreadsheet(spreadsheetId) {
+  record('sheets', 'getSpreadsheet', { spreadsheetId });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    return {
+      success: true,
+      spreadsheet: {
+        id: spreadsheetId,
+        title: spreadsheet.title,
+        sheets: Object.entries(spreadsheet.sheets).map(([title, rows], id) => ({ id, title, rowCount: rows.length }))
+      }
+    };
+  });
+}
+
+export async function createSpreadsheet(title, sheetNames = ['Sheet1']) {
+  record('sheets', 'createSpreadsheet', { title, sheetNames });
+  const spreadsheetId = `sheet_${store.spreadsheets.size + 1}`;
+  store.spreadsheets.set(spreadsheetId, {
+    title,
+    sheets: Object.fromEntries(sheetNames.map(name => [name, []]))
+  });
+  return {
+    success: true,
+    spreadsheetId,
+    spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}`,
+    title,
+    sheets: sheetNames
+  };
+}
+
+export async function readRange(spreadsheetId, range) {
+  record('sheets', 'readRange', { spreadsheetId, range });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const { sheet, startRow, startCol, endRow, endCol } = parseRange(spreadsheet, range);
+    const values = getRows(spreadsheet, sheet)
+      .slice(startRow, endRow + 1)
+      .map(row => row.slice(startCol, endCol + 1));
+    return { success: true, range, values, rowCount: values.length };
+  });
+}
+
+export async function writeRange(spreadsheetId, range, values) {
+  record('sheets', 'writeRange', { spreadsheetId, range, values });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const { sheet, startRow, startCol } = parseRange(spreadsheet, range);
+    const rows = getRows(spreadsheet, sheet);
+    values.forEach((values, i) => {
+      const row = rows[startRow + i] || [];
+      values.forEach((value, j) => {
+        row[startCol + j] = value;
+      });
+      rows[startRow + i] = row;
+    });
+    const updatedCells = values.reduce((count, row) => count + row.length, 0);
+    return { success: true, updatedRange: range, updatedRows: values.length, updatedColumns: values[0]?.length || 0, updatedCells };
+  });
+}
+
+export async function appendRows(spreadsheetId, range, values) {
+  record('sheets', 'appendRows', { spreadsheetId, range, values });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const rows = getRows(spreadsheet, parseRange(spreadsheet, range).sheet);
+    rows.push(...values.map(row => [...row]));
+    const updatedCells = values.reduce((count, row) => count + row.length, 0);
+    return { success: true, updatedRange: range, updatedRows: values.length, updatedCells };
+  });
+}
+
+export async function clearRange(spreadsheetId, range) {
+  record('sheets', 'clearRange', { spreadsheetId, range });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const { sheet, startRow, startCol, endRow, endCol } = parseRange(spreadsheet, range);
+    const rows = getRows(spreadsheet, sheet);
+    rows.forEach((row, i) => {
+      if (i < startRow || i > endRow) return;
+      for (let j = startCol; j <= Math.min(endCol, row.length - 1); j++) {
+        row[j] = '';
+      }
+    });
+    return { success: true, clearedRange: range };
+  });
+}
+
+export async function deleteRows(spreadsheetId, sheetId, startIndex, endIndex) {
+  record('sheets', 'deleteRows', { spreadsheetId, sheetId, startIndex, endIndex });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const rows = Object.values(spreadsheet.sheets)[sheetId];
+    if (!rows) {
+      throw new Error(`No sheet with id ${sheetId}`);
+    }
+    rows.splice(startIndex, endIndex - startIndex);
+    return { success: true, message: `Deleted rows ${startIndex + 1} to ${endIndex}` };
+  });
+}
+
+export async function addSheet(spreadsheetId, sheetTitle) {
+  record('sheets', 'addSheet', { spreadsheetId, sheetTitle });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    spreadsheet.sheets[sheetTitle] = [];
+    return { success: true, sheetId: Object.keys(spreadsheet.sheets).length - 1, sheetTitle };
+  });
+}
+
+export async function deleteSheet(spreadsheetId, sheetId) {
+  record('sheets', 'deleteSheet', { spreadsheetId, sheetId });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const title = Object.keys(spreadsheet.sheets)[sheetId];
+    if (title === undefined) {
+      throw new Error(`No sheet with id ${sheetId}`);
+    }
+    delete spreadsheet.sheets[title];
+    return { success: true, message: 'Sheet deleted successfully' };
+  });
+}
+
+export async function listSpreadsheets(maxResults = 10) {
+  record('sheets', 'listSpreadsheets', { maxResults });
+  return {
+    success: true,
+    spreadsheets: [...store.spreadsheets.entries()].slice(0, maxResults).map(([id, spreadsheet]) => ({
+      id,
+      name: spreadsheet.title,
+      url: `https://docs.google.com/spreadsheets/d/${id}`
+    }))
+  };
+}
+
+export async function deleteSpreadsheet(spreadsheetId) {
+  record('sheets', 'deleteSpreadsheet', { spreadsheetId });
+  return attempt(() => {
+    getSpreadsheetOrFail(spreadsheetId);
+    store.spreadsheets.delete(spreadsheetId);
+    return { success: true, message: 'Spreadsheet deleted successfully' };
+  });
+}
+
+export async function getSpreadsheetSummary(spreadsheetId) {
+  record('sheets', 'getSpreadsheetSummary', { spreadsheetId });
+  return attempt(() => {
+    const spreadsheet = getSpreadsheetOrFail(spreadsheetId);
+    const sheets = Object.entries(spreadsheet.sheets).map(([title, rows]) => ({
+      title,
+      totalRows: rows.length,
+      dataRows: Math.max(rows.length - 1, 0),
+      headers: rows[0] || [],
+      sampleData: rows.slice(1, 6)
+    }));
+    return {
+      success: true,
+      spreadsheetTitle: spreadsheet.title,
+      spreadsheetId,
+      sheetCount: sheets.length,
+      sheets
+    };
+  });
+}
+
+export const batchUpdate = notFaked('sheets', 'batchUpdate');
+export const formatCells = notFaked('sheets', 'formatCells');
+
+export const oauth2Client = null;
@@ -0,0 +1,31 @@
+/**
+ * Fake OpenAI image generation
+ * Returns a placeholder URL, or a tiny PNG buffer for uploads
+ */
+
+import { record } from './state.js';
+
+// 1x1 transparent PNG
+const PLACEHOLDER_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+export async function generateImage(prompt, size = '1024x1024', style = 'vivid', quality = 'standard') {
+  record('openai', 'generateImage', { prompt, size, style, quality });
+  return { success: true, imageUrl: 'https://images.example/generated.png', revisedPrompt: prompt };
+}
+
+export async function downloadImage(imageUrl) {
+  record('openai', 'downloadImage', { imageUrl });
+  return { success: true, buffer: PLACEHOLDER_PNG };
+}
+
+export async function generateImageBuffer(prompt, options = {}) {
+  record('openai', 'generateImageBuffer', { prompt, ...options });
+  return { success: true, buffer: PLACEHOLDER_PNG, revisedPrompt: prompt };
+}
+
+export function suggestImagePrompt(postContent) {
+  return `A clean, professional illustration for: ${postContent.substring(0, 100)}`;
+}
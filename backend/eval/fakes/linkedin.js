@@ -0,0 +1,55 @@
+/**
+ * Fake LinkedIn
+ * Posts are kept in the fake store; there is no rate limit
+ */
+
+import { record, notFaked, store } from './state.js';
+
+export const LinkedInVisibility = {
+  PUBLIC: 'PUBLIC',
+  CONNECTIONS: 'CONNECTIONS'
+};
+
+function publish(post) {
+  const postId = `urn:li:share:${store.posts.length + 1}`;
+  store.posts.push({ ...post, postId });
+  return { success: true, postId, message: 'Post published successfully!', remainingRequests: 100 };
+}
+
+export function getAuthorizationUrl() {
+  return 'https://linkedin.example/auth';
+}
+
+export const getAccessToken = notFaked('linkedin', 'getAccessToken');
+
+export async function getProfile() {
+  return { success: true, profile: { name: 'Eval User' } };
+}
+
+export async function createTextPost(accessToken, personUrn, text, visibility = LinkedInVisibility.PUBLIC) {
+  record('linkedin', 'createTextPost', { personUrn, text, visibility });
+  return publish({ personUrn, text, visibility });
+}
+
+export async function createArticlePost(accessToken, personUrn, text, articleUrl, title, description, visibility = LinkedInVisibility.PUBLIC) {
+  record('linkedin', 'createArticlePost', { personUrn, text, articleUrl, title, visibility });
+  return publish({ personUrn, text, articleUrl, title, visibility });
+}
+
+export async function uploadImage(accessToken, personUrn, imageBuffer, fileName = 'image.png') {
+  record('linkedin', 'uploadImage', { personUrn, fileName, bytes: imageBuffer?.length || 0 });
+  return { success: true, asset: `urn:li:digitalmediaAsset:${fileName}` };
+}
+
+export async function createImagePost(accessToken, personUrn, text, imageAsset, visibility = LinkedInVisibility.PUBLIC) {
+  record('linkedin', 'createImagePost', { personUrn, text, imageAsset, visibility });
+  return publish({ personUrn, text, imageAsset, visibility });
+}
+
+export const uploadVideo = notFaked('linkedin', 'uploadVideo');
+export const createVideoPost = notFaked('linkedin', 'createVideoPost');
+export const deletePost = notFaked('linkedin', 'deletePost');
+
+export function getRateLimitStatus() {
+  return { used: store.posts.length, remaining: 100, limit: 100, resetIn: 24 };
+}
@@ -0,0 +1,60 @@
+/**
+ * Fake Integrations State
+ * What the fakes were called with and what they hold, shared by every fake and reset per scenario
+ */
+
+// Every call into a fake, in order: { service, method, args }
+export const calls = [];
+
+// What the fake services hold
+export const store = {
+  vectors: new Map(),
+  sentEmails: [],
+  posts: [],
+  spreadsheets: new Map()
+};
+
+// Canned data a scenario can override
+const DEFAULT_FIXTURES = {
+  // Firecrawl search results, or query => results
+  searchResults: [],
+  // Firecrawl scrape results by url: { metadata: { title }, markdown }
+  pages: {},
+  // Gmail inbox: [{ id, from, subject, snippet, date, body }]
+  inbox: [],
+  // Google Sheets by id: { title, sheets: { [sheetName]: rows[][] } }
+  spreadsheets: {}
+};
+
+export const fixtures = { ...DEFAULT_FIXTURES };
+
+export function record(service, method, args) {
+  calls.push({ service, method, args });
+}
+
+export function callsTo(service, method) {
+  return calls.filter(call => call.service === service && (!method || call.method === method));
+}
+
+// A fake for an export nothing in the agent path uses yet
+export function notFaked(service, method) {
+  return async () => {
+    throw new Error(`${service}.${method} has no fake in the eval harness`);
+  };
+}
+
+/**
+ * Empty every fake and load a scenario's fixtures
+ */
+export function resetFakes(scenarioFixtures = {}) {
+  calls.length = 0;
+  store.vectors.clear();
+  store.sentEmails.length = 0;
+  store.posts.length = 0;
+  store.spreadsheets.clear();
+
+  Object.assign(fixtures, DEFAULT_FIXTURES, scenarioFixtures);
+  for (const [id, spreadsheet] of Object.entries(fixtures.spreadsheets)) {
+    store.spreadsheets.set(id, structuredClone(spreadsheet));
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Fake Pinecone
+ * Vectors live in the fake store; queries rank by cosine similarity and apply metadata filters
+ */
+
+import { record, store } from './state.js';
+import { generateEmbedding } from './embeddings.js';
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Pinecone metadata filters: { field: value } or { field: { $eq | $ne | $in | $gte | $lte: ... } }
+function matchesFilter(metadata, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata[field];
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case '$eq': return value === operand;
+          case '$ne': return value !== operand;
+          case '$in': return operand.includes(value);
+          case '$gte': return typeof value === 'number' && value >= operand;
+          case '$lte': return typeof value === 'number' && value <= operand;
+          default: return false;
+        }
+      });
+    }
+    return value === condition;
+  });
+}
+
+export async function initializePinecone() {}
+
+export async function upsertVector(id, embedding, metadata) {
+  record('pinecone', 'upsertVector', { id, metadata });
+  store.vectors.set(id, {
+    values: embedding,
+    metadata: { ...metadata, timestamp: new Date().toISOString() }
+  });
+}
+
+export async function queryVectors(embedding, topK = 5, filter = {}) {
+  record('pinecone', 'queryVectors', { topK, filter });
+  return [...store.vectors.entries()]
+    .filter(([, vector]) => matchesFilter(vector.metadata, filter))
+    .map(([id, vector]) => ({ id, score: cosine(embedding, vector.values), metadata: vector.metadata }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+export async function deleteVector(id) {
+  record('pinecone', 'deleteVector', { id });
+  store.vectors.delete(id);
+}
+
+export async function searchSimilarConversations(userId, queryText, topK = 5) {
+  const queryEmbedding = await generateEmbedding(queryText, { userId, purpose: 'conversation_search' });
+  return queryVectors(queryEmbedding, topK, {
+    userId: { $eq: userId },
+    type: { $eq: 'conversation' }
+  });
+}
+
+// The store interface, for the reindex in semantic-memory.js
+export function getVectorStore() {
+  return {
+    async list({ cursor, limit = 100, filter = {} } = {}) {
+      const offset = Number(cursor) || 0;
+      const entries = [...store.vectors.entries()].slice(offset, offset + limit);
+      return {
+        vectors: entries
+          .filter(([, vector]) => matchesFilter(vector.metadata, filter))
+          .map(([id, vector]) => ({ id, metadata: vector.metadata })),
+        nextCursor: offset + limit < store.vectors.size ? String(offset + limit) : null
+      };
+    },
+    async upsert(vectors) {
+      for (const { id, values, metadata } of vectors) {
+        await upsertVector(id, values, metadata);
+      }
+    },
+    async delete(ids) {
+      for (const id of ids) {
+        await deleteVector(id);
+      }
+    }
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Module resolution hooks for the eval harness
+ * Swap the services that talk to third-party APIs for the in-memory fakes in ./fakes.
+ * Scenarios that test one of those services itself import it with ?real, e.g.
+ * '../../src/services/vector-store.js?real'; the services it imports are the real ones too.
+ */
+
+const FAKED_SERVICES = new Set([
+  'firecrawler.js',
+  'gmail.js',
+  'linkedin.js',
+  'google-sheets.js',
+  'vector-store.js',
+  'embeddings.js',
+  'image-generator.js'
+]);
+
+const FAKES_URL = new URL('./fakes/', import.meta.url).href;
+const REAL = '?real';
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const [path, query] = resolved.url.split('?');
+  const match = path.match(/\/src\/services\/([\w-]+\.js)$/);
+
+  if (!match || !FAKED_SERVICES.has(match[1])) {
+    return resolved;
+  }
+  if (`?${query}` === REAL || context.parentURL?.endsWith(REAL)) {
+    return { ...resolved, url: `${path}${REAL}` };
+  }
+  return { ...resolved, url: `${FAKES_URL}${match[1]}` };
+}
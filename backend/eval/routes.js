@@ -0,0 +1,42 @@
+/**
+ * Route calls for scenarios
+ * Sends a request through an Express router as the given user - signed in with a token, as the
+ * app's clients are - without a server or a socket, and returns what the route responded.
+ */
+
+import jwt from 'jsonwebtoken';
+
+/**
+ * callRoute(router, { method, path, userId, body?, headers? }) => Promise<{ status, body }>
+ * path is relative to where the router is mounted, e.g. '/messages/:id/select' with the id filled in.
+ * A request no route handles comes back as a 404.
+ */
+export function callRoute(router, { method, path, userId, body = {}, headers = {} }) {
+  const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+  const names = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  return new Promise((resolve, reject) => {
+    const req = {
+      method,
+      url: path,
+      originalUrl: path,
+      headers: { ...names, authorization: `Bearer ${token}` },
+      body,
+      query: {},
+      get: name => names[name.toLowerCase()]
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      }
+    };
+
+    router.handle(req, res, error => error ? reject(error) : resolve({ status: 404, body: null }));
+  });
+}
@@ -0,0 +1,251 @@
+/**
+ * Offline Agent Evaluation
+ * Runs executeAgentTask against the scripted LLM and in-memory fakes of Firecrawl, Gmail,
+ * LinkedIn, Google Sheets, Pinecone and OpenAI, then checks every golden scenario in ./scenarios.
+ * Needs no network and no API keys; each run uses a fresh throwaway database.
+ *
+ * Usage: npm run eval [-- <text in scenario names>]
+ *
+ * A scenario file exports an array of scenarios:
+ * {
+ *   name,
+ *   message,                          // what the user says
+ *   turns: [{ text?, tools? }],       // scripted agent replies, see scripted-llm.js
+ *   complete?: request => text,       // replies to non-agent model calls
+ *   fixtures?: {},                    // canned data for the fakes, see fakes/state.js
+ *   options?: {},                     // extra executeAgentTask options (remember is off by default)
+ *   setup?: async ctx => {},          // seed rows before the run
+ *   expect: {
+ *     outcome?,                       // default 'completed'
+ *     tools?: [{ name, input?, result? }],      // exactly the tool calls made, in order
+ *     reply?: string | RegExp,
+ *     db?: [{ sql, args?, rows }],    // args default to [userId]; rows as returned, in order
+ *     calls?: [{ service, method, args? }],     // calls into the fakes, in this order (others may come between)
+ *     noCalls?: ['service.method']
+ *   },
+ *   check?: async ctx => {}           // anything else, with node:assert
+ * }
+ * Expected values match when equal; objects match on the keys they list, RegExps and
+ * predicate functions match values. ctx: { userId, db, query, result, fakes, llm }.
+ * A scenario can check a faked service itself by importing it with ?real (see hooks.js), and call
+ * the app's routes with callRoute (see routes.js).
+ */
+
+import { register } from 'node:module';
+import { readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomUUID as uuidv4 } from 'crypto';
+import net from 'node:net';
+import { calls, callsTo, store, resetFakes } from './fakes/state.js';
+import { createScriptedProvider } from './scripted-llm.js';
+
+const DB_PATH = join(tmpdir(), `shree-eval-${process.pid}.db`);
+
+// Set before the app loads: dotenv never overrides variables that are already set
+Object.assign(process.env, {
+  TURSO_DATABASE_URL: `file:${DB_PATH}`,
+  TURSO_AUTH_TOKEN: '',
+  LLM_AGENT_PROVIDER: 'scripted',
+  LLM_EXTRACTION_PROVIDER: 'scripted',
+  LLM_SUMMARIZATION_PROVIDER: 'scripted',
+  USAGE_SOFT_BUDGET_USD: '',
+  USAGE_HARD_BUDGET_USD: '',
+  JWT_SECRET: 'eval'
+});
+
+register('./hooks.js', import.meta.url);
+
+// Anything that still reaches for the network is missing a fake
+net.Socket.prototype.connect = function () {
+  throw new Error('Network access during an offline eval - fake the service that made this call');
+};
+
+const { client, initializeDatabase } = await import('../src/models/database.js');
+const { registerProvider } = await import('../src/services/llm.js');
+const { executeAgentTask } = await import('../src/services/agent.js');
+
+const llm = createScriptedProvider();
+registerProvider('scripted', llm);
+
+// ============================================
+// MATCHING
+// ============================================
+
+function describe(value) {
+  return value instanceof RegExp || typeof value === 'function' ? String(value) : JSON.stringify(value);
+}
+
+// Returns null when actual matches expected, otherwise where it did not
+function mismatch(actual, expected, path = '') {
+  if (expected instanceof RegExp) {
+    return expected.test(String(actual)) ? null : `${path || 'value'}: ${describe(actual)} does not match ${expected}`;
+  }
+  if (typeof expected === 'function') {
+    return expected(actual) ? null : `${path || 'value'}: ${describe(actual)} fails ${expected}`;
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return `${path || 'value'}: expected ${expected.length} items, got ${describe(actual)}`;
+    }
+    for (const [i, item] of expected.entries()) {
+      const found = mismatch(actual[i], item, `${path}[${i}]`);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object') {
+      return `${path || 'value'}: expected an object, got ${describe(actual)}`;
+    }
+    for (const [key, value] of Object.entries(expected)) {
+      const found = mismatch(actual[key], value, path ? `${path}.${key}` : key);
+      if (found) return found;
+    }
+    return null;
+  }
+  return actual === expected ? null : `${path || 'value'}: expected ${describe(expected)}, got ${describe(actual)}`;
+}
+
+function replyText(result) {
+  return typeof result.result === 'string' ? result.result : '';
+}
+
+// ============================================
+// RUNNING
+// ============================================
+
+async function query(sql, args) {
+  const result = await client.execute({ sql, args });
+  return result.rows.map(row => Object.fromEntries(result.columns.map(column => [column, row[column]])));
+}
+
+// Check a finished run against scenario.expect; returns the failures
+async function checkExpectations(scenario, ctx) {
+  const { result, userId } = ctx;
+  const expect = scenario.expect || {};
+  const failures = [];
+  const fail = (message) => message && failures.push(message);
+
+  if (result.success === false) {
+    fail(`agent failed: ${result.error}`);
+    return failures;
+  }
+  fail(mismatch(result.outcome, expect.outcome || 'completed', 'outcome'));
+
+  if (expect.tools) {
+    const made = result.toolResults.map(call => ({ name: call.tool, input: call.input, result: call.result }));
+    fail(mismatch(made, expect.tools, 'tools'));
+  }
+  if (expect.reply) {
+    fail(mismatch(replyText(result), typeof expect.reply === 'string' ? new RegExp(expect.reply.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) : expect.reply, 'reply'));
+  }
+
+  for (const check of expect.db || []) {
+    const rows = await query(check.sql, check.args || [userId]);
+    fail(mismatch(rows, check.rows, check.sql.replace(/\s+/g, ' ').trim()));
+  }
+
+  let position = 0;
+  for (const expected of expect.calls || []) {
+    const index = calls.findIndex((call, i) => i >= position && !mismatch(call, expected));
+    if (index === -1) {
+      fail(`calls: no ${describe(expected)} after call #${position}; calls were ${describe(calls.map(c => `${c.service}.${c.method}`))}`);
+      break;
+    }
+    position = index + 1;
+  }
+  for (const name of expect.noCalls || []) {
+    const [service, method] = name.split('.');
+    if (callsTo(service, method).length > 0) {
+      fail(`calls: ${name} was called`);
+    }
+  }
+
+  if (llm.remainingTurns() > 0) {
+    fail(`${llm.remainingTurns()} scripted agent turn(s) were never used`);
+  }
+
+  return failures;
+}
+
+async function runScenario(scenario) {
+  const userId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)',
+    args: [userId, `${userId}@eval.local`, 'x']
+  });
+
+  resetFakes(scenario.fixtures);
+  llm.load({ turns: scenario.turns, complete: scenario.complete });
+
+  const ctx = { userId, db: client, query, fakes: { calls, store }, llm };
+  await scenario.setup?.(ctx);
+
+  ctx.result = await executeAgentTask(userId, scenario.message, '', { remember: false, ...scenario.options });
+
+  const failures = await checkExpectations(scenario, ctx);
+  if (failures.length === 0 && scenario.check) {
+    try {
+      await scenario.check(ctx);
+    } catch (error) {
+      failures.push(error.message);
+    }
+  }
+  return failures;
+}
+
+async function loadScenarios(filter) {
+  const directory = new URL('./scenarios/', import.meta.url);
+  const files = (await readdir(directory)).filter(file => file.endsWith('.js')).sort();
+  const scenarios = [];
+  for (const file of files) {
+    const module = await import(new URL(file, directory).href);
+    scenarios.push(...module.default.map(scenario => ({ ...scenario, file })));
+  }
+  return filter ? scenarios.filter(scenario => scenario.name.includes(filter)) : scenarios;
+}
+
+async function main() {
+  // The app logs freely; keep the report readable
+  const log = console.log;
+  const quiet = !process.env.EVAL_VERBOSE;
+  if (quiet) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  await initializeDatabase();
+  const scenarios = await loadScenarios(process.argv[2]);
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let failures;
+    try {
+      failures = await runScenario(scenario);
+    } catch (error) {
+      failures = [`threw: ${error.stack || error.message}`];
+    }
+
+    if (failures.length === 0) {
+      log(`  ✓ ${scenario.file} › ${scenario.name}`);
+    } else {
+      failed++;
+      log(`  ✗ ${scenario.file} › ${scenario.name}`);
+      for (const failure of failures) {
+        log(`      ${failure}`);
+      }
+    }
+  }
+
+  log(`\n${scenarios.length - failed} passed, ${failed} failed`);
+  client.close();
+  await rm(DB_PATH, { force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(async (error) => {
+  process.stderr.write(`Eval run failed: ${error.stack || error.message}\n`);
+  await rm(DB_PATH, { force: true });
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+/**
+ * Capture scenarios: facts the agent records on its own, and the "captured for you" feed
+ */
+
+import assert from 'node:assert/strict';
+import { acceptCapture } from '../../src/services/captures.js';
+
+export default [
+  {
+    name: 'saves a confident capture and lists it for review',
+    message: 'I want to read 12 books this year',
+    turns: [
+      {
+        text: 'Great goal!',
+        tools: [{ name: 'create_goal', input: { title: 'Read 12 books', goal_type: 'learning_goal', target_value: 12, unit: 'books', capture_confidence: 0.9 } }]
+      },
+      { text: 'One book a month is very doable.' }
+    ],
+    expect: {
+      tools: [{ name: 'create_goal', result: { success: true } }],
+      db: [
+        { sql: 'SELECT title, target_value FROM user_goals WHERE user_id = ?', rows: [{ title: 'Read 12 books', target_value: 12 }] },
+        {
+          sql: 'SELECT kind, status, confidence, source_message FROM captured_facts WHERE user_id = ?',
+          rows: [{ kind: 'create_goal', status: 'applied', confidence: 0.9, source_message: 'I want to read 12 books this year' }]
+        }
+      ]
+    }
+  },
+  {
+    name: 'holds a low-confidence capture until the user confirms it',
+    message: 'ugh, what a day',
+    turns: [
+      { tools: [{ name: 'log_mood', input: { mood: 'stressed', capture_confidence: 0.4 } }] },
+      { text: 'Sounds like a long one. Want to talk about it?' }
+    ],
+    expect: {
+      tools: [{ name: 'log_mood', result: { success: true, pending: true } }],
+      db: [
+        { sql: 'SELECT id FROM wellbeing_logs WHERE user_id = ?', rows: [] },
+        { sql: 'SELECT kind, status, payload FROM captured_facts WHERE user_id = ?', rows: [{ kind: 'log_mood', status: 'pending', payload: '{"mood":"stressed"}' }] }
+      ]
+    }
+  },
+  {
+    name: 'runs an explicit request without a capture record',
+    message: 'Log my mood as happy',
+    turns: [
+      { tools: [{ name: 'log_mood', input: { mood: 'happy' } }] },
+      { text: 'Logged.' }
+    ],
+    expect: {
+      tools: [{ name: 'log_mood', result: { success: true } }],
+      db: [
+        { sql: 'SELECT value FROM wellbeing_logs WHERE user_id = ? AND log_type = \'mood\'', rows: [{ value: 'happy' }] },
+        { sql: 'SELECT id FROM captured_facts WHERE user_id = ?', rows: [] }
+      ]
+    }
+  },
+  {
+    name: 'applies a held capture once when it is confirmed twice at the same time',
+    message: 'ugh, what a day',
+    turns: [
+      { tools: [{ name: 'log_mood', input: { mood: 'stressed', capture_confidence: 0.4 } }] },
+      { text: 'Sounds like a long one.' }
+    ],
+    check: async ({ userId, query }) => {
+      const [{ id }] = await query('SELECT id FROM captured_facts WHERE user_id = ?', [userId]);
+      const outcomes = await Promise.all([acceptCapture(userId, id), acceptCapture(userId, id)]);
+
+      assert.deepEqual(outcomes.map(outcome => outcome.success).sort(), [false, true]);
+      assert.match(outcomes.find(outcome => !outcome.success).error, /reviewed in the meantime/);
+      assert.deepEqual(await query('SELECT value FROM wellbeing_logs WHERE user_id = ? AND log_type = \'mood\'', [userId]), [{ value: 'stressed' }]);
+      assert.deepEqual(await query('SELECT status FROM captured_facts WHERE user_id = ?', [userId]), [{ status: 'accepted' }]);
+    }
+  }
+];
@@ -0,0 +1,140 @@
+/**
+ * Chat scenarios: messages sent through the chat routes, retried with the same Idempotency-Key,
+ * and edited after their reply has acted
+ */
+
+import assert from 'node:assert/strict';
+import { callRoute } from '../routes.js';
+import chatRouter from '../../src/routes/chat.js';
+
+function chat(userId, method, path, { body, headers } = {}) {
+  return callRoute(chatRouter, { method, path, userId, body, headers });
+}
+
+// The thread's messages as [message or response, active]
+async function thread(query, threadId) {
+  const rows = await query('SELECT role, message, response, active FROM conversations WHERE thread_id = ? ORDER BY rowid', [threadId]);
+  return rows.map(row => [row.role === 'user' ? row.message : row.response, row.active]);
+}
+
+// Agent requests the scripted model answered since the last load
+function agentCalls(llm) {
+  return llm.requests.filter(request => request.tools?.length).length;
+}
+
+export default [
+  {
+    name: 'replays a retried message from its first response without running the agent again',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query, llm }) => {
+      const send = () => chat(userId, 'POST', '/', { body: { message: 'Remind me what milk costs' }, headers: { 'Idempotency-Key': 'milk-1' } });
+
+      llm.load({ turns: [{ text: 'About 60 rupees.' }] });
+      const first = await send();
+      assert.equal(first.status, 200);
+      assert.equal(first.body.response, 'About 60 rupees.');
+
+      const [stored] = await query('SELECT status, client_key, result FROM conversations WHERE id = ?', [first.body.messageId]);
+      assert.deepEqual({ ...stored, result: JSON.parse(stored.result) }, { status: 'done', client_key: 'milk-1', result: first.body });
+
+      const retry = await send();
+      assert.deepEqual(retry, { status: 200, body: { ...first.body, replayed: true } });
+      assert.equal(agentCalls(llm), 1);
+      assert.deepEqual(await query('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ? AND role = \'user\'', [userId]), [{ count: 1 }]);
+    }
+  },
+  {
+    name: 'answers a retry that arrives mid-flight with the original\'s response',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query, llm }) => {
+      const send = () => chat(userId, 'POST', '/', { body: { message: 'Plan my week' }, headers: { 'Idempotency-Key': 'week-1' } });
+
+      // The retry is sent while the agent is still on the first
+      let retry;
+      llm.load({
+        turns: [() => {
+          retry = send();
+          return { text: 'Here is your week.' };
+        }]
+      });
+      const first = await send();
+      assert.equal(first.status, 200);
+      assert.deepEqual(await retry, first);
+      assert.equal(agentCalls(llm), 1);
+      assert.deepEqual(await query('SELECT status FROM conversations WHERE user_id = ? AND role = \'user\'', [userId]), [{ status: 'done' }]);
+    }
+  },
+  {
+    name: 'tells a retry apart while the original runs elsewhere or after it failed',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    setup: ({ userId, db }) => db.batch([
+      { sql: 'INSERT INTO threads (id, user_id) VALUES (?, ?)', args: [`thread_${userId}`, userId] },
+      ...[['running', 'elsewhere-1'], ['failed', 'failed-1']].map(([status, key]) => ({
+        sql: `INSERT INTO conversations (id, user_id, thread_id, message, role, status, client_key)
+              VALUES (?, ?, ?, 'Book a table', 'user', ?, ?)`,
+        args: [`${key}_${userId}`, userId, `thread_${userId}`, status, key]
+      }))
+    ], 'write'),
+    check: async ({ userId, llm }) => {
+      llm.load({ turns: [] });
+      const send = key => chat(userId, 'POST', '/', { body: { message: 'Book a table' }, headers: { 'Idempotency-Key': key } });
+
+      assert.deepEqual(await send('elsewhere-1'), {
+        status: 409,
+        body: { error: 'This message is still being processed', status: 'running', threadId: `thread_${userId}` }
+      });
+      assert.deepEqual(await send('failed-1'), {
+        status: 500,
+        body: { error: 'Failed to process message', status: 'failed', threadId: `thread_${userId}` }
+      });
+      assert.equal(agentCalls(llm), 0);
+    }
+  },
+  {
+    name: 'edits a message after its reply wrote through a tool, and switches back to the original',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query, llm }) => {
+      llm.load({ turns: [{ tools: [{ name: 'save_task', input: { title: 'Buy milk' } }] }, { text: 'Added "Buy milk".' }] });
+      const sent = await chat(userId, 'POST', '/', { body: { message: 'Add a task to buy milk' } });
+      assert.equal(sent.status, 200);
+      const { threadId, messageId } = sent.body;
+
+      llm.load({ turns: [{ text: 'Noted, no task then.' }] });
+      const edited = await chat(userId, 'PUT', `/messages/${messageId}`, { body: { message: 'Just remember that I need milk' } });
+      assert.equal(edited.status, 200);
+      assert.equal(edited.body.response, 'Noted, no task then.');
+      // The task the hidden reply made still stands, and can be undone
+      const [change] = await query('SELECT id, description FROM undo_log WHERE user_id = ? AND tool_name = \'save_task\'', [userId]);
+      assert.deepEqual(edited.body.abandonedEffects, [
+        { type: 'change', id: change.id, tool: 'save_task', description: change.description, undoable: true }
+      ]);
+      assert.deepEqual(await query('SELECT title FROM tasks WHERE user_id = ?', [userId]), [{ title: 'Buy milk' }]);
+
+      assert.deepEqual(await thread(query, threadId), [
+        ['Add a task to buy milk', 0],
+        ['Added "Buy milk".', 0],
+        ['Just remember that I need milk', 1],
+        ['Noted, no task then.', 1]
+      ]);
+      const [edit] = await query('SELECT alt_of, status FROM conversations WHERE id = ?', [edited.body.messageId]);
+      assert.deepEqual(edit, { alt_of: messageId, status: 'done' });
+      // Out of view, the original can't be edited again
+      assert.equal((await chat(userId, 'PUT', `/messages/${messageId}`, { body: { message: 'Milk' } })).status, 404);
+
+      const selected = await chat(userId, 'POST', `/messages/${messageId}/select`);
+      assert.deepEqual(selected, { status: 200, body: { threadId, abandonedEffects: [] } });
+      assert.deepEqual(await thread(query, threadId), [
+        ['Add a task to buy milk', 1],
+        ['Added "Buy milk".', 1],
+        ['Just remember that I need milk', 0],
+        ['Noted, no task then.', 0]
+      ]);
+      const [original] = await query('SELECT status FROM conversations WHERE id = ?', [messageId]);
+      assert.equal(original.status, 'done');
+    }
+  }
+];
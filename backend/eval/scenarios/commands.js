@@ -0,0 +1,128 @@
+/**
+ * Slash command scenarios: what each command writes and records for undo. Commands never reach
+ * the model, so these run them directly.
+ */
+
+import assert from 'node:assert/strict';
+import { randomUUID as uuidv4 } from 'crypto';
+import { parseCommand, runCommand } from '../../src/services/commands.js';
+
+function run(userId, message) {
+  return runCommand(userId, parseCommand(message));
+}
+
+// The undo log, oldest first, with each entry's changes as [op, table]
+async function undoLog(query, userId) {
+  const rows = await query('SELECT tool_name, description, status, changes FROM undo_log WHERE user_id = ? ORDER BY rowid', [userId]);
+  return rows.map(({ changes, ...row }) => ({ ...row, changes: JSON.parse(changes).map(change => [change.op, change.table]) }));
+}
+
+async function seedTasks(db, userId, titles) {
+  await db.batch(titles.map(title => ({
+    sql: 'INSERT INTO tasks (id, user_id, title, description) VALUES (?, ?, ?, \'\')',
+    args: [uuidv4(), userId, title]
+  })), 'write');
+}
+
+export default [
+  {
+    name: 'saves an idea with /idea',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query }) => {
+      const outcome = await run(userId, '/idea SMS habit tracker for students');
+      assert.deepEqual(outcome, { success: true, message: '💡 Saved idea: "SMS habit tracker for students"' });
+
+      assert.deepEqual(await query('SELECT title, content, type FROM ideas WHERE user_id = ?', [userId]), [
+        { title: 'SMS habit tracker for students', content: 'SMS habit tracker for students', type: 'note' }
+      ]);
+      assert.deepEqual(await undoLog(query, userId), [
+        { tool_name: '/idea', description: '/idea SMS habit tracker for students', status: 'applied', changes: [['delete', 'ideas']] }
+      ]);
+    }
+  },
+  {
+    name: 'sets a reminder with /remind, and refuses a time that has passed',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query }) => {
+      const passed = await run(userId, '/remind yesterday 9am pay rent');
+      assert.equal(passed.success, false);
+      assert.match(passed.message, /has already passed/);
+
+      const outcome = await run(userId, '/remind tomorrow 9am call mom');
+      assert.equal(outcome.success, true);
+      assert.match(outcome.message, /^⏰ Reminder set for tomorrow 9am: "call mom"$/);
+
+      assert.deepEqual(await query('SELECT title FROM tasks WHERE user_id = ?', [userId]), [{ title: 'call mom' }]);
+      const [reminder] = await query('SELECT scheduled_time FROM reminders WHERE user_id = ?', [userId]);
+      assert.ok(new Date(reminder.scheduled_time) > new Date(), 'the reminder is in the future');
+      // Only the reminder that was set is recorded
+      assert.deepEqual(await undoLog(query, userId), [
+        { tool_name: '/remind', description: '/remind tomorrow 9am call mom', status: 'applied', changes: [['delete', 'tasks'], ['delete', 'reminders']] }
+      ]);
+    }
+  },
+  {
+    name: 'logs a rated mood with /mood and water with /water',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query }) => {
+      assert.deepEqual(await run(userId, '/mood 7 tired'), { success: true, message: '📝 Mood logged: 7/10, tired' });
+      assert.deepEqual(await run(userId, '/water 2'), { success: true, message: '💧 Logged 2 glasses of water - 2/8 today' });
+
+      assert.deepEqual(await query('SELECT log_type, value, numeric_value, notes FROM wellbeing_logs WHERE user_id = ? ORDER BY rowid', [userId]), [
+        { log_type: 'mood', value: 'tired', numeric_value: null, notes: 'Rated 7/10' },
+        { log_type: 'hydration', value: '500', numeric_value: 500, notes: null }
+      ]);
+      assert.deepEqual(await undoLog(query, userId), [
+        { tool_name: '/mood', description: '/mood 7 tired', status: 'applied', changes: [['delete', 'wellbeing_logs']] },
+        { tool_name: '/water', description: '/water 2', status: 'applied', changes: [['delete', 'wellbeing_logs']] }
+      ]);
+    }
+  },
+  {
+    name: 'asks which one when /done matches several tasks, and takes "%" literally',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    setup: ({ userId, db }) => seedTasks(db, userId, ['Call mom', 'Call the bank', 'Pay the 50% deposit']),
+    check: async ({ userId, query }) => {
+      const ambiguous = await run(userId, '/done call');
+      assert.equal(ambiguous.success, false);
+      assert.match(ambiguous.message, /More than one matches/);
+      assert.match(ambiguous.message, /• Call mom/);
+      assert.match(ambiguous.message, /• Call the bank/);
+
+      assert.deepEqual(await run(userId, '/done call mom'), { success: true, message: '✔️ Done: "Call mom"' });
+      // Only one open task has a "%" in it
+      assert.deepEqual(await run(userId, '/done %'), { success: true, message: '✔️ Done: "Pay the 50% deposit"' });
+
+      assert.deepEqual(await query('SELECT title, status FROM tasks WHERE user_id = ? ORDER BY title', [userId]), [
+        { title: 'Call mom', status: 'completed' },
+        { title: 'Call the bank', status: 'pending' },
+        { title: 'Pay the 50% deposit', status: 'completed' }
+      ]);
+      assert.deepEqual(await undoLog(query, userId), [
+        { tool_name: '/done', description: '/done call mom', status: 'applied', changes: [['restore', 'tasks']] },
+        { tool_name: '/done', description: '/done %', status: 'applied', changes: [['restore', 'tasks']] }
+      ]);
+    }
+  },
+  {
+    name: 'undoes the latest command with /undo',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: async ({ userId, query }) => {
+      await run(userId, '/mood 6 calm');
+      await run(userId, '/water 2');
+
+      assert.deepEqual(await run(userId, '/undo'), { success: true, message: '↩️ Undid: /water 2' });
+
+      assert.deepEqual(await query('SELECT log_type FROM wellbeing_logs WHERE user_id = ?', [userId]), [{ log_type: 'mood' }]);
+      assert.deepEqual((await undoLog(query, userId)).map(entry => [entry.tool_name, entry.status]), [
+        ['/mood', 'applied'],
+        ['/water', 'undone']
+      ]);
+    }
+  }
+];
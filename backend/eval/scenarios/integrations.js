@@ -0,0 +1,114 @@
+/**
+ * Integration scenarios: Gmail, LinkedIn and Google Sheets, behind the approval queue
+ */
+
+import assert from 'node:assert/strict';
+import { approveAction } from '../../src/services/actions.js';
+import { setToolPolicy } from '../../src/tools/index.js';
+import { callsTo } from '../fakes/state.js';
+
+export default [
+  {
+    name: 'queues an email for approval and sends it once approved',
+    message: 'Email ana@example.com that the invoice is paid',
+    turns: [
+      { tools: [{ name: 'send_email', input: { to: 'ana@example.com', subject: 'Invoice', body: 'The invoice is paid.' } }] },
+      { text: 'The email to Ana is waiting for your approval.' }
+    ],
+    expect: {
+      tools: [{ name: 'send_email', result: { success: true, pending: true } }],
+      db: [{ sql: 'SELECT tool_name, status FROM pending_actions WHERE user_id = ?', rows: [{ tool_name: 'send_email', status: 'pending' }] }],
+      noCalls: ['gmail.sendEmail']
+    },
+    check: async ({ userId, query, result }) => {
+      const approved = await approveAction(userId, result.toolResults[0].result.actionId);
+      assert.equal(approved.success, true, 'approving the email should send it');
+      assert.deepEqual(callsTo('gmail', 'sendEmail').map(call => call.args.to), ['ana@example.com']);
+      assert.deepEqual(
+        await query('SELECT to_address, subject FROM emails WHERE user_id = ?', [userId]),
+        [{ to_address: 'ana@example.com', subject: 'Invoice' }]
+      );
+    }
+  },
+  {
+    name: 'reads the inbox',
+    message: 'Anything new in my inbox?',
+    fixtures: {
+      inbox: [
+        { id: 'm1', from: 'Priya <priya@example.com>', subject: 'Contract draft', snippet: 'Attached the draft', date: '2026-01-05' },
+        { id: 'm2', from: 'Bank <alerts@bank.example>', subject: 'Statement ready', snippet: 'Your statement', date: '2026-01-04' }
+      ]
+    },
+    turns: [
+      { tools: [{ name: 'read_emails', input: { count: 2 } }] },
+      { text: 'Priya sent the contract draft, and your bank statement is ready.' }
+    ],
+    expect: {
+      tools: [{ name: 'read_emails', result: { success: true, emails: [{ subject: 'Contract draft' }, { subject: 'Statement ready' }] } }],
+      calls: [{ service: 'gmail', method: 'listEmails', args: { maxResults: 2 } }]
+    }
+  },
+  {
+    name: 'posts to LinkedIn right away under an auto-approve policy',
+    message: 'Post on LinkedIn: shipped v2 today!',
+    setup: async ({ userId, db }) => {
+      await db.execute({
+        sql: 'INSERT INTO linkedin_credentials (id, user_id, access_token, person_urn) VALUES (?, ?, ?, ?)',
+        args: [`cred_${userId}`, userId, 'token', 'urn:li:person:eval']
+      });
+      await setToolPolicy(userId, 'post_to_linkedin', 'auto');
+    },
+    turns: [
+      { tools: [{ name: 'post_to_linkedin', input: { content: 'Shipped v2 today!' } }] },
+      { text: 'Posted!' }
+    ],
+    expect: {
+      tools: [{ name: 'post_to_linkedin', result: { success: true, postId: 'urn:li:share:1' } }],
+      calls: [{ service: 'linkedin', method: 'createTextPost', args: { personUrn: 'urn:li:person:eval', text: 'Shipped v2 today!', visibility: 'PUBLIC' } }],
+      db: [
+        { sql: 'SELECT content, post_id FROM linkedin_posts WHERE user_id = ?', rows: [{ content: 'Shipped v2 today!', post_id: 'urn:li:share:1' }] },
+        { sql: 'SELECT tool_name, undoable FROM undo_log WHERE user_id = ?', rows: [{ tool_name: 'post_to_linkedin', undoable: 0 }] }
+      ]
+    }
+  },
+  {
+    name: 'reads a spreadsheet range',
+    message: 'What are the totals in my budget sheet?',
+    fixtures: {
+      spreadsheets: {
+        budget: {
+          title: 'Budget',
+          sheets: { Sheet1: [['Month', 'Total'], ['Jan', '1200'], ['Feb', '950']] }
+        }
+      }
+    },
+    turns: [
+      { tools: [{ name: 'read_spreadsheet', input: { spreadsheet_id: 'budget', range: 'Sheet1!A2:B3' } }] },
+      { text: 'January was 1200 and February 950.' }
+    ],
+    expect: {
+      tools: [{ name: 'read_spreadsheet', result: { success: true, values: [['Jan', '1200'], ['Feb', '950']] } }]
+    }
+  },
+  {
+    name: 'appends to a spreadsheet only after approval',
+    message: 'Add March, 1100 to my budget sheet',
+    fixtures: {
+      spreadsheets: {
+        budget: { title: 'Budget', sheets: { Sheet1: [['Month', 'Total']] } }
+      }
+    },
+    turns: [
+      { tools: [{ name: 'append_to_spreadsheet', input: { spreadsheet_id: 'budget', range: 'Sheet1', values: [['Mar', '1100']] } }] },
+      { text: 'The new row is waiting for your approval.' }
+    ],
+    expect: {
+      tools: [{ name: 'append_to_spreadsheet', result: { pending: true } }],
+      noCalls: ['sheets.appendRows']
+    },
+    check: async ({ userId, result, fakes }) => {
+      await approveAction(userId, result.toolResults[0].result.actionId);
+      assert.deepEqual(fakes.store.spreadsheets.get('budget').sheets.Sheet1, [['Month', 'Total'], ['Mar', '1100']]);
+    }
+  }
+];
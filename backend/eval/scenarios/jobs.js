@@ -0,0 +1,128 @@
+/**
+ * Scheduled job scenarios: creating jobs, and when their schedules run
+ * (DST changes, INTERVAL, COUNT / UNTIL, cron's day-of-month OR day-of-week rule)
+ */
+
+import assert from 'node:assert/strict';
+import { getNextRun } from '../../src/utils/schedule.js';
+
+// The first runs of a schedule that starts at startsAt, as ISO strings
+function runs(schedule, { timezone = 'UTC', startsAt, count }) {
+  const times = [];
+  let after = new Date(startsAt);
+  while (times.length < count) {
+    const next = getNextRun(schedule, { timezone, after, startsAt: new Date(startsAt), runCount: times.length });
+    if (!next) break;
+    times.push(next.toISOString());
+    after = next;
+  }
+  return times;
+}
+
+export default [
+  {
+    name: 'creates a weekly job that keeps its local time across DST changes',
+    message: 'Every Monday at 12:30am New York time, check my inbox for invoices',
+    turns: [
+      {
+        tools: [{
+          name: 'create_scheduled_job',
+          input: { name: 'Invoice check', instruction: 'Check my inbox for invoices', schedule: '30 0 * * 1', timezone: 'America/New_York' }
+        }]
+      },
+      { text: 'Scheduled for Mondays at 12:30am.' }
+    ],
+    expect: {
+      tools: [{ name: 'create_scheduled_job', result: { success: true, job: { timezone: 'America/New_York' } } }],
+      db: [{ sql: 'SELECT schedule, timezone FROM agent_jobs WHERE user_id = ?', rows: [{ schedule: '30 0 * * 1', timezone: 'America/New_York' }] }]
+    },
+    check: async () => {
+      // Clocks go forward on Sunday 2026-03-08 (a 23-hour day) and back on Sunday 2026-11-01 (25 hours)
+      assert.deepEqual(
+        runs('30 0 * * 1', { timezone: 'America/New_York', startsAt: '2026-03-07T17:00:00Z', count: 2 }),
+        ['2026-03-09T04:30:00.000Z', '2026-03-16T04:30:00.000Z']
+      );
+      assert.deepEqual(
+        runs('30 0 * * 1', { timezone: 'America/New_York', startsAt: '2026-10-31T17:00:00Z', count: 2 }),
+        ['2026-11-02T05:30:00.000Z', '2026-11-09T05:30:00.000Z']
+      );
+    }
+  },
+  {
+    name: 'refuses a schedule with runs closer together than the minimum gap',
+    message: 'At 9:00 and 9:01 every day, ping me',
+    turns: [
+      {
+        tools: [{
+          name: 'create_scheduled_job',
+          input: { name: 'Ping', instruction: 'Ping me', schedule: '0,1 9 * * *', timezone: 'UTC' }
+        }]
+      },
+      { text: 'Those runs are too close together.' }
+    ],
+    expect: {
+      tools: [{ name: 'create_scheduled_job', result: { success: false, error: /at most every \d+ minutes/ } }],
+      db: [{ sql: 'SELECT id FROM agent_jobs WHERE user_id = ?', rows: [] }]
+    }
+  },
+  {
+    name: 'runs an RRULE every other week and stops after COUNT or UNTIL',
+    message: 'Every other Monday at 9am, three times, remind me to file GST',
+    turns: [
+      {
+        tools: [{
+          name: 'create_scheduled_job',
+          input: {
+            name: 'GST filing',
+            instruction: 'Remind me to file GST',
+            schedule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;BYHOUR=9;BYMINUTE=0;COUNT=3',
+            timezone: 'Asia/Kolkata'
+          }
+        }]
+      },
+      { text: 'Scheduled.' }
+    ],
+    expect: {
+      tools: [{ name: 'create_scheduled_job', result: { success: true } }]
+    },
+    check: async () => {
+      // Starting on Wednesday 2026-03-04, the Monday of the following week falls outside INTERVAL
+      assert.deepEqual(
+        runs('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;BYHOUR=9;BYMINUTE=0;COUNT=3', { timezone: 'Asia/Kolkata', startsAt: '2026-03-04T00:00:00Z', count: 5 }),
+        ['2026-03-16T03:30:00.000Z', '2026-03-30T03:30:00.000Z', '2026-04-13T03:30:00.000Z']
+      );
+      assert.deepEqual(
+        runs('FREQ=DAILY;BYHOUR=8;BYMINUTE=0;UNTIL=20260306', { startsAt: '2026-03-04T00:00:00Z', count: 5 }),
+        ['2026-03-04T08:00:00.000Z', '2026-03-05T08:00:00.000Z', '2026-03-06T08:00:00.000Z']
+      );
+    }
+  },
+  {
+    name: 'runs a cron job on either of its restricted day fields',
+    message: 'At 9am on the 15th and every Friday, summarize my spending',
+    turns: [
+      {
+        tools: [{
+          name: 'create_scheduled_job',
+          input: { name: 'Spending summary', instruction: 'Summarize my spending', schedule: '0 9 15 * FRI', timezone: 'UTC' }
+        }]
+      },
+      { text: 'Scheduled.' }
+    ],
+    expect: {
+      tools: [{ name: 'create_scheduled_job', result: { success: true } }]
+    },
+    check: async () => {
+      // Sunday 2026-03-15 matches the day of the month, the Fridays the day of the week
+      assert.deepEqual(
+        runs('0 9 15 * FRI', { startsAt: '2026-03-01T00:00:00Z', count: 4 }),
+        ['2026-03-06T09:00:00.000Z', '2026-03-13T09:00:00.000Z', '2026-03-15T09:00:00.000Z', '2026-03-20T09:00:00.000Z']
+      );
+      // With one field left as *, only the other one counts
+      assert.deepEqual(
+        runs('0 9 15 * *', { startsAt: '2026-03-01T00:00:00Z', count: 2 }),
+        ['2026-03-15T09:00:00.000Z', '2026-04-15T09:00:00.000Z']
+      );
+    }
+  }
+];
@@ -0,0 +1,132 @@
+/**
+ * Memory scenarios: searching the user's own records by meaning, remembering and forgetting
+ * facts on request, and rebuilding a user's vectors
+ */
+
+import assert from 'node:assert/strict';
+import { randomUUID as uuidv4 } from 'crypto';
+import { indexRecord, reindexUser } from '../../src/services/semantic-memory.js';
+import { createFact } from '../../src/services/memory-facts.js';
+
+async function seedRecords({ userId, db }) {
+  const ideaId = uuidv4();
+  const taskId = uuidv4();
+  await db.execute({
+    sql: 'INSERT INTO ideas (id, user_id, title, content, type) VALUES (?, ?, ?, ?, ?)',
+    args: [ideaId, userId, 'SMS habit tracker', 'A habit tracker that texts you every evening', 'startup']
+  });
+  await db.execute({
+    sql: 'INSERT INTO tasks (id, user_id, title, description) VALUES (?, ?, ?, ?)',
+    args: [taskId, userId, 'Pay the electricity bill', 'Due on the 5th']
+  });
+  await indexRecord(userId, 'idea', ideaId);
+  await indexRecord(userId, 'task', taskId);
+}
+
+export default [
+  {
+    name: 'finds a saved idea and returns its record',
+    message: 'What was that habit tracker idea I had?',
+    setup: seedRecords,
+    turns: [
+      { tools: [{ name: 'search_memory', input: { query: 'habit tracker idea', types: ['idea'] } }] },
+      { text: 'Your SMS habit tracker: it texts you every evening.' }
+    ],
+    expect: {
+      tools: [{
+        name: 'search_memory',
+        result: { success: true, results: [{ type: 'idea', title: 'SMS habit tracker', excerpt: /texts you every evening/ }] }
+      }],
+      calls: [{ service: 'pinecone', method: 'queryVectors', args: { filter: { type: { $in: ['idea'] } } } }]
+    }
+  },
+  {
+    name: 'leaves out records outside the dates asked for',
+    message: 'Did I note any bills to pay last year?',
+    setup: seedRecords,
+    turns: [
+      { tools: [{ name: 'search_memory', input: { query: 'bills to pay', from: '2020-01-01', to: '2020-12-31' } }] },
+      { text: 'Nothing from last year.' }
+    ],
+    expect: {
+      tools: [{ name: 'search_memory', result: { success: true, results: [] } }]
+    }
+  },
+  {
+    name: 'remembers a fact the user asks it to',
+    message: 'Remember that my GST number is 29ABCDE1234F1Z5',
+    turns: [
+      { tools: [{ name: 'remember_fact', input: { statement: 'The user\'s GST number is 29ABCDE1234F1Z5' } }] },
+      { text: 'Noted.' }
+    ],
+    expect: {
+      tools: [{ name: 'remember_fact', result: { success: true, message: /^Remembered/ } }],
+      db: [{
+        sql: 'SELECT statement, source FROM memory_facts WHERE user_id = ?',
+        rows: [{ statement: 'The user\'s GST number is 29ABCDE1234F1Z5', source: 'chat' }]
+      }],
+      calls: [{ service: 'pinecone', method: 'upsertVector', args: { id: /^fact_/, metadata: { type: 'fact' } } }]
+    }
+  },
+  {
+    name: 'forgets only the facts about who the user names',
+    message: 'Forget what I said about Ravi',
+    setup: async ({ userId }) => {
+      await createFact(userId, 'The user\'s GST number is 29ABCDE1234F1Z5', { source: 'chat' });
+      await createFact(userId, 'Ravi is the user\'s accountant', { source: 'chat' });
+    },
+    turns: [
+      { tools: [{ name: 'recall_facts', input: { query: 'Ravi' } }] },
+      request => {
+        const toolResult = request.messages.at(-1).content.find(block => block.type === 'tool_result');
+        const { facts } = JSON.parse(toolResult.content);
+        const ids = facts.filter(fact => fact.statement.includes('Ravi')).map(fact => fact.id);
+        return { tools: [{ name: 'forget_facts', input: { fact_ids: ids } }] };
+      },
+      { text: 'Forgotten.' }
+    ],
+    expect: {
+      tools: [
+        { name: 'recall_facts', result: { success: true, facts: facts => facts.some(fact => fact.statement.includes('Ravi')) } },
+        { name: 'forget_facts', result: { success: true, forgotten: ['Ravi is the user\'s accountant'] } }
+      ],
+      db: [
+        { sql: 'SELECT statement FROM memory_facts WHERE user_id = ?', rows: [{ statement: 'The user\'s GST number is 29ABCDE1234F1Z5' }] },
+        // Forgetting runs without approval and can be undone
+        { sql: 'SELECT tool_name, status FROM undo_log WHERE user_id = ?', rows: [{ tool_name: 'forget_facts', status: 'applied' }] },
+        { sql: 'SELECT id FROM pending_actions WHERE user_id = ?', rows: [] }
+      ],
+      calls: [{ service: 'pinecone', method: 'deleteVector' }]
+    }
+  },
+  {
+    name: 'reindexes one user after applying their pending changes, leaving other users alone',
+    message: 'What ideas have I saved?',
+    setup: async ({ userId, db, fakes }) => {
+      await seedRecords({ userId, db });
+      // Saved since the last sync, so it has no vector yet
+      const ideaId = uuidv4();
+      await db.batch([
+        {
+          sql: 'INSERT INTO ideas (id, user_id, title, content, type) VALUES (?, ?, ?, ?, ?)',
+          args: [ideaId, userId, 'Invoice reminders', 'Chase unpaid invoices by SMS', 'startup']
+        },
+        { sql: 'INSERT INTO vector_changes (user_id, record_type, record_id) VALUES (?, \'idea\', ?)', args: [userId, ideaId] }
+      ], 'write');
+      // A vector whose idea was deleted, and another user's
+      fakes.store.vectors.set('idea_deleted', { values: [1], metadata: { userId, type: 'idea', ideaId: 'deleted' } });
+      fakes.store.vectors.set('idea_other', { values: [1], metadata: { userId: 'someone-else', type: 'idea', ideaId: 'other' } });
+    },
+    turns: [{ text: 'Let me check.' }],
+    check: async ({ userId, query, fakes }) => {
+      const report = await reindexUser(userId);
+      assert.deepEqual(
+        { records: report.records, vectors: report.vectors, missing: report.missing, orphaned: report.orphaned, reindexed: report.reindexed },
+        { records: 3, vectors: 4, missing: 0, orphaned: 1, reindexed: 3 }
+      );
+      assert.deepEqual(await query('SELECT id FROM vector_changes WHERE user_id = ?', [userId]), []);
+      assert.equal(fakes.store.vectors.has('idea_deleted'), false);
+      assert.equal(fakes.store.vectors.has('idea_other'), true, 'other users\' vectors are not touched');
+    }
+  }
+];
@@ -0,0 +1,120 @@
+/**
+ * Plan scenarios: a multi-step plan whose step needs the user's approval, and plans cut off
+ * by a restart
+ */
+
+import assert from 'node:assert/strict';
+import { approveAction, rejectAction } from '../../src/services/actions.js';
+import { createPlan, executePlan, getPlan, failInterruptedPlans } from '../../src/services/plans.js';
+import { callsTo } from '../fakes/state.js';
+
+const PLAN = JSON.stringify({
+  steps: [
+    { title: 'Email ana@example.com that the invoice is paid', tools: ['send_email'], expectedOutput: 'The email' },
+    { title: 'Summarize what is left to do', tools: [], expectedOutput: 'A short summary' }
+  ]
+});
+
+// Plans run in the background; wait until this one leaves the given status
+async function settled(userId, planId, from) {
+  for (let i = 0; i < 200; i++) {
+    const plan = await getPlan(userId, planId);
+    if (plan.status !== from) return plan;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Plan ${planId} stayed ${from}`);
+}
+
+// Draft the plan and run it until its email step waits for approval
+async function runUntilApproval({ userId, llm }) {
+  llm.load({
+    complete: () => PLAN,
+    turns: [
+      { tools: [{ name: 'send_email', input: { to: 'ana@example.com', subject: 'Invoice', body: 'The invoice is paid.' } }] },
+      { text: 'The email to Ana is waiting for approval.' },
+      { text: 'Nothing else is left to do.' }
+    ]
+  });
+
+  const created = await createPlan(userId, 'Tell Ana the invoice is paid, then tell me what is left');
+  assert.equal(created.success, true, 'the plan should be drafted');
+  assert.equal(llm.requests[0].maxTokens, 2048, 'a full plan needs more room than other extractions');
+  await executePlan(userId, created.plan.id);
+
+  const plan = await settled(userId, created.plan.id, 'running');
+  assert.equal(plan.status, 'waiting_approval');
+  assert.deepEqual(plan.steps.map(step => step.status), ['waiting_approval', 'pending'], 'the next step must wait');
+  assert.equal(plan.steps[0].pendingActionIds.length, 1);
+  assert.deepEqual(callsTo('gmail', 'sendEmail'), [], 'nothing is sent before approval');
+  return plan;
+}
+
+export default [
+  {
+    name: 'holds a plan at a step that needs approval and resumes once it is approved',
+    message: 'Tell Ana the invoice is paid, then tell me what is left',
+    turns: [{ text: 'I will draft a plan for that.' }],
+    check: async (ctx) => {
+      const plan = await runUntilApproval(ctx);
+
+      const approved = await approveAction(ctx.userId, plan.steps[0].pendingActionIds[0]);
+      assert.equal(approved.success, true);
+
+      const finished = await settled(ctx.userId, plan.id, 'running');
+      assert.equal(finished.status, 'completed');
+      assert.deepEqual(finished.steps.map(step => step.status), ['completed', 'completed']);
+      assert.match(finished.steps[0].result, /Approved by the user and carried out/);
+      assert.deepEqual(callsTo('gmail', 'sendEmail').map(call => call.args.to), ['ana@example.com']);
+      assert.equal(ctx.llm.remainingTurns(), 0, 'the second step should have run');
+    }
+  },
+  {
+    name: 'fails a plan step whose action is rejected',
+    message: 'Tell Ana the invoice is paid, then tell me what is left',
+    turns: [{ text: 'I will draft a plan for that.' }],
+    check: async (ctx) => {
+      const plan = await runUntilApproval(ctx);
+
+      await rejectAction(ctx.userId, plan.steps[0].pendingActionIds[0]);
+
+      const failed = await getPlan(ctx.userId, plan.id);
+      assert.equal(failed.status, 'failed');
+      assert.match(failed.error, /send_email was rejected/);
+      assert.deepEqual(failed.steps.map(step => step.status), ['failed', 'pending']);
+      assert.deepEqual(callsTo('gmail', 'sendEmail'), []);
+    }
+  },
+  {
+    name: 'fails only the running plans whose server instance stopped',
+    message: 'What are my plans doing?',
+    turns: [{ text: 'Checking.' }],
+    setup: async ({ userId, db }) => {
+      await db.batch([
+        { sql: 'INSERT INTO server_instances (id) VALUES (?)', args: [`live_${userId}`] },
+        { sql: 'INSERT INTO server_instances (id, heartbeat_at) VALUES (?, datetime(\'now\', \'-10 minutes\'))', args: [`gone_${userId}`] },
+        ...['live', 'gone'].flatMap(owner => [
+          {
+            sql: 'INSERT INTO agent_plans (id, user_id, request, status, instance_id) VALUES (?, ?, ?, \'running\', ?)',
+            args: [`plan_${owner}_${userId}`, userId, `Plan on the ${owner} instance`, `${owner}_${userId}`]
+          },
+          {
+            sql: 'INSERT INTO agent_plan_steps (id, plan_id, position, title, status) VALUES (?, ?, 1, ?, \'running\')',
+            args: [`step_${owner}_${userId}`, `plan_${owner}_${userId}`, 'Do the work']
+          }
+        ])
+      ], 'write');
+    },
+    check: async ({ userId, query }) => {
+      await failInterruptedPlans();
+
+      assert.deepEqual(
+        await query(`SELECT p.request, p.status, s.status AS step_status FROM agent_plans p
+                     JOIN agent_plan_steps s ON s.plan_id = p.id WHERE p.user_id = ? ORDER BY p.request`, [userId]),
+        [
+          { request: 'Plan on the gone instance', status: 'failed', step_status: 'failed' },
+          { request: 'Plan on the live instance', status: 'running', step_status: 'running' }
+        ]
+      );
+    }
+  }
+];
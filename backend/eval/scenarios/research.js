@@ -0,0 +1,67 @@
+/**
+ * Research scenarios: web search through Firecrawl, indexed in Pinecone
+ */
+
+export default [
+  {
+    name: 'searches the web, stores the search and indexes it',
+    message: 'Find me something on vector search in SQLite',
+    fixtures: {
+      searchResults: [
+        { title: 'Vector search in libSQL', url: 'https://docs.example/libsql-vectors', description: 'Native vector columns and indexes' },
+        { title: 'sqlite-vec', url: 'https://github.example/sqlite-vec', description: 'A vector search SQLite extension' }
+      ]
+    },
+    turns: [
+      { tools: [{ name: 'search_web', input: { query: 'vector search sqlite' } }] },
+      { text: 'Two good options: libSQL has native vector columns, and sqlite-vec is an extension.' }
+    ],
+    expect: {
+      tools: [{
+        name: 'search_web',
+        input: { query: 'vector search sqlite' },
+        result: { success: true, results: [{ title: 'Vector search in libSQL' }, { title: 'sqlite-vec' }] }
+      }],
+      reply: 'sqlite-vec',
+      db: [{ sql: 'SELECT query FROM searches WHERE user_id = ?', rows: [{ query: 'vector search sqlite' }] }],
+      calls: [
+        { service: 'firecrawl', method: 'searchWeb', args: { query: 'vector search sqlite' } },
+        { service: 'openai', method: 'generateEmbedding', args: { text: 'vector search sqlite' } },
+        { service: 'pinecone', method: 'upsertVector', args: { id: /^search_/, metadata: { type: 'search' } } }
+      ]
+    }
+  },
+  {
+    name: 'reports a search with no results without storing it',
+    message: 'Search for zzqx flurbo',
+    turns: [
+      { tools: [{ name: 'search_web', input: { query: 'zzqx flurbo' } }] },
+      { text: 'I could not find anything for that.' }
+    ],
+    expect: {
+      tools: [{ name: 'search_web', result: { success: false, error: 'No results found' } }],
+      db: [{ sql: 'SELECT id FROM searches WHERE user_id = ?', rows: [] }],
+      noCalls: ['pinecone.upsertVector']
+    }
+  },
+  {
+    name: 'scrapes a page and hands its content to the model',
+    message: 'What does https://blog.example/post say?',
+    fixtures: {
+      pages: {
+        'https://blog.example/post': { metadata: { title: 'Shipping weekly' }, markdown: 'Small releases, every Friday.' }
+      }
+    },
+    turns: [
+      { tools: [{ name: 'scrape_url', input: { url: 'https://blog.example/post' } }] },
+      request => {
+        const toolResult = request.messages.at(-1).content.find(block => block.type === 'tool_result');
+        return { text: `Summary: ${JSON.parse(toolResult.content).content}` };
+      }
+    ],
+    expect: {
+      tools: [{ name: 'scrape_url', result: { success: true, title: 'Shipping weekly' } }],
+      reply: 'Summary: Small releases, every Friday.'
+    }
+  }
+];
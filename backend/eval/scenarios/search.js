@@ -0,0 +1,136 @@
+/**
+ * Local search scenarios: how typed text becomes an FTS5 query, and what searchLocal finds in the
+ * search_index the triggers keep up to date
+ */
+
+import assert from 'node:assert/strict';
+import { toMatchQuery, searchLocal } from '../../src/services/local-search.js';
+
+// Rows of each searchable type, all about Pune, on known days
+async function seedPune(db, userId) {
+  await db.batch([
+    { sql: 'INSERT INTO threads (id, user_id, title) VALUES (?, ?, \'Trip\')', args: [`thread_${userId}`, userId] },
+    {
+      sql: 'INSERT INTO ideas (id, user_id, title, content, type, created_at) VALUES (?, ?, ?, ?, \'note\', \'2026-03-01 10:00:00\')',
+      args: [`idea_${userId}`, userId, 'Pune client pitch', 'Quote for the <b>Pune</b> office & "warehouse"']
+    },
+    {
+      sql: 'INSERT INTO tasks (id, user_id, title, description, created_at) VALUES (?, ?, ?, ?, \'2026-03-05 09:00:00\')',
+      args: [`task_${userId}`, userId, 'Invoice the Pune client', 'Before Friday']
+    },
+    {
+      sql: 'INSERT INTO emails (id, user_id, from_address, subject, body, created_at) VALUES (?, ?, ?, ?, ?, \'2026-03-10 18:00:00\')',
+      args: [`email_${userId}`, userId, 'asha@example.com', 'Pune visit', 'Landing at 9']
+    },
+    {
+      sql: `INSERT INTO conversations (id, user_id, thread_id, message, role, active, created_at)
+            VALUES (?, ?, ?, ?, 'user', ?, '2026-03-20 08:00:00')`,
+      args: [`kept_${userId}`, userId, `thread_${userId}`, 'What should the Pune trip cost?', 1]
+    },
+    // An edited-away message, on a branch no longer shown
+    {
+      sql: `INSERT INTO conversations (id, user_id, thread_id, message, role, active, created_at)
+            VALUES (?, ?, ?, ?, 'user', ?, '2026-03-20 07:00:00')`,
+      args: [`abandoned_${userId}`, userId, `thread_${userId}`, 'Plan the Pune trip', 0]
+    },
+    // Someone else's
+    { sql: 'INSERT INTO users (id, email, password_hash) VALUES (?, ?, \'x\')', args: [`other_${userId}`, `other_${userId}@example.com`] },
+    {
+      sql: 'INSERT INTO ideas (id, user_id, title, content, type) VALUES (?, ?, \'Pune\', \'Pune\', \'note\')',
+      args: [`others_${userId}`, `other_${userId}`]
+    }
+  ], 'write');
+}
+
+// The ids found, in a stable order
+async function found(userId, query, options) {
+  const { results } = await searchLocal(userId, query, options);
+  return results.map(result => result.id).sort();
+}
+
+export default [
+  {
+    name: 'turns typed text into a query of prefixed words and exact phrases',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    check: () => {
+      assert.equal(toMatchQuery('Pune client'), '"Pune"* "client"*');
+      assert.equal(toMatchQuery('"client pitch" invo'), '"client pitch" "invo"*');
+      // Punctuation splits words and never reaches FTS5 as syntax
+      assert.equal(toMatchQuery('e-mail AND (asha) NEAR*'), '"e"* "mail"* "AND"* "asha"* "NEAR"*');
+      assert.equal(toMatchQuery('"it\'s late'), '"it"* "s"* "late"*');
+      assert.equal(toMatchQuery('  "" -- ?! '), null);
+    }
+  },
+  {
+    name: 'finds the user\'s own rows by word, prefix and phrase, leaving out abandoned branches',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    setup: ({ userId, db }) => seedPune(db, userId),
+    check: async ({ userId, db }) => {
+      const id = name => `${name}_${userId}`;
+
+      assert.deepEqual(await found(userId, 'pune'), [id('email'), id('idea'), id('kept'), id('task')].sort());
+      assert.deepEqual(await found(userId, 'invo'), [id('task')]);
+      assert.deepEqual(await found(userId, 'asha'), [id('email')]);
+      assert.deepEqual(await found(userId, '"client pitch"'), [id('idea')]);
+      assert.deepEqual(await found(userId, '"pitch client"'), []);
+      assert.deepEqual(await found(userId, 'trip'), [id('kept')]);
+      assert.deepEqual(await searchLocal(userId, '   '), { results: [], nextCursor: null });
+
+      // A chat result carries its thread
+      const { results: [message] } = await searchLocal(userId, 'trip');
+      assert.deepEqual(message, {
+        type: 'conversation',
+        id: id('kept'),
+        title: '',
+        snippet: 'What should the Pune <mark>trip</mark> cost?',
+        createdAt: '2026-03-20 08:00:00',
+        threadId: id('thread'),
+        role: 'user'
+      });
+
+      // Writes keep the index current
+      await db.execute({ sql: 'UPDATE tasks SET description = \'Before Monday\' WHERE id = ?', args: [id('task')] });
+      await db.execute({ sql: 'DELETE FROM emails WHERE id = ?', args: [id('email')] });
+      assert.deepEqual(await found(userId, 'friday'), []);
+      assert.deepEqual(await found(userId, 'monday'), [id('task')]);
+      assert.deepEqual(await found(userId, 'asha'), []);
+    }
+  },
+  {
+    name: 'narrows search results by type and by date',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    setup: ({ userId, db }) => seedPune(db, userId),
+    check: async ({ userId }) => {
+      const id = name => `${name}_${userId}`;
+
+      assert.deepEqual(await found(userId, 'pune', { types: ['email', 'task'] }), [id('email'), id('task')]);
+      assert.deepEqual(await found(userId, 'pune', { types: ['research'] }), []);
+      // Both bounds are inclusive, a bare date as the upper one taking in the whole day
+      assert.deepEqual(await found(userId, 'pune', { from: '2026-03-05' }), [id('email'), id('kept'), id('task')]);
+      assert.deepEqual(await found(userId, 'pune', { to: '2026-03-05' }), [id('idea'), id('task')]);
+      assert.deepEqual(await found(userId, 'pune', { to: '2026-03-05 08:59:59' }), [id('idea')]);
+      assert.deepEqual(await found(userId, 'pune', { from: '2026-03-02', to: '2026-03-10', types: ['task', 'idea'] }), [id('task')]);
+
+      // Pages follow on from each other
+      const first = await searchLocal(userId, 'pune', { limit: 3 });
+      assert.equal(first.results.length, 3);
+      const second = await searchLocal(userId, 'pune', { limit: 3, cursor: first.nextCursor });
+      assert.equal(second.nextCursor, null);
+      assert.deepEqual([...first.results, ...second.results].map(result => result.id).sort(), await found(userId, 'pune'));
+    }
+  },
+  {
+    name: 'marks matches in titles and snippets, escaping the text around them',
+    message: 'Hi',
+    turns: [{ text: 'Hi!' }],
+    setup: ({ userId, db }) => seedPune(db, userId),
+    check: async ({ userId }) => {
+      const { results: [idea] } = await searchLocal(userId, 'pune', { types: ['idea'] });
+      assert.equal(idea.title, '<mark>Pune</mark> client pitch');
+      assert.equal(idea.snippet, 'Quote for the &lt;b&gt;<mark>Pune</mark>&lt;/b&gt; office &amp; &quot;warehouse&quot;');
+    }
+  }
+];
@@ -0,0 +1,116 @@
+/**
+ * Task scenarios: ideas, tasks and reminders, and undoing them
+ */
+
+import assert from 'node:assert/strict';
+import { randomUUID as uuidv4 } from 'crypto';
+import { getTool } from '../../src/tools/index.js';
+import { trackChanges, revertChanges } from '../../src/services/undo.js';
+
+// Run a tool the way executeTool does, while write() changes the same tables alongside it
+async function runBeside(userId, toolName, args, write) {
+  const tool = getTool(toolName);
+  return trackChanges(userId, tool.undo, async () => {
+    await write();
+    return tool.handler(userId, args, {});
+  }, args);
+}
+
+export default [
+  {
+    name: 'sets a reminder as a task plus a reminder',
+    message: 'Remind me to call the bank tomorrow at 10am',
+    turns: [
+      { tools: [{ name: 'set_reminder', input: { reminder_text: 'Call the bank', time_expression: 'tomorrow at 10am' } }] },
+      { text: 'Done - I will remind you tomorrow at 10am.' }
+    ],
+    expect: {
+      tools: [{ name: 'set_reminder', result: { success: true } }],
+      db: [
+        { sql: 'SELECT title FROM tasks WHERE user_id = ?', rows: [{ title: 'Call the bank' }] },
+        {
+          sql: `SELECT r.reminder_type FROM reminders r JOIN tasks t ON t.id = r.task_id
+                WHERE r.user_id = ? AND r.scheduled_time > datetime('now')`,
+          rows: [{ reminder_type: 'popup' }]
+        }
+      ]
+    }
+  },
+  {
+    name: 'asks for a time instead of guessing one',
+    message: 'Remind me to water the plants',
+    turns: [
+      { tools: [{ name: 'set_reminder', input: { reminder_text: 'Water the plants' } }] },
+      { text: 'When would you like me to remind you?' }
+    ],
+    expect: {
+      tools: [{ name: 'set_reminder', result: { success: false, needsTime: true } }],
+      db: [{ sql: 'SELECT id FROM reminders WHERE user_id = ?', rows: [] }]
+    }
+  },
+  {
+    name: 'saves an idea with its search vector',
+    message: 'Idea: a habit tracker that texts you',
+    turns: [
+      { tools: [{ name: 'save_idea', input: { title: 'SMS habit tracker', content: 'A habit tracker that texts you', type: 'startup' } }] },
+      { text: 'Saved.' }
+    ],
+    expect: {
+      tools: [{ name: 'save_idea', result: { success: true } }],
+      db: [{ sql: 'SELECT title, type FROM ideas WHERE user_id = ?', rows: [{ title: 'SMS habit tracker', type: 'startup' }] }],
+      calls: [{ service: 'pinecone', method: 'upsertVector', args: { id: /^idea_/, metadata: { type: 'idea', title: 'SMS habit tracker' } } }]
+    }
+  },
+  {
+    name: 'undoes a task it just created',
+    message: 'Add "renew passport" to my tasks. Actually no, undo that.',
+    turns: [
+      { tools: [{ name: 'save_task', input: { title: 'Renew passport' } }] },
+      { tools: [{ name: 'undo_last_actions', input: { count: 1 } }] },
+      { text: 'Removed it again.' }
+    ],
+    expect: {
+      tools: [
+        { name: 'save_task', result: { success: true } },
+        { name: 'undo_last_actions', result: { success: true } }
+      ],
+      db: [
+        { sql: 'SELECT id FROM tasks WHERE user_id = ?', rows: [] },
+        { sql: 'SELECT tool_name, status FROM undo_log WHERE user_id = ?', rows: [{ tool_name: 'save_task', status: 'undone' }] }
+      ]
+    }
+  },
+  {
+    name: 'undoes only what a tool call wrote, not writes made alongside it',
+    message: 'Add "renew passport" to my tasks, and Priya is my accountant now',
+    turns: [{ text: 'Sure.' }],
+    check: async ({ userId, db, query }) => {
+      // A task added from the app while the agent adds its own
+      const task = await runBeside(userId, 'save_task', { title: 'Renew passport' }, () => db.execute({
+        sql: 'INSERT INTO tasks (id, user_id, title) VALUES (?, ?, ?)',
+        args: [uuidv4(), userId, 'Added from the app']
+      }));
+      assert.deepEqual(task.changes.map(change => change.op), ['delete']);
+      assert.deepEqual(await revertChanges(userId, task.changes), []);
+      assert.deepEqual(await query('SELECT title FROM tasks WHERE user_id = ?', [userId]), [{ title: 'Added from the app' }]);
+
+      // Another contact edited from the app while the agent updates Priya's
+      for (const name of ['Priya', 'Ana']) {
+        await db.execute({
+          sql: 'INSERT INTO user_contacts (id, user_id, name, relationship) VALUES (?, ?, ?, ?)',
+          args: [uuidv4(), userId, name, 'friend']
+        });
+      }
+      const contact = await runBeside(userId, 'add_contact', { name: 'Priya', relationship: 'accountant' }, () => db.execute({
+        sql: 'UPDATE user_contacts SET relationship = ? WHERE user_id = ? AND name = ?',
+        args: ['sister', userId, 'Ana']
+      }));
+      assert.deepEqual(contact.changes.map(change => [change.op, change.before]), [['restore', { relationship: 'friend' }]]);
+      assert.deepEqual(await revertChanges(userId, contact.changes), []);
+      assert.deepEqual(
+        await query('SELECT name, relationship FROM user_contacts WHERE user_id = ? ORDER BY name', [userId]),
+        [{ name: 'Ana', relationship: 'sister' }, { name: 'Priya', relationship: 'friend' }]
+      );
+    }
+  }
+];
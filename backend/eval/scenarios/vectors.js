@@ -0,0 +1,205 @@
+/**
+ * Vector scenarios: the local vector store, the embeddings service with its local model, and
+ * re-embedding after a model change, run for real against the eval database (the agent
+ * scenarios use the fakes in ../fakes)
+ */
+
+import assert from 'node:assert/strict';
+import { getVectorStore, matchesFilter } from '../../src/services/vector-store.js?real';
+import { generateEmbedding, generateEmbeddings, getEmbeddingModel, LEGACY_EMBEDDING_MODEL } from '../../src/services/embeddings.js?real';
+import { reembedIfModelChanged } from '../../src/services/reembed.js?real';
+
+// The cache is trimmed after this many new entries (see embeddings.js)
+const PRUNE_EVERY = 500;
+
+// Matches as [id, score] with the score rounded, since vectors are stored as 32-bit floats
+function ranked(matches) {
+  return matches.map(match => [match.id, Number(match.score.toFixed(3))]);
+}
+
+async function listAll(store, filter) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await store.list({ cursor, limit: 2, filter });
+    ids.push(...page.vectors.map(vector => vector.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+// Run fn with environment variables set, restoring them after
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+async function cacheSize(query) {
+  const [{ count }] = await query('SELECT COUNT(*) AS count FROM embedding_cache', []);
+  return count;
+}
+
+// Calls made to the local embedding model
+async function usageRows(query, userId) {
+  return query('SELECT provider, model, purpose FROM llm_usage WHERE user_id = ? AND provider = \'local\'', [userId]);
+}
+
+export default [
+  {
+    name: 'searches, lists and deletes vectors in the local store within metadata filters',
+    message: 'What have I saved?',
+    turns: [{ text: 'Let me look.' }],
+    check: async ({ userId }) => {
+      const store = getVectorStore('local');
+      const id = name => `${name}_${userId}`;
+      await store.upsert([
+        { id: id('a'), values: [1, 0, 0], metadata: { userId, type: 'idea', createdAt: 100 } },
+        { id: id('b'), values: [0.8, 0.6, 0], metadata: { userId, type: 'task', createdAt: 200 } },
+        { id: id('c'), values: [0, 1, 0], metadata: { userId, type: 'idea', createdAt: 300 } },
+        // Another user's, and one from a model with another size
+        { id: id('d'), values: [1, 0, 0], metadata: { userId: 'someone-else', type: 'idea', createdAt: 100 } },
+        { id: id('e'), values: [1, 0], metadata: { userId, type: 'idea', createdAt: 100 } }
+      ]);
+      const search = filter => store.query({ vector: [1, 0, 0], topK: 5, filter: { userId: { $eq: userId }, ...filter } });
+
+      assert.deepEqual(ranked(await search()), [[id('a'), 1], [id('b'), 0.8], [id('c'), 0]]);
+      assert.deepEqual(ranked(await search({ type: { $in: ['idea'] }, createdAt: { $gte: 200 } })), [[id('c'), 0]]);
+      assert.deepEqual(ranked(await search({ type: { $nin: ['idea'] } })), [[id('b'), 0.8]]);
+      assert.deepEqual(ranked(await search({ createdAt: { $lt: 300, $gt: 100 } })), [[id('b'), 0.8]]);
+      assert.throws(() => matchesFilter({ type: 'idea' }, { type: { $regex: 'id' } }), /Unsupported filter operator/);
+
+      // Listing pages through the user's vectors only, values and all
+      assert.deepEqual(await listAll(store, { userId }), [id('a'), id('b'), id('c'), id('e')]);
+      assert.deepEqual(await listAll(store, { userId, type: { $ne: 'idea' } }), [id('b')]);
+      const [first] = (await store.list({ limit: 1, filter: { userId } })).vectors;
+      assert.deepEqual(first.values.map(value => Number(value.toFixed(3))), [1, 0, 0]);
+
+      await store.delete([id('a'), id('b')]);
+      assert.deepEqual(ranked(await search()), [[id('c'), 0]]);
+    }
+  },
+  {
+    name: 'embeds with the local model, batching calls together and caching by model and text',
+    message: 'Find my unpaid invoices',
+    turns: [{ text: 'Let me look.' }],
+    check: ({ userId, query }) => withEnv({ EMBEDDING_PROVIDER: 'local' }, async () => {
+      assert.deepEqual(getEmbeddingModel(), { id: 'local/hashing-v1', provider: 'local', model: 'hashing-v1', dimensions: null });
+
+      const options = { userId, purpose: 'memory_search' };
+      const [invoice, related, garden] = await Promise.all([
+        generateEmbedding('Chase the unpaid invoice', options),
+        generateEmbedding('Send the unpaid invoice', options),
+        generateEmbedding('Water the garden', options)
+      ]);
+      assert.equal(invoice.length, 384);
+      assert.equal(Number(dot(invoice, invoice).toFixed(6)), 1);
+      assert.ok(dot(invoice, related) > dot(invoice, garden) + 0.3, 'texts sharing more words come out more similar');
+      // Made together, so the provider was called once
+      assert.deepEqual(await usageRows(query, userId), [{ provider: 'local', model: 'hashing-v1', purpose: 'memory_search' }]);
+
+      // The second time it comes from the cache
+      const again = await generateEmbedding('Chase the unpaid invoice', options);
+      assert.deepEqual(again.map(value => value.toFixed(5)), invoice.map(value => value.toFixed(5)));
+      assert.equal((await usageRows(query, userId)).length, 1);
+
+      // Another size is another model, cached on its own
+      await withEnv({ EMBEDDING_DIMENSIONS: '64' }, async () => {
+        assert.equal(getEmbeddingModel().id, 'local/hashing-v1@64');
+        assert.equal((await generateEmbedding('Chase the unpaid invoice', options)).length, 64);
+      });
+      assert.equal((await usageRows(query, userId)).length, 2);
+    })
+  },
+  {
+    name: 'trims the embedding cache to its size, least recently used entries first',
+    message: 'Find my unpaid invoices',
+    turns: [{ text: 'Let me look.' }],
+    check: ({ userId, query, db }) => withEnv({ EMBEDDING_PROVIDER: 'local', EMBEDDING_DIMENSIONS: '8', EMBEDDING_CACHE_SIZE: '1' }, async () => {
+      const options = { userId, purpose: 'memory_search' };
+      const text = name => `${name} ${userId}`;
+
+      // Write one entry at a time until a trim shows, so the next comes after exactly PRUNE_EVERY more
+      let trimmed = false;
+      for (let i = 0; i < PRUNE_EVERY && !trimmed; i++) {
+        const before = await cacheSize(query);
+        await generateEmbedding(text(`filler ${i}`), options);
+        trimmed = await cacheSize(query) <= before;
+      }
+      assert.ok(trimmed, 'the cache should have been trimmed');
+
+      await generateEmbeddings([text('used long ago'), text('used again')], options);
+      await db.execute('UPDATE embedding_cache SET used_at = \'2000-01-01 00:00:00\'');
+      await generateEmbedding(text('used again'), options);
+
+      // These bring the count to PRUNE_EVERY; all but the two entries not used lately stay
+      const fresh = Array.from({ length: PRUNE_EVERY - 2 }, (_, i) => text(`fresh ${i}`));
+      process.env.EMBEDDING_CACHE_SIZE = String(fresh.length + 1);
+      await generateEmbeddings(fresh, options);
+
+      assert.equal(await cacheSize(query), fresh.length + 1);
+      const usage = (await usageRows(query, userId)).length;
+      await generateEmbedding(text('used again'), options);
+      assert.equal((await usageRows(query, userId)).length, usage, 'the entry used lately is kept');
+      await generateEmbedding(text('used long ago'), options);
+      assert.equal((await usageRows(query, userId)).length, usage + 1, 'the entry not used lately was dropped');
+    })
+  },
+  {
+    name: 're-embeds the store after a model change on one instance only',
+    message: 'Find my unpaid invoices',
+    turns: [{ text: 'Let me look.' }],
+    setup: async ({ userId, db }) => {
+      await db.batch([
+        { sql: 'INSERT INTO server_instances (id) VALUES (?)', args: [`live_${userId}`] },
+        {
+          sql: 'INSERT OR REPLACE INTO vector_store_models (store, model, reembedding_by) VALUES (\'local\', ?, ?)',
+          args: [LEGACY_EMBEDDING_MODEL, `live_${userId}`]
+        },
+        {
+          sql: 'INSERT INTO ideas (id, user_id, title, content, type) VALUES (?, ?, ?, ?, ?)',
+          args: [`idea_${userId}`, userId, 'Invoice reminders', 'Chase unpaid invoices by SMS', 'startup']
+        }
+      ], 'write');
+      await getVectorStore('local').upsert([
+        { id: `idea_idea_${userId}`, values: [1, 0, 0], metadata: { userId, type: 'idea', ideaId: `idea_${userId}` } }
+      ]);
+    },
+    check: ({ userId, query, db }) => withEnv({ EMBEDDING_PROVIDER: 'local', VECTOR_STORE: 'local' }, async () => {
+      const storeModel = () => query('SELECT model, reembedding_by FROM vector_store_models WHERE store = \'local\'', []);
+
+      // Another live instance is on it
+      assert.equal(await reembedIfModelChanged(), null);
+      assert.deepEqual(await storeModel(), [{ model: LEGACY_EMBEDDING_MODEL, reembedding_by: `live_${userId}` }]);
+
+      // That instance stopped, so this one takes over
+      await db.execute({
+        sql: 'UPDATE server_instances SET heartbeat_at = datetime(\'now\', \'-10 minutes\') WHERE id = ?',
+        args: [`live_${userId}`]
+      });
+      const counts = await reembedIfModelChanged();
+      assert.equal(counts.model, 'local/hashing-v1');
+      assert.ok(counts.reembedded >= 1);
+      assert.deepEqual(await storeModel(), [{ model: 'local/hashing-v1', reembedding_by: null }]);
+
+      const { vectors } = await getVectorStore('local').list({ filter: { userId } });
+      assert.deepEqual(vectors.map(vector => [vector.id, vector.metadata.embeddingModel, vector.values.length]), [
+        [`idea_idea_${userId}`, 'local/hashing-v1', 384]
+      ]);
+    })
+  }
+];
@@ -0,0 +1,78 @@
+/**
+ * Scripted LLM provider
+ * Stands in for a real model behind the LLM gateway (registerProvider). Agent calls - the ones
+ * that offer tools - are answered from the scenario's turns in order; every other call
+ * (learning, summaries, plans) goes to the scenario's complete(request), or gets "{}".
+ *
+ * A turn is { text?, tools?: [{ name, input }] }, or request => turn to answer from what the
+ * agent sent (e.g. a tool result).
+ */
+
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value || '').length / 4);
+}
+
+export function createScriptedProvider() {
+  let turns = [];
+  let complete = null;
+  let toolUseCount = 0;
+  const requests = [];
+
+  function toMessage(model, request, { text = '', tools = [] }, onEvent) {
+    const content = [];
+    if (text) {
+      content.push({ type: 'text', text });
+      onEvent?.({ type: 'text_delta', text });
+    }
+    for (const tool of tools) {
+      toolUseCount++;
+      content.push({ type: 'tool_use', id: `toolu_eval_${toolUseCount}`, name: tool.name, input: tool.input || {} });
+    }
+
+    return {
+      model,
+      content,
+      stop_reason: tools.length > 0 ? 'tool_use' : 'end_turn',
+      usage: {
+        input_tokens: estimateTokens(request.system) + estimateTokens(request.messages),
+        output_tokens: estimateTokens(content)
+      }
+    };
+  }
+
+  return {
+    // Every request the gateway sent, in order
+    requests,
+
+    /**
+     * Load a scenario's script: { turns, complete }
+     */
+    load(script = {}) {
+      turns = [...(script.turns || [])];
+      complete = script.complete || null;
+      toolUseCount = 0;
+      requests.length = 0;
+    },
+
+    // Agent turns the scenario scripted but the agent never asked for
+    remainingTurns() {
+      return turns.length;
+    },
+
+    async createMessage(request, onEvent) {
+      requests.push(request);
+
+      if (!request.tools?.length) {
+        const text = complete ? await complete(request) : '{}';
+        return toMessage(request.model, request, { text }, onEvent);
+      }
+
+      const turn = turns.shift();
+      if (!turn) {
+        throw new Error('The scripted LLM has no agent turn left for this request');
+      }
+      const reply = typeof turn === 'function' ? await turn(request) : turn;
+      return toMessage(request.model, request, reply, onEvent);
+    }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Copy every vector from one vector store backend to another
+ *
+ * Usage: node scripts/migrate-vectors.js <from> <to> [--batch 100] [--dry-run]
+ * e.g.   node scripts/migrate-vectors.js pinecone local
+ *
+ * Vectors keep their ids and metadata, so running it again only overwrites what was copied.
+ * Nothing is deleted from the source; switch VECTOR_STORE once the copy looks right.
+ * Listing a Pinecone index needs a serverless index.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { initializeDatabase } from '../src/models/database.js';
+import { getVectorStore, listVectorStores } from '../src/services/vector-store.js';
+
+const args = process.argv.slice(2);
+const [from, to] = args.filter(arg => !arg.startsWith('--') && !/^\d+$/.test(arg));
+const batchIndex = args.indexOf('--batch');
+const batchSize = batchIndex >= 0 ? parseInt(args[batchIndex + 1]) : 100;
+const dryRun = args.includes('--dry-run');
+
+if (!from || !to || from === to || !(batchSize > 0)) {
+  console.error('Usage: node scripts/migrate-vectors.js <from> <to> [--batch 100] [--dry-run]');
+  console.error(`Backends: ${listVectorStores().join(', ')}`);
+  process.exit(1);
+}
+
+async function migrate() {
+  console.log('='.repeat(60));
+  console.log(`Copying vectors: ${from} → ${to}${dryRun ? ' (dry run)' : ''}`);
+  console.log('='.repeat(60));
+
+  try {
+    await initializeDatabase();
+    const source = getVectorStore(from);
+    const target = getVectorStore(to);
+
+    let cursor = null;
+    let copied = 0;
+    const dimensions = new Set();
+
+    do {
+      const page = await source.list({ cursor, limit: batchSize });
+      if (page.vectors.length > 0 && !dryRun) {
+        await target.upsert(page.vectors);
+      }
+
+      page.vectors.forEach(vector => dimensions.add(vector.values.length));
+      copied += page.vectors.length;
+      cursor = page.nextCursor;
+      console.log(`  ${copied} vectors ${dryRun ? 'found' : 'copied'}`);
+    } while (cursor);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Done: ${copied} vectors${dimensions.size > 0 ? `, dimensions: ${[...dimensions].join(', ')}` : ''}`);
+    if (dimensions.size > 1) {
+      console.log('⚠️  Vectors of different sizes were found - they come from different embedding models');
+    }
+    if (!dryRun && copied > 0) {
+      console.log(`Set VECTOR_STORE=${to} to switch over.`);
+    }
+    console.log('='.repeat(60));
+    process.exit(0);
+  } catch (error) {
+    console.error('\nMigration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,60 @@
+/**
+ * Re-embed stored vectors that were made by another embedding model than the configured one
+ *
+ * Usage: node scripts/reembed-vectors.js [store] [--batch 100] [--dry-run]
+ * e.g.   node scripts/reembed-vectors.js local --dry-run
+ *
+ * The server does this by itself at startup after a model change, slowly; this runs it at full
+ * speed, or with --dry-run just counts what would be redone. Safe to run again: vectors already
+ * on the current model are skipped. A Pinecone index has one dimension, so a model with
+ * another size needs a new index.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { initializeDatabase } from '../src/models/database.js';
+import { getConfiguredStoreName, listVectorStores } from '../src/services/vector-store.js';
+import { reembedVectors } from '../src/services/reembed.js';
+
+const args = process.argv.slice(2);
+const [store = getConfiguredStoreName()] = args.filter(arg => !arg.startsWith('--') && !/^\d+$/.test(arg));
+const batchIndex = args.indexOf('--batch');
+const batchSize = batchIndex >= 0 ? parseInt(args[batchIndex + 1]) : 100;
+const dryRun = args.includes('--dry-run');
+
+if (!listVectorStores().includes(store) || !(batchSize > 0)) {
+  console.error('Usage: node scripts/reembed-vectors.js [store] [--batch 100] [--dry-run]');
+  console.error(`Backends: ${listVectorStores().join(', ')}`);
+  process.exit(1);
+}
+
+async function reembed() {
+  console.log('='.repeat(60));
+  console.log(`Re-embedding ${store} vectors${dryRun ? ' (dry run)' : ''}`);
+  console.log('='.repeat(60));
+
+  try {
+    await initializeDatabase();
+    const counts = await reembedVectors({
+      storeName: store,
+      batchSize,
+      dryRun,
+      onProgress: ({ checked, stale }) => console.log(`  ${checked} vectors checked, ${stale} on another model`)
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Model: ${counts.model}`);
+    console.log(`Done: ${counts.stale} of ${counts.checked} vectors on another model, ${dryRun ? 'none' : counts.reembedded} re-embedded`);
+    if (counts.missing > 0) {
+      console.log(`⚠️  ${counts.missing} vectors have no source record left and were not redone`);
+    }
+    console.log('='.repeat(60));
+    process.exit(0);
+  } catch (error) {
+    console.error('\nRe-embedding failed:', error.message);
+    process.exit(1);
+  }
+}
+
+reembed();
@@ -0,0 +1,70 @@
+/**
+ * Rebuild all of a user's vectors from the source tables and report how far they had drifted
+ *
+ * Usage: node scripts/reindex-vectors.js <user id or email> [--dry-run]
+ * e.g.   node scripts/reindex-vectors.js me@example.com --dry-run
+ *
+ * Every record gets its vector written again (unchanged texts come from the embedding cache),
+ * vectors whose record is gone are deleted, and vector_metadata is brought in line.
+ * --dry-run only reports the drift. With Pinecone the whole index is listed to find the user's
+ * vectors, which needs a serverless index.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { client, initializeDatabase } from '../src/models/database.js';
+import { reindexUser } from '../src/services/semantic-memory.js';
+
+const args = process.argv.slice(2);
+const [user] = args.filter(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+
+if (!user) {
+  console.error('Usage: node scripts/reindex-vectors.js <user id or email> [--dry-run]');
+  process.exit(1);
+}
+
+async function reindex() {
+  console.log('='.repeat(60));
+  console.log(`Reindexing vectors for ${user}${dryRun ? ' (dry run)' : ''}`);
+  console.log('='.repeat(60));
+
+  try {
+    await initializeDatabase();
+    const result = await client.execute({
+      sql: 'SELECT id, email FROM users WHERE id = ? OR email = ?',
+      args: [user, user]
+    });
+    if (result.rows.length === 0) {
+      console.error(`No user ${user}`);
+      process.exit(1);
+    }
+
+    const report = await reindexUser(result.rows[0].id, {
+      dryRun,
+      onProgress: ({ reindexed, records }) => console.log(`  ${reindexed}/${records} records reindexed`)
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Model:     ${report.model}`);
+    console.log(`Records:   ${report.records}`);
+    console.log(`Vectors:   ${report.vectors}`);
+    console.log('Drift:');
+    console.log(`  ${report.missing} records without a vector`);
+    console.log(`  ${report.changed} vectors made from outdated text`);
+    console.log(`  ${report.otherModel} vectors from another embedding model`);
+    console.log(`  ${report.untracked} vectors missing from vector_metadata`);
+    console.log(`  ${report.orphaned} vectors whose record is gone`);
+    if (!dryRun) {
+      console.log(`Done: ${report.reindexed} vectors rebuilt, ${report.orphaned} removed`);
+    }
+    console.log('='.repeat(60));
+    process.exit(0);
+  } catch (error) {
+    console.error('\nReindex failed:', error.message);
+    process.exit(1);
+  }
+}
+
+reindex();
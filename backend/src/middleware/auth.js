@@ -17,3 +17,20 @@ export function authenticateToken(req, res, next) {
   }
 }
 
+
+// Socket.io handshake auth: expects the same JWT in socket.handshake.auth.token
+export function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    socket.data.user = decoded;
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+}
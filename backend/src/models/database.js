@@ -8,6 +8,108 @@ const client = createClient({
   authToken: process.env.TURSO_AUTH_TOKEN
 });
 
+// Add a column to a table created by an earlier version of the schema
+async function addColumnIfMissing(table, column, definition) {
+  const result = await client.execute(`PRAGMA table_info(${table})`);
+  if (!result.rows.some(row => row.name === column)) {
+    await client.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Full-text search: one FTS5 index over the text users look for, kept in sync by triggers on each
+// source table. Entries are keyed by the item's type and id through search_index_keys, whose integer
+// keys survive a VACUUM (the source tables' own rowids may not), so a write touches one entry.
+const SEARCH_SOURCES = [
+  {
+    type: 'conversation',
+    table: 'conversations',
+    columns: 'message, response, role',
+    title: () => 'NULL',
+    body: row => `CASE WHEN ${row}.role = 'assistant' THEN ${row}.response ELSE ${row}.message END`
+  },
+  { type: 'idea', table: 'ideas', columns: 'title, content', title: row => `${row}.title`, body: row => `${row}.content` },
+  { type: 'task', table: 'tasks', columns: 'title, description', title: row => `${row}.title`, body: row => `${row}.description` },
+  {
+    type: 'email',
+    table: 'emails',
+    columns: 'subject, body, from_address',
+    title: row => `${row}.subject`,
+    body: row => `COALESCE(${row}.from_address, '') || char(10) || COALESCE(${row}.body, '')`
+  },
+  { type: 'research', table: 'research_data', columns: 'entity_name, data', title: row => `${row}.entity_name`, body: row => `${row}.data` }
+];
+
+export const SEARCH_TYPES = SEARCH_SOURCES.map(source => source.type);
+
+async function createSearchIndex() {
+  // Before search_index_keys, entries were keyed on source rowids; those are dropped and rebuilt
+  const keyed = await client.execute("SELECT name FROM sqlite_master WHERE name = 'search_index_keys'");
+
+  await client.execute(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+      title, body, type UNINDEXED, item_id UNINDEXED, user_id UNINDEXED, created_at UNINDEXED,
+      tokenize = 'porter unicode61'
+    )
+  `);
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS search_index_keys (
+      key INTEGER PRIMARY KEY,
+      type TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      UNIQUE (type, item_id)
+    )
+  `);
+
+  if (keyed.rows.length === 0) {
+    for (const source of SEARCH_SOURCES) {
+      for (const event of ['insert', 'update', 'delete']) {
+        await client.execute(`DROP TRIGGER IF EXISTS search_index_${source.table}_${event}`);
+      }
+    }
+    await client.execute('DELETE FROM search_index');
+  }
+
+  for (const source of SEARCH_SOURCES) {
+    const key = row => `(SELECT key FROM search_index_keys WHERE type = '${source.type}' AND item_id = ${row}.id)`;
+    const add = row => `
+        INSERT OR IGNORE INTO search_index_keys (type, item_id) VALUES ('${source.type}', ${row}.id);
+        INSERT INTO search_index (rowid, title, body, type, item_id, user_id, created_at)
+        VALUES (${key(row)}, ${source.title(row)}, ${source.body(row)}, '${source.type}', ${row}.id, ${row}.user_id, ${row}.created_at);`;
+    const remove = row => `
+        DELETE FROM search_index WHERE rowid = ${key(row)};
+        DELETE FROM search_index_keys WHERE type = '${source.type}' AND item_id = ${row}.id;`;
+
+    await client.execute(`
+      CREATE TRIGGER IF NOT EXISTS search_index_${source.table}_insert AFTER INSERT ON ${source.table} BEGIN${add('new')}
+      END
+    `);
+    await client.execute(`
+      CREATE TRIGGER IF NOT EXISTS search_index_${source.table}_update AFTER UPDATE OF ${source.columns} ON ${source.table} BEGIN${remove('old')}${add('new')}
+      END
+    `);
+    await client.execute(`
+      CREATE TRIGGER IF NOT EXISTS search_index_${source.table}_delete AFTER DELETE ON ${source.table} BEGIN${remove('old')}
+      END
+    `);
+  }
+
+  // Index what was written before the index existed
+  if (keyed.rows.length === 0) {
+    for (const source of SEARCH_SOURCES) {
+      await client.execute(`
+        INSERT OR IGNORE INTO search_index_keys (type, item_id)
+        SELECT '${source.type}', id FROM ${source.table}
+      `);
+      await client.execute(`
+        INSERT INTO search_index (rowid, title, body, type, item_id, user_id, created_at)
+        SELECT k.key, ${source.title('t')}, ${source.body('t')}, '${source.type}', t.id, t.user_id, t.created_at
+        FROM ${source.table} t
+        JOIN search_index_keys k ON k.type = '${source.type}' AND k.item_id = t.id
+      `);
+    }
+  }
+}
+
 export async function initializeDatabase() {
   // Create users table
   await client.execute(`
@@ -85,6 +187,97 @@ export async function initializeDatabase() {
     )
   `);
 
+  // Conversation threads - messages belong to a thread; last_message_at orders the thread list
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS threads (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT,
+      archived INTEGER DEFAULT 0,
+      last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_threads_user ON threads(user_id, archived, last_message_at)
+  `);
+
+  // Rolling summary of the messages older than the verbatim history window;
+  // summary_upto is the conversations rowid of the last message folded in
+  await addColumnIfMissing('threads', 'summary', 'TEXT');
+  await addColumnIfMissing('threads', 'summary_upto', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('threads', 'summary_updated_at', 'DATETIME');
+
+  await addColumnIfMissing('conversations', 'thread_id', 'TEXT REFERENCES threads(id)');
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_conversations_thread ON conversations(thread_id, created_at)
+  `);
+
+  // Processing state of a user message: queued -> running -> done | failed. client_key is the
+  // sender's Idempotency-Key; a retry with the same key gets result (the original response) back
+  await addColumnIfMissing('conversations', 'status', 'TEXT');
+  await addColumnIfMissing('conversations', 'client_key', 'TEXT');
+  await addColumnIfMissing('conversations', 'result', 'TEXT');
+  await addColumnIfMissing('conversations', 'error', 'TEXT');
+
+  await client.execute(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_client_key ON conversations(user_id, client_key)
+  `);
+
+  // The server instance answering the message, so a restart only fails messages whose instance
+  // stopped; the recovery looks for unfinished messages every minute
+  await addColumnIfMissing('conversations', 'instance_id', 'TEXT');
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_conversations_unfinished ON conversations(status)
+    WHERE status IN ('queued', 'running')
+  `);
+
+  // Branches: editing a message or regenerating a reply forks the thread. A row belongs to a branch
+  // (NULL = the thread's first), alt_of is the original of an edited message or regenerated reply,
+  // reply_to the user message a reply answers; active marks the rows of the branch on screen
+  await addColumnIfMissing('conversations', 'branch_id', 'TEXT');
+  await addColumnIfMissing('conversations', 'reply_to', 'TEXT');
+  await addColumnIfMissing('conversations', 'alt_of', 'TEXT');
+  await addColumnIfMissing('conversations', 'active', 'INTEGER DEFAULT 1');
+  await addColumnIfMissing('threads', 'active_branch_id', 'TEXT');
+
+  // A branch sees its own rows plus those of its parent branch up to fork_rowid; the thread's
+  // first branch has the thread's id and no parent. selected_at (ms) picks which branch to show
+  // when the user switches to an alternative several branches share
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS conversation_branches (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      thread_id TEXT NOT NULL,
+      parent_branch_id TEXT,
+      fork_rowid INTEGER,
+      selected_at INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (thread_id) REFERENCES threads(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_conversation_branches_thread ON conversation_branches(thread_id)
+  `);
+
+  // Messages from before threads existed go into one "Earlier conversations" thread per user
+  await client.execute(`
+    INSERT INTO threads (id, user_id, title, last_message_at, created_at)
+    SELECT 'legacy_' || user_id, user_id, 'Earlier conversations', MAX(created_at), MIN(created_at)
+    FROM conversations
+    WHERE thread_id IS NULL
+    GROUP BY user_id
+    ON CONFLICT(id) DO NOTHING
+  `);
+  await client.execute(`
+    UPDATE conversations SET thread_id = 'legacy_' || user_id WHERE thread_id IS NULL
+  `);
+
   // Create uploads table
   await client.execute(`
     CREATE TABLE IF NOT EXISTS uploads (
@@ -166,12 +359,33 @@ export async function initializeDatabase() {
       steps TEXT,
       status TEXT,
       result TEXT,
+      thread_id TEXT,
+      input TEXT,
+      error TEXT,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      duration_ms INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
       FOREIGN KEY (user_id) REFERENCES users(id)
     )
   `);
 
-  // Create vector_metadata table
+  // Trace columns: steps holds every model call and tool call of the run
+  await addColumnIfMissing('agent_executions', 'thread_id', 'TEXT');
+  await addColumnIfMissing('agent_executions', 'input', 'TEXT');
+  await addColumnIfMissing('agent_executions', 'error', 'TEXT');
+  await addColumnIfMissing('agent_executions', 'input_tokens', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('agent_executions', 'output_tokens', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('agent_executions', 'duration_ms', 'INTEGER');
+  await addColumnIfMissing('agent_executions', 'completed_at', 'DATETIME');
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_agent_executions_user ON agent_executions(user_id, created_at)
+  `);
+
+  // Create vector_metadata table: every vector the app has written (see services/semantic-memory.js).
+  // pinecone_id is the vector's id in whichever store holds it; content_hash is of the text embedded.
   await client.execute(`
     CREATE TABLE IF NOT EXISTS vector_metadata (
       id TEXT PRIMARY KEY,
@@ -184,6 +398,34 @@ export async function initializeDatabase() {
     )
   `);
 
+  await addColumnIfMissing('vector_metadata', 'content_hash', 'TEXT');
+  await addColumnIfMissing('vector_metadata', 'model', 'TEXT');
+  await addColumnIfMissing('vector_metadata', 'updated_at', 'DATETIME');
+
+  await client.execute(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_vector_metadata_vector ON vector_metadata(pinecone_id)
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_vector_metadata_user ON vector_metadata(user_id, record_type)
+  `);
+
+  // Source records written since their vectors were last brought up to date; filled by the
+  // triggers semantic-memory.js sets up, emptied by its sync
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS vector_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      record_type TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_vector_changes_user ON vector_changes(user_id, id)
+  `);
+
   // Create summaries table for 12-hour briefings
   await client.execute(`
     CREATE TABLE IF NOT EXISTS summaries (
@@ -241,6 +483,269 @@ export async function initializeDatabase() {
     )
   `);
 
+  // Per-user agent tool settings (tools are enabled unless a row says otherwise)
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS user_tool_settings (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      tool_name TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      approval_policy TEXT,
+      approval_threshold REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(user_id, tool_name)
+    )
+  `);
+
+  // Approval policy: ask, auto or threshold (NULL = the tool's default)
+  await addColumnIfMissing('user_tool_settings', 'approval_policy', 'TEXT');
+  await addColumnIfMissing('user_tool_settings', 'approval_threshold', 'REAL');
+
+  // Pending actions - side-effecting tool calls waiting for the user to approve or reject
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS pending_actions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      execution_id TEXT,
+      tool_name TEXT NOT NULL,
+      tool_input TEXT NOT NULL,
+      preview TEXT,
+      status TEXT DEFAULT 'pending',
+      result TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_pending_actions_user ON pending_actions(user_id, status, created_at)
+  `);
+
+  // Socket events - server pushes kept so reconnecting clients can replay what they missed
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS socket_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_socket_events_user ON socket_events(user_id, id)
+  `);
+
+  // Undo log - what each tool call changed, stored as inverse operations
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS undo_log (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      execution_id TEXT,
+      tool_name TEXT NOT NULL,
+      description TEXT,
+      changes TEXT NOT NULL,
+      undoable INTEGER DEFAULT 1,
+      status TEXT DEFAULT 'applied',
+      outcome TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      undone_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_undo_log_user ON undo_log(user_id, status)
+  `);
+
+  // Agent plans - multi-step requests planned up front, edited or approved, then run step by step
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS agent_plans (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      thread_id TEXT,
+      request TEXT NOT NULL,
+      status TEXT DEFAULT 'draft',
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_agent_plans_user ON agent_plans(user_id, created_at)
+  `);
+
+  // The server instance running the plan, so a restart only fails plans whose instance stopped
+  await addColumnIfMissing('agent_plans', 'instance_id', 'TEXT');
+
+  // Plan steps - each step's result is kept as a checkpoint so a retry resumes after it
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS agent_plan_steps (
+      id TEXT PRIMARY KEY,
+      plan_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      tools TEXT,
+      expected_output TEXT,
+      status TEXT DEFAULT 'pending',
+      result TEXT,
+      error TEXT,
+      execution_id TEXT,
+      started_at DATETIME,
+      completed_at DATETIME,
+      FOREIGN KEY (plan_id) REFERENCES agent_plans(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_agent_plan_steps_plan ON agent_plan_steps(plan_id, position)
+  `);
+
+  // Actions a step proposed that wait for the user's approval (see services/actions.js)
+  await addColumnIfMissing('agent_plan_steps', 'pending_action_ids', 'TEXT');
+
+  // Running server instances and when each last checked in (see services/instances.js)
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS server_instances (
+      id TEXT PRIMARY KEY,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      heartbeat_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Captured facts - what was saved about the user without being asked, for review in the
+  // "captured for you" feed. Learned captures keep their inverse changes, agent ones their undo_log entry.
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS captured_facts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      edited_payload TEXT,
+      confidence REAL,
+      source_message TEXT,
+      execution_id TEXT,
+      status TEXT DEFAULT 'pending',
+      changes TEXT,
+      undo_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      reviewed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_captured_facts_user ON captured_facts(user_id, status)
+  `);
+
+  // Memory facts - single statements the user asked the assistant to remember, editable and
+  // deletable one by one. source: 'chat' (saved by the agent) or 'manual' (saved through the API)
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS memory_facts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      statement TEXT NOT NULL,
+      source TEXT DEFAULT 'manual',
+      source_message TEXT,
+      execution_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_memory_facts_user ON memory_facts(user_id, created_at)
+  `);
+
+  // Agent jobs - standing instructions the agent runs on a cron or RRULE schedule
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS agent_jobs (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      instruction TEXT NOT NULL,
+      schedule TEXT NOT NULL,
+      timezone TEXT DEFAULT 'UTC',
+      enabled INTEGER DEFAULT 1,
+      starts_at TEXT NOT NULL,
+      next_run_at TEXT,
+      last_run_at TEXT,
+      last_status TEXT,
+      run_count INTEGER DEFAULT 0,
+      consecutive_failures INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_agent_jobs_due ON agent_jobs(enabled, next_run_at)
+  `);
+
+  // Agent job runs - one row per scheduled or manual run, linked to its execution trace
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS agent_job_runs (
+      id TEXT PRIMARY KEY,
+      job_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      execution_id TEXT,
+      trigger TEXT DEFAULT 'schedule',
+      status TEXT DEFAULT 'running',
+      result TEXT,
+      error TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME,
+      FOREIGN KEY (job_id) REFERENCES agent_jobs(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_agent_job_runs_job ON agent_job_runs(job_id, started_at)
+  `);
+
+  // LLM usage - one row per model or embedding call; user_id is NULL for system work
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      purpose TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cost_usd REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage(user_id, created_at)
+  `);
+
+  // Usage budgets - monthly USD limits per user (NULL = no limit)
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS usage_budgets (
+      user_id TEXT PRIMARY KEY,
+      soft_limit_usd REAL,
+      hard_limit_usd REAL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
   // ============================================
   // PERSONALIZATION & PROACTIVE ASSISTANT TABLES
   // ============================================
@@ -278,6 +783,13 @@ export async function initializeDatabase() {
     )
   `);
 
+  // Assistant settings: persona preset or the user's own instructions, reply language and format
+  await addColumnIfMissing('user_profiles', 'assistant_name', 'TEXT');
+  await addColumnIfMissing('user_profiles', 'persona', "TEXT DEFAULT 'life_coach'");
+  await addColumnIfMissing('user_profiles', 'persona_instructions', 'TEXT');
+  await addColumnIfMissing('user_profiles', 'response_language', 'TEXT');
+  await addColumnIfMissing('user_profiles', 'response_format', "TEXT DEFAULT 'chat'");
+
   // User contacts - relationships the AI should know about
   await client.execute(`
     CREATE TABLE IF NOT EXISTS user_contacts (
@@ -515,6 +1027,54 @@ export async function initializeDatabase() {
     )
   `);
 
+  // Embeddings for the local vector store (see services/vector-store.js); float32 blobs.
+  // user_id and type are copied out of the metadata so a search reads only the rows it can match.
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS vectors (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      type TEXT,
+      dimensions INTEGER NOT NULL,
+      embedding BLOB NOT NULL,
+      metadata TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_vectors_user_type ON vectors(user_id, type)
+  `);
+
+  // Embeddings already computed, keyed by a hash of the model and the text (see services/embeddings.js)
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS embedding_cache (
+      hash TEXT PRIMARY KEY,
+      model TEXT NOT NULL,
+      dimensions INTEGER NOT NULL,
+      embedding BLOB NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      used_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE INDEX IF NOT EXISTS idx_embedding_cache_used ON embedding_cache(used_at)
+  `);
+
+  // The embedding model each vector store was last brought up to date with (see services/reembed.js)
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS vector_store_models (
+      store TEXT PRIMARY KEY,
+      model TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // The server instance re-embedding the store, so others started alongside it leave it be
+  await addColumnIfMissing('vector_store_models', 'reembedding_by', 'TEXT');
+
+  await createSearchIndex();
+
   console.log('All tables created/verified (including personalization & productivity tables)');
 }
 
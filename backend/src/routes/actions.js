@@ -0,0 +1,98 @@
+/**
+ * Pending Actions API Routes
+ * Review, approve and reject side-effecting tool calls proposed by the agent
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { listActions, getAction, approveAction, rejectAction } from '../services/actions.js';
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'approved', 'executed', 'failed', 'rejected', 'expired'];
+
+/**
+ * GET /api/actions
+ * List the user's actions, newest first (?status=pending to filter)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const actions = await listActions(req.user.userId, { status, limit });
+    res.json({ success: true, actions });
+  } catch (error) {
+    console.error('Error listing actions:', error);
+    res.status(500).json({ error: 'Failed to list actions' });
+  }
+});
+
+/**
+ * GET /api/actions/:id
+ * Get a single action with its preview and result
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const action = await getAction(req.user.userId, req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    res.json({ success: true, action });
+  } catch (error) {
+    console.error('Error getting action:', error);
+    res.status(500).json({ error: 'Failed to get action' });
+  }
+});
+
+/**
+ * POST /api/actions/:id/approve
+ * Approve a pending action and run it; success is false if the tool itself failed
+ */
+router.post('/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await approveAction(req.user.userId, req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+    if (outcome.error) {
+      return res.status(409).json({ error: outcome.error, action: outcome.action });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Error approving action:', error);
+    res.status(500).json({ error: 'Failed to approve action' });
+  }
+});
+
+/**
+ * POST /api/actions/:id/reject
+ * Reject a pending action without running it
+ */
+router.post('/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await rejectAction(req.user.userId, req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+    if (outcome.error) {
+      return res.status(409).json({ error: outcome.error, action: outcome.action });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Error rejecting action:', error);
+    res.status(500).json({ error: 'Failed to reject action' });
+  }
+});
+
+export default router;
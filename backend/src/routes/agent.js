@@ -0,0 +1,123 @@
+/**
+ * Agent API Routes
+ * Handles per-user agent tool settings, approval policies and execution traces
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getTool, getToolSettings, setToolEnabled, setToolPolicy, requiresApproval, APPROVAL_POLICIES } from '../tools/index.js';
+import { listExecutions, getExecution } from '../services/executions.js';
+
+const router = express.Router();
+
+// ============================================
+// TOOL SETTINGS
+// ============================================
+
+/**
+ * GET /api/agent/tools
+ * List every agent tool with its metadata and whether it is enabled for the user
+ */
+router.get('/tools', authenticateToken, async (req, res) => {
+  try {
+    const tools = await getToolSettings(req.user.userId);
+    res.json({ success: true, tools });
+  } catch (error) {
+    console.error('Error getting agent tools:', error);
+    res.status(500).json({ error: 'Failed to get agent tools' });
+  }
+});
+
+/**
+ * PUT /api/agent/tools/:name
+ * Enable or disable a tool, and/or set its approval policy
+ * Body: { enabled?, approvalPolicy?: 'ask' | 'auto' | 'threshold', approvalThreshold? }
+ */
+router.put('/tools/:name', authenticateToken, async (req, res) => {
+  try {
+    const { enabled, approvalPolicy, approvalThreshold } = req.body;
+    const tool = getTool(req.params.name);
+
+    if (!tool) {
+      return res.status(404).json({ error: 'Tool not found' });
+    }
+
+    if (enabled === undefined && approvalPolicy === undefined) {
+      return res.status(400).json({ error: 'enabled or approvalPolicy required' });
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    if (approvalPolicy !== undefined) {
+      if (!requiresApproval(tool)) {
+        return res.status(400).json({ error: 'This tool does not need approval' });
+      }
+      if (!APPROVAL_POLICIES.includes(approvalPolicy)) {
+        return res.status(400).json({ error: `approvalPolicy must be one of: ${APPROVAL_POLICIES.join(', ')}` });
+      }
+      if (approvalPolicy === 'threshold') {
+        if (!tool.measure) {
+          return res.status(400).json({ error: 'This tool does not support a threshold' });
+        }
+        if (typeof approvalThreshold !== 'number' || approvalThreshold < 0) {
+          return res.status(400).json({ error: 'approvalThreshold must be a non-negative number' });
+        }
+      }
+    }
+
+    if (enabled !== undefined) {
+      await setToolEnabled(req.user.userId, tool.name, enabled);
+    }
+    if (approvalPolicy !== undefined) {
+      await setToolPolicy(req.user.userId, tool.name, approvalPolicy, approvalThreshold ?? null);
+    }
+
+    res.json({ success: true, name: tool.name, enabled, approvalPolicy, approvalThreshold });
+  } catch (error) {
+    console.error('Error updating agent tool:', error);
+    res.status(500).json({ error: 'Failed to update agent tool' });
+  }
+});
+
+// ============================================
+// EXECUTION TRACES
+// ============================================
+
+/**
+ * GET /api/agent/executions
+ * List agent runs newest first, without steps
+ * Query: limit, cursor, status, threadId
+ */
+router.get('/executions', authenticateToken, async (req, res) => {
+  try {
+    const { limit, cursor, status, threadId } = req.query;
+    const { executions, nextCursor } = await listExecutions(req.user.userId, { limit, cursor, status, threadId });
+    res.json({ success: true, executions, nextCursor });
+  } catch (error) {
+    console.error('Error listing executions:', error);
+    res.status(500).json({ error: 'Failed to list executions' });
+  }
+});
+
+/**
+ * GET /api/agent/executions/:id
+ * Get one run with every model call and tool call: inputs, outputs, latency, tokens and errors
+ */
+router.get('/executions/:id', authenticateToken, async (req, res) => {
+  try {
+    const execution = await getExecution(req.user.userId, req.params.id);
+
+    if (!execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    res.json({ success: true, execution });
+  } catch (error) {
+    console.error('Error getting execution:', error);
+    res.status(500).json({ error: 'Failed to get execution' });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+/**
+ * Captures API Routes
+ * The "captured for you" feed: review what the assistant saved without being asked
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { listCaptures, acceptCapture, rejectCapture, editCapture } from '../services/captures.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/captures
+ * Captured facts, newest first
+ * Query: status (pending | unreviewed | reviewed), limit, cursor
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { captures, pendingCount, nextCursor } = await listCaptures(req.user.userId, {
+      status: req.query.status,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json({ success: true, captures, pendingCount, nextCursor });
+  } catch (error) {
+    console.error('Error listing captures:', error);
+    res.status(500).json({ error: 'Failed to list captures' });
+  }
+});
+
+/**
+ * POST /api/captures/:id/accept
+ * Confirm a capture; a pending one is saved now
+ */
+router.post('/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await acceptCapture(req.user.userId, req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+    if (!outcome.success) {
+      return res.status(409).json({ error: outcome.error });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Error accepting capture:', error);
+    res.status(500).json({ error: 'Failed to accept capture' });
+  }
+});
+
+/**
+ * POST /api/captures/:id/reject
+ * Reject a capture, rolling back whatever it saved
+ */
+router.post('/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await rejectCapture(req.user.userId, req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+    if (!outcome.success) {
+      return res.status(409).json({ error: outcome.error });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Error rejecting capture:', error);
+    res.status(500).json({ error: 'Failed to reject capture' });
+  }
+});
+
+/**
+ * PUT /api/captures/:id
+ * Correct a capture; the corrected version replaces what was saved
+ * Body: { payload }
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await editCapture(req.user.userId, req.params.id, req.body.payload);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+    if (!outcome.success) {
+      return res.status(400).json({ error: outcome.error });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Error editing capture:', error);
+    res.status(500).json({ error: 'Failed to edit capture' });
+  }
+});
+
+export default router;
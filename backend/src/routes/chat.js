@@ -1,88 +1,425 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
-import { client } from '../models/database.js';
 import { executeAgentTask } from '../services/agent.js';
-import { searchSimilarConversations, storeConversationEmbedding } from '../services/vector-store.js';
-import { randomUUID as uuidv4 } from 'crypto';
+import { emitToUser } from '../services/realtime.js';
+import {
+  createThread, getThread, deleteEmptyThread, touchThread, generateThreadTitle, getMessages,
+  addUserMessage, addAssistantMessage, findMessageByKey, setMessageStatus, claimMessage,
+  getMessage, getExchange, forkThread, selectMessage
+} from '../services/threads.js';
+import { buildContext, refreshThreadSummary } from '../services/context-builder.js';
+import { createPlan } from '../services/plans.js';
+import { listCommands, parseCommand, runCommand } from '../services/commands.js';
 
 const router = express.Router();
 
+// Requests being processed, by user and Idempotency-Key, so a retry waits for the original
+// instead of running the message a second time
+const inFlight = new Map();
+
+/**
+ * POST /api/chat
+ * Send a message to the agent; the response has the reply and the stored message's id (messageId)
+ * Body: { message, threadId? (omit to start a new thread), stream?, streamId?, mode? }
+ * mode 'plan' drafts a plan for the user to edit and approve instead of acting right away (see /api/plans)
+ * Messages starting with a known slash command ("/water 2", see GET /api/chat/commands) run it directly
+ * Header Idempotency-Key (optional, unique per message): a retry with the same key is never run twice.
+ * It waits for the original if that is still running and gets the original response; 409 when the
+ * original is running elsewhere, 500 when it failed without a reply.
+ */
 router.post('/', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const clientKey = req.get('Idempotency-Key');
+
+  if (!req.body.message) {
+    return res.status(400).json({ error: 'Message required' });
+  }
+
+  if (!clientKey) {
+    const { status, body } = await processMessage(req);
+    return res.status(status).json(body);
+  }
+
+  const slot = `${userId}:${clientKey}`;
+  let request = inFlight.get(slot);
+  if (!request) {
+    request = replayOrProcess(req, clientKey).finally(() => inFlight.delete(slot));
+    inFlight.set(slot, request);
+  }
+
+  const { status, body } = await request;
+  res.status(status).json(body);
+});
+
+// Answer a keyed request from the stored outcome of its first attempt, if there was one
+async function replayOrProcess(req, clientKey) {
+  try {
+    const previous = await findMessageByKey(req.user.userId, clientKey);
+    if (!previous) {
+      return await processMessage(req, clientKey);
+    }
+    return replayMessage(previous);
+  } catch (error) {
+    console.error('Chat error:', error);
+    return { status: 500, body: { error: 'Failed to process message' } };
+  }
+}
+
+function replayMessage(previous) {
+  if (previous.result) {
+    return { status: 200, body: { ...previous.result, replayed: true } };
+  }
+  if (previous.status === 'failed') {
+    return { status: 500, body: { error: 'Failed to process message', status: 'failed', threadId: previous.threadId } };
+  }
+  // Queued or running in another server instance
+  return { status: 409, body: { error: 'This message is still being processed', status: previous.status, threadId: previous.threadId } };
+}
+
+// Store the message, reply to it and record its status; returns { status, body } for the response
+async function processMessage(req, clientKey) {
+  const userId = req.user.userId;
+
+  try {
+    // Continue the given thread, or start a new one
+    let thread;
+    if (req.body.threadId) {
+      thread = await getThread(userId, req.body.threadId);
+      if (!thread) {
+        return { status: 404, body: { error: 'Thread not found' } };
+      }
+    } else {
+      thread = await createThread(userId);
+    }
+
+    return await answerMessage(req, thread, req.body.message, { clientKey, newThread: !req.body.threadId });
+  } catch (error) {
+    console.error('Chat error:', error);
+    return { status: 500, body: { error: 'Failed to process message' } };
+  }
+}
+
+// Reply to a message and record its status. A new message is stored here (altOf: the message it is
+// an edit of); question is one already in the thread, answered again (replaces: the reply it replaces).
+// newThread: the thread was started for this message, and is announced once the message is stored
+async function answerMessage(req, thread, message, { clientKey, altOf, question, replaces, newThread } = {}) {
+  const { mode } = req.body;
+  const userId = req.user.userId;
+  const threadId = thread.id;
+  let messageId = question?.id || null;
+
+  try {
+    // Slash commands never reach the model, so they need no context
+    const parsed = mode !== 'plan' ? parseCommand(message) : null;
+
+    // Recent turns, thread summary and related past exchanges, built before the new message is stored
+    // (or from what came before the message being answered again)
+    const { history, context } = parsed
+      ? {}
+      : await buildContext(userId, threadId, message, { beforeRowid: question?.rowid });
+
+    if (!question) {
+      // Store user message; a null id means a retry got here first, through another server instance
+      messageId = await addUserMessage(userId, threadId, message, { clientKey, altOf });
+      if (!messageId) {
+        if (newThread) {
+          await deleteEmptyThread(userId, threadId);
+        }
+        return replayMessage(await findMessageByKey(userId, clientKey));
+      }
+      if (newThread) {
+        await emitToUser(userId, 'thread_created', { thread });
+      }
+    }
+    await touchThread(threadId);
+
+    await setMessageStatus(messageId, 'running');
+    const reply = { replyTo: messageId, altOf: replaces };
+    const body = {
+      ...(parsed
+        ? await replyToCommand(req, { thread, message, parsed, reply })
+        : mode === 'plan'
+          ? await replyWithPlan(req, { thread, message, context, reply })
+          : await replyWithAgent(req, { thread, message, history, context, reply })),
+      messageId,
+    };
+    // An agent error is still answered, with an apology; the message counts as failed all the same.
+    // A message answered again keeps its first response: that is what its Idempotency-Key replays
+    await setMessageStatus(messageId, body.error ? 'failed' : 'done', { result: question ? null : body, error: body.error });
+
+    return { status: 200, body };
+  } catch (error) {
+    console.error('Chat error:', error);
+    if (messageId) {
+      await setMessageStatus(messageId, 'failed', { error: error.message }).catch(() => {});
+      await emitToUser(userId, 'message_status', { id: messageId, status: 'failed' });
+    } else if (newThread) {
+      await deleteEmptyThread(userId, threadId).catch(() => {});
+    }
+    return { status: 500, body: { error: 'Failed to process message' } };
+  }
+}
+
+async function replyWithAgent(req, { thread, message, history, context, reply }) {
+  const { stream, streamId } = req.body;
+  const userId = req.user.userId;
+  const threadId = thread.id;
+
+  // Streaming mode: push text deltas and tool progress to the user's sockets as they happen.
+  // These are transient, so they are not kept for replay.
+  const onEvent = stream
+    ? (event) => {
+        const { type, ...payload } = event;
+        const socketEvent = type === 'text_delta' ? 'chat_delta' : type;
+        emitToUser(userId, socketEvent, { streamId, ...payload }, { persist: false });
+      }
+    : undefined;
+
+  // Always use the agent for processing - it handles all intents intelligently
+  const agentResult = await executeAgentTask(userId, message, context, { onEvent, history, threadId });
+  let response = agentResult.result || 'I\'ve processed your request.';
+
+  // Get intent for logging purposes
+  const intent = { intent: agentResult.toolResults?.length > 0 ? agentResult.toolResults[0].tool : 'chat' };
+
+  // Store assistant response
+  const responseId = await addAssistantMessage(userId, threadId, {
+    message,
+    response,
+    metadata: { executionId: agentResult.executionId, outcome: agentResult.outcome },
+    ...reply
+  });
+  await touchThread(threadId);
+
+  if (!thread.title) {
+    generateThreadTitle(userId, threadId, message, response);
+  }
+  refreshThreadSummary(userId, threadId);
+
+  // Push the reply to the user's other tabs/devices
+  await emitToUser(userId, 'chat_message', {
+    id: responseId,
+    threadId,
+    executionId: agentResult.executionId,
+    message: response,
+    role: 'assistant',
+    streamId: stream ? streamId : undefined,
+    timestamp: new Date().toISOString(),
+  });
+
+  return {
+    response,
+    outcome: agentResult.outcome,
+    threadId,
+    executionId: agentResult.executionId,
+    intent: intent.intent,
+    conversationId: responseId,
+    ...(agentResult.success === false && { error: agentResult.error }),
+  };
+}
+
+// Plan mode: draft a plan and post it to the thread; nothing runs until the user approves it
+async function replyWithPlan(req, { thread, message, context, reply }) {
+  const userId = req.user.userId;
+  const threadId = thread.id;
+
+  const outcome = await createPlan(userId, message, { threadId, context });
+  const response = outcome.success
+    ? `Here's my plan:\n\n${outcome.plan.steps.map(step => `${step.position}. ${step.title}`).join('\n')}\n\nEdit the steps or approve the plan to start.`
+    : 'I couldn\'t put together a plan for this. Try rephrasing it, or send it without plan mode.';
+
+  const responseId = await addAssistantMessage(userId, threadId, {
+    message,
+    response,
+    metadata: { planId: outcome.plan?.id },
+    ...reply
+  });
+  await touchThread(threadId);
+
+  if (!thread.title) {
+    generateThreadTitle(userId, threadId, message, response);
+  }
+
+  await emitToUser(userId, 'chat_message', {
+    id: responseId,
+    threadId,
+    planId: outcome.plan?.id,
+    message: response,
+    role: 'assistant',
+    timestamp: new Date().toISOString(),
+  });
+
+  return {
+    response,
+    threadId,
+    plan: outcome.plan || null,
+    conversationId: responseId,
+  };
+}
+
+// Slash command: run it and post its confirmation. The thread is titled by its next agent reply.
+async function replyToCommand(req, { thread, message, parsed, reply }) {
+  const userId = req.user.userId;
+  const threadId = thread.id;
+
+  const outcome = await runCommand(userId, parsed);
+  const name = parsed.command.name;
+
+  const responseId = await addAssistantMessage(userId, threadId, {
+    message,
+    response: outcome.message,
+    metadata: { command: name, success: outcome.success },
+    ...reply
+  });
+  await touchThread(threadId);
+
+  await emitToUser(userId, 'chat_message', {
+    id: responseId,
+    threadId,
+    command: name,
+    message: outcome.message,
+    role: 'assistant',
+    timestamp: new Date().toISOString(),
+  });
+
+  return {
+    response: outcome.message,
+    threadId,
+    command: name,
+    success: outcome.success,
+    conversationId: responseId,
+  };
+}
+
+/**
+ * PUT /api/chat/messages/:id
+ * Edit a user message and get a new reply to it
+ * Body: { message, stream?, streamId?, mode? }
+ * The thread forks at the message: the edit and its reply replace it and everything after it on
+ * screen, and the original stays reachable through the message's alternatives (see /select).
+ * Returns the reply as POST /api/chat does, plus abandonedEffects: what the replies that went out of
+ * view did through tools and still stands - [{ type: 'change' | 'pending_action', id, tool,
+ * description, undoable }]. Undo changes with POST /api/undo/:id, reject actions with /api/actions/:id/reject.
+ */
+router.put('/messages/:id', authenticateToken, async (req, res) => {
   try {
-    const { message } = req.body;
     const userId = req.user.userId;
+    const { message } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message required' });
     }
 
-    // Store user message
-    const conversationId = uuidv4();
-    await client.execute({
-      sql: 'INSERT INTO conversations (id, user_id, message, role) VALUES (?, ?, ?, ?)',
-      args: [conversationId, userId, message, 'user']
-    });
+    const original = await getMessage(userId, req.params.id);
+    if (!original || original.role !== 'user' || !original.active) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!await claimMessage(original.id)) {
+      return res.status(409).json({ error: 'This message is still being processed' });
+    }
 
-    // Search for relevant context
-    const similarConversations = await searchSimilarConversations(userId, message, 3);
-    const context = similarConversations
-      .map(c => c.metadata?.text)
-      .filter(Boolean)
-      .join('\n');
-
-    // Always use the agent for processing - it handles all intents intelligently
-    const agentResult = await executeAgentTask(userId, message, context);
-    let response = agentResult.result || 'I\'ve processed your request.';
-
-    // Get intent for logging purposes
-    const intent = { intent: agentResult.toolResults?.length > 0 ? agentResult.toolResults[0].tool : 'chat' };
-
-    // Store assistant response
-    const responseId = uuidv4();
-    await client.execute({
-      sql: 'INSERT INTO conversations (id, user_id, message, response, role) VALUES (?, ?, ?, ?, ?)',
-      args: [responseId, userId, message, response, 'assistant']
-    });
+    const thread = await getThread(userId, original.thread_id);
+    let abandonedEffects;
+    try {
+      ({ abandonedEffects } = await forkThread(userId, thread.id, original.rowid));
+    } finally {
+      // Forked out of view, it can't be claimed again; it keeps the status it had
+      await setMessageStatus(original.id, original.status, { error: original.error }).catch(() => {});
+    }
+    const { status, body } = await answerMessage(req, thread, message, { altOf: original.alt_of || original.id });
 
-    // Store embedding
-    await storeConversationEmbedding(userId, conversationId, `${message} ${response}`, {
-      conversationId,
-      intent: intent.intent,
-    });
+    res.status(status).json({ ...body, abandonedEffects });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
 
-    // Emit WebSocket event if needed
-    const io = req.app.get('io');
-    if (io) {
-      io.to(userId).emit('chat_message', {
-        id: responseId,
-        message: response,
-        role: 'assistant',
-        timestamp: new Date().toISOString(),
-      });
+/**
+ * POST /api/chat/messages/:id/regenerate
+ * Answer a user message again; :id is the message or the reply to replace
+ * Body: { stream?, streamId?, mode? }
+ * The new reply is an alternative of the old one (see /select), which goes out of view along with
+ * everything after it. Returns the reply as POST /api/chat does, plus abandonedEffects (see PUT /messages/:id).
+ */
+router.post('/messages/:id/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const exchange = await getExchange(userId, req.params.id);
+    const { question, reply } = exchange || {};
+    if (!question || !question.active) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!await claimMessage(question.id)) {
+      return res.status(409).json({ error: 'This message is still being processed' });
     }
 
-    res.json({
-      response,
-      intent: intent.intent,
-      conversationId: responseId,
+    const thread = await getThread(userId, question.thread_id);
+    let abandonedEffects;
+    try {
+      ({ abandonedEffects } = await forkThread(userId, thread.id, reply ? reply.rowid : question.rowid + 1));
+    } catch (error) {
+      // Nothing was answered; the message goes back to how it was
+      await setMessageStatus(question.id, question.status, { error: question.error }).catch(() => {});
+      throw error;
+    }
+    const { status, body } = await answerMessage(req, thread, question.message, {
+      question,
+      replaces: reply ? reply.alt_of || reply.id : null
     });
+
+    res.status(status).json({ ...body, abandonedEffects });
   } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({ error: 'Failed to process message' });
+    console.error('Regenerate error:', error);
+    res.status(500).json({ error: 'Failed to regenerate reply' });
   }
 });
 
+/**
+ * POST /api/chat/messages/:id/select
+ * Switch the thread to another version of an edited message or regenerated reply; :id is one of
+ * the ids in the message's alternatives. The thread then shows what followed that version.
+ * Returns { threadId, abandonedEffects } (see PUT /messages/:id)
+ */
+router.post('/messages/:id/select', authenticateToken, async (req, res) => {
+  try {
+    const selected = await selectMessage(req.user.userId, req.params.id);
+    if (!selected) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(selected);
+  } catch (error) {
+    console.error('Select alternative error:', error);
+    res.status(500).json({ error: 'Failed to switch reply' });
+  }
+});
+
+/**
+ * GET /api/chat/commands
+ * The slash commands, for autocomplete: [{ name, usage, description }]
+ */
+router.get('/commands', authenticateToken, (req, res) => {
+  res.json({ commands: listCommands() });
+});
+
+/**
+ * GET /api/chat/history
+ * Messages newest first, optionally for one thread
+ * Query: threadId, limit (default 50, max 100), cursor (nextCursor from the previous page)
+ */
 router.get('/history', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const limit = parseInt(req.query.limit) || 50;
+    const { threadId, limit, cursor } = req.query;
 
-    const result = await client.execute({
-      sql: 'SELECT id, message, response, role, created_at FROM conversations WHERE user_id = ? ORDER BY created_at ASC LIMIT ?',
-      args: [userId, limit]
-    });
+    if (threadId && !await getThread(userId, threadId)) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { messages, nextCursor } = await getMessages(userId, { threadId, limit, cursor });
 
-    res.json({ conversations: result.rows });
+    res.json({ conversations: messages, nextCursor });
   } catch (error) {
     console.error('Get history error:', error);
     res.status(500).json({ error: 'Failed to fetch history' });
@@ -4,6 +4,7 @@ import { client } from '../models/database.js';
 import { draftFollowupEmail, saveFollowupDraft, sendFollowupEmail } from '../services/followup.js';
 import { isJobRelated } from '../services/email-filter.js';
 import { readEmails, storeEmail } from '../services/email-reader.js';
+import { emitToUser } from '../services/realtime.js';
 
 const router = express.Router();
 
@@ -86,9 +87,8 @@ router.post('/sync', authenticateToken, async (req, res) => {
     }
 
     // Emit WebSocket notification for job updates
-    const io = req.app.get('io');
-    if (io && jobEmails.length > 0) {
-      io.to(userId).emit('job_update', {
+    if (jobEmails.length > 0) {
+      await emitToUser(userId, 'job_update', {
         count: jobEmails.length,
         emails: jobEmails,
       });
@@ -1,8 +1,7 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { client } from '../models/database.js';
-import { generateEmbedding } from '../services/embeddings.js';
-import { upsertVector } from '../services/vector-store.js';
+import { indexRecord } from '../services/semantic-memory.js';
 import { randomUUID as uuidv4 } from 'crypto';
 
 const router = express.Router();
@@ -23,14 +22,7 @@ router.post('/', authenticateToken, async (req, res) => {
       args: [ideaId, userId, title || null, content, type || 'idea', JSON.stringify(metadata || {})]
     });
 
-    // Store embedding
-    const embedding = await generateEmbedding(`${title || ''} ${content}`);
-    await upsertVector(`idea_${ideaId}`, embedding, {
-      userId,
-      ideaId,
-      type: 'idea',
-      title: title || 'Untitled',
-    });
+    await indexRecord(userId, 'idea', ideaId);
 
     res.json({ success: true, ideaId });
   } catch (error) {
@@ -0,0 +1,200 @@
+/**
+ * Agent Jobs API Routes
+ * Create and manage scheduled agent jobs and browse their run history
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { createJob, getJob, listJobs, updateJob, deleteJob, listJobRuns, runJobNow } from '../services/agent-jobs.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 120;
+const MAX_INSTRUCTION_LENGTH = 4000;
+
+// Shared checks for create and update; returns an error message or null
+function validateJobFields({ name, instruction, schedule, timezone, enabled }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!partial || instruction !== undefined) {
+    if (typeof instruction !== 'string' || !instruction.trim()) return 'instruction is required';
+    if (instruction.length > MAX_INSTRUCTION_LENGTH) return `instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`;
+  }
+  if ((!partial || schedule !== undefined) && (typeof schedule !== 'string' || !schedule.trim())) {
+    return 'schedule is required (cron expression or RRULE)';
+  }
+  if (timezone !== undefined && typeof timezone !== 'string') {
+    return 'timezone must be an IANA timezone name';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * GET /api/jobs
+ * List the user's scheduled jobs
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await listJobs(req.user.userId);
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Create a job
+ * Body: { name, instruction, schedule (cron or RRULE), timezone? (defaults to the profile timezone) }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, instruction, schedule, timezone } = req.body;
+
+    const invalid = validateJobFields({ name, instruction, schedule, timezone });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const outcome = await createJob(req.user.userId, {
+      name: name.trim(),
+      instruction: instruction.trim(),
+      schedule,
+      timezone
+    });
+    if (outcome.error) {
+      return res.status(400).json({ error: outcome.error });
+    }
+
+    res.status(201).json({ success: true, job: outcome.job });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get a job with its latest runs
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await getJob(req.user.userId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { runs } = await listJobRuns(req.user.userId, job.id, { limit: 5 });
+    res.json({ success: true, job: { ...job, recentRuns: runs } });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+/**
+ * PATCH /api/jobs/:id
+ * Change a job; a new schedule or timezone restarts its schedule
+ * Body: { name?, instruction?, schedule?, timezone?, enabled? }
+ */
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name, instruction, schedule, timezone, enabled } = req.body;
+
+    const invalid = validateJobFields({ name, instruction, schedule, timezone, enabled }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const outcome = await updateJob(req.user.userId, req.params.id, {
+      name: name?.trim(),
+      instruction: instruction?.trim(),
+      schedule,
+      timezone,
+      enabled
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (outcome.error) {
+      return res.status(400).json({ error: outcome.error });
+    }
+
+    res.json({ success: true, job: outcome.job });
+  } catch (error) {
+    console.error('Error updating job:', error);
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Delete a job and its run history
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteJob(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({ error: 'Failed to delete job' });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/run
+ * Run a job now, outside its schedule. The result arrives as a proactive message.
+ */
+router.post('/:id/run', authenticateToken, async (req, res) => {
+  try {
+    const started = await runJobNow(req.user.userId, req.params.id);
+
+    if (!started) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.status(202).json({ success: true, message: 'Job started' });
+  } catch (error) {
+    console.error('Error running job:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/runs
+ * Run history, newest first
+ * Query: limit, cursor
+ */
+router.get('/:id/runs', authenticateToken, async (req, res) => {
+  try {
+    const job = await getJob(req.user.userId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { runs, nextCursor } = await listJobRuns(req.user.userId, job.id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json({ success: true, runs, nextCursor });
+  } catch (error) {
+    console.error('Error listing job runs:', error);
+    res.status(500).json({ error: 'Failed to list job runs' });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+/**
+ * Memory API Routes
+ * Search by meaning across the user's chats, ideas, tasks, emails, research and uploads, and
+ * manage the facts they asked the assistant to remember
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { MEMORY_TYPES, searchMemory } from '../services/semantic-memory.js';
+import { MAX_STATEMENT_LENGTH, listFacts, getFact, createFact, updateFact, deleteFacts } from '../services/memory-facts.js';
+
+const router = express.Router();
+
+// Returns an error message or null
+function validateStatement(statement) {
+  if (typeof statement !== 'string' || !statement.trim()) return 'statement is required';
+  if (statement.length > MAX_STATEMENT_LENGTH) return `statement must be at most ${MAX_STATEMENT_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * GET /api/memory/search
+ * Records related to the query in meaning, best first
+ * Query: q; type (comma-separated: conversation, idea, task, email, search, research, fact, upload);
+ * from, to (YYYY-MM-DD or ISO timestamps, inclusive); limit (default 10, max 100)
+ * Returns { results: [{ type, id, score, title, excerpt, createdAt, record }] } with record the source row
+ */
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, type, from, to, limit } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+
+    const types = type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : [];
+    const unknown = types.filter(t => !MEMORY_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown type: ${unknown.join(', ')}. Use ${MEMORY_TYPES.join(', ')}` });
+    }
+    if ([from, to].some(bound => bound && Number.isNaN(Date.parse(bound)))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+    }
+
+    const results = await searchMemory(req.user.userId, q, { types, from, to, limit });
+
+    res.json({ results });
+  } catch (error) {
+    console.error('Memory search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * GET /api/memory/facts
+ * Remembered facts, newest first
+ * Query: q (only statements containing it), limit, cursor
+ */
+router.get('/facts', authenticateToken, async (req, res) => {
+  try {
+    const { facts, nextCursor } = await listFacts(req.user.userId, {
+      q: req.query.q,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json({ success: true, facts, nextCursor });
+  } catch (error) {
+    console.error('Error listing facts:', error);
+    res.status(500).json({ error: 'Failed to list facts' });
+  }
+});
+
+/**
+ * POST /api/memory/facts
+ * Remember a fact; one the user already has is returned as is (200 instead of 201)
+ * Body: { statement }
+ */
+router.post('/facts', authenticateToken, async (req, res) => {
+  try {
+    const { statement } = req.body;
+
+    const invalid = validateStatement(statement);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { fact, created } = await createFact(req.user.userId, statement, { source: 'manual' });
+    res.status(created ? 201 : 200).json({ success: true, fact, created });
+  } catch (error) {
+    console.error('Error creating fact:', error);
+    res.status(500).json({ error: 'Failed to save fact' });
+  }
+});
+
+/**
+ * GET /api/memory/facts/:id
+ */
+router.get('/facts/:id', authenticateToken, async (req, res) => {
+  try {
+    const fact = await getFact(req.user.userId, req.params.id);
+
+    if (!fact) {
+      return res.status(404).json({ error: 'Fact not found' });
+    }
+
+    res.json({ success: true, fact });
+  } catch (error) {
+    console.error('Error getting fact:', error);
+    res.status(500).json({ error: 'Failed to get fact' });
+  }
+});
+
+/**
+ * PATCH /api/memory/facts/:id
+ * Reword a fact
+ * Body: { statement }
+ */
+router.patch('/facts/:id', authenticateToken, async (req, res) => {
+  try {
+    const { statement } = req.body;
+
+    const invalid = validateStatement(statement);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const fact = await updateFact(req.user.userId, req.params.id, statement);
+    if (!fact) {
+      return res.status(404).json({ error: 'Fact not found' });
+    }
+
+    res.json({ success: true, fact });
+  } catch (error) {
+    console.error('Error updating fact:', error);
+    res.status(500).json({ error: 'Failed to update fact' });
+  }
+});
+
+/**
+ * DELETE /api/memory/facts/:id
+ * Forget a fact
+ */
+router.delete('/facts/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteFacts(req.user.userId, [req.params.id]);
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Fact not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting fact:', error);
+    res.status(500).json({ error: 'Failed to delete fact' });
+  }
+});
+
+export default router;
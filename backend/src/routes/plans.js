@@ -0,0 +1,122 @@
+/**
+ * Plans API Routes
+ * Review, edit, approve, retry and cancel plans drafted in plan mode (see POST /api/chat)
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getPlan, listPlans, updatePlanSteps, executePlan, cancelPlan } from '../services/plans.js';
+
+const router = express.Router();
+
+const MAX_TITLE_LENGTH = 500;
+
+/**
+ * GET /api/plans
+ * List the user's plans, newest first
+ * Query: threadId
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const plans = await listPlans(req.user.userId, { threadId: req.query.threadId });
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('Error listing plans:', error);
+    res.status(500).json({ error: 'Failed to list plans' });
+  }
+});
+
+/**
+ * GET /api/plans/:id
+ * Get a plan with its steps, their status and results
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const plan = await getPlan(req.user.userId, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Error getting plan:', error);
+    res.status(500).json({ error: 'Failed to get plan' });
+  }
+});
+
+/**
+ * PUT /api/plans/:id/steps
+ * Replace the steps that have not run yet (draft or failed plans only)
+ * Body: { steps: [{ title, tools?, expectedOutput? }] }
+ */
+router.put('/:id/steps', authenticateToken, async (req, res) => {
+  try {
+    const { steps } = req.body;
+
+    if (!Array.isArray(steps)) {
+      return res.status(400).json({ error: 'steps must be an array' });
+    }
+    if (steps.some(step => typeof step?.title !== 'string' || step.title.length > MAX_TITLE_LENGTH)) {
+      return res.status(400).json({ error: `Every step needs a title of at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    const outcome = await updatePlanSteps(req.user.userId, req.params.id, steps);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (outcome.error) {
+      return res.status(409).json({ error: outcome.error });
+    }
+
+    res.json({ success: true, plan: outcome.plan });
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    res.status(500).json({ error: 'Failed to update plan' });
+  }
+});
+
+/**
+ * POST /api/plans/:id/approve
+ * Run a draft plan, or retry a failed one from its failed step.
+ * Runs in the background; progress arrives as 'plan_updated' socket events.
+ */
+router.post('/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await executePlan(req.user.userId, req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (outcome.error) {
+      return res.status(409).json({ error: outcome.error });
+    }
+
+    res.status(202).json({ success: true, plan: outcome.plan });
+  } catch (error) {
+    console.error('Error starting plan:', error);
+    res.status(500).json({ error: 'Failed to start plan' });
+  }
+});
+
+/**
+ * POST /api/plans/:id/cancel
+ * Cancel a plan; a running plan stops after its current step
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const cancelled = await cancelPlan(req.user.userId, req.params.id);
+
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No unfinished plan with that id' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling plan:', error);
+    res.status(500).json({ error: 'Failed to cancel plan' });
+  }
+});
+
+export default router;
@@ -37,7 +37,7 @@ const router = express.Router();
  */
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const profile = await getOrCreateProfile(req.user.id);
+    const profile = await getOrCreateProfile(req.user.userId);
     res.json({ success: true, profile });
   } catch (error) {
     console.error('Error getting profile:', error);
@@ -51,7 +51,7 @@ router.get('/', authenticateToken, async (req, res) => {
  */
 router.put('/', authenticateToken, async (req, res) => {
   try {
-    const profile = await updateProfile(req.user.id, req.body);
+    const profile = await updateProfile(req.user.userId, req.body);
     res.json({ success: true, profile });
   } catch (error) {
     console.error('Error updating profile:', error);
@@ -65,7 +65,7 @@ router.put('/', authenticateToken, async (req, res) => {
  */
 router.get('/context', authenticateToken, async (req, res) => {
   try {
-    const context = await getPersonalizedContext(req.user.id);
+    const context = await getPersonalizedContext(req.user.userId);
     res.json({ success: true, context });
   } catch (error) {
     console.error('Error getting context:', error);
@@ -83,7 +83,7 @@ router.get('/context', authenticateToken, async (req, res) => {
  */
 router.get('/contacts', authenticateToken, async (req, res) => {
   try {
-    const contacts = await getContacts(req.user.id);
+    const contacts = await getContacts(req.user.userId);
     res.json({ success: true, contacts });
   } catch (error) {
     console.error('Error getting contacts:', error);
@@ -103,7 +103,7 @@ router.post('/contacts', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Contact name is required' });
     }
 
-    const contactId = await addOrUpdateContact(req.user.id, {
+    const contactId = await addOrUpdateContact(req.user.userId, {
       name, relationship, phone, email, birthday, notes
     });
 
@@ -126,7 +126,7 @@ router.get('/contacts/search', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Name query is required' });
     }
 
-    const contact = await findContact(req.user.id, name);
+    const contact = await findContact(req.user.userId, name);
     res.json({ success: true, contact });
   } catch (error) {
     console.error('Error searching contact:', error);
@@ -144,7 +144,7 @@ router.get('/contacts/search', authenticateToken, async (req, res) => {
  */
 router.get('/income-sources', authenticateToken, async (req, res) => {
   try {
-    const sources = await getIncomeSources(req.user.id);
+    const sources = await getIncomeSources(req.user.userId);
     res.json({ success: true, sources });
   } catch (error) {
     console.error('Error getting income sources:', error);
@@ -164,7 +164,7 @@ router.post('/income-sources', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Source and amount are required' });
     }
 
-    await recordIncomeSource(req.user.id, { source, amount, time_spent });
+    await recordIncomeSource(req.user.userId, { source, amount, time_spent });
     res.json({ success: true, message: 'Income recorded' });
   } catch (error) {
     console.error('Error recording income:', error);
@@ -182,7 +182,7 @@ router.post('/income-sources', authenticateToken, async (req, res) => {
  */
 router.get('/time-blocks', authenticateToken, async (req, res) => {
   try {
-    const blocks = await getProtectedTimeBlocks(req.user.id);
+    const blocks = await getProtectedTimeBlocks(req.user.userId);
     res.json({ success: true, blocks });
   } catch (error) {
     console.error('Error getting time blocks:', error);
@@ -202,7 +202,7 @@ router.post('/time-blocks', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Block name, start time, and end time are required' });
     }
 
-    const blockId = await createProtectedTimeBlock(req.user.id, {
+    const blockId = await createProtectedTimeBlock(req.user.userId, {
       block_name, purpose, start_time, end_time, days_of_week, expected_roi
     });
 
@@ -219,7 +219,7 @@ router.post('/time-blocks', authenticateToken, async (req, res) => {
  */
 router.delete('/time-blocks/:blockId', authenticateToken, async (req, res) => {
   try {
-    await deleteProtectedTimeBlock(req.user.id, req.params.blockId);
+    await deleteProtectedTimeBlock(req.user.userId, req.params.blockId);
     res.json({ success: true, message: 'Time block deleted' });
   } catch (error) {
     console.error('Error deleting time block:', error);
@@ -237,7 +237,7 @@ router.delete('/time-blocks/:blockId', authenticateToken, async (req, res) => {
  */
 router.get('/schedule', authenticateToken, async (req, res) => {
   try {
-    const schedule = await generateOptimizedSchedule(req.user.id);
+    const schedule = await generateOptimizedSchedule(req.user.userId);
     res.json({ success: true, schedule });
   } catch (error) {
     console.error('Error getting schedule:', error);
@@ -252,7 +252,7 @@ router.get('/schedule', authenticateToken, async (req, res) => {
 router.get('/money-analysis', authenticateToken, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
-    const analysis = await getMoneyTimeAnalysis(req.user.id, days);
+    const analysis = await getMoneyTimeAnalysis(req.user.userId, days);
     res.json({ success: true, analysis });
   } catch (error) {
     console.error('Error getting money analysis:', error);
@@ -267,7 +267,7 @@ router.get('/money-analysis', authenticateToken, async (req, res) => {
 router.get('/time-savings', authenticateToken, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
-    const summary = await getTimeSavingsSummary(req.user.id, days);
+    const summary = await getTimeSavingsSummary(req.user.userId, days);
     res.json({ success: true, summary });
   } catch (error) {
     console.error('Error getting time savings:', error);
@@ -289,7 +289,7 @@ router.get('/proactive-messages', authenticateToken, async (req, res) => {
     const acknowledged = req.query.acknowledged === 'true' ? true :
                          req.query.acknowledged === 'false' ? false : null;
 
-    const messages = await getProactiveMessages(req.user.id, days, acknowledged);
+    const messages = await getProactiveMessages(req.user.userId, days, acknowledged);
     res.json({ success: true, messages });
   } catch (error) {
     console.error('Error getting proactive messages:', error);
@@ -304,7 +304,7 @@ router.get('/proactive-messages', authenticateToken, async (req, res) => {
 router.post('/proactive-messages/:messageId/acknowledge', authenticateToken, async (req, res) => {
   try {
     const { action_taken } = req.body;
-    await acknowledgeProactiveMessage(req.user.id, req.params.messageId, action_taken);
+    await acknowledgeProactiveMessage(req.user.userId, req.params.messageId, action_taken);
     res.json({ success: true, message: 'Message acknowledged' });
   } catch (error) {
     console.error('Error acknowledging message:', error);
@@ -324,7 +324,7 @@ router.post('/trigger-briefing', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Type must be "morning" or "evening"' });
     }
 
-    const briefing = await triggerBriefing(req.user.id, type);
+    const briefing = await triggerBriefing(req.user.userId, type);
     res.json({ success: true, briefing });
   } catch (error) {
     console.error('Error triggering briefing:', error);
@@ -1,7 +1,9 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { searchWeb } from '../services/firecrawler.js';
-import { client } from '../models/database.js';
+import { client, SEARCH_TYPES } from '../models/database.js';
+import { searchLocal } from '../services/local-search.js';
+import { indexRecord } from '../services/semantic-memory.js';
 import { randomUUID as uuidv4 } from 'crypto';
 
 const router = express.Router();
@@ -23,6 +25,7 @@ router.post('/', authenticateToken, async (req, res) => {
       sql: 'INSERT INTO searches (id, user_id, query, results) VALUES (?, ?, ?, ?)',
       args: [searchId, userId, query, JSON.stringify(searchResult)]
     });
+    await indexRecord(userId, 'search', searchId);
 
     res.json({
       success: searchResult.success,
@@ -35,5 +38,40 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/search/local
+ * Keyword search over your own chat history, ideas, tasks, emails and research - exact words and
+ * names, alongside the semantic search that finds related meaning
+ * Query: q; type (comma-separated: conversation, idea, task, email, research); from, to
+ * (YYYY-MM-DD or ISO timestamps, inclusive); limit (default 20, max 100); cursor (nextCursor)
+ * Returns { results: [{ type, id, title, snippet, createdAt, threadId?, role? }], nextCursor };
+ * title and snippet are HTML-escaped, with the matched words in <mark>
+ */
+router.get('/local', authenticateToken, async (req, res) => {
+  try {
+    const { q, type, from, to, limit, cursor } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+
+    const types = type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : [];
+    const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown type: ${unknown.join(', ')}. Use ${SEARCH_TYPES.join(', ')}` });
+    }
+    if ([from, to].some(bound => bound && Number.isNaN(Date.parse(bound)))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+    }
+
+    const { results, nextCursor } = await searchLocal(req.user.userId, q, { types, from, to, limit, cursor });
+
+    res.json({ results, nextCursor });
+  } catch (error) {
+    console.error('Local search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
 export default router;
 
@@ -2,6 +2,7 @@ import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { generateUserSummary, sendSummaryEmail, triggerSummaryForUser } from '../services/summary-generator.js';
 import { client } from '../models/database.js';
+import { emitToUser } from '../services/realtime.js';
 
 const router = express.Router();
 
@@ -11,7 +12,6 @@ router.post('/generate', authenticateToken, async (req, res) => {
     const userId = req.user.userId;
     const { hours = 12, sendEmail = false } = req.body;
 
-    const io = req.app.get('io');
     const summary = await generateUserSummary(userId, hours);
 
     if (sendEmail) {
@@ -19,14 +19,12 @@ router.post('/generate', authenticateToken, async (req, res) => {
     }
 
     // Emit via WebSocket
-    if (io) {
-      io.to(userId).emit('summary', {
-        type: 'manual_summary',
-        summary: summary.summaryText,
-        data: summary.data,
-        timestamp: new Date().toISOString()
-      });
-    }
+    await emitToUser(userId, 'summary', {
+      type: 'manual_summary',
+      summary: summary.summaryText,
+      data: summary.data,
+      timestamp: new Date().toISOString()
+    });
 
     res.json({
       success: true,
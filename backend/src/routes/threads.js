@@ -0,0 +1,122 @@
+/**
+ * Threads API Routes
+ * List, create, rename, archive and delete conversation threads
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { createThread, getThread, listThreads, updateThread, deleteThread } from '../services/threads.js';
+import { emitToUser } from '../services/realtime.js';
+
+const router = express.Router();
+
+const MAX_TITLE_LENGTH = 120;
+
+/**
+ * GET /api/threads
+ * List threads by latest activity, newest first
+ * Query: archived (true|false, default false), limit, cursor
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const archived = req.query.archived === 'true';
+
+    const { threads, nextCursor } = await listThreads(req.user.userId, { archived, limit, cursor });
+    res.json({ success: true, threads, nextCursor });
+  } catch (error) {
+    console.error('Error listing threads:', error);
+    res.status(500).json({ error: 'Failed to list threads' });
+  }
+});
+
+/**
+ * POST /api/threads
+ * Start an empty thread; the title is generated after the first reply unless given
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const title = req.body.title?.trim() || null;
+
+    if (title && title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ error: `title must be at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    const thread = await createThread(req.user.userId, title);
+    await emitToUser(req.user.userId, 'thread_created', { thread });
+    res.status(201).json({ success: true, thread });
+  } catch (error) {
+    console.error('Error creating thread:', error);
+    res.status(500).json({ error: 'Failed to create thread' });
+  }
+});
+
+/**
+ * GET /api/threads/:id
+ * Get a single thread
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const thread = await getThread(req.user.userId, req.params.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ success: true, thread });
+  } catch (error) {
+    console.error('Error getting thread:', error);
+    res.status(500).json({ error: 'Failed to get thread' });
+  }
+});
+
+/**
+ * PATCH /api/threads/:id
+ * Rename and/or archive a thread
+ * Body: { title?, archived? }
+ */
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { archived } = req.body;
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : req.body.title;
+
+    if (title !== undefined && (typeof title !== 'string' || !title || title.length > MAX_TITLE_LENGTH)) {
+      return res.status(400).json({ error: `title must be 1-${MAX_TITLE_LENGTH} characters` });
+    }
+    if (archived !== undefined && typeof archived !== 'boolean') {
+      return res.status(400).json({ error: 'archived must be true or false' });
+    }
+
+    const thread = await updateThread(req.user.userId, req.params.id, { title, archived });
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ success: true, thread });
+  } catch (error) {
+    console.error('Error updating thread:', error);
+    res.status(500).json({ error: 'Failed to update thread' });
+  }
+});
+
+/**
+ * DELETE /api/threads/:id
+ * Delete a thread and all of its messages
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteThread(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting thread:', error);
+    res.status(500).json({ error: 'Failed to delete thread' });
+  }
+});
+
+export default router;
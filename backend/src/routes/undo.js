@@ -0,0 +1,72 @@
+/**
+ * Undo API Routes
+ * Browse what the agent changed through its tools and roll it back
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { undoLastActions, undoAction, listActionHistory } from '../services/undo.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/undo
+ * Recorded tool actions, newest first
+ * Query: limit, cursor
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { entries, nextCursor } = await listActionHistory(req.user.userId, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json({ success: true, actions: entries, nextCursor });
+  } catch (error) {
+    console.error('Error listing actions:', error);
+    res.status(500).json({ error: 'Failed to list actions' });
+  }
+});
+
+/**
+ * POST /api/undo
+ * Undo the latest actions, newest first
+ * Body: { count? (default 1, max 10) }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const outcomes = await undoLastActions(req.user.userId, req.body.count);
+
+    if (outcomes.length === 0) {
+      return res.status(404).json({ error: 'Nothing to undo' });
+    }
+
+    res.json({ success: true, outcomes });
+  } catch (error) {
+    console.error('Error undoing actions:', error);
+    res.status(500).json({ error: 'Failed to undo actions' });
+  }
+});
+
+/**
+ * POST /api/undo/:id
+ * Undo one recorded action
+ */
+router.post('/:id', authenticateToken, async (req, res) => {
+  try {
+    const outcome = await undoAction(req.user.userId, req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+    if (!outcome.undone) {
+      return res.status(409).json({ error: outcome.reason, outcome });
+    }
+
+    res.json({ success: true, outcome });
+  } catch (error) {
+    console.error('Error undoing action:', error);
+    res.status(500).json({ error: 'Failed to undo action' });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { upload } from '../middleware/upload.js';
 import { client } from '../models/database.js';
+import { indexRecord } from '../services/semantic-memory.js';
 import sharp from 'sharp';
 import { randomUUID as uuidv4 } from 'crypto';
 import path from 'path';
@@ -56,6 +57,7 @@ router.post('/', authenticateToken, upload.single('file'), async (req, res) => {
         JSON.stringify(metadata)
       ]
     });
+    await indexRecord(userId, 'upload', uploadId);
 
     res.json({
       success: true,
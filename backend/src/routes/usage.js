@@ -0,0 +1,93 @@
+/**
+ * Usage API Routes
+ * Token usage and estimated cost rollups, and monthly budget limits
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getUsageSummary, getBudget, setBudget, getBudgetStatus } from '../services/usage.js';
+
+const router = express.Router();
+
+const PERIODS = ['day', 'month'];
+
+// Accepts a non-negative number, or null/'' to clear the limit
+function parseLimit(value) {
+  if (value === null || value === '') return { value: null };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return { error: true };
+  return { value: number };
+}
+
+/**
+ * GET /api/usage
+ * Usage rollups: ?period=day (last ?days, default 30) or ?period=month (last ?months, default 12),
+ * with breakdowns by purpose and model and the current budget status
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    if (!PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+    }
+
+    const [summary, budget] = await Promise.all([
+      getUsageSummary(req.user.userId, {
+        period,
+        days: Math.min(parseInt(req.query.days) || 30, 366),
+        months: Math.min(parseInt(req.query.months) || 12, 36)
+      }),
+      getBudgetStatus(req.user.userId)
+    ]);
+
+    res.json({ success: true, ...summary, budget });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+/**
+ * GET /api/usage/budget
+ * Get the user's monthly budget limits and where this month stands
+ */
+router.get('/budget', authenticateToken, async (req, res) => {
+  try {
+    const [budget, status] = await Promise.all([
+      getBudget(req.user.userId),
+      getBudgetStatus(req.user.userId)
+    ]);
+    res.json({ success: true, budget: { ...budget, ...status } });
+  } catch (error) {
+    console.error('Error getting budget:', error);
+    res.status(500).json({ error: 'Failed to get budget' });
+  }
+});
+
+/**
+ * PUT /api/usage/budget
+ * Set monthly limits in USD: { softLimitUsd, hardLimitUsd } (null clears a limit).
+ * Past the soft limit models are downgraded; past the hard limit background learning stops too.
+ */
+router.put('/budget', authenticateToken, async (req, res) => {
+  try {
+    const soft = parseLimit(req.body.softLimitUsd ?? null);
+    const hard = parseLimit(req.body.hardLimitUsd ?? null);
+
+    if (soft.error || hard.error) {
+      return res.status(400).json({ error: 'Limits must be non-negative numbers or null' });
+    }
+    if (soft.value !== null && hard.value !== null && soft.value > hard.value) {
+      return res.status(400).json({ error: 'Soft limit cannot be above the hard limit' });
+    }
+
+    const budget = await setBudget(req.user.userId, { softLimitUsd: soft.value, hardLimitUsd: hard.value });
+    const status = await getBudgetStatus(req.user.userId);
+    res.json({ success: true, budget: { ...budget, ...status } });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+export default router;
@@ -18,10 +18,26 @@ import googleAuthRoutes from './routes/google-auth.js';
 import profileRoutes from './routes/profile.js';
 import goalsRoutes from './routes/goals.js';
 import wellbeingRoutes from './routes/wellbeing.js';
+import agentRoutes from './routes/agent.js';
+import actionRoutes from './routes/actions.js';
+import threadRoutes from './routes/threads.js';
+import usageRoutes from './routes/usage.js';
+import jobRoutes from './routes/jobs.js';
+import planRoutes from './routes/plans.js';
+import undoRoutes from './routes/undo.js';
+import captureRoutes from './routes/captures.js';
+import memoryRoutes from './routes/memory.js';
 import { initializeDatabase } from './models/database.js';
 import { setupReminderScheduler } from './services/reminder.js';
 import { initializeSummaryScheduler } from './services/summary-generator.js';
 import { initializeProactiveEngine } from './services/proactive-engine.js';
+import { initializeJobScheduler } from './services/agent-jobs.js';
+import { initializeInstance } from './services/instances.js';
+import { failInterruptedPlans } from './services/plans.js';
+import { failInterruptedMessages } from './services/threads.js';
+import { reembedIfModelChanged } from './services/reembed.js';
+import { initializeVectorSync } from './services/semantic-memory.js';
+import { initializeRealtime } from './services/realtime.js';
 
 dotenv.config();
 
@@ -61,20 +77,23 @@ app.use('/api/google', googleAuthRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/goals', goalsRoutes);
 app.use('/api/wellbeing', wellbeingRoutes);
+app.use('/api/agent', agentRoutes);
+app.use('/api/actions', actionRoutes);
+app.use('/api/threads', threadRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/undo', undoRoutes);
+app.use('/api/captures', captureRoutes);
+app.use('/api/memory', memoryRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+// WebSocket connection handling (JWT auth + per-user rooms)
+initializeRealtime(io);
 
 // Initialize database and start server
 async function startServer() {
@@ -83,17 +102,32 @@ async function startServer() {
     console.log('Database initialized');
     
     // Setup reminder scheduler
-    setupReminderScheduler(io);
+    setupReminderScheduler();
     console.log('Reminder scheduler initialized');
 
     // Setup 12-hour summary scheduler
-    initializeSummaryScheduler(io);
+    initializeSummaryScheduler();
     console.log('Summary scheduler initialized');
 
     // Setup proactive assistant engine (briefings, wellbeing, goals)
-    initializeProactiveEngine(io);
+    initializeProactiveEngine();
     console.log('Proactive engine initialized');
 
+    // Setup scheduled agent jobs
+    initializeJobScheduler();
+    console.log('Agent job scheduler initialized');
+
+    // Keep vectors in line with the records they were made from
+    await initializeVectorSync();
+    console.log('Vector sync initialized');
+
+    // Check in as a live instance. Work cut off on an instance that stopped is picked up: its plans
+    // become retryable, and its messages show as unanswered instead of loading forever
+    await initializeInstance([failInterruptedPlans, failInterruptedMessages]);
+    console.log('Instance check-in initialized');
+    // After an embedding model change, stored vectors are redone in the background
+    reembedIfModelChanged();
+
     const PORT = process.env.PORT || 3001;
     const HOST = '0.0.0.0'; // Required for Cloud Run
     httpServer.listen(PORT, HOST, () => {
@@ -0,0 +1,248 @@
+/**
+ * Pending Actions Service
+ * Human-in-the-loop approval for agent tools that act outside the app or delete data
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { getTool, getToolPolicy, requiresApproval, executeTool } from '../tools/index.js';
+import { emitToUser } from './realtime.js';
+
+// Proposals nobody answered within this window can no longer be approved
+const ACTION_TTL_HOURS = 24;
+
+// Called with (userId, action) once an action is executed, failed, rejected or expired
+const resolvedListeners = [];
+
+/**
+ * Run listener whenever an action is resolved (plans use this to continue after approval)
+ */
+export function onActionResolved(listener) {
+  resolvedListeners.push(listener);
+}
+
+async function notifyResolved(userId, action) {
+  for (const listener of resolvedListeners) {
+    try {
+      await listener(userId, action);
+    } catch (error) {
+      console.error(`Error handling resolved action ${action.id}:`, error);
+    }
+  }
+}
+
+// ============================================
+// POLICY
+// ============================================
+
+/**
+ * Decide whether a tool call must wait for the user under their policy
+ */
+export async function needsApproval(userId, toolName, args = {}) {
+  const tool = getTool(toolName);
+  if (!tool || !requiresApproval(tool)) {
+    return false;
+  }
+
+  const { policy, threshold } = await getToolPolicy(userId, toolName);
+  if (policy === 'auto') {
+    return false;
+  }
+  if (policy === 'threshold' && tool.measure && threshold !== null) {
+    const size = tool.measure(args);
+    return typeof size !== 'number' || size > threshold;
+  }
+  return true;
+}
+
+// Human-readable summary of what the tool call would do
+function buildPreview(tool, args) {
+  try {
+    if (tool?.preview) {
+      return tool.preview(args);
+    }
+  } catch (error) {
+    console.error(`Error building preview for ${tool.name}:`, error);
+  }
+  return JSON.stringify(args, null, 2);
+}
+
+function formatAction(row) {
+  return {
+    id: row.id,
+    executionId: row.execution_id,
+    toolName: row.tool_name,
+    input: JSON.parse(row.tool_input),
+    preview: row.preview,
+    status: row.status,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+// ============================================
+// PROPOSING
+// ============================================
+
+/**
+ * Queue a tool call for approval and tell the user's sockets about it.
+ * Returns the tool result the model sees instead of the real one.
+ */
+export async function proposeAction(userId, toolName, args = {}, { executionId = null } = {}) {
+  const id = uuidv4();
+  const preview = buildPreview(getTool(toolName), args);
+
+  await client.execute({
+    sql: `INSERT INTO pending_actions (id, user_id, execution_id, tool_name, tool_input, preview)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+    args: [id, userId, executionId, toolName, JSON.stringify(args), preview]
+  });
+
+  await emitToUser(userId, 'action_pending', {
+    action: {
+      id,
+      executionId,
+      toolName,
+      input: args,
+      preview,
+      status: 'pending',
+      result: null,
+      createdAt: new Date().toISOString(),
+      resolvedAt: null
+    }
+  });
+
+  return {
+    success: true,
+    pending: true,
+    actionId: id,
+    message: 'This action has NOT run yet. It is waiting for the user to approve it in the app. Tell the user what is waiting for their approval and do not call the tool again for the same action.'
+  };
+}
+
+// ============================================
+// REVIEWING
+// ============================================
+
+/**
+ * Mark proposals past their TTL as expired
+ */
+export async function expireStaleActions(userId) {
+  const stale = await client.execute({
+    sql: `SELECT * FROM pending_actions
+          WHERE user_id = ? AND status = 'pending' AND created_at < datetime('now', ?)`,
+    args: [userId, `-${ACTION_TTL_HOURS} hours`]
+  });
+
+  for (const row of stale.rows) {
+    if (await claimAction(userId, row.id, 'expired')) {
+      await notifyResolved(userId, { ...formatAction(row), status: 'expired' });
+    }
+  }
+}
+
+/**
+ * List a user's actions, newest first, optionally filtered by status
+ */
+export async function listActions(userId, { status, limit = 50 } = {}) {
+  await expireStaleActions(userId);
+
+  const result = await client.execute({
+    sql: `SELECT * FROM pending_actions
+          WHERE user_id = ? ${status ? 'AND status = ?' : ''}
+          ORDER BY created_at DESC LIMIT ?`,
+    args: status ? [userId, status, limit] : [userId, limit]
+  });
+
+  return result.rows.map(formatAction);
+}
+
+/**
+ * Get a single action
+ */
+export async function getAction(userId, actionId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM pending_actions WHERE id = ? AND user_id = ?',
+    args: [actionId, userId]
+  });
+
+  return result.rows.length > 0 ? formatAction(result.rows[0]) : null;
+}
+
+// Move a pending action to a new status; only one caller can win
+async function claimAction(userId, actionId, status) {
+  const result = await client.execute({
+    sql: `UPDATE pending_actions SET status = ?, resolved_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id = ? AND status = 'pending'`,
+    args: [status, actionId, userId]
+  });
+  return result.rowsAffected > 0;
+}
+
+/**
+ * Approve a pending action and run the tool.
+ * Returns null if the action does not exist.
+ */
+export async function approveAction(userId, actionId) {
+  await expireStaleActions(userId);
+
+  if (!await claimAction(userId, actionId, 'approved')) {
+    const action = await getAction(userId, actionId);
+    return action ? { success: false, error: `Action is already ${action.status}`, action } : null;
+  }
+
+  const action = await getAction(userId, actionId);
+  let result;
+  try {
+    result = await executeTool(userId, action.toolName, action.input, {
+      executionId: action.executionId,
+      actionId
+    });
+  } catch (error) {
+    console.error(`Error running approved action ${actionId}:`, error);
+    result = { success: false, error: error.message };
+  }
+
+  const status = result?.success === false ? 'failed' : 'executed';
+  await client.execute({
+    sql: 'UPDATE pending_actions SET status = ?, result = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?',
+    args: [status, JSON.stringify(result ?? null), actionId]
+  });
+
+  const resolved = { ...action, status, result: result ?? null, resolvedAt: new Date().toISOString() };
+  await emitToUser(userId, 'action_resolved', { action: resolved });
+  await notifyResolved(userId, resolved);
+
+  return { success: status === 'executed', action: resolved };
+}
+
+/**
+ * Reject a pending action without running it.
+ * Returns null if the action does not exist.
+ */
+export async function rejectAction(userId, actionId) {
+  await expireStaleActions(userId);
+
+  if (!await claimAction(userId, actionId, 'rejected')) {
+    const action = await getAction(userId, actionId);
+    return action ? { success: false, error: `Action is already ${action.status}`, action } : null;
+  }
+
+  const action = await getAction(userId, actionId);
+  await emitToUser(userId, 'action_resolved', { action });
+  await notifyResolved(userId, action);
+
+  return { success: true, action };
+}
+
+export default {
+  onActionResolved,
+  needsApproval,
+  proposeAction,
+  expireStaleActions,
+  listActions,
+  getAction,
+  approveAction,
+  rejectAction
+};
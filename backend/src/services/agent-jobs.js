@@ -0,0 +1,410 @@
+/**
+ * Agent Jobs Service
+ * Standing instructions ("every Friday at 6pm, summarize my income") that the agent
+ * runs headlessly on a cron or RRULE schedule, delivering results as proactive messages
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import cron from 'node-cron';
+import { executeAgentTask } from './agent.js';
+import { onActionResolved } from './actions.js';
+import { getOrCreateProfile } from './personalization.js';
+import { storeAndSendProactiveMessage } from './proactive-engine.js';
+import { validateSchedule, getNextRun } from '../utils/schedule.js';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Failed runs in a row before a job is switched off
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.AGENT_JOB_MAX_FAILURES) || 3;
+// Shortest allowed gap between runs, to keep a typo from running the agent every minute
+const MIN_INTERVAL_MINUTES = parseInt(process.env.AGENT_JOB_MIN_INTERVAL_MINUTES) || 15;
+// Upcoming runs compared for the minimum gap; enough to see a whole day of a tight cron list
+const INTERVAL_CHECK_RUNS = 48;
+// Due jobs picked up per scheduler tick
+const BATCH_SIZE = 20;
+
+let ticking = false;
+
+function formatJob(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    instruction: row.instruction,
+    schedule: row.schedule,
+    timezone: row.timezone,
+    enabled: row.enabled === 1,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    runCount: row.run_count || 0,
+    consecutiveFailures: row.consecutive_failures || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    executionId: row.execution_id,
+    trigger: row.trigger,
+    status: row.status,
+    result: row.result,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Check a schedule for use by a job; returns an error message or null
+ */
+export function checkSchedule(schedule, timezone) {
+  const error = validateSchedule(schedule, timezone);
+  if (error) return error;
+
+  // Gaps between the first two runs alone depend on the time of day the job is created
+  const startsAt = new Date();
+  let previous = getNextRun(schedule, { timezone, after: startsAt, startsAt });
+  for (let runCount = 1; previous && runCount < INTERVAL_CHECK_RUNS; runCount++) {
+    const next = getNextRun(schedule, { timezone, after: previous, startsAt, runCount });
+    if (next && next - previous < MIN_INTERVAL_MINUTES * 60 * 1000) {
+      return `Jobs can run at most every ${MIN_INTERVAL_MINUTES} minutes`;
+    }
+    previous = next;
+  }
+  return null;
+}
+
+function computeNextRun(job, { after = new Date(), runCount = job.run_count || 0 } = {}) {
+  const next = getNextRun(job.schedule, {
+    timezone: job.timezone,
+    after,
+    startsAt: new Date(job.starts_at),
+    runCount
+  });
+  return next ? next.toISOString() : null;
+}
+
+// ============================================
+// JOB MANAGEMENT
+// ============================================
+
+/**
+ * Create a job. The timezone defaults to the user's profile timezone.
+ * Returns { success, job } or { success: false, error } for an unusable schedule.
+ */
+export async function createJob(userId, { name, instruction, schedule, timezone }) {
+  const zone = timezone || (await getOrCreateProfile(userId))?.timezone || 'UTC';
+  const error = checkSchedule(schedule, zone);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const id = uuidv4();
+  const startsAt = new Date().toISOString();
+  const nextRunAt = computeNextRun({ schedule, timezone: zone, starts_at: startsAt });
+
+  await client.execute({
+    sql: `INSERT INTO agent_jobs (id, user_id, name, instruction, schedule, timezone, starts_at, next_run_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [id, userId, name, instruction, schedule.trim(), zone, startsAt, nextRunAt]
+  });
+
+  return { success: true, job: await getJob(userId, id) };
+}
+
+/**
+ * Get a job owned by the user
+ */
+export async function getJob(userId, jobId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM agent_jobs WHERE id = ? AND user_id = ?',
+    args: [jobId, userId]
+  });
+  return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * List a user's jobs, soonest next run first (disabled jobs last)
+ */
+export async function listJobs(userId) {
+  const result = await client.execute({
+    sql: `SELECT * FROM agent_jobs WHERE user_id = ?
+          ORDER BY enabled DESC, next_run_at IS NULL, next_run_at, created_at`,
+    args: [userId]
+  });
+  return result.rows.map(formatJob);
+}
+
+/**
+ * Update name, instruction, schedule, timezone or enabled.
+ * A new schedule restarts the job's RRULE anchor and COUNT.
+ * Returns null when the job does not exist, { success: false, error } for an unusable schedule.
+ */
+export async function updateJob(userId, jobId, changes) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM agent_jobs WHERE id = ? AND user_id = ?',
+    args: [jobId, userId]
+  });
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const job = { ...result.rows[0] };
+  if (changes.name !== undefined) job.name = changes.name;
+  if (changes.instruction !== undefined) job.instruction = changes.instruction;
+  if (changes.enabled !== undefined) job.enabled = changes.enabled ? 1 : 0;
+
+  const rescheduled = changes.schedule !== undefined || changes.timezone !== undefined;
+  if (rescheduled) {
+    job.schedule = changes.schedule !== undefined ? changes.schedule.trim() : job.schedule;
+    job.timezone = changes.timezone || job.timezone;
+    const error = checkSchedule(job.schedule, job.timezone);
+    if (error) {
+      return { success: false, error };
+    }
+    job.starts_at = new Date().toISOString();
+    job.run_count = 0;
+  }
+
+  // Re-enabling starts counting failures afresh
+  if (changes.enabled && !result.rows[0].enabled) {
+    job.consecutive_failures = 0;
+  }
+
+  const nextRunAt = job.enabled ? computeNextRun(job) : null;
+
+  await client.execute({
+    sql: `UPDATE agent_jobs
+          SET name = ?, instruction = ?, schedule = ?, timezone = ?, enabled = ?, starts_at = ?,
+              run_count = ?, consecutive_failures = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id = ?`,
+    args: [
+      job.name, job.instruction, job.schedule, job.timezone, job.enabled, job.starts_at,
+      job.run_count, job.consecutive_failures, nextRunAt, jobId, userId
+    ]
+  });
+
+  return { success: true, job: await getJob(userId, jobId) };
+}
+
+/**
+ * Delete a job and its run history
+ */
+export async function deleteJob(userId, jobId) {
+  const job = await getJob(userId, jobId);
+  if (!job) {
+    return false;
+  }
+
+  await client.batch([
+    { sql: 'DELETE FROM agent_job_runs WHERE job_id = ? AND user_id = ?', args: [jobId, userId] },
+    { sql: 'DELETE FROM agent_jobs WHERE id = ? AND user_id = ?', args: [jobId, userId] }
+  ], 'write');
+
+  return true;
+}
+
+/**
+ * Page through a job's runs, newest first
+ */
+export async function listJobRuns(userId, jobId, { limit, cursor } = {}) {
+  const size = pageSize(limit, 20);
+  const before = decodeCursor(cursor);
+
+  const conditions = ['job_id = ?', 'user_id = ?'];
+  const args = [jobId, userId];
+  if (before) {
+    conditions.push('rowid < ?');
+    args.push(before.rowid);
+  }
+
+  const result = await client.execute({
+    sql: `SELECT rowid, * FROM agent_job_runs
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY rowid DESC
+          LIMIT ?`,
+    args: [...args, size + 1]
+  });
+
+  const rows = result.rows.slice(0, size);
+
+  return {
+    runs: rows.map(formatRun),
+    nextCursor: result.rows.length > size ? encodeCursor({ rowid: rows[rows.length - 1].rowid }) : null
+  };
+}
+
+// ============================================
+// RUNNING
+// ============================================
+
+function buildJobPrompt(job) {
+  return `[Scheduled job "${job.name}", running automatically on schedule "${job.schedule}" (${job.timezone})]
+The user set this up in advance and is not here to answer questions: make reasonable assumptions and carry it out now.
+Finish with a short report of what you did and what you found.
+
+Instruction: ${job.instruction}`;
+}
+
+/**
+ * Run a job once, record the run and deliver the outcome to the user.
+ * trigger: 'schedule' or 'manual'. Never throws; returns the finished run.
+ */
+export async function runJob(job, trigger = 'schedule') {
+  const runId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO agent_job_runs (id, job_id, user_id, trigger) VALUES (?, ?, ?, ?)',
+    args: [runId, job.id, job.user_id, trigger]
+  });
+
+  let outcome;
+  try {
+    outcome = await executeAgentTask(job.user_id, buildJobPrompt(job), '', { executionType: 'scheduled_job', remember: false });
+  } catch (error) {
+    outcome = { success: false, error: error.message };
+  }
+
+  // Actions the run queued for approval have not happened yet; the run finishes when they are decided
+  const waiting = outcome.success && (outcome.toolResults || []).some(call => call.result?.pending && call.result.actionId);
+  const status = !outcome.success ? 'failed' : waiting ? 'waiting_approval' : 'completed';
+  await client.execute({
+    sql: `UPDATE agent_job_runs SET status = ?, execution_id = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+    args: [status, outcome.executionId || null, outcome.success ? outcome.result : null, outcome.success ? null : outcome.error, runId]
+  });
+
+  if (outcome.success) {
+    await client.execute({
+      sql: `UPDATE agent_jobs SET last_run_at = ?, last_status = ?, consecutive_failures = 0
+            WHERE id = ?`,
+      args: [new Date().toISOString(), status, job.id]
+    });
+    const note = waiting ? '\n\nSome of this is waiting for your approval in the app and has not happened yet.' : '';
+    await storeAndSendProactiveMessage(job.user_id, 'agent_job', `**${job.name}**\n\n${outcome.result}${note}`, `Scheduled job: ${job.name}`, 60);
+  } else {
+    const failures = (job.consecutive_failures || 0) + 1;
+    const disable = failures >= MAX_CONSECUTIVE_FAILURES;
+    await client.execute({
+      sql: `UPDATE agent_jobs
+            SET last_run_at = ?, last_status = 'failed', consecutive_failures = ?,
+                enabled = CASE WHEN ? THEN 0 ELSE enabled END,
+                next_run_at = CASE WHEN ? THEN NULL ELSE next_run_at END
+            WHERE id = ?`,
+      args: [new Date().toISOString(), failures, disable ? 1 : 0, disable ? 1 : 0, job.id]
+    });
+
+    console.error(`Agent job ${job.id} failed (${failures} in a row):`, outcome.error);
+    const message = disable
+      ? `Your scheduled job "${job.name}" failed ${failures} times in a row and has been paused. Last error: ${outcome.error}`
+      : `Your scheduled job "${job.name}" failed: ${outcome.error}. It will try again at the next scheduled time.`;
+    // Pausing a job is high priority, which also sends an email
+    await storeAndSendProactiveMessage(job.user_id, 'agent_job_failed', message, `Scheduled job failed: ${job.name}`, disable ? 90 : 70);
+  }
+
+  const run = await client.execute({ sql: 'SELECT * FROM agent_job_runs WHERE id = ?', args: [runId] });
+  return formatRun(run.rows[0]);
+}
+
+// A run waiting for approval is completed once none of its execution's actions are pending
+async function settleRunAfterAction(userId, action) {
+  if (!action.executionId) return;
+
+  await client.execute({
+    sql: `UPDATE agent_job_runs SET status = 'completed'
+          WHERE execution_id = ? AND user_id = ? AND status = 'waiting_approval'
+            AND NOT EXISTS (
+              SELECT 1 FROM pending_actions WHERE execution_id = ? AND status IN ('pending', 'approved')
+            )`,
+    args: [action.executionId, userId, action.executionId]
+  });
+}
+
+onActionResolved(settleRunAfterAction);
+
+/**
+ * Start a run of the user's job outside its schedule; the outcome arrives as a proactive message.
+ * Returns false when the job does not exist.
+ */
+export async function runJobNow(userId, jobId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM agent_jobs WHERE id = ? AND user_id = ?',
+    args: [jobId, userId]
+  });
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  runJob(result.rows[0], 'manual').catch(error => console.error('Error running agent job:', error));
+  return true;
+}
+
+/**
+ * Run every due job. Each job is claimed by moving its next_run_at forward first,
+ * so a run is never started twice; runs missed while the server was down happen once.
+ */
+export async function runDueJobs() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = new Date();
+    const due = await client.execute({
+      sql: `SELECT * FROM agent_jobs
+            WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+            ORDER BY next_run_at
+            LIMIT ?`,
+      args: [now.toISOString(), BATCH_SIZE]
+    });
+
+    for (const job of due.rows) {
+      const runCount = (job.run_count || 0) + 1;
+      let nextRunAt = null;
+      try {
+        nextRunAt = computeNextRun(job, { after: now, runCount });
+      } catch (error) {
+        console.error(`Agent job ${job.id} has an unusable schedule:`, error.message);
+      }
+
+      const claim = await client.execute({
+        sql: 'UPDATE agent_jobs SET next_run_at = ?, run_count = ? WHERE id = ? AND next_run_at = ?',
+        args: [nextRunAt, runCount, job.id, job.next_run_at]
+      });
+      if (claim.rowsAffected === 0) continue;
+
+      await runJob(job, 'schedule');
+    }
+  } catch (error) {
+    console.error('Error running agent jobs:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Check for due jobs every minute
+ */
+export function initializeJobScheduler() {
+  cron.schedule('* * * * *', () => {
+    runDueJobs();
+  });
+}
+
+export default {
+  checkSchedule,
+  createJob,
+  getJob,
+  listJobs,
+  updateJob,
+  deleteJob,
+  listJobRuns,
+  runJob,
+  runJobNow,
+  runDueJobs,
+  initializeJobScheduler
+};
@@ -1,11 +1,4 @@
-import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+import { complete } from './llm.js';
 
 export async function analyzeMessage(message, context = '') {
   try {
@@ -32,19 +25,11 @@ Return a JSON object with:
   "confidence": 0.0-1.0
 }`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: context ? `Context: ${context}\n\nUser message: ${message}` : message
-        }
-      ]
-    });
-
-    const content = response.content[0].text;
+    const content = await complete(
+      'extraction',
+      context ? `Context: ${context}\n\nUser message: ${message}` : message,
+      { system: systemPrompt, purpose: 'intent' }
+    );
     
     // Try to parse JSON from response
     try {
@@ -68,21 +53,11 @@ Return a JSON object with:
   }
 }
 
-export async function processWithClaude(prompt, systemPrompt = '') {
+// profile: 'summarization' for free text, 'extraction' when parsing JSON out of the reply.
+// userId and purpose attribute the call in usage accounting.
+export async function processWithClaude(prompt, systemPrompt = '', { profile = 'summarization', userId, purpose } = {}) {
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
-
-    return response.content[0].text;
+    return await complete(profile, prompt, { system: systemPrompt || undefined, userId, purpose });
   } catch (error) {
     console.error('Anthropic API error:', error);
     throw error;
@@ -129,7 +104,7 @@ If no specific time is mentioned, return null.
 Message: "${message}"
 Return only a JSON object: {"time": "ISO8601 datetime or null", "description": "human readable time"}`;
 
-    const response = await processWithClaude(prompt);
+    const response = await processWithClaude(prompt, '', { profile: 'extraction', purpose: 'time_extraction' });
     const jsonMatch = response.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       return JSON.parse(jsonMatch[0]);
@@ -141,5 +116,3 @@ Return only a JSON object: {"time": "ISO8601 datetime or null", "description": "
   }
 }
 
-export { anthropic };
-
@@ -0,0 +1,482 @@
+/**
+ * Captures Service
+ * The "captured for you" feed: facts the assistant saved without being asked - from background
+ * learning and from the agent's silent tool calls - with the message they came from and a confidence.
+ * Confident captures are applied right away and can still be rejected (which rolls them back);
+ * the rest wait for the user. Review decisions are fed back into the learning prompts.
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { emitToUser } from './realtime.js';
+import { trackChanges, revertChanges, undoAction } from './undo.js';
+import {
+  getOrCreateProfile,
+  updateProfile,
+  recordIncomeSource,
+  addOrUpdateContact,
+  recordWellbeingLog,
+  recordBehaviorPattern
+} from './personalization.js';
+import { getTool, executeTool } from '../tools/index.js';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Captures at or above this confidence are applied without waiting for the user; 0 applies them all
+const configuredThreshold = parseFloat(process.env.CAPTURE_CONFIDENCE_THRESHOLD);
+export const CONFIDENCE_THRESHOLD = Number.isFinite(configuredThreshold) ? configuredThreshold : 0.75;
+// Recent review decisions shown to the learning prompts
+const FEEDBACK_ITEMS = 10;
+// Confidence assumed when the model did not give one
+const DEFAULT_CONFIDENCE = 0.5;
+
+const LIVE_STATUSES = ['applied', 'accepted', 'edited'];
+const TODAY_METRICS = { table: 'daily_metrics', updates: true, where: 'date = date(\'now\')' };
+
+// What background learning can capture: how to describe, apply and track each kind
+const LEARNED_KINDS = {
+  name: {
+    describe: (p) => `Your name: ${p.name}`,
+    undo: [{ table: 'user_profiles', updates: true }],
+    apply: (userId, p) => updateProfile(userId, { name: p.name, preferred_name: p.name.split(' ')[0] })
+  },
+  goal: {
+    describe: (p) => `Goal: ${p.goal}`,
+    undo: [{ table: 'user_profiles', updates: true }],
+    apply: async (userId, p) => {
+      const profile = await getOrCreateProfile(userId);
+      const goals = profile.short_term_goals || [];
+      if (!goals.includes(p.goal)) {
+        await updateProfile(userId, { short_term_goals: [...goals, p.goal] });
+      }
+    }
+  },
+  personality: {
+    describe: (p) => `About you: ${p.insight}`,
+    undo: [{ table: 'user_profiles', updates: true }],
+    apply: async (userId, p) => {
+      const profile = await getOrCreateProfile(userId);
+      const note = `[${new Date().toISOString().split('T')[0]}] ${p.insight}`;
+      await updateProfile(userId, {
+        personality_notes: profile.personality_notes ? `${profile.personality_notes}\n${note}` : note
+      });
+    }
+  },
+  income: {
+    describe: (p) => `Income: ${p.amount ? `₹${p.amount} ` : ''}from ${p.source}`,
+    undo: [{ table: 'income_sources', updates: true, where: p => ['LOWER(source_name) = LOWER(?)', p.source] }, TODAY_METRICS],
+    apply: (userId, p) => recordIncomeSource(userId, p)
+  },
+  contact: {
+    describe: (p) => `Contact: ${p.name}${p.relationship ? ` (${p.relationship})` : ''}`,
+    undo: [{ table: 'user_contacts', updates: true, where: p => ['LOWER(name) = LOWER(?)', p.name] }],
+    apply: (userId, p) => addOrUpdateContact(userId, p)
+  },
+  mood: {
+    describe: (p) => `Mood: ${p.mood}`,
+    undo: [{ table: 'wellbeing_logs', ids: logId => logId }],
+    apply: (userId, p, sourceMessage) => recordWellbeingLog(userId, 'mood', p.mood, sourceMessage)
+  },
+  preferences: {
+    describe: (p) => `Preferences: ${(p.preferences || []).join(', ')}`,
+    undo: [{ table: 'behavior_patterns', updates: true, where: 'pattern_type = \'preferences\'' }],
+    apply: (userId, p) => recordBehaviorPattern(userId, 'preferences', {
+      preferences: p.preferences,
+      observed_at: new Date().toISOString()
+    })
+  }
+};
+
+function describeToolCall(toolName, args) {
+  const details = Object.entries(args)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key.replace(/_/g, ' ')} ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+  return `${toolName.replace(/_/g, ' ')}: ${details}`;
+}
+
+function describe(source, kind, payload) {
+  return source === 'agent' ? describeToolCall(kind, payload) : LEARNED_KINDS[kind].describe(payload);
+}
+
+function clampConfidence(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, 0), 1) : DEFAULT_CONFIDENCE;
+}
+
+function formatCapture(row) {
+  const editedPayload = row.edited_payload ? JSON.parse(row.edited_payload) : null;
+  return {
+    id: row.id,
+    source: row.source,
+    kind: row.kind,
+    summary: row.summary,
+    editedSummary: editedPayload ? describe(row.source, row.kind, editedPayload) : null,
+    payload: JSON.parse(row.payload),
+    editedPayload,
+    confidence: row.confidence,
+    sourceMessage: row.source_message,
+    executionId: row.execution_id,
+    status: row.status,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at
+  };
+}
+
+async function loadCapture(userId, captureId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM captured_facts WHERE id = ? AND user_id = ?',
+    args: [captureId, userId]
+  });
+  return result.rows[0] || null;
+}
+
+async function publishCapture(userId, captureId, event) {
+  const row = await loadCapture(userId, captureId);
+  const capture = row ? formatCapture(row) : null;
+  if (capture) {
+    await emitToUser(userId, event, { capture });
+  }
+  return capture;
+}
+
+async function insertCapture(userId, { source, kind, payload, confidence, sourceMessage, executionId, status, changes = null, undoId = null }) {
+  const id = uuidv4();
+  await client.execute({
+    sql: `INSERT INTO captured_facts
+          (id, user_id, source, kind, summary, payload, confidence, source_message, execution_id, status, changes, undo_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      id, userId, source, kind, describe(source, kind, payload), JSON.stringify(payload), confidence,
+      sourceMessage || null, executionId || null, status, changes ? JSON.stringify(changes) : null, undoId
+    ]
+  });
+  return publishCapture(userId, id, 'capture_created');
+}
+
+// ============================================
+// APPLYING
+// ============================================
+
+// Make a capture take effect; returns { changes } or { undoId }, or { error }
+async function applyPayload(userId, row, payload) {
+  if (row.source === 'agent') {
+    const context = {};
+    const result = await executeTool(userId, row.kind, payload, context);
+    if (result?.success === false) {
+      return { error: result.error || result.message || 'The tool failed' };
+    }
+    return { undoId: context.recordedChangeId };
+  }
+
+  const kind = LEARNED_KINDS[row.kind];
+  const { error, changes } = await trackChanges(userId, kind.undo, () => kind.apply(userId, payload, row.source_message), payload);
+  return error ? { error: error.message } : { changes };
+}
+
+// Roll back a capture that took effect
+async function unapply(userId, row) {
+  if (row.undo_id) {
+    const outcome = await undoAction(userId, row.undo_id);
+    return outcome?.notes || [];
+  }
+  return row.changes ? revertChanges(userId, JSON.parse(row.changes)) : [];
+}
+
+// Keep only the fields a capture of this kind can have
+function sanitizePayload(row, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return null;
+  }
+  const allowed = row.source === 'agent'
+    ? Object.keys(getTool(row.kind)?.input_schema?.properties || {})
+    : Object.keys(JSON.parse(row.payload));
+  return Object.fromEntries(Object.entries(payload).filter(([key]) => allowed.includes(key)));
+}
+
+// ============================================
+// CAPTURING
+// ============================================
+
+/**
+ * Capture what background learning found in a message.
+ * items: [{ kind (see LEARNED_KINDS), payload, confidence }]
+ */
+export async function captureLearnings(userId, items, { sourceMessage } = {}) {
+  const captures = [];
+
+  for (const item of items) {
+    if (!LEARNED_KINDS[item.kind]) continue;
+    const confidence = clampConfidence(item.confidence);
+
+    try {
+      if (confidence < CONFIDENCE_THRESHOLD) {
+        captures.push(await insertCapture(userId, {
+          source: 'learning', kind: item.kind, payload: item.payload, confidence, sourceMessage, status: 'pending'
+        }));
+        continue;
+      }
+
+      const applied = await applyPayload(userId, { source: 'learning', kind: item.kind, source_message: sourceMessage }, item.payload);
+      if (applied.error) {
+        console.error(`Could not apply learned ${item.kind}:`, applied.error);
+        continue;
+      }
+      captures.push(await insertCapture(userId, {
+        source: 'learning', kind: item.kind, payload: item.payload, confidence, sourceMessage,
+        status: 'applied', changes: applied.changes
+      }));
+    } catch (error) {
+      console.error('Error capturing learning:', error);
+    }
+  }
+
+  return captures;
+}
+
+/**
+ * Run a tool call the agent made on its own initiative (it passed capture_confidence).
+ * Below the threshold the call is held in the feed instead of running.
+ */
+export async function captureToolCall(userId, toolName, args, { executionId, disabledTools, sourceMessage } = {}) {
+  const { capture_confidence: rawConfidence, ...toolArgs } = args;
+  const confidence = clampConfidence(rawConfidence);
+
+  if (confidence < CONFIDENCE_THRESHOLD) {
+    await insertCapture(userId, {
+      source: 'agent', kind: toolName, payload: toolArgs, confidence, sourceMessage, executionId, status: 'pending'
+    });
+    return {
+      success: true,
+      pending: true,
+      message: 'Not saved yet - this is waiting for the user to confirm it in their "captured for you" feed'
+    };
+  }
+
+  const context = { executionId, disabledTools };
+  const result = await executeTool(userId, toolName, toolArgs, context);
+  if (result?.success !== false && context.recordedChangeId) {
+    await insertCapture(userId, {
+      source: 'agent', kind: toolName, payload: toolArgs, confidence, sourceMessage, executionId,
+      status: 'applied', undoId: context.recordedChangeId
+    });
+  }
+  return result;
+}
+
+// ============================================
+// REVIEWING
+// ============================================
+
+/**
+ * Page through captures, newest first.
+ * status: 'pending', 'unreviewed' (pending or applied), 'reviewed', or omitted for all
+ */
+export async function listCaptures(userId, { status, limit, cursor } = {}) {
+  const size = pageSize(limit, 20);
+  const before = decodeCursor(cursor);
+
+  const conditions = ['user_id = ?'];
+  const args = [userId];
+  if (status === 'pending') {
+    conditions.push('status = \'pending\'');
+  } else if (status === 'unreviewed') {
+    conditions.push('status IN (\'pending\', \'applied\')');
+  } else if (status === 'reviewed') {
+    conditions.push('status IN (\'accepted\', \'edited\', \'rejected\')');
+  }
+  if (before) {
+    conditions.push('rowid < ?');
+    args.push(before.rowid);
+  }
+
+  const [result, pending] = await Promise.all([
+    client.execute({
+      sql: `SELECT rowid, * FROM captured_facts
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY rowid DESC
+            LIMIT ?`,
+      args: [...args, size + 1]
+    }),
+    client.execute({
+      sql: 'SELECT COUNT(*) AS count FROM captured_facts WHERE user_id = ? AND status = \'pending\'',
+      args: [userId]
+    })
+  ]);
+
+  const rows = result.rows.slice(0, size);
+
+  return {
+    captures: rows.map(formatCapture),
+    pendingCount: pending.rows[0].count,
+    nextCursor: result.rows.length > size ? encodeCursor({ rowid: rows[rows.length - 1].rowid }) : null
+  };
+}
+
+const REVIEWED_MEANWHILE = { success: false, error: 'This capture was reviewed in the meantime' };
+
+// Move a capture to its reviewed status, unless someone else reviewed it first
+async function markReviewed(userId, row, status, fields = {}) {
+  const columns = Object.keys(fields);
+  const result = await client.execute({
+    sql: `UPDATE captured_facts SET status = ?, reviewed_at = CURRENT_TIMESTAMP
+          ${columns.map(column => `, ${column} = ?`).join('')}
+          WHERE id = ? AND status = ?`,
+    args: [status, ...columns.map(column => fields[column]), row.id, row.status]
+  });
+  if (result.rowsAffected === 0) {
+    return REVIEWED_MEANWHILE;
+  }
+  return { success: true, capture: await publishCapture(userId, row.id, 'capture_updated') };
+}
+
+/**
+ * Review a capture whose effect changes. It is claimed first, so a second review at the same time
+ * finds it taken and changes nothing. review(claimed) returns the outcome; when that is a failure
+ * the capture gets back the status it had, or outcome.releaseAs.
+ */
+async function reviewClaimed(row, review) {
+  const claim = await client.execute({
+    sql: 'UPDATE captured_facts SET status = \'applying\' WHERE id = ? AND status = ?',
+    args: [row.id, row.status]
+  });
+  if (claim.rowsAffected === 0) {
+    return REVIEWED_MEANWHILE;
+  }
+
+  const release = status => client.execute({
+    sql: 'UPDATE captured_facts SET status = ? WHERE id = ? AND status = \'applying\'',
+    args: [status, row.id]
+  });
+  try {
+    const { releaseAs, ...outcome } = await review({ ...row, status: 'applying' });
+    if (!outcome.success) {
+      await release(releaseAs || row.status);
+    }
+    return outcome;
+  } catch (error) {
+    await release(row.status).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Confirm a capture; a pending one is applied now. Returns null when it does not exist.
+ */
+export async function acceptCapture(userId, captureId) {
+  const row = await loadCapture(userId, captureId);
+  if (!row) return null;
+
+  if (row.status === 'applied') {
+    return markReviewed(userId, row, 'accepted');
+  }
+  if (row.status !== 'pending') {
+    return { success: false, error: `This capture is already ${row.status}` };
+  }
+
+  return reviewClaimed(row, async (claimed) => {
+    const applied = await applyPayload(userId, claimed, JSON.parse(row.payload));
+    if (applied.error) {
+      return { success: false, error: applied.error };
+    }
+    return markReviewed(userId, claimed, 'accepted', {
+      changes: applied.changes ? JSON.stringify(applied.changes) : null,
+      undo_id: applied.undoId || null
+    });
+  });
+}
+
+/**
+ * Reject a capture; one that already took effect is rolled back. Returns null when it does not exist.
+ */
+export async function rejectCapture(userId, captureId) {
+  const row = await loadCapture(userId, captureId);
+  if (!row) return null;
+
+  if (row.status === 'rejected') {
+    return { success: false, error: 'This capture is already rejected' };
+  }
+
+  return reviewClaimed(row, async (claimed) => {
+    const notes = LIVE_STATUSES.includes(row.status) ? await unapply(userId, row) : [];
+    const outcome = await markReviewed(userId, claimed, 'rejected');
+    return { ...outcome, notes };
+  });
+}
+
+/**
+ * Correct a capture and apply the corrected version in place of the original.
+ * Returns null when it does not exist.
+ */
+export async function editCapture(userId, captureId, payload) {
+  const row = await loadCapture(userId, captureId);
+  if (!row) return null;
+
+  if (row.status === 'rejected') {
+    return { success: false, error: 'A rejected capture cannot be edited' };
+  }
+  const edited = sanitizePayload(row, payload);
+  if (!edited || Object.keys(edited).length === 0) {
+    return { success: false, error: 'Nothing to save: the corrected fields do not fit this capture' };
+  }
+
+  return reviewClaimed(row, async (claimed) => {
+    const live = LIVE_STATUSES.includes(row.status);
+    const notes = live ? await unapply(userId, row) : [];
+    const applied = await applyPayload(userId, row, edited);
+    if (applied.error) {
+      // Rolled back and not applied again, it waits for review like a pending capture
+      return { success: false, error: applied.error, notes, releaseAs: live ? 'pending' : row.status };
+    }
+
+    const outcome = await markReviewed(userId, claimed, 'edited', {
+      edited_payload: JSON.stringify(edited),
+      changes: applied.changes ? JSON.stringify(applied.changes) : null,
+      undo_id: applied.undoId || null
+    });
+    return { ...outcome, notes };
+  });
+}
+
+/**
+ * The user's latest review decisions, as guidance for the prompts that capture facts.
+ * Empty when nothing has been reviewed yet.
+ */
+export async function getCaptureFeedback(userId) {
+  try {
+    const result = await client.execute({
+      sql: `SELECT * FROM captured_facts
+            WHERE user_id = ? AND status IN ('accepted', 'edited', 'rejected')
+            ORDER BY reviewed_at DESC, rowid DESC LIMIT ?`,
+      args: [userId, FEEDBACK_ITEMS]
+    });
+    if (result.rows.length === 0) {
+      return '';
+    }
+
+    const lines = result.rows.map(formatCapture).map(capture => {
+      const from = capture.sourceMessage ? ` (from: "${capture.sourceMessage.substring(0, 120)}")` : '';
+      if (capture.status === 'rejected') return `- Rejected: ${capture.summary}${from}`;
+      if (capture.status === 'edited') return `- Corrected: ${capture.summary} -> ${capture.editedSummary}${from}`;
+      return `- Confirmed: ${capture.summary}${from}`;
+    });
+
+    return `How the user reviewed earlier automatic captures (avoid repeating rejected kinds of captures, follow corrections):\n${lines.join('\n')}`;
+  } catch (error) {
+    console.error('Error loading capture feedback:', error);
+    return '';
+  }
+}
+
+export default {
+  CONFIDENCE_THRESHOLD,
+  captureLearnings,
+  captureToolCall,
+  listCaptures,
+  acceptCapture,
+  rejectCapture,
+  editCapture,
+  getCaptureFeedback
+};
@@ -0,0 +1,290 @@
+/**
+ * Chat Commands Service
+ * Slash commands for quick captures ("/idea ...", "/remind 5pm call mom", "/mood 7 tired").
+ * They run straight against the services, without a model round-trip, and answer with a
+ * fixed confirmation. Writes are recorded in the undo log like tool calls, so /undo covers them.
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { recordWellbeingLog } from './personalization.js';
+import { getGoals, logProgress } from './goals.js';
+import { indexRecord } from './semantic-memory.js';
+import { trackChanges, recordToolCall, undoLastActions } from './undo.js';
+import { parseTimeExpression } from '../utils/time-parser.js';
+
+const GLASS_ML = 250;
+const DAILY_GLASSES = 8;
+const TITLE_LENGTH = 60;
+
+function titleFrom(text) {
+  const line = text.split('\n')[0].trim();
+  return line.length > TITLE_LENGTH ? `${line.substring(0, TITLE_LENGTH - 1)}…` : line;
+}
+
+// LIKE pattern (with ESCAPE '\') for titles containing text, so "%" and "_" in it match only themselves
+function containing(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+async function runIdea(userId, text) {
+  const title = titleFrom(text);
+  const ideaId = uuidv4();
+
+  await client.execute({
+    sql: 'INSERT INTO ideas (id, user_id, title, content, type) VALUES (?, ?, ?, ?, ?)',
+    args: [ideaId, userId, title, text, 'note']
+  });
+
+  await indexRecord(userId, 'idea', ideaId);
+
+  return { message: `💡 Saved idea: "${title}"`, ideaId };
+}
+
+async function runTask(userId, text) {
+  const taskId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO tasks (id, user_id, title, description) VALUES (?, ?, ?, ?)',
+    args: [taskId, userId, text, '']
+  });
+  await indexRecord(userId, 'task', taskId);
+  return { message: `✅ Added task: "${text}"`, taskId };
+}
+
+async function runRemind(userId, text) {
+  const timeData = parseTimeExpression(text);
+  if (!timeData?.time) {
+    return { error: 'I couldn\'t find a time in that. Try "/remind 5pm call mom" or "/remind tomorrow 9am gym".' };
+  }
+  if (new Date(timeData.time) <= new Date()) {
+    return { error: `${timeData.description} has already passed. Add a day, e.g. "/remind tomorrow ${timeData.description} ..."` };
+  }
+
+  // What is left once the time is taken out is the reminder itself
+  const reminderText = text.replace(timeData.description, '').replace(/\s+/g, ' ').replace(/^(to|at|on)\s+/i, '').trim() || text;
+
+  const taskId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO tasks (id, user_id, title, description) VALUES (?, ?, ?, ?)',
+    args: [taskId, userId, reminderText, `Reminder created from: ${timeData.description}`]
+  });
+  await indexRecord(userId, 'task', taskId);
+  const reminderId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO reminders (id, user_id, task_id, scheduled_time, reminder_type) VALUES (?, ?, ?, ?, ?)',
+    args: [reminderId, userId, taskId, timeData.time, 'popup']
+  });
+
+  return { message: `⏰ Reminder set for ${timeData.description}: "${reminderText}"`, taskId, reminderId };
+}
+
+async function runMood(userId, text) {
+  // "/mood 7 tired", "/mood tired" or "/mood 7"
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:\s*\/\s*10)?\s*(.*)$/);
+  const score = match ? parseFloat(match[1]) : null;
+  const mood = (match ? match[2] : text).trim().toLowerCase();
+
+  if (score !== null && (score < 1 || score > 10)) {
+    return { error: 'Rate your mood from 1 to 10, e.g. "/mood 7 tired".' };
+  }
+
+  const logId = await recordWellbeingLog(userId, 'mood', mood || String(score), score !== null && mood ? `Rated ${score}/10` : null);
+  return { message: `📝 Mood logged: ${[score !== null ? `${score}/10` : null, mood || null].filter(Boolean).join(', ')}`, logIds: [logId] };
+}
+
+async function runWater(userId, text) {
+  const glasses = text ? parseFloat(text) : 1;
+  if (!(glasses > 0 && glasses <= 20)) {
+    return { error: 'Say how many glasses, e.g. "/water 2".' };
+  }
+
+  const logId = await recordWellbeingLog(userId, 'hydration', glasses * GLASS_ML, null);
+
+  const result = await client.execute({
+    sql: `SELECT SUM(numeric_value) AS total FROM wellbeing_logs
+          WHERE user_id = ? AND log_type = 'hydration' AND date(logged_at) = date('now')`,
+    args: [userId]
+  });
+  const todayGlasses = Math.round((result.rows[0]?.total || 0) / GLASS_ML);
+
+  return { message: `💧 Logged ${glasses} glass${glasses === 1 ? '' : 'es'} of water - ${todayGlasses}/${DAILY_GLASSES} today`, logIds: [logId] };
+}
+
+async function runSleep(userId, text) {
+  // "/sleep 7.5" or "/sleep 6 restless"
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)?\s*(.*)$/i);
+  const hours = match ? parseFloat(match[1]) : NaN;
+  if (!(hours > 0 && hours <= 24)) {
+    return { error: 'Say how many hours, e.g. "/sleep 7.5" or "/sleep 6 restless".' };
+  }
+
+  const quality = match[2].trim().toLowerCase();
+  const logIds = [await recordWellbeingLog(userId, 'sleep', hours, null)];
+  if (quality) {
+    logIds.push(await recordWellbeingLog(userId, 'sleep_quality', quality, null));
+  }
+
+  return { message: `😴 Sleep logged: ${hours} hours${quality ? ` (${quality})` : ''}`, logIds };
+}
+
+// Close an open task, or else count progress on a goal, matching the title
+async function runDone(userId, text) {
+  const needle = text.toLowerCase();
+  const pick = (items) => items.find(item => item.title.toLowerCase() === needle)
+    || (items.length === 1 ? items[0] : null);
+
+  const tasks = await client.execute({
+    sql: `SELECT id, title FROM tasks WHERE user_id = ? AND status = 'pending' AND title LIKE ? ESCAPE '\\'
+          ORDER BY created_at DESC LIMIT 5`,
+    args: [userId, containing(text)]
+  });
+  const goals = tasks.rows.length > 0
+    ? []
+    : (await getGoals(userId)).filter(goal => goal.title.toLowerCase().includes(needle));
+
+  const candidates = tasks.rows.length > 0 ? tasks.rows : goals;
+  if (candidates.length === 0) {
+    return { error: `No open task or goal matches "${text}".` };
+  }
+  const match = pick(candidates);
+  if (!match) {
+    return { error: `More than one matches - which one?\n${candidates.map(item => `• ${item.title}`).join('\n')}` };
+  }
+
+  if (tasks.rows.length > 0) {
+    await client.execute({
+      sql: `UPDATE tasks SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ?`,
+      args: [match.id, userId]
+    });
+    return { message: `✔️ Done: "${match.title}"`, taskId: match.id };
+  }
+
+  const progress = await logProgress(userId, match.id, 1);
+  return {
+    message: progress.completed
+      ? `🎉 "${match.title}" is complete!`
+      : `📈 Progress on "${match.title}": ${progress.new_total}${progress.target ? `/${progress.target}` : ''}`,
+    goalId: match.id,
+    progressId: progress.id
+  };
+}
+
+async function runUndo(userId, text) {
+  const outcomes = await undoLastActions(userId, text ? parseInt(text) : 1);
+  if (outcomes.length === 0) {
+    return 'Nothing to undo.';
+  }
+  return outcomes.map(outcome => outcome.undone
+    ? `↩️ Undid: ${outcome.description}`
+    : `⚠️ Not undone: ${outcome.description} - ${outcome.reason}`).join('\n');
+}
+
+function runHelp() {
+  return `Commands:\n${COMMANDS.map(command => `${command.usage} - ${command.description}`).join('\n')}`;
+}
+
+const WELLBEING_LOGS = [{ table: 'wellbeing_logs', ids: result => result.logIds }];
+
+// argument: 'required' | 'optional' | 'none'; undo lists the rows a command writes (see registerTool)
+// and is called with { text }. Commands with undo return { message, ...ids written } or { error }.
+const COMMANDS = [
+  { name: 'idea', usage: '/idea <text>', description: 'Save an idea', argument: 'required', undo: [{ table: 'ideas', ids: result => result.ideaId, vector: row => `idea_${row.id}` }], run: runIdea },
+  { name: 'task', usage: '/task <title>', description: 'Add a to-do', argument: 'required', undo: [{ table: 'tasks', ids: result => result.taskId, vector: row => `task_${row.id}` }], run: runTask },
+  {
+    name: 'remind',
+    usage: '/remind <when> <what>',
+    description: 'Set a reminder, e.g. /remind 5pm call mom',
+    argument: 'required',
+    undo: [
+      { table: 'tasks', ids: result => result.taskId, vector: row => `task_${row.id}` },
+      { table: 'reminders', ids: result => result.reminderId }
+    ],
+    run: runRemind
+  },
+  { name: 'mood', usage: '/mood [1-10] <mood>', description: 'Log your mood, e.g. /mood 7 tired', argument: 'required', undo: WELLBEING_LOGS, run: runMood },
+  { name: 'water', usage: '/water [glasses]', description: 'Log glasses of water', argument: 'optional', undo: WELLBEING_LOGS, run: runWater },
+  { name: 'sleep', usage: '/sleep <hours> [quality]', description: 'Log last night\'s sleep', argument: 'required', undo: WELLBEING_LOGS, run: runSleep },
+  {
+    name: 'done',
+    usage: '/done <task or goal>',
+    description: 'Complete a task, or log progress on a goal',
+    argument: 'required',
+    undo: [
+      { table: 'tasks', updates: true, where: args => ['status = \'pending\' AND title LIKE ? ESCAPE \'\\\'', containing(args.text)], ids: result => result.taskId },
+      { table: 'goal_progress', ids: result => result.progressId },
+      { table: 'user_goals', updates: true, where: args => ['LOWER(title) LIKE ? ESCAPE \'\\\'', containing(args.text.toLowerCase())], ids: result => result.goalId },
+      { table: 'daily_metrics', updates: true, where: "date = date('now')" }
+    ],
+    run: runDone
+  },
+  { name: 'undo', usage: '/undo [count]', description: 'Undo your latest changes', argument: 'optional', run: runUndo },
+  { name: 'help', usage: '/help', description: 'List the commands', argument: 'none', run: runHelp }
+];
+
+const commandsByName = new Map(COMMANDS.map(command => [command.name, command]));
+
+// ============================================
+// PARSING & RUNNING
+// ============================================
+
+/**
+ * The commands, for autocomplete and /help
+ */
+export function listCommands() {
+  return COMMANDS.map(({ name, usage, description }) => ({ name, usage, description }));
+}
+
+/**
+ * Recognize a slash command; returns { command, text } or null when the message is not one.
+ * Unknown "/words" are not commands, so messages like "/usr/bin is full" still reach the agent.
+ */
+export function parseCommand(message) {
+  const match = message.trim().match(/^\/([a-z]+)(?:\s+([\s\S]*))?$/i);
+  const command = match && commandsByName.get(match[1].toLowerCase());
+  if (!command) {
+    return null;
+  }
+  return { command, text: (match[2] || '').trim() };
+}
+
+/**
+ * Run a parsed command. Returns { success, message } with the confirmation or what was wrong.
+ */
+export async function runCommand(userId, { command, text }) {
+  if (command.argument === 'required' && !text) {
+    return { success: false, message: `Usage: ${command.usage}` };
+  }
+
+  if (!command.undo) {
+    return { success: true, message: await command.run(userId, text) };
+  }
+
+  const { result, error, changes } = await trackChanges(userId, command.undo, () => command.run(userId, text), { text });
+  if (error) {
+    console.error(`Error running /${command.name}:`, error);
+  }
+
+  const failed = !!error || !!result.error;
+  const message = error ? `Couldn't run /${command.name}: ${error.message}` : (result.error || result.message);
+
+  await recordToolCall(
+    userId,
+    { name: `/${command.name}`, sideEffects: 'internal', undo: command.undo },
+    { text },
+    { success: !failed, message: failed ? message : `/${command.name} ${text}`.trim() },
+    changes
+  );
+
+  return { success: !failed, message };
+}
+
+export default {
+  listCommands,
+  parseCommand,
+  runCommand
+};
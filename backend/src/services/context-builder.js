@@ -0,0 +1,255 @@
+/**
+ * Context Builder
+ * Assembles what the agent sees of the past for one message, within a token budget:
+ * - the last turns of the thread, verbatim, as real message history
+ * - a rolling summary of the thread's older messages, refreshed as the thread grows
+ * - semantic recall of related exchanges from other threads (full text, not vector metadata)
+ * - the facts the user asked to be remembered that bear on the message
+ */
+
+import { client } from '../models/database.js';
+import { searchSimilarConversations } from './vector-store.js';
+import { processWithClaude } from './anthropic.js';
+import { getThreadHistory } from './threads.js';
+import { getRelevantFacts } from './memory-facts.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Recent messages of the thread replayed to the agent as real conversation turns
+const HISTORY_MESSAGES = parseInt(process.env.AGENT_HISTORY_MESSAGES) || 20;
+// Tokens allowed for history + summary + recall together (the system prompt is not counted)
+const TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 8000;
+// Older messages that must pile up outside the verbatim window before the summary is refreshed
+const SUMMARY_REFRESH_MESSAGES = parseInt(process.env.CONTEXT_SUMMARY_REFRESH_MESSAGES) || 10;
+const RECALL_MATCHES = 5;
+const RECALL_MIN_SCORE = 0.3;
+// Share of what is left after the history that remembered facts may take
+const FACTS_BUDGET_SHARE = 0.25;
+
+// Threads whose summary is being rewritten right now
+const refreshing = new Set();
+
+// Rough count for budgeting; no tokenizer is needed to stay within a safety margin
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  return text.length > maxChars ? `${text.substring(0, maxChars)}…` : text;
+}
+
+// The rowid where the verbatim history window of a thread starts (0 for an empty thread).
+// Only the branch on screen counts, up to beforeRowid when given.
+async function getWindowStart(threadId, beforeRowid = null) {
+  const result = await client.execute({
+    sql: `SELECT MIN(rowid) AS start FROM (
+            SELECT rowid FROM conversations WHERE thread_id = ? AND active = 1 AND rowid < ?
+            ORDER BY rowid DESC LIMIT ?
+          )`,
+    args: [threadId, beforeRowid || Number.MAX_SAFE_INTEGER, HISTORY_MESSAGES]
+  });
+  return result.rows[0]?.start || 0;
+}
+
+function formatExchange(row) {
+  const date = row.created_at ? `[${String(row.created_at).substring(0, 10)}] ` : '';
+  return row.response
+    ? `${date}User: ${row.message}\nAssistant: ${row.response}`
+    : `${date}User: ${row.message}`;
+}
+
+// ============================================
+// ROLLING SUMMARY
+// ============================================
+
+/**
+ * Fold messages that have left the verbatim window into the thread's summary.
+ * Does nothing until SUMMARY_REFRESH_MESSAGES of them have accumulated.
+ */
+export async function refreshThreadSummary(userId, threadId) {
+  if (refreshing.has(threadId)) return;
+  refreshing.add(threadId);
+
+  try {
+    const thread = await client.execute({
+      sql: 'SELECT summary, summary_upto FROM threads WHERE id = ? AND user_id = ?',
+      args: [threadId, userId]
+    });
+    if (thread.rows.length === 0) return;
+
+    const { summary, summary_upto: summaryUpto } = thread.rows[0];
+    const windowStart = await getWindowStart(threadId);
+
+    const pending = await client.execute({
+      sql: `SELECT rowid, message, response, role, created_at FROM conversations
+            WHERE thread_id = ? AND active = 1 AND rowid > ? AND rowid < ?
+            ORDER BY rowid`,
+      args: [threadId, summaryUpto || 0, windowStart]
+    });
+    if (pending.rows.length < SUMMARY_REFRESH_MESSAGES) return;
+
+    // Assistant rows repeat the user's message; only their reply is new
+    const transcript = pending.rows
+      .map(row => row.role === 'assistant' ? `Assistant: ${row.response || ''}` : `User: ${row.message}`)
+      .join('\n');
+
+    const updated = await processWithClaude(
+      `${summary ? `Summary so far:\n${summary}\n\n` : ''}New messages:\n${truncateToTokens(transcript, TOKEN_BUDGET)}`,
+      `You maintain a running summary of a conversation between a user and their assistant. Rewrite the summary so it also covers the new messages.
+Keep facts, decisions, open questions, commitments and anything the user asked to remember. Drop small talk.
+Reply with the summary only, at most 250 words.`,
+      { userId, purpose: 'thread_summary' }
+    );
+
+    await client.execute({
+      sql: `UPDATE threads SET summary = ?, summary_upto = ?, summary_updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND summary_upto IS ?`,
+      args: [updated.trim(), pending.rows[pending.rows.length - 1].rowid, threadId, summaryUpto]
+    });
+  } catch (error) {
+    console.error('Error refreshing thread summary:', error);
+  } finally {
+    refreshing.delete(threadId);
+  }
+}
+
+// ============================================
+// SEMANTIC RECALL
+// ============================================
+
+/**
+ * Related exchanges from the user's history, loaded in full from the database.
+ * Anything inside the current thread's verbatim window is skipped - it is already in the history -
+ * and so are replies of abandoned branches.
+ */
+async function recallRelated(userId, threadId, message, windowStart) {
+  const matches = await searchSimilarConversations(userId, message, RECALL_MATCHES);
+
+  const recalled = [];
+  const seen = new Set();
+  for (const match of matches) {
+    if (match.score !== undefined && match.score < RECALL_MIN_SCORE) continue;
+    const metadata = match.metadata || {};
+
+    // Vectors written by the agent point at the execution; older ones at the user's message row
+    let result = { rows: [] };
+    if (metadata.executionId) {
+      result = await client.execute({
+        sql: `SELECT rowid, id, thread_id, message, response, created_at FROM conversations
+              WHERE user_id = ? AND role = 'assistant' AND active = 1 AND json_extract(metadata, '$.executionId') = ?`,
+        args: [userId, metadata.executionId]
+      });
+    } else if (metadata.conversationId) {
+      result = await client.execute({
+        sql: 'SELECT rowid, id, thread_id, message, response, created_at FROM conversations WHERE id = ? AND user_id = ? AND active = 1',
+        args: [metadata.conversationId, userId]
+      });
+    }
+
+    // No row: the message was deleted since it was embedded
+    const row = result.rows[0];
+    if (!row || seen.has(row.id)) continue;
+    if (row.thread_id === threadId && row.rowid >= windowStart) continue;
+
+    seen.add(row.id);
+    recalled.push(formatExchange(row));
+  }
+
+  return recalled;
+}
+
+// ============================================
+// ASSEMBLY
+// ============================================
+
+/**
+ * Build the agent's view of the past for a new message. Call before the message is stored, or pass
+ * beforeRowid (the stored message's rowid) to answer it again from what came before it.
+ * Returns { history, context, stats }: history goes to the agent as turns, context into its system prompt.
+ * Budget priority: the latest turns first, then remembered facts, then the thread summary, then recall.
+ */
+export async function buildContext(userId, threadId, message, { tokenBudget = TOKEN_BUDGET, beforeRowid = null } = {}) {
+  const [history, threadResult, windowStart, facts] = await Promise.all([
+    getThreadHistory(userId, threadId, HISTORY_MESSAGES, { beforeRowid }),
+    client.execute({
+      sql: 'SELECT summary FROM threads WHERE id = ? AND user_id = ?',
+      args: [threadId, userId]
+    }),
+    getWindowStart(threadId, beforeRowid),
+    getRelevantFacts(userId, message)
+  ]);
+
+  // Verbatim turns get up to half the budget; drop the oldest exchanges until they fit
+  const historyBudget = Math.floor(tokenBudget / 2);
+  const countTokens = () => history.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+  let historyTokens = countTokens();
+  while (history.length > 2 && historyTokens > historyBudget) {
+    history.shift();
+    while (history.length > 0 && history[0].role !== 'user') {
+      history.shift();
+    }
+    historyTokens = countTokens();
+  }
+  // A single oversized exchange is shortened rather than lost
+  if (historyTokens > historyBudget) {
+    for (const turn of history) {
+      turn.content = truncateToTokens(turn.content, Math.floor(historyBudget / history.length));
+    }
+    historyTokens = countTokens();
+  }
+  let remaining = tokenBudget - historyTokens;
+
+  const sections = [];
+
+  // Facts the user stated on purpose outrank what was inferred from old conversations
+  const factsBudget = Math.floor(remaining * FACTS_BUDGET_SHARE);
+  const factLines = [];
+  for (const fact of facts) {
+    const line = `- ${fact.statement} (id ${fact.id}, saved ${String(fact.updatedAt || fact.createdAt).substring(0, 10)})`;
+    if (estimateTokens([...factLines, line].join('\n')) > factsBudget) break;
+    factLines.push(line);
+  }
+  if (factLines.length > 0) {
+    sections.push(`FACTS THE USER ASKED YOU TO REMEMBER:\n${factLines.join('\n')}`);
+    remaining -= estimateTokens(factLines.join('\n'));
+  }
+
+  const summary = threadResult.rows[0]?.summary;
+  if (summary) {
+    const text = truncateToTokens(summary, Math.floor(remaining / 2));
+    sections.push(`EARLIER IN THIS CONVERSATION (summary):\n${text}`);
+    remaining -= estimateTokens(text);
+  }
+
+  const recalled = await recallRelated(userId, threadId, message, windowStart);
+  const included = [];
+  for (const exchange of recalled) {
+    const text = truncateToTokens(exchange, Math.min(remaining, 600));
+    if (remaining <= 0 || estimateTokens(text) > remaining) break;
+    included.push(text);
+    remaining -= estimateTokens(text);
+  }
+  if (included.length > 0) {
+    sections.push(`RELATED PAST CONVERSATIONS (may be outdated):\n${included.join('\n---\n')}`);
+  }
+
+  return {
+    history,
+    context: sections.join('\n\n'),
+    stats: {
+      historyTurns: history.length,
+      facts: factLines.length,
+      summarized: !!summary,
+      recalled: included.length,
+      tokens: tokenBudget - remaining
+    }
+  };
+}
+
+export default {
+  estimateTokens,
+  buildContext,
+  refreshThreadSummary
+};
@@ -9,7 +9,7 @@ Email Body: ${emailContent.body || emailContent.text || 'N/A'}
 
 Return only JSON: {"isJobRelated": true/false, "confidence": 0.0-1.0, "reason": "brief explanation"}`;
 
-    const response = await processWithClaude(prompt);
+    const response = await processWithClaude(prompt, '', { profile: 'extraction', purpose: 'email_filter' });
     
     try {
       const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -5,6 +5,7 @@
 
 import { client } from '../models/database.js';
 import { randomUUID as uuidv4 } from 'crypto';
+import { indexRecord } from './semantic-memory.js';
 import {
   listEmails,
   getUnreadEmails,
@@ -93,6 +94,7 @@ export async function storeEmail(userId, emailData) {
         emailData.isJobRelated ? 1 : 0,
       ],
     });
+    await indexRecord(userId, 'email', emailId);
 
     return emailId;
   } catch (error) {
@@ -1,37 +1,288 @@
+/**
+ * Embeddings
+ * Turns text into vectors through a configured provider:
+ * - openai: the OpenAI embeddings API, or any compatible endpoint
+ * - local: a deterministic hashing model that runs in-process - no key, no network, weaker
+ *   matches; a stand-in for development and offline use
+ *
+ * Every text is looked up in embedding_cache by a hash of the model and the text first, so the
+ * same message embedded for search, for the agent's memory and again later costs one call.
+ * Calls made within a few milliseconds of each other for the same user and purpose go to the
+ * provider as one batch.
+ *
+ * Config (env): EMBEDDING_PROVIDER (default: openai when OPENAI_API_KEY is set, else local),
+ * EMBEDDING_MODEL, EMBEDDING_DIMENSIONS, EMBEDDING_BASE_URL, EMBEDDING_API_KEY, EMBEDDING_CACHE_SIZE
+ *
+ * Vectors record the model that made them (see vector-store.js); after a model change
+ * reembed.js brings the stored ones over.
+ */
+
 import OpenAI from 'openai';
+import { createHash } from 'crypto';
 import dotenv from 'dotenv';
+import { client } from '../models/database.js';
+import { recordUsage } from './usage.js';
+import { toBlob, fromBlob } from '../utils/vectors.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Vectors written before the model was recorded all came from this one
+export const LEGACY_EMBEDDING_MODEL = 'openai/text-embedding-3-large';
 
-export async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: text,
+const BATCH_WAIT_MS = 10;
+const MAX_BATCH_SIZE = 96;
+const DEFAULT_CACHE_SIZE = 20000;
+// The cache is trimmed to its size after this many new entries
+const PRUNE_EVERY = 500;
+
+const providers = new Map();
+const queues = new Map();
+let writesSincePrune = 0;
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * Register a backend. provider.embed(texts, { model, dimensions }) returns
+ * { embeddings, inputTokens }, one embedding per text in order.
+ * provider.defaultModel is used when EMBEDDING_MODEL is not set.
+ */
+export function registerEmbeddingProvider(name, provider) {
+  if (typeof provider?.embed !== 'function') {
+    throw new Error(`Invalid embedding provider: ${name}`);
+  }
+  providers.set(name, provider);
+}
+
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Embedding provider not registered: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * The configured provider and model. id names the model everywhere it is recorded
+ * (vector metadata, the cache); a dimension override is part of it.
+ */
+export function getEmbeddingModel() {
+  const provider = process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+  const model = process.env.EMBEDDING_MODEL || getProvider(provider).defaultModel;
+  const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || null;
+  return {
+    id: `${provider}/${model}${dimensions ? `@${dimensions}` : ''}`,
+    provider,
+    model,
+    dimensions
+  };
+}
+
+// OpenAI embeddings API, or any compatible endpoint
+function createOpenAIProvider() {
+  let openai = null;
+  const getClient = () => {
+    openai = openai || new OpenAI({
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+      baseURL: process.env.EMBEDDING_BASE_URL || undefined
     });
+    return openai;
+  };
 
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('OpenAI embedding error:', error);
-    throw error;
+  return {
+    defaultModel: 'text-embedding-3-large',
+
+    async embed(texts, { model, dimensions }) {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts,
+        ...(dimensions && { dimensions })
+      });
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        inputTokens: response.usage?.total_tokens || 0
+      };
+    }
+  };
+}
+
+// FNV-1a, for feature hashing
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
   }
+  return hash;
+}
+
+// Words and their character trigrams hashed into a fixed-size vector, so texts sharing words
+// (or word stems) come out similar
+function createLocalProvider() {
+  return {
+    defaultModel: 'hashing-v1',
+
+    async embed(texts, { dimensions }) {
+      const size = dimensions || 384;
+      let inputTokens = 0;
+
+      const embeddings = texts.map(text => {
+        const vector = new Array(size).fill(0);
+        const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        inputTokens += words.length;
+
+        for (const word of words) {
+          const features = [word];
+          const padded = `#${word}#`;
+          for (let i = 0; i + 3 <= padded.length; i++) {
+            features.push(padded.slice(i, i + 3));
+          }
+          for (const [index, feature] of features.entries()) {
+            const hash = hashFeature(feature);
+            // The whole word counts as much as all of its trigrams together
+            const weight = index === 0 ? 1 : 1 / (features.length - 1);
+            vector[hash % size] += hash & 0x80000000 ? -weight : weight;
+          }
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => value / norm);
+      });
+
+      return { embeddings, inputTokens };
+    }
+  };
+}
+
+registerEmbeddingProvider('openai', createOpenAIProvider());
+registerEmbeddingProvider('local', createLocalProvider());
+
+// ============================================
+// CACHE
+// ============================================
+
+function cacheKey(modelId, text) {
+  return createHash('sha256').update(`${modelId}\n${text}`).digest('hex');
 }
 
-export async function generateEmbeddings(texts) {
+// Cache trouble never fails an embedding - it just costs a provider call
+async function readCache(hashes) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: texts,
+    const result = await client.execute({
+      sql: 'SELECT hash, embedding FROM embedding_cache WHERE hash IN (SELECT value FROM json_each(?))',
+      args: [JSON.stringify(hashes)]
     });
+    if (result.rows.length > 0) {
+      await client.execute({
+        sql: 'UPDATE embedding_cache SET used_at = CURRENT_TIMESTAMP WHERE hash IN (SELECT value FROM json_each(?))',
+        args: [JSON.stringify(result.rows.map(row => row.hash))]
+      });
+    }
+    return new Map(result.rows.map(row => [row.hash, Array.from(fromBlob(row.embedding))]));
+  } catch (error) {
+    console.error('Embedding cache read error:', error.message);
+    return new Map();
+  }
+}
+
+async function writeCache(modelId, entries) {
+  try {
+    await client.batch(entries.map(({ hash, embedding }) => ({
+      sql: 'INSERT OR REPLACE INTO embedding_cache (hash, model, dimensions, embedding) VALUES (?, ?, ?, ?)',
+      args: [hash, modelId, embedding.length, toBlob(embedding)]
+    })), 'write');
+
+    writesSincePrune += entries.length;
+    if (writesSincePrune >= PRUNE_EVERY) {
+      writesSincePrune = 0;
+      // Least recently used entries go first
+      await client.execute({
+        sql: `DELETE FROM embedding_cache WHERE hash IN (
+                SELECT hash FROM embedding_cache ORDER BY used_at DESC LIMIT -1 OFFSET ?
+              )`,
+        args: [parseInt(process.env.EMBEDDING_CACHE_SIZE) || DEFAULT_CACHE_SIZE]
+      });
+    }
+  } catch (error) {
+    console.error('Embedding cache write error:', error.message);
+  }
+}
+
+// ============================================
+// BATCHING
+// ============================================
+
+// Embed one batch: cached texts come from the cache, the rest go to the provider in one call
+async function embedBatch(texts, { userId, purpose }) {
+  const model = getEmbeddingModel();
+  const hashes = texts.map(text => cacheKey(model.id, text));
+  const cached = await readCache([...new Set(hashes)]);
+
+  const missing = new Map();
+  texts.forEach((text, i) => {
+    if (!cached.has(hashes[i])) missing.set(hashes[i], text);
+  });
+
+  if (missing.size > 0) {
+    const { embeddings, inputTokens } = await getProvider(model.provider).embed([...missing.values()], model);
+
+    await recordUsage({ userId, purpose, provider: model.provider, model: model.model, inputTokens });
 
-    return response.data.map(item => item.embedding);
+    const entries = [...missing.keys()].map((hash, i) => ({ hash, embedding: embeddings[i] }));
+    entries.forEach(({ hash, embedding }) => cached.set(hash, embedding));
+    await writeCache(model.id, entries);
+  }
+
+  return hashes.map(hash => cached.get(hash));
+}
+
+async function flush(key) {
+  const queue = queues.get(key);
+  queues.delete(key);
+  clearTimeout(queue.timer);
+
+  try {
+    const embeddings = await embedBatch(queue.items.map(item => item.text), queue);
+    queue.items.forEach((item, i) => item.resolve(embeddings[i]));
   } catch (error) {
-    console.error('OpenAI embeddings error:', error);
-    throw error;
+    console.error('Embedding error:', error);
+    queue.items.forEach(item => item.reject(error));
   }
 }
 
+// Usage is recorded per batch, so only calls for the same user and purpose share one
+function enqueue(text, userId, purpose) {
+  return new Promise((resolve, reject) => {
+    const key = `${userId || ''}:${purpose}`;
+    if (!queues.has(key)) {
+      queues.set(key, { userId, purpose, items: [], timer: setTimeout(() => flush(key), BATCH_WAIT_MS) });
+    }
+
+    const queue = queues.get(key);
+    queue.items.push({ text: String(text), resolve, reject });
+    if (queue.items.length >= MAX_BATCH_SIZE) {
+      flush(key);
+    }
+  });
+}
+
+// ============================================
+// EMBEDDING
+// ============================================
+
+// options: { userId, purpose } attribute the call in usage accounting
+export async function generateEmbedding(text, { userId, purpose = 'embedding' } = {}) {
+  return enqueue(text, userId, purpose);
+}
+
+export async function generateEmbeddings(texts, { userId, purpose = 'embedding' } = {}) {
+  return Promise.all(texts.map(text => enqueue(text, userId, purpose)));
+}
+
+export default {
+  registerEmbeddingProvider,
+  getEmbeddingModel,
+  generateEmbedding,
+  generateEmbeddings
+};
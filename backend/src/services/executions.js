@@ -0,0 +1,179 @@
+/**
+ * Agent Executions Service
+ * Records each agent run with a step-by-step trace of model calls and tool calls
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+
+// Runs recorded before traces had typed steps stored [{ tool, input, result }]
+function normalizeStep(step) {
+  if (step.type) return step;
+  return {
+    type: 'tool_call',
+    tool: step.tool,
+    input: step.input,
+    output: step.result,
+    success: step.result?.success !== false
+  };
+}
+
+function formatExecution(row, { withSteps = false } = {}) {
+  const execution = {
+    id: row.id,
+    threadId: row.thread_id,
+    type: row.execution_type,
+    status: row.status,
+    input: row.input,
+    result: row.result,
+    error: row.error,
+    inputTokens: row.input_tokens || 0,
+    outputTokens: row.output_tokens || 0,
+    durationMs: row.duration_ms,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+
+  if (withSteps) {
+    let steps = [];
+    try {
+      steps = row.steps ? JSON.parse(row.steps).map(normalizeStep) : [];
+    } catch (error) {
+      console.error(`Unreadable steps for execution ${row.id}:`, error);
+    }
+    execution.steps = steps;
+  }
+
+  return execution;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Create the execution record at the start of a run
+ */
+export async function startExecution(userId, { type = 'tool_use', input = null, threadId = null } = {}) {
+  const id = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO agent_executions (id, user_id, execution_type, status, input, thread_id) VALUES (?, ?, ?, ?, ?, ?)',
+    args: [id, userId, type, 'running', input, threadId]
+  });
+  return id;
+}
+
+/**
+ * Store the final status, result and trace of a run.
+ * Token totals are summed from the model_call steps.
+ */
+export async function finishExecution(executionId, { status, result = null, error = null, steps = [], startedAt }) {
+  const totals = steps
+    .filter(step => step.type === 'model_call')
+    .reduce((sum, step) => ({
+      input: sum.input + (step.usage?.inputTokens || 0),
+      output: sum.output + (step.usage?.outputTokens || 0)
+    }), { input: 0, output: 0 });
+
+  try {
+    await client.execute({
+      sql: `UPDATE agent_executions
+            SET status = ?, result = ?, error = ?, steps = ?, input_tokens = ?, output_tokens = ?,
+                duration_ms = ?, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ?`,
+      args: [
+        status,
+        result,
+        error,
+        JSON.stringify(steps),
+        totals.input,
+        totals.output,
+        startedAt ? Date.now() - startedAt : null,
+        executionId
+      ]
+    });
+  } catch (err) {
+    console.error('Error saving execution trace:', err);
+  }
+}
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * List a user's runs newest first, without their steps
+ */
+export async function listExecutions(userId, { limit, cursor, status, threadId } = {}) {
+  const size = pageSize(limit, 20);
+  const before = decodeCursor(cursor);
+
+  const conditions = ['user_id = ?'];
+  const args = [userId];
+  if (status) {
+    conditions.push('status = ?');
+    args.push(status);
+  }
+  if (threadId) {
+    conditions.push('thread_id = ?');
+    args.push(threadId);
+  }
+  if (before) {
+    conditions.push('rowid < ?');
+    args.push(before.rowid);
+  }
+
+  const result = await client.execute({
+    sql: `SELECT rowid, id, thread_id, execution_type, status, input, result, error, input_tokens, output_tokens,
+                 duration_ms, created_at, completed_at
+          FROM agent_executions
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY rowid DESC
+          LIMIT ?`,
+    args: [...args, size + 1]
+  });
+
+  const rows = result.rows.slice(0, size);
+
+  return {
+    executions: rows.map(row => formatExecution(row)),
+    nextCursor: result.rows.length > size ? encodeCursor({ rowid: rows[rows.length - 1].rowid }) : null
+  };
+}
+
+/**
+ * Get one run with its full trace and any actions it proposed
+ */
+export async function getExecution(userId, executionId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM agent_executions WHERE id = ? AND user_id = ?',
+    args: [executionId, userId]
+  });
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const actions = await client.execute({
+    sql: 'SELECT id, tool_name, status, created_at, resolved_at FROM pending_actions WHERE execution_id = ? AND user_id = ? ORDER BY created_at',
+    args: [executionId, userId]
+  });
+
+  return {
+    ...formatExecution(result.rows[0], { withSteps: true }),
+    actions: actions.rows.map(row => ({
+      id: row.id,
+      toolName: row.tool_name,
+      status: row.status,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    }))
+  };
+}
+
+export default {
+  startExecution,
+  finishExecution,
+  listExecutions,
+  getExecution
+};
@@ -14,7 +14,7 @@ Generate a polite, professional follow-up email. Return only the email content i
   "body": "email body in HTML format"
 }`;
 
-    const response = await processWithClaude(prompt);
+    const response = await processWithClaude(prompt, '', { userId, purpose: 'followup_draft' });
     
     // Try to parse JSON
     try {
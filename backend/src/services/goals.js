@@ -6,6 +6,7 @@
 import { client } from '../models/database.js';
 import { v4 as uuidv4 } from 'uuid';
 import { updateDailyMetrics } from './personalization.js';
+import { complete } from './llm.js';
 
 // ============================================
 // GOAL MANAGEMENT
@@ -350,15 +351,7 @@ export async function breakdownGoal(userId, goalId) {
     if (!goal) throw new Error('Goal not found');
 
     // Use AI to suggest breakdown
-    const Anthropic = (await import('@anthropic-ai/sdk')).default;
-    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: `Break down this goal into actionable sub-goals:
+    const content = (await complete('extraction', `Break down this goal into actionable sub-goals:
 
 Goal: "${goal.title}"
 Description: ${goal.description || 'None'}
@@ -380,11 +373,7 @@ Return a JSON array of sub-goals with this structure:
 ]
 
 Create 3-5 actionable sub-goals that lead to achieving the main goal.
-Return ONLY valid JSON, no explanation.`
-      }]
-    });
-
-    const content = response.content[0].text.trim();
+Return ONLY valid JSON, no explanation.`, { userId, purpose: 'goal_breakdown' })).trim();
     let subGoals;
 
     try {
@@ -0,0 +1,69 @@
+/**
+ * Server Instances
+ * Several instances of the server can run at once (Cloud Run starts more under load). Each one
+ * checks in every minute; work it starts in the background (plans, messages being answered) is
+ * stamped with its id. Work whose instance stopped checking in was cut off by a restart or a
+ * crash - never work another live instance is still doing.
+ */
+
+import cron from 'node-cron';
+import { randomUUID as uuidv4 } from 'crypto';
+import { client } from '../models/database.js';
+
+// This process
+export const INSTANCE_ID = uuidv4();
+
+// Missed check-ins before an instance counts as stopped
+const STALE_AFTER_MINUTES = 3;
+// Rows of instances gone this long are cleared out
+const FORGET_AFTER_HOURS = 24;
+
+/**
+ * SQL condition: the instance id in `column` belongs to no live instance (rows from before
+ * instances were recorded have none)
+ */
+export function ownedByStoppedInstance(column) {
+  return `(${column} IS NULL OR ${column} NOT IN (
+    SELECT id FROM server_instances WHERE heartbeat_at >= datetime('now', '-${STALE_AFTER_MINUTES} minutes')
+  ))`;
+}
+
+async function checkIn() {
+  await client.batch([
+    {
+      sql: `INSERT INTO server_instances (id) VALUES (?)
+            ON CONFLICT(id) DO UPDATE SET heartbeat_at = CURRENT_TIMESTAMP`,
+      args: [INSTANCE_ID]
+    },
+    {
+      sql: 'DELETE FROM server_instances WHERE heartbeat_at < datetime(\'now\', ?)',
+      args: [`-${FORGET_AFTER_HOURS} hours`]
+    }
+  ], 'write');
+}
+
+/**
+ * Check in now and every minute after. recover() runs after each check-in, to pick up after
+ * instances that stopped - including this one's previous run.
+ */
+export async function initializeInstance(recover = []) {
+  const tick = async () => {
+    try {
+      await checkIn();
+      for (const task of recover) {
+        await task();
+      }
+    } catch (error) {
+      console.error('Instance check-in error:', error);
+    }
+  };
+
+  await tick();
+  cron.schedule('* * * * *', tick);
+}
+
+export default {
+  INSTANCE_ID,
+  ownedByStoppedInstance,
+  initializeInstance
+};
@@ -0,0 +1,333 @@
+/**
+ * LLM Gateway
+ * One entry point for every model call. Call sites name a profile (agent, extraction,
+ * summarization); provider, model, max tokens and temperature come from config.
+ *
+ * Messages, tools and responses use the Anthropic Messages shape everywhere; providers
+ * with a different API translate at their boundary.
+ *
+ * Every call is recorded in usage accounting. Once a user passes their soft budget,
+ * calls made on their behalf switch to the profile's budget model.
+ *
+ * Config per profile (env): LLM_<PROFILE>_PROVIDER, LLM_<PROFILE>_MODEL,
+ * LLM_<PROFILE>_MAX_TOKENS, LLM_<PROFILE>_TEMPERATURE, LLM_<PROFILE>_BUDGET_MODEL
+ * OpenAI-compatible backend: LLM_OPENAI_BASE_URL, LLM_OPENAI_API_KEY
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+import { recordUsage, getBudgetStatus } from './usage.js';
+
+dotenv.config();
+
+const BUDGET_MODEL = 'claude-3-5-haiku-20241022';
+
+const PROFILE_DEFAULTS = {
+  // Chat agent with tools
+  agent: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', budgetModel: BUDGET_MODEL, maxTokens: 4096, temperature: null },
+  // Structured JSON pulled out of text: learning, intent, goal breakdown, classification
+  extraction: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', budgetModel: BUDGET_MODEL, maxTokens: 1024, temperature: 0 },
+  // Free-text background writing: summaries, briefings, titles, drafts
+  summarization: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', budgetModel: BUDGET_MODEL, maxTokens: 2048, temperature: null }
+};
+
+const providers = new Map();
+
+// ============================================
+// PROFILES
+// ============================================
+
+function envNumber(name) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Resolve a profile's settings from defaults and env
+ */
+export function getProfile(name) {
+  const defaults = PROFILE_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown LLM profile: ${name}`);
+  }
+
+  const prefix = `LLM_${name.toUpperCase()}_`;
+  const provider = process.env[`${prefix}PROVIDER`] || defaults.provider;
+  return {
+    name,
+    provider,
+    model: process.env[`${prefix}MODEL`] || defaults.model,
+    // The default budget model only makes sense on the default provider
+    budgetModel: process.env[`${prefix}BUDGET_MODEL`] || (provider === defaults.provider ? defaults.budgetModel : null),
+    maxTokens: envNumber(`${prefix}MAX_TOKENS`) ?? defaults.maxTokens,
+    temperature: envNumber(`${prefix}TEMPERATURE`) ?? defaults.temperature
+  };
+}
+
+export function listProfiles() {
+  return Object.keys(PROFILE_DEFAULTS).map(getProfile);
+}
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * Register a backend. provider.createMessage(request, onEvent) receives
+ * { model, system, messages, tools, maxTokens, temperature } and returns an
+ * Anthropic-shaped message: { content, stop_reason, usage, model }.
+ */
+export function registerProvider(name, provider) {
+  if (typeof provider?.createMessage !== 'function') {
+    throw new Error(`Invalid LLM provider: ${name}`);
+  }
+  providers.set(name, provider);
+}
+
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`LLM provider not registered: ${name}`);
+  }
+  return provider;
+}
+
+// Anthropic Messages API. Streams when the caller wants live text deltas.
+function createAnthropicProvider() {
+  let anthropic = null;
+  const getClient = () => {
+    anthropic = anthropic || new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    return anthropic;
+  };
+
+  // In this SDK version the stream helper does not accumulate tool input JSON,
+  // so the raw event stream is folded into a message here.
+  async function streamMessage(params, onEvent) {
+    const stream = await getClient().messages.create({ ...params, stream: true });
+    const message = { content: [], stop_reason: null, usage: {} };
+    const partialInputs = {};
+
+    for await (const event of stream) {
+      switch (event.type) {
+        case 'message_start':
+          Object.assign(message, event.message, { content: [] });
+          break;
+        case 'content_block_start':
+          message.content[event.index] = { ...event.content_block };
+          if (event.content_block.type === 'tool_use') {
+            partialInputs[event.index] = '';
+          }
+          break;
+        case 'content_block_delta': {
+          const block = message.content[event.index];
+          if (event.delta.type === 'text_delta') {
+            block.text = (block.text || '') + event.delta.text;
+            onEvent({ type: 'text_delta', text: event.delta.text });
+          } else if (event.delta.type === 'input_json_delta') {
+            partialInputs[event.index] += event.delta.partial_json;
+          }
+          break;
+        }
+        case 'content_block_stop': {
+          const block = message.content[event.index];
+          if (block?.type === 'tool_use') {
+            block.input = partialInputs[event.index] ? JSON.parse(partialInputs[event.index]) : {};
+          }
+          break;
+        }
+        case 'message_delta':
+          message.stop_reason = event.delta.stop_reason;
+          message.usage = { ...message.usage, ...event.usage };
+          break;
+      }
+    }
+
+    return message;
+  }
+
+  return {
+    async createMessage({ model, system, messages, tools, maxTokens, temperature }, onEvent) {
+      const params = {
+        model,
+        max_tokens: maxTokens,
+        messages,
+        ...(system && { system }),
+        ...(tools?.length && { tools }),
+        ...(temperature !== null && temperature !== undefined && { temperature })
+      };
+
+      if (onEvent) {
+        return await streamMessage(params, onEvent);
+      }
+      return await getClient().messages.create(params);
+    }
+  };
+}
+
+// Convert Anthropic-shaped messages to OpenAI chat messages
+function toOpenAIMessages(system, messages) {
+  const result = system ? [{ role: 'system', content: system }] : [];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      result.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    const toolUses = message.content.filter(block => block.type === 'tool_use');
+    const toolResults = message.content.filter(block => block.type === 'tool_result');
+
+    if (message.role === 'assistant') {
+      result.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolUses.length && {
+          tool_calls: toolUses.map(block => ({
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+          }))
+        })
+      });
+    } else {
+      for (const block of toolResults) {
+        result.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: typeof block.content === 'string' ? block.content : JSON.stringify(block.content)
+        });
+      }
+      if (text) {
+        result.push({ role: 'user', content: text });
+      }
+    }
+  }
+
+  return result;
+}
+
+const OPENAI_STOP_REASONS = { tool_calls: 'tool_use', length: 'max_tokens', stop: 'end_turn' };
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, vLLM, Ollama, LM Studio...)
+function createOpenAIProvider() {
+  let openai = null;
+  const getClient = () => {
+    openai = openai || new OpenAI({
+      apiKey: process.env.LLM_OPENAI_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+      baseURL: process.env.LLM_OPENAI_BASE_URL || undefined
+    });
+    return openai;
+  };
+
+  return {
+    async createMessage({ model, system, messages, tools, maxTokens, temperature }, onEvent) {
+      const response = await getClient().chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages: toOpenAIMessages(system, messages),
+        ...(tools?.length && {
+          tools: tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+          }))
+        }),
+        ...(temperature !== null && temperature !== undefined && { temperature })
+      });
+
+      const choice = response.choices[0];
+      const content = [];
+      if (choice.message.content) {
+        content.push({ type: 'text', text: choice.message.content });
+        // Not streamed: deliver the whole text as one delta
+        onEvent?.({ type: 'text_delta', text: choice.message.content });
+      }
+      for (const call of choice.message.tool_calls || []) {
+        content.push({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: call.function.arguments ? JSON.parse(call.function.arguments) : {}
+        });
+      }
+
+      return {
+        model: response.model,
+        content,
+        stop_reason: OPENAI_STOP_REASONS[choice.finish_reason] || 'end_turn',
+        usage: {
+          input_tokens: response.usage?.prompt_tokens || 0,
+          output_tokens: response.usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+registerProvider('anthropic', createAnthropicProvider());
+registerProvider('openai', createOpenAIProvider());
+
+// ============================================
+// CALLS
+// ============================================
+
+/**
+ * Send a messages request under a profile.
+ * request: { system, messages, tools, maxTokens?, temperature?, userId?, purpose? } - overrides win
+ * over the profile; userId and purpose are used for usage accounting and budgets.
+ * Pass onEvent to receive { type: 'text_delta', text } while the reply streams.
+ */
+export async function createMessage(profileName, request, onEvent) {
+  const profile = getProfile(profileName);
+  const budget = await getBudgetStatus(request.userId);
+  const downgraded = budget.state !== 'ok' && !!profile.budgetModel;
+  const model = downgraded ? profile.budgetModel : profile.model;
+
+  const response = await getProvider(profile.provider).createMessage({
+    model,
+    maxTokens: request.maxTokens ?? profile.maxTokens,
+    temperature: request.temperature !== undefined ? request.temperature : profile.temperature,
+    system: request.system,
+    messages: request.messages,
+    tools: request.tools
+  }, onEvent);
+
+  await recordUsage({
+    userId: request.userId || null,
+    purpose: request.purpose || profileName,
+    provider: profile.provider,
+    model,
+    inputTokens: response.usage?.input_tokens || 0,
+    outputTokens: response.usage?.output_tokens || 0
+  });
+
+  return { model, provider: profile.provider, downgraded, ...response };
+}
+
+/**
+ * Single prompt in, text out
+ */
+export async function complete(profileName, prompt, { system, maxTokens, temperature, userId, purpose } = {}) {
+  const response = await createMessage(profileName, {
+    system,
+    maxTokens,
+    temperature,
+    userId,
+    purpose,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  return response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+export default {
+  getProfile,
+  listProfiles,
+  registerProvider,
+  createMessage,
+  complete
+};
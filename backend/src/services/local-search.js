@@ -0,0 +1,132 @@
+/**
+ * Local Search Service
+ * Keyword search over the user's chat history, ideas, tasks, emails and research, through the
+ * FTS5 search_index (see models/database.js). It finds exact words and names - "Pune client" -
+ * where the semantic search in vector-store.js finds related meaning; the two complement each other.
+ */
+
+import { client } from '../models/database.js';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+
+// snippet() marks matches with these control characters; they become <mark> once the text is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const SNIPPET_TOKENS = 16;
+// Matches in a title count double
+const TITLE_WEIGHT = 2.0;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Turn what the user typed into an FTS5 query: every word must appear (words match as prefixes,
+ * so "invo" finds "invoice"), and "quoted phrases" must appear as written.
+ * Returns null when there is nothing to search for.
+ */
+export function toMatchQuery(text) {
+  const terms = [];
+  for (const [, phrase, word] of String(text).matchAll(/"([^"]+)"|([^\s"]+)/g)) {
+    const tokens = (phrase || word).match(/[\p{L}\p{N}_]+/gu);
+    if (!tokens) continue;
+    terms.push(phrase ? `"${tokens.join(' ')}"` : tokens.map(token => `"${token}"*`).join(' '));
+  }
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+function toHighlightedHtml(text) {
+  if (!text) return '';
+  return text
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+// A bare date as the upper bound takes in the whole day
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Chat results also need their thread
+async function attachThreads(results) {
+  const ids = results.filter(result => result.type === 'conversation').map(result => result.id);
+  if (ids.length === 0) {
+    return results;
+  }
+
+  const rows = await client.execute({
+    sql: 'SELECT id, thread_id, role FROM conversations WHERE id IN (SELECT value FROM json_each(?))',
+    args: [JSON.stringify(ids)]
+  });
+  const byId = new Map(rows.rows.map(row => [row.id, row]));
+
+  return results.map(result => result.type === 'conversation' && byId.has(result.id)
+    ? { ...result, threadId: byId.get(result.id).thread_id, role: byId.get(result.id).role }
+    : result);
+}
+
+/**
+ * Search the user's own data. Best matches first; each result is
+ * { type, id, title, snippet, createdAt, threadId?, role? } with title and snippet as HTML-escaped
+ * text where the matched words are wrapped in <mark>.
+ * Options: types (some of SEARCH_TYPES), from / to (dates or timestamps, both inclusive), limit, cursor.
+ */
+export async function searchLocal(userId, query, { types, from, to, limit, cursor } = {}) {
+  const match = toMatchQuery(query || '');
+  if (!match) {
+    return { results: [], nextCursor: null };
+  }
+
+  const size = pageSize(limit, 20);
+  const offset = decodeCursor(cursor)?.offset || 0;
+
+  // Messages of abandoned branches (see threads.js) stay out of the results
+  const conditions = [
+    'search_index MATCH ?',
+    'user_id = ?',
+    'NOT EXISTS (SELECT 1 FROM conversations c WHERE c.id = item_id AND c.active = 0 AND type = \'conversation\')'
+  ];
+  const args = [match, userId];
+  if (types?.length > 0) {
+    conditions.push('type IN (SELECT value FROM json_each(?))');
+    args.push(JSON.stringify(types));
+  }
+  if (from) {
+    conditions.push('created_at >= datetime(?)');
+    args.push(from);
+  }
+  if (to) {
+    conditions.push(isDate(to) ? 'created_at < datetime(?, \'+1 day\')' : 'created_at <= datetime(?)');
+    args.push(to);
+  }
+
+  const result = await client.execute({
+    sql: `SELECT type, item_id, created_at,
+                 highlight(search_index, 0, ?, ?) AS title,
+                 snippet(search_index, 1, ?, ?, '…', ?) AS snippet
+          FROM search_index
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY bm25(search_index, ?, 1.0)
+          LIMIT ? OFFSET ?`,
+    args: [
+      MATCH_START, MATCH_END, MATCH_START, MATCH_END, SNIPPET_TOKENS,
+      ...args, TITLE_WEIGHT, size + 1, offset
+    ]
+  });
+
+  const page = result.rows.slice(0, size).map(row => ({
+    type: row.type,
+    id: row.item_id,
+    title: toHighlightedHtml(row.title),
+    snippet: toHighlightedHtml(row.snippet),
+    createdAt: row.created_at
+  }));
+
+  return {
+    results: await attachThreads(page),
+    nextCursor: result.rows.length > size ? encodeCursor({ offset: offset + size }) : null
+  };
+}
+
+export default {
+  toMatchQuery,
+  searchLocal
+};
@@ -0,0 +1,198 @@
+/**
+ * Memory Facts
+ * Things the user explicitly asked the assistant to remember ("my GST number is ..."), kept as
+ * single statements they can list, correct and delete - unlike what is learned from whole
+ * conversations. Each fact gets a vector like other records (see semantic-memory.js), so the
+ * ones related to a message can be found and put in front of the agent (see context-builder.js).
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { indexRecord, removeVectors, searchMemory } from './semantic-memory.js';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+
+export const MAX_STATEMENT_LENGTH = 500;
+// Users with at most this many facts get all of them in the agent's context; beyond it, the related ones
+const ALWAYS_INCLUDED_FACTS = 15;
+
+function formatFact(row) {
+  return {
+    id: row.id,
+    statement: row.statement,
+    source: row.source,
+    sourceMessage: row.source_message,
+    executionId: row.execution_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Same statement regardless of case, spacing and a closing full stop
+function normalize(statement) {
+  return statement.trim().replace(/\s+/g, ' ').replace(/\.$/, '').toLowerCase();
+}
+
+// ============================================
+// CRUD
+// ============================================
+
+/**
+ * Page through the user's facts, newest first. q narrows them to statements containing it.
+ */
+export async function listFacts(userId, { q, limit, cursor } = {}) {
+  const size = pageSize(limit, 50);
+  const before = decodeCursor(cursor);
+
+  const conditions = ['user_id = ?'];
+  const args = [userId];
+  if (q && q.trim()) {
+    conditions.push('statement LIKE ?');
+    args.push(`%${q.trim()}%`);
+  }
+  if (before) {
+    conditions.push('rowid < ?');
+    args.push(before.rowid);
+  }
+
+  const result = await client.execute({
+    sql: `SELECT rowid, * FROM memory_facts
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY rowid DESC
+          LIMIT ?`,
+    args: [...args, size + 1]
+  });
+  const rows = result.rows.slice(0, size);
+
+  return {
+    facts: rows.map(formatFact),
+    nextCursor: result.rows.length > size ? encodeCursor({ rowid: rows[rows.length - 1].rowid }) : null
+  };
+}
+
+export async function getFact(userId, factId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM memory_facts WHERE id = ? AND user_id = ?',
+    args: [factId, userId]
+  });
+  return result.rows[0] ? formatFact(result.rows[0]) : null;
+}
+
+/**
+ * Save a fact. A statement the user already has is not saved twice: the existing fact is
+ * returned, with created: false.
+ * Options: source ('chat' or 'manual'), sourceMessage, executionId
+ */
+export async function createFact(userId, statement, { source = 'manual', sourceMessage, executionId } = {}) {
+  const text = statement.trim();
+
+  const existing = await client.execute({
+    sql: 'SELECT * FROM memory_facts WHERE user_id = ?',
+    args: [userId]
+  });
+  const duplicate = existing.rows.find(row => normalize(row.statement) === normalize(text));
+  if (duplicate) {
+    return { fact: formatFact(duplicate), created: false };
+  }
+
+  const id = uuidv4();
+  await client.execute({
+    sql: `INSERT INTO memory_facts (id, user_id, statement, source, source_message, execution_id)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+    args: [id, userId, text, source, sourceMessage || null, executionId || null]
+  });
+  await indexRecord(userId, 'fact', id);
+
+  return { fact: await getFact(userId, id), created: true };
+}
+
+/**
+ * Reword a fact. Returns null when it does not exist.
+ */
+export async function updateFact(userId, factId, statement) {
+  const result = await client.execute({
+    sql: 'UPDATE memory_facts SET statement = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+    args: [statement.trim(), factId, userId]
+  });
+  if (result.rowsAffected === 0) {
+    return null;
+  }
+
+  await indexRecord(userId, 'fact', factId);
+  return getFact(userId, factId);
+}
+
+/**
+ * Delete facts, with their vectors. Returns the facts that were deleted.
+ */
+export async function deleteFacts(userId, factIds) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM memory_facts WHERE user_id = ? AND id IN (SELECT value FROM json_each(?))',
+    args: [userId, JSON.stringify(factIds)]
+  });
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  await client.execute({
+    sql: 'DELETE FROM memory_facts WHERE user_id = ? AND id IN (SELECT value FROM json_each(?))',
+    args: [userId, JSON.stringify(result.rows.map(row => row.id))]
+  });
+
+  // The sync would drop them within a minute; forgetting should not wait for it
+  try {
+    await removeVectors(result.rows.map(row => `fact_${row.id}`));
+  } catch (error) {
+    console.error('Error removing fact vectors:', error.message);
+  }
+  return result.rows.map(formatFact);
+}
+
+// ============================================
+// RECALL
+// ============================================
+
+/**
+ * Facts about something: those mentioning the words first, then those related in meaning
+ */
+export async function findFacts(userId, query, limit = 10) {
+  const [{ facts: mentioning }, related] = await Promise.all([
+    listFacts(userId, { q: query, limit }),
+    searchMemory(userId, query, { types: ['fact'], limit })
+  ]);
+
+  const facts = [...mentioning];
+  for (const result of related) {
+    if (!facts.some(fact => fact.id === result.id)) {
+      facts.push(formatFact(result.record));
+    }
+  }
+  return facts.slice(0, limit);
+}
+
+/**
+ * The facts to show the agent for a message: all of them while there are few, otherwise the
+ * ones related to the message. Never throws - without facts the agent just knows less.
+ */
+export async function getRelevantFacts(userId, message) {
+  try {
+    const { facts, nextCursor } = await listFacts(userId, { limit: ALWAYS_INCLUDED_FACTS });
+    if (!nextCursor) {
+      return facts;
+    }
+    return await findFacts(userId, message, ALWAYS_INCLUDED_FACTS);
+  } catch (error) {
+    console.error('Error loading memory facts:', error);
+    return [];
+  }
+}
+
+export default {
+  MAX_STATEMENT_LENGTH,
+  listFacts,
+  getFact,
+  createFact,
+  updateFact,
+  deleteFacts,
+  findFacts,
+  getRelevantFacts
+};
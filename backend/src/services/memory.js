@@ -63,7 +63,7 @@ Format as a clean table showing:
 
 Include completion times in format: "Completed today at 10am" if completed in morning, or "Completed on [date]" if completed later.`;
 
-    const summary = await processWithClaude(summaryPrompt);
+    const summary = await processWithClaude(summaryPrompt, '', { userId, purpose: 'memory_summary' });
     
     // Store summary
     const { randomUUID } = await import('crypto');
@@ -5,11 +5,8 @@
 
 import { client } from '../models/database.js';
 import { v4 as uuidv4 } from 'uuid';
-import Anthropic from '@anthropic-ai/sdk';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import { complete } from './llm.js';
+import { getBudgetStatus } from './usage.js';
 
 // ============================================
 // USER PROFILE MANAGEMENT
@@ -58,6 +55,11 @@ export async function getOrCreateProfile(userId) {
       work_start_time: '09:00',
       work_end_time: '18:00',
       communication_style: 'friendly',
+      assistant_name: null,
+      persona: 'life_coach',
+      persona_instructions: null,
+      response_language: null,
+      response_format: 'chat',
       interests: [],
       short_term_goals: [],
       long_term_goals: [],
@@ -87,6 +89,7 @@ export async function updateProfile(userId, updates) {
     const allowedFields = [
       'name', 'preferred_name', 'timezone', 'wake_time', 'sleep_time',
       'work_start_time', 'work_end_time', 'communication_style', 'interests',
+      'assistant_name', 'persona', 'persona_instructions', 'response_language', 'response_format',
       'short_term_goals', 'long_term_goals', 'daily_habits', 'important_dates',
       'health_preferences', 'work_schedule', 'personality_notes', 'financial_goal',
       'proactive_enabled', 'wellbeing_enabled', 'morning_briefing_enabled',
@@ -137,6 +140,15 @@ export async function updateProfile(userId, updates) {
  */
 export async function learnFromConversation(userId, userMessage, assistantResponse) {
   try {
+    // Background learning is the first thing to go once the hard budget is spent
+    const budget = await getBudgetStatus(userId);
+    if (budget.state === 'hard') {
+      return null;
+    }
+
+    const { getCaptureFeedback } = await import('./captures.js');
+    const feedback = await getCaptureFeedback(userId);
+
     const prompt = `Analyze this conversation and extract any personal information about the user that should be remembered for future interactions.
 
 User message: "${userMessage}"
@@ -162,19 +174,18 @@ Extract the following if present (return JSON):
     "relationship": "relationship type"
   }],
   "mood": "current mood if detectable (happy, stressed, tired, motivated, etc.)",
-  "personality_insight": "any insight about user's personality or work style"
+  "personality_insight": "any insight about user's personality or work style",
+  "confidence": {
+    "<field name from above>": "0-1, how sure you are this is really about the user and read correctly"
+  }
 }
 
 Only include fields where information was actually found. Return empty object {} if nothing learnable.
+Give a confidence for every field you include: stated plainly by the user is high, inferred or said in passing is low.
+${feedback ? `\n${feedback}\n` : ''}
 Return ONLY valid JSON, no explanation.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const content = response.content[0].text.trim();
+    const content = (await complete('extraction', prompt, { userId, purpose: 'learning' })).trim();
     let learned;
 
     try {
@@ -199,67 +210,63 @@ Return ONLY valid JSON, no explanation.`;
 }
 
 /**
- * Apply learned information to user's profile and related tables
+ * Turn learned information into captures: confident ones are applied to the profile and related
+ * tables right away, the rest wait for the user in the "captured for you" feed
  */
 async function applyLearnings(userId, learned, originalMessage) {
   try {
     const profile = await getOrCreateProfile(userId);
-    const updates = {};
+    const confidence = learned.confidence || {};
+    const items = [];
 
-    // Update name if learned
+    // Learn the name only once
     if (learned.name && !profile.name) {
-      updates.name = learned.name;
-      updates.preferred_name = learned.name.split(' ')[0]; // First name
+      items.push({ kind: 'name', payload: { name: learned.name }, confidence: confidence.name });
     }
 
     // Add to goals
-    if (learned.goals && learned.goals.length > 0) {
-      const existingGoals = profile.short_term_goals || [];
-      const newGoals = [...new Set([...existingGoals, ...learned.goals])];
-      updates.short_term_goals = newGoals;
+    const existingGoals = profile.short_term_goals || [];
+    for (const goal of learned.goals || []) {
+      if (goal && !existingGoals.includes(goal)) {
+        items.push({ kind: 'goal', payload: { goal }, confidence: confidence.goals });
+      }
     }
 
     // Add personality insights
     if (learned.personality_insight) {
-      const existingNotes = profile.personality_notes || '';
-      const timestamp = new Date().toISOString().split('T')[0];
-      updates.personality_notes = existingNotes
-        ? `${existingNotes}\n[${timestamp}] ${learned.personality_insight}`
-        : `[${timestamp}] ${learned.personality_insight}`;
-    }
-
-    // Update profile if we have changes
-    if (Object.keys(updates).length > 0) {
-      await updateProfile(userId, updates);
+      items.push({
+        kind: 'personality',
+        payload: { insight: learned.personality_insight },
+        confidence: confidence.personality_insight
+      });
     }
 
     // Record income if mentioned
     if (learned.income_info && learned.income_info.source) {
-      await recordIncomeSource(userId, learned.income_info);
+      items.push({ kind: 'income', payload: learned.income_info, confidence: confidence.income_info });
     }
 
     // Add contacts if mentioned
-    if (learned.contacts && learned.contacts.length > 0) {
-      for (const contact of learned.contacts) {
-        if (contact.name) {
-          await addOrUpdateContact(userId, contact);
-        }
+    for (const contact of learned.contacts || []) {
+      if (contact.name) {
+        items.push({ kind: 'contact', payload: contact, confidence: confidence.contacts });
       }
     }
 
     // Record mood for wellbeing tracking
     if (learned.mood) {
-      await recordWellbeingLog(userId, 'mood', learned.mood, originalMessage);
+      items.push({ kind: 'mood', payload: { mood: learned.mood }, confidence: confidence.mood });
     }
 
     // Store behavior pattern
     if (learned.preferences && learned.preferences.length > 0) {
-      await recordBehaviorPattern(userId, 'preferences', {
-        preferences: learned.preferences,
-        observed_at: new Date().toISOString()
-      });
+      items.push({ kind: 'preferences', payload: { preferences: learned.preferences }, confidence: confidence.preferences });
     }
 
+    if (items.length > 0) {
+      const { captureLearnings } = await import('./captures.js');
+      await captureLearnings(userId, items, { sourceMessage: originalMessage });
+    }
   } catch (error) {
     console.error('Error applying learnings:', error);
   }
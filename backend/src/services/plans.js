@@ -0,0 +1,534 @@
+/**
+ * Plans Service
+ * Plan-then-execute mode for multi-step requests: the agent drafts a plan (steps, tools,
+ * expected outputs), the user edits or approves it, and the steps then run one at a time.
+ * Every step's result is saved as it finishes, so a failed plan resumes at the failed step.
+ * A step whose tool calls wait for the user's approval holds the plan until they are approved
+ * (the plan goes on) or rejected (the step fails).
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { complete } from './llm.js';
+import { executeAgentTask } from './agent.js';
+import { onActionResolved } from './actions.js';
+import { INSTANCE_ID, ownedByStoppedInstance } from './instances.js';
+import { emitToUser } from './realtime.js';
+import { touchThread, addAssistantMessage } from './threads.js';
+import { getEnabledTools } from '../tools/index.js';
+
+const MAX_STEPS = 10;
+// Room for a full plan of MAX_STEPS steps; the extraction profile's default cuts one off mid-JSON
+const PLAN_MAX_TOKENS = 2048;
+// Characters of each earlier step's result handed to the next step
+const RESULT_CHARS_PER_STEP = 1500;
+// A step's reply starting with this marks the step as failed
+const STEP_FAILED_MARKER = 'STEP FAILED:';
+
+function formatStep(row) {
+  return {
+    id: row.id,
+    position: row.position,
+    title: row.title,
+    tools: row.tools ? JSON.parse(row.tools) : [],
+    expectedOutput: row.expected_output,
+    status: row.status,
+    result: row.result,
+    error: row.error,
+    pendingActionIds: row.pending_action_ids ? JSON.parse(row.pending_action_ids) : [],
+    executionId: row.execution_id,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+function formatPlan(row, steps) {
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    request: row.request,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+    steps: steps.map(formatStep)
+  };
+}
+
+// Keep only usable steps, with tool names the user actually has enabled
+function normalizeSteps(steps, toolNames) {
+  if (!Array.isArray(steps)) return [];
+
+  return steps
+    .filter(step => step && typeof step.title === 'string' && step.title.trim())
+    .slice(0, MAX_STEPS)
+    .map(step => ({
+      title: step.title.trim(),
+      tools: (Array.isArray(step.tools) ? step.tools : []).filter(name => toolNames.has(name)),
+      expectedOutput: typeof step.expectedOutput === 'string' ? step.expectedOutput.trim() : null
+    }));
+}
+
+async function insertSteps(planId, steps, firstPosition) {
+  if (steps.length === 0) return;
+  await client.batch(steps.map((step, index) => ({
+    sql: `INSERT INTO agent_plan_steps (id, plan_id, position, title, tools, expected_output)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+    args: [uuidv4(), planId, firstPosition + index, step.title, JSON.stringify(step.tools), step.expectedOutput]
+  })), 'write');
+}
+
+async function loadPlan(userId, planId) {
+  const plan = await client.execute({
+    sql: 'SELECT * FROM agent_plans WHERE id = ? AND user_id = ?',
+    args: [planId, userId]
+  });
+  if (plan.rows.length === 0) return null;
+
+  const steps = await client.execute({
+    sql: 'SELECT * FROM agent_plan_steps WHERE plan_id = ? ORDER BY position',
+    args: [planId]
+  });
+  return formatPlan(plan.rows[0], steps.rows);
+}
+
+// Push the plan's current state to the user's clients
+async function publishPlan(userId, planId) {
+  const plan = await loadPlan(userId, planId);
+  if (plan) {
+    await emitToUser(userId, 'plan_updated', { plan });
+  }
+  return plan;
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Draft a plan for a request. context is the thread context from the context builder.
+ * Returns { success, plan } or { success: false, error } when no usable plan came back.
+ */
+export async function createPlan(userId, request, { threadId = null, context = '' } = {}) {
+  const tools = await getEnabledTools(userId);
+  const toolNames = new Set(tools.map(tool => tool.name));
+  const toolList = tools.map(tool => `- ${tool.name}: ${tool.summary || tool.description}`).join('\n');
+
+  const text = await complete('extraction', `Plan how to carry out this request, step by step.
+
+Request: "${request}"
+${context ? `\n${context}\n` : ''}
+Available tools:
+${toolList}
+
+Return JSON with this structure:
+{
+  "steps": [
+    {
+      "title": "What this step does, as an instruction",
+      "tools": ["tool_name"],
+      "expectedOutput": "What the step produces for later steps or the user"
+    }
+  ]
+}
+
+Use 2-${MAX_STEPS} steps in the order they must happen. Each step should be one coherent piece of work
+whose output later steps can build on. Only name tools from the list; use [] for steps that just need writing or thinking.
+Return ONLY valid JSON, no explanation.`, { maxTokens: PLAN_MAX_TOKENS, userId, purpose: 'plan' });
+
+  let steps;
+  try {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    steps = normalizeSteps(jsonMatch ? JSON.parse(jsonMatch[0]).steps : null, toolNames);
+  } catch {
+    console.error('Failed to parse plan:', text);
+    steps = [];
+  }
+  if (steps.length === 0) {
+    return { success: false, error: 'Could not draft a plan for this request' };
+  }
+
+  const planId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO agent_plans (id, user_id, thread_id, request) VALUES (?, ?, ?, ?)',
+    args: [planId, userId, threadId, request]
+  });
+  await insertSteps(planId, steps, 1);
+
+  return { success: true, plan: await publishPlan(userId, planId) };
+}
+
+/**
+ * Get a plan with its steps
+ */
+export async function getPlan(userId, planId) {
+  return loadPlan(userId, planId);
+}
+
+/**
+ * List the user's plans, newest first, optionally for one thread
+ */
+export async function listPlans(userId, { threadId, limit = 20 } = {}) {
+  const result = await client.execute({
+    sql: `SELECT * FROM agent_plans WHERE user_id = ? ${threadId ? 'AND thread_id = ?' : ''}
+          ORDER BY created_at DESC, rowid DESC LIMIT ?`,
+    args: threadId ? [userId, threadId, limit] : [userId, limit]
+  });
+
+  const plans = [];
+  for (const row of result.rows) {
+    const steps = await client.execute({
+      sql: 'SELECT * FROM agent_plan_steps WHERE plan_id = ? ORDER BY position',
+      args: [row.id]
+    });
+    plans.push(formatPlan(row, steps.rows));
+  }
+  return plans;
+}
+
+/**
+ * Replace the steps that have not run yet. Allowed while the plan is a draft, or after it failed.
+ * steps: [{ title, tools?, expectedOutput? }] - completed steps are kept as they are, ahead of these.
+ * Returns null when the plan does not exist.
+ */
+export async function updatePlanSteps(userId, planId, steps) {
+  const plan = await loadPlan(userId, planId);
+  if (!plan) return null;
+
+  if (!['draft', 'failed'].includes(plan.status)) {
+    return { success: false, error: `A ${plan.status} plan can no longer be edited` };
+  }
+
+  const tools = await getEnabledTools(userId);
+  const completed = plan.steps.filter(step => step.status === 'completed');
+  const remaining = normalizeSteps(steps, new Set(tools.map(tool => tool.name)))
+    .slice(0, MAX_STEPS - completed.length);
+  if (completed.length + remaining.length === 0) {
+    return { success: false, error: 'A plan needs at least one step' };
+  }
+
+  await client.batch([
+    {
+      sql: 'DELETE FROM agent_plan_steps WHERE plan_id = ? AND status != \'completed\'',
+      args: [planId]
+    },
+    {
+      sql: 'UPDATE agent_plans SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      args: [planId]
+    }
+  ], 'write');
+  await insertSteps(planId, remaining, completed.length + 1);
+
+  return { success: true, plan: await publishPlan(userId, planId) };
+}
+
+/**
+ * Cancel a plan that has not finished. A running plan stops after its current step; a step
+ * waiting for approval is skipped, and approving its actions later no longer resumes the plan.
+ */
+export async function cancelPlan(userId, planId) {
+  const result = await client.execute({
+    sql: `UPDATE agent_plans SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id = ? AND status IN ('draft', 'running', 'waiting_approval', 'failed')`,
+    args: [planId, userId]
+  });
+  if (result.rowsAffected === 0) {
+    return false;
+  }
+
+  await client.execute({
+    sql: 'UPDATE agent_plan_steps SET status = \'skipped\' WHERE plan_id = ? AND status IN (\'pending\', \'waiting_approval\')',
+    args: [planId]
+  });
+  await publishPlan(userId, planId);
+  return true;
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+function buildStepPrompt(plan, step) {
+  const outline = plan.steps
+    .map(s => `${s.position}. ${s.title}${s.status === 'completed' ? ' (done)' : ''}`)
+    .join('\n');
+
+  const earlier = plan.steps
+    .filter(s => s.position < step.position && s.status === 'completed')
+    .map(s => {
+      const result = s.result || '';
+      const text = result.length > RESULT_CHARS_PER_STEP ? `${result.substring(0, RESULT_CHARS_PER_STEP)}…` : result;
+      return `Step ${s.position} - ${s.title}:\n${text}`;
+    })
+    .join('\n\n');
+
+  return `[Step ${step.position} of ${plan.steps.length} of a plan the user approved]
+Original request: ${plan.request}
+
+Plan:
+${outline}
+${earlier ? `\nResults of earlier steps:\n${earlier}\n` : ''}
+Do ONLY step ${step.position} now: ${step.title}
+${step.tools.length > 0 ? `Suggested tools: ${step.tools.join(', ')}\n` : ''}${step.expectedOutput ? `Expected output: ${step.expectedOutput}\n` : ''}
+Do not start later steps. Finish with the output of this step.
+If the step cannot be completed, begin your reply with "${STEP_FAILED_MARKER}" and explain why.`;
+}
+
+// Run one step and save its checkpoint; returns the step's new status: completed, failed,
+// or waiting_approval when some of its tool calls were queued for the user's approval
+async function runStep(userId, plan, step) {
+  await client.execute({
+    sql: `UPDATE agent_plan_steps SET status = 'running', error = NULL, pending_action_ids = NULL, started_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+    args: [step.id]
+  });
+  await publishPlan(userId, plan.id);
+
+  let outcome;
+  try {
+    outcome = await executeAgentTask(userId, buildStepPrompt(plan, step), '', {
+      threadId: plan.threadId,
+      executionType: 'plan_step',
+      remember: false
+    });
+  } catch (error) {
+    outcome = { success: false, error: error.message };
+  }
+
+  let error = null;
+  if (!outcome.success) {
+    error = outcome.error;
+  } else if (outcome.outcome === 'max_iterations') {
+    error = 'The step ran out of agent iterations before finishing';
+  } else if (outcome.result.trim().startsWith(STEP_FAILED_MARKER)) {
+    error = outcome.result.trim().substring(STEP_FAILED_MARKER.length).trim();
+  }
+
+  // What the step asked to do has not happened yet; later steps must not build on it
+  const pendingActionIds = error ? [] : (outcome.toolResults || [])
+    .filter(call => call.result?.pending && call.result.actionId)
+    .map(call => call.result.actionId);
+  const status = error ? 'failed' : pendingActionIds.length > 0 ? 'waiting_approval' : 'completed';
+
+  await client.execute({
+    sql: `UPDATE agent_plan_steps
+          SET status = ?, result = ?, error = ?, execution_id = ?, pending_action_ids = ?,
+              completed_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE NULL END
+          WHERE id = ?`,
+    args: [
+      status, error ? null : outcome.result, error, outcome.executionId || null,
+      pendingActionIds.length > 0 ? JSON.stringify(pendingActionIds) : null, status, step.id
+    ]
+  });
+
+  return status;
+}
+
+// Mark the plan failed at a step, unless it was cancelled in the meantime
+async function failPlan(userId, planId, message, fromStatus = 'running') {
+  await client.execute({
+    sql: `UPDATE agent_plans SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = ?`,
+    args: [message, planId, fromStatus]
+  });
+  await publishPlan(userId, planId);
+}
+
+// Post the finished plan's results into its thread
+async function deliverResults(userId, plan) {
+  if (!plan.threadId) return;
+
+  const response = `**Plan completed:** ${plan.request}\n\n` +
+    plan.steps.map(step => `**${step.position}. ${step.title}**\n\n${step.result || ''}`).join('\n\n');
+
+  const responseId = await addAssistantMessage(userId, plan.threadId, {
+    message: plan.request,
+    response,
+    metadata: { planId: plan.id }
+  });
+  await touchThread(plan.threadId);
+
+  await emitToUser(userId, 'chat_message', {
+    id: responseId,
+    threadId: plan.threadId,
+    planId: plan.id,
+    message: response,
+    role: 'assistant',
+    timestamp: new Date().toISOString()
+  });
+}
+
+async function runPlan(userId, planId) {
+  try {
+    let plan = await loadPlan(userId, planId);
+
+    for (const step of plan.steps) {
+      if (step.status === 'completed') continue;
+
+      // Cancelled between steps
+      const current = await client.execute({ sql: 'SELECT status FROM agent_plans WHERE id = ?', args: [planId] });
+      if (current.rows[0]?.status !== 'running') return;
+
+      const status = await runStep(userId, plan, step);
+      plan = await loadPlan(userId, planId);
+
+      if (status === 'failed') {
+        const failed = plan.steps.find(s => s.id === step.id);
+        await failPlan(userId, planId, `Step ${step.position} failed: ${failed.error}`);
+        return;
+      }
+      if (status === 'waiting_approval') {
+        // Picked up again by resumeAfterAction once the user decides
+        await client.execute({
+          sql: `UPDATE agent_plans SET status = 'waiting_approval', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'running'`,
+          args: [planId]
+        });
+        await publishPlan(userId, planId);
+        return;
+      }
+      await publishPlan(userId, planId);
+    }
+
+    const finished = await client.execute({
+      sql: `UPDATE agent_plans SET status = 'completed', error = NULL, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'`,
+      args: [planId]
+    });
+    if (finished.rowsAffected > 0) {
+      await deliverResults(userId, plan);
+      await publishPlan(userId, planId);
+    }
+  } catch (error) {
+    console.error('Error running plan:', error);
+    await client.execute({
+      sql: `UPDATE agent_plans SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'`,
+      args: [error.message, planId]
+    }).catch(() => {});
+    await publishPlan(userId, planId).catch(() => {});
+  }
+}
+
+/**
+ * Approve a draft plan, or retry a failed one, and run it in the background.
+ * Completed steps are never run again; a failed step starts over.
+ * Progress arrives as 'plan_updated' events. Returns null when the plan does not exist.
+ */
+export async function executePlan(userId, planId) {
+  const plan = await loadPlan(userId, planId);
+  if (!plan) return null;
+
+  if (plan.steps.every(step => step.status === 'completed')) {
+    return { success: false, error: 'This plan has no steps left to run' };
+  }
+
+  // Claim the plan so a double click does not run it twice
+  const claimed = await client.execute({
+    sql: `UPDATE agent_plans SET status = 'running', error = NULL, instance_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id = ? AND status IN ('draft', 'failed')`,
+    args: [INSTANCE_ID, planId, userId]
+  });
+  if (claimed.rowsAffected === 0) {
+    return { success: false, error: `A ${plan.status} plan cannot be started` };
+  }
+
+  await client.execute({
+    sql: `UPDATE agent_plan_steps SET status = 'pending', error = NULL, pending_action_ids = NULL
+          WHERE plan_id = ? AND status IN ('failed', 'running')`,
+    args: [planId]
+  });
+
+  runPlan(userId, planId);
+  return { success: true, plan: await publishPlan(userId, planId) };
+}
+
+/**
+ * Continue the plan a resolved action belongs to. Once all of the waiting step's actions are
+ * decided, the step completes and the plan runs on if they were all carried out; if any was
+ * rejected, expired or failed, the step fails and the plan can be edited or retried.
+ */
+export async function resumeAfterAction(userId, action) {
+  const result = await client.execute({
+    sql: `SELECT s.* FROM agent_plan_steps s JOIN agent_plans p ON p.id = s.plan_id
+          WHERE p.user_id = ? AND p.status = 'waiting_approval' AND s.status = 'waiting_approval'
+            AND EXISTS (SELECT 1 FROM json_each(s.pending_action_ids) WHERE value = ?)`,
+    args: [userId, action.id]
+  });
+  const step = result.rows[0] ? formatStep(result.rows[0]) : null;
+  if (!step) return;
+
+  const actions = await client.execute({
+    sql: 'SELECT tool_name, preview, status, result FROM pending_actions WHERE id IN (SELECT value FROM json_each(?))',
+    args: [JSON.stringify(step.pendingActionIds)]
+  });
+  if (actions.rows.some(row => ['pending', 'approved'].includes(row.status))) return;
+
+  const planId = result.rows[0].plan_id;
+  const undone = actions.rows.filter(row => row.status !== 'executed');
+  if (undone.length > 0) {
+    const reasons = undone.map(row => `${row.tool_name} was ${row.status}`).join(', ');
+    const failed = await client.execute({
+      sql: `UPDATE agent_plan_steps SET status = 'failed', error = ? WHERE id = ? AND status = 'waiting_approval'`,
+      args: [reasons, step.id]
+    });
+    if (failed.rowsAffected > 0) {
+      await failPlan(userId, planId, `Step ${step.position} failed: ${reasons}`, 'waiting_approval');
+    }
+    return;
+  }
+
+  // Later steps see that the actions went through, not only the reply written while they waited
+  const done = actions.rows.map(row => `- ${row.tool_name}: ${JSON.parse(row.result || '{}').message || 'done'}`).join('\n');
+  const completed = await client.execute({
+    sql: `UPDATE agent_plan_steps SET status = 'completed', result = ?, completed_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'waiting_approval'`,
+    args: [`${step.result || ''}\n\nApproved by the user and carried out:\n${done}`, step.id]
+  });
+  const claimed = completed.rowsAffected > 0 && await client.execute({
+    sql: `UPDATE agent_plans SET status = 'running', instance_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'waiting_approval'`,
+    args: [INSTANCE_ID, planId]
+  });
+  if (claimed?.rowsAffected > 0) {
+    runPlan(userId, planId);
+  }
+}
+
+onActionResolved(resumeAfterAction);
+
+/**
+ * Plans that were running on a server instance that has stopped are marked failed, so they can
+ * be retried. Plans other live instances are running are left alone.
+ */
+export async function failInterruptedPlans() {
+  try {
+    const interrupted = `SELECT id FROM agent_plans WHERE status = 'running' AND ${ownedByStoppedInstance('instance_id')}`;
+    await client.batch([
+      {
+        sql: `UPDATE agent_plan_steps SET status = 'failed', error = 'Interrupted by a server restart'
+              WHERE status = 'running' AND plan_id IN (${interrupted})`,
+        args: []
+      },
+      {
+        sql: `UPDATE agent_plans SET status = 'failed', error = 'Interrupted by a server restart', updated_at = CURRENT_TIMESTAMP
+              WHERE id IN (${interrupted})`,
+        args: []
+      }
+    ], 'write');
+  } catch (error) {
+    console.error('Error recovering interrupted plans:', error);
+  }
+}
+
+export default {
+  createPlan,
+  getPlan,
+  listPlans,
+  updatePlanSteps,
+  cancelPlan,
+  executePlan,
+  resumeAfterAction,
+  failInterruptedPlans
+};
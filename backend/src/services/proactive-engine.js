@@ -5,24 +5,16 @@
 
 import { client } from '../models/database.js';
 import { v4 as uuidv4 } from 'uuid';
-import Anthropic from '@anthropic-ai/sdk';
 import cron from 'node-cron';
 import { getOrCreateProfile, getPersonalizedContext, getDailyMetrics } from './personalization.js';
 import { getPrioritizedTasks, getProtectedTimeBlocks, generateOptimizedSchedule, getMoneyTimeAnalysis } from './productivity-optimizer.js';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
-
-// Store Socket.io instance
-let io = null;
+import { emitToUser } from './realtime.js';
+import { complete } from './llm.js';
 
 /**
- * Initialize proactive engine with Socket.io
+ * Initialize proactive engine cron jobs
  */
-export function initializeProactiveEngine(socketIo) {
-  io = socketIo;
-
+export function initializeProactiveEngine() {
   // Check for proactive triggers every 15 minutes
   cron.schedule('*/15 * * * *', () => {
     checkProactiveTriggers();
@@ -138,7 +130,7 @@ export async function generateAndSendMorningBriefing(userId) {
     };
 
     // Generate AI-powered briefing
-    const briefingContent = await generateBriefingContent(briefingData, 'morning');
+    const briefingContent = await generateBriefingContent(briefingData, 'morning', userId);
 
     // Store and send
     await storeAndSendProactiveMessage(userId, 'morning_briefing', briefingContent, 'Daily morning briefing', 80);
@@ -253,7 +245,7 @@ export async function generateAndSendEveningSummary(userId) {
     };
 
     // Generate AI-powered summary
-    const summaryContent = await generateBriefingContent(summaryData, 'evening');
+    const summaryContent = await generateBriefingContent(summaryData, 'evening', userId);
 
     // Store and send
     await storeAndSendProactiveMessage(userId, 'evening_summary', summaryContent, 'Daily evening summary', 70);
@@ -548,7 +540,7 @@ async function checkProtectedTimeStart(userId, now) {
 /**
  * Generate briefing content using AI
  */
-async function generateBriefingContent(data, type) {
+async function generateBriefingContent(data, type, userId) {
   try {
     const prompt = type === 'morning'
       ? `Generate a concise, motivating morning briefing for ${data.name}. Today is ${data.date}.
@@ -591,13 +583,7 @@ Create a brief evening summary (max 250 words) that:
 
 Keep it positive and scannable. Celebrate wins, however small.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 500,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    return response.content[0].text;
+    return await complete('summarization', prompt, { maxTokens: 500, userId, purpose: `${type}_briefing` });
   } catch (error) {
     console.error('Error generating briefing content:', error);
 
@@ -611,7 +597,7 @@ Keep it positive and scannable. Celebrate wins, however small.`;
 /**
  * Store and send a proactive message
  */
-async function storeAndSendProactiveMessage(userId, messageType, content, triggerReason, priority) {
+export async function storeAndSendProactiveMessage(userId, messageType, content, triggerReason, priority) {
   try {
     const id = uuidv4();
 
@@ -624,15 +610,13 @@ async function storeAndSendProactiveMessage(userId, messageType, content, trigge
     });
 
     // Send via WebSocket
-    if (io) {
-      io.to(userId).emit('proactive_message', {
-        id,
-        type: messageType,
-        content,
-        priority,
-        timestamp: new Date().toISOString()
-      });
-    }
+    await emitToUser(userId, 'proactive_message', {
+      id,
+      type: messageType,
+      content,
+      priority,
+      timestamp: new Date().toISOString()
+    });
 
     // For high priority (P1), also send email
     if (priority >= 90) {
@@ -717,6 +701,7 @@ export default {
   initializeProactiveEngine,
   generateAndSendMorningBriefing,
   generateAndSendEveningSummary,
+  storeAndSendProactiveMessage,
   acknowledgeProactiveMessage,
   getProactiveMessages,
   triggerBriefing
@@ -0,0 +1,145 @@
+/**
+ * Realtime Service
+ * Per-user Socket.io rooms, server push, and replay of events missed while disconnected
+ */
+
+import cron from 'node-cron';
+import { client } from '../models/database.js';
+import { authenticateSocket } from '../middleware/auth.js';
+
+const REPLAY_LIMIT = 200;
+const EVENT_RETENTION_DAYS = 7;
+
+// Store Socket.io instance
+let io = null;
+
+/**
+ * Attach auth, room membership and replay to the Socket.io server
+ */
+export function initializeRealtime(socketIo) {
+  io = socketIo;
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const userId = socket.data.user.userId;
+
+    // Every tab/device of a user shares the room; reconnects re-run auth and rejoin
+    socket.join(userId);
+    console.log(`Client connected: ${socket.id} (user ${userId})`);
+
+    const lastEventId = parseInt(socket.handshake.auth?.lastEventId);
+    if (!isNaN(lastEventId)) {
+      replayMissedEvents(socket, userId, lastEventId);
+    }
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+
+  // Prune delivered history once a day
+  cron.schedule('30 3 * * *', () => {
+    pruneOldEvents();
+  });
+}
+
+/**
+ * Push an event to every connected socket of a user.
+ * Persisted events carry an eventId so clients can ask for what they missed.
+ */
+export async function emitToUser(userId, event, payload = {}, { persist = true } = {}) {
+  let eventId;
+
+  if (persist) {
+    try {
+      const result = await client.execute({
+        sql: 'INSERT INTO socket_events (user_id, event, payload) VALUES (?, ?, ?)',
+        args: [userId, event, JSON.stringify(payload)]
+      });
+      eventId = Number(result.lastInsertRowid);
+    } catch (error) {
+      console.error('Error persisting socket event:', error);
+    }
+  }
+
+  if (io) {
+    io.to(userId).emit(event, eventId ? { ...payload, eventId } : payload);
+  }
+
+  return eventId || null;
+}
+
+/**
+ * Get persisted events for a user after a given event id
+ */
+export async function getMissedEvents(userId, afterEventId, limit = REPLAY_LIMIT) {
+  try {
+    const result = await client.execute({
+      sql: `SELECT id, event, payload FROM socket_events
+            WHERE user_id = ? AND id > ?
+            ORDER BY id ASC LIMIT ?`,
+      args: [userId, afterEventId, limit]
+    });
+
+    return result.rows.map(row => ({
+      eventId: Number(row.id),
+      event: row.event,
+      payload: JSON.parse(row.payload || '{}')
+    }));
+  } catch (error) {
+    console.error('Error getting missed events:', error);
+    return [];
+  }
+}
+
+/**
+ * Re-emit missed events to a single (re)connected socket, in order. Past REPLAY_LIMIT, the replay
+ * ends with replay_complete { truncated: true, eventId } and the client reloads what it shows;
+ * eventId moves its replay position past the events it never got.
+ */
+async function replayMissedEvents(socket, userId, lastEventId) {
+  // One more than is replayed, to tell whether any are left out
+  const events = await getMissedEvents(userId, lastEventId, REPLAY_LIMIT + 1);
+  const truncated = events.length > REPLAY_LIMIT;
+
+  for (const { eventId, event, payload } of events.slice(0, REPLAY_LIMIT)) {
+    socket.emit(event, { ...payload, eventId, replayed: true });
+  }
+
+  if (truncated) {
+    socket.emit('replay_complete', { truncated: true, eventId: await getLatestEventId(userId) });
+    console.log(`Replayed ${REPLAY_LIMIT} missed events to ${socket.id}, more were missed`);
+  } else if (events.length > 0) {
+    console.log(`Replayed ${events.length} missed events to ${socket.id}`);
+  }
+}
+
+async function getLatestEventId(userId) {
+  try {
+    const result = await client.execute({
+      sql: 'SELECT MAX(id) AS id FROM socket_events WHERE user_id = ?',
+      args: [userId]
+    });
+    return Number(result.rows[0].id);
+  } catch (error) {
+    console.error('Error getting latest event id:', error);
+    return null;
+  }
+}
+
+async function pruneOldEvents() {
+  try {
+    await client.execute({
+      sql: `DELETE FROM socket_events WHERE created_at < datetime('now', '-${EVENT_RETENTION_DAYS} days')`
+    });
+  } catch (error) {
+    console.error('Error pruning socket events:', error);
+  }
+}
+
+export default {
+  initializeRealtime,
+  emitToUser,
+  getMissedEvents
+};
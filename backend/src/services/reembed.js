@@ -0,0 +1,163 @@
+/**
+ * Re-embedding
+ * Vectors made by one embedding model can't be compared with queries from another. After a
+ * model change this finds the stored vectors of other models and embeds their source records
+ * again with the current one, a page at a time, keeping ids and metadata. Until a vector is
+ * redone, searches skip it (see vector-store.js).
+ *
+ * Runs on its own at startup when the configured model differs from the one the store was last
+ * brought up to date with; scripts/reembed-vectors.js runs it by hand. Of several instances
+ * starting at once, the one that takes the store's row in vector_store_models does the work.
+ * A lease held by a stopped instance (see instances.js) can be taken over.
+ * The text comes from each vector's source record (see semantic-memory.js); vectors whose
+ * record is gone are left alone and counted as missing.
+ */
+
+import { client } from '../models/database.js';
+import { INSTANCE_ID, ownedByStoppedInstance } from './instances.js';
+import { sourceText, recordKey, trackVectors } from './semantic-memory.js';
+import { getEmbeddingModel, generateEmbedding, LEGACY_EMBEDDING_MODEL } from './embeddings.js';
+import { getVectorStore, getConfiguredStoreName, withEmbeddingModel } from './vector-store.js';
+
+// Startup runs go slowly, to leave the provider's rate limit to live traffic
+const STARTUP_BATCH_SIZE = 50;
+const STARTUP_PAUSE_MS = 1000;
+
+// ============================================
+// RE-EMBEDDING
+// ============================================
+
+/**
+ * Bring every vector in a store up to the current model.
+ * Options: storeName (default: the configured one), batchSize, pauseMs between pages,
+ * dryRun (count only), onProgress(counts) after each page.
+ * Returns { model, checked, stale, reembedded, missing }.
+ */
+export async function reembedVectors({ storeName = getConfiguredStoreName(), batchSize = 100, pauseMs = 0, dryRun = false, onProgress } = {}) {
+  const model = getEmbeddingModel().id;
+  const store = getVectorStore(storeName);
+  const counts = { model, checked: 0, stale: 0, reembedded: 0, missing: 0 };
+
+  let cursor = null;
+  do {
+    const page = await store.list({ cursor, limit: batchSize });
+    const stale = page.vectors.filter(vector => (vector.metadata.embeddingModel || LEGACY_EMBEDDING_MODEL) !== model);
+    counts.checked += page.vectors.length;
+    counts.stale += stale.length;
+
+    const redo = [];
+    for (const vector of stale) {
+      const text = await sourceText(vector.metadata);
+      if (text) {
+        redo.push({ vector, text });
+      } else {
+        counts.missing++;
+      }
+    }
+
+    if (redo.length > 0 && !dryRun) {
+      // Embedding calls made together go out as batches per user
+      const embeddings = await Promise.all(redo.map(({ vector, text }) =>
+        generateEmbedding(text, { userId: vector.metadata.userId, purpose: 'reembedding' })));
+      await store.upsert(redo.map(({ vector }, i) => ({
+        id: vector.id,
+        values: embeddings[i],
+        metadata: withEmbeddingModel(vector.metadata, embeddings[i])
+      })));
+      await trackVectors(redo.map(({ vector, text }) => ({
+        vectorId: vector.id,
+        userId: vector.metadata.userId,
+        type: vector.metadata.type,
+        key: recordKey(vector.metadata),
+        text
+      })));
+      counts.reembedded += redo.length;
+    }
+
+    onProgress?.(counts);
+    cursor = page.nextCursor;
+    if (cursor && pauseMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, pauseMs));
+    }
+  } while (cursor);
+
+  if (!dryRun) {
+    await recordStoreModel(storeName, model);
+  }
+  return counts;
+}
+
+async function recordStoreModel(storeName, model) {
+  await client.execute({
+    sql: `INSERT INTO vector_store_models (store, model) VALUES (?, ?)
+          ON CONFLICT(store) DO UPDATE SET model = excluded.model, reembedding_by = NULL, updated_at = CURRENT_TIMESTAMP`,
+    args: [storeName, model]
+  });
+}
+
+/**
+ * Take the lease to re-embed a store that is not on `model` yet. False when the store is up to
+ * date or a live instance holds the lease.
+ */
+async function claimReembedding(storeName, model) {
+  // Stores never recorded hold legacy vectors
+  await client.execute({
+    sql: 'INSERT OR IGNORE INTO vector_store_models (store, model) VALUES (?, ?)',
+    args: [storeName, LEGACY_EMBEDDING_MODEL]
+  });
+  const result = await client.execute({
+    sql: `UPDATE vector_store_models SET reembedding_by = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE store = ? AND model != ? AND ${ownedByStoppedInstance('reembedding_by')}`,
+    args: [INSTANCE_ID, storeName, model]
+  });
+  return result.rowsAffected > 0;
+}
+
+async function releaseReembedding(storeName) {
+  await client.execute({
+    sql: 'UPDATE vector_store_models SET reembedding_by = NULL WHERE store = ? AND reembedding_by = ?',
+    args: [storeName, INSTANCE_ID]
+  });
+}
+
+/**
+ * At startup: re-embed the configured store if the embedding model changed since it was last
+ * brought up to date. Stores never recorded hold legacy vectors.
+ */
+export async function reembedIfModelChanged() {
+  const storeName = getConfiguredStoreName();
+  try {
+    const model = getEmbeddingModel().id;
+    const result = await client.execute({
+      sql: 'SELECT model FROM vector_store_models WHERE store = ?',
+      args: [storeName]
+    });
+    const previous = result.rows[0]?.model || LEGACY_EMBEDDING_MODEL;
+    if (previous === model) {
+      if (result.rows.length === 0) {
+        await recordStoreModel(storeName, model);
+      }
+      return null;
+    }
+    if (!await claimReembedding(storeName, model)) {
+      console.log(`Another instance is re-embedding ${storeName} vectors`);
+      return null;
+    }
+
+    console.log(`Embedding model changed (${previous} → ${model}), re-embedding ${storeName} vectors`);
+    const counts = await reembedVectors({ storeName, batchSize: STARTUP_BATCH_SIZE, pauseMs: STARTUP_PAUSE_MS });
+    if (counts.stale > 0) {
+      console.log(`Re-embedded ${counts.reembedded} of ${counts.stale} vectors (${counts.missing} without a source record)`);
+    }
+    return counts;
+  } catch (error) {
+    console.error('Re-embedding error:', error);
+    await releaseReembedding(storeName).catch(() => {});
+    return null;
+  }
+}
+
+export default {
+  reembedVectors,
+  reembedIfModelChanged
+};
@@ -1,8 +1,9 @@
 import cron from 'node-cron';
 import { client } from '../models/database.js';
 import { sendReminderEmail } from './email.js';
+import { emitToUser } from './realtime.js';
 
-export function setupReminderScheduler(io) {
+export function setupReminderScheduler() {
   // Check for due reminders every minute
   cron.schedule('* * * * *', async () => {
     try {
@@ -19,14 +20,12 @@ export function setupReminderScheduler(io) {
 
       for (const reminder of result.rows) {
         // Send popup notification via WebSocket
-        if (io) {
-          io.to(reminder.user_id).emit('reminder', {
-            id: reminder.id,
-            type: reminder.reminder_type || 'popup',
-            message: `Reminder: ${reminder.task_id || reminder.idea_id || 'Task'}`,
-            scheduledTime: reminder.scheduled_time,
-          });
-        }
+        await emitToUser(reminder.user_id, 'reminder', {
+          id: reminder.id,
+          type: reminder.reminder_type || 'popup',
+          message: `Reminder: ${reminder.task_id || reminder.idea_id || 'Task'}`,
+          scheduledTime: reminder.scheduled_time,
+        });
 
         // Update last reminder sent
         await client.execute({
@@ -0,0 +1,604 @@
+/**
+ * Semantic Memory
+ * Search by meaning across everything the user has told or given the app: chats, ideas, tasks,
+ * emails, web searches, research data, remembered facts and uploads. Each record gets one vector, made from its
+ * text when it is saved; a search embeds the query, finds the nearest vectors and returns the
+ * records they came from.
+ *
+ * Where local-search.js finds the exact words, this finds what is related - "money owed" finds
+ * the invoice email. Vectors live in the configured vector store (see vector-store.js).
+ *
+ * Every vector written here is tracked in vector_metadata with a hash of the text it was made
+ * from. Triggers on the source tables note each insert, edit and delete in vector_changes, and
+ * the sync brings the vectors in line: changed records are embedded again, deleted ones lose
+ * their vector. reindexUser() rebuilds a user's vectors from scratch and reports the drift.
+ */
+
+import cron from 'node-cron';
+import { createHash, randomUUID as uuidv4 } from 'crypto';
+import { client } from '../models/database.js';
+import { generateEmbedding, getEmbeddingModel, LEGACY_EMBEDDING_MODEL } from './embeddings.js';
+import { getVectorStore, upsertVector, queryVectors, deleteVector } from './vector-store.js';
+import { pageSize } from '../utils/pagination.js';
+
+// Embedding models take a few thousand words at most; the start of a long text is enough to find it
+const MAX_TEXT_LENGTH = 8000;
+const TITLE_LENGTH = 80;
+const EXCERPT_LENGTH = 300;
+// Below this a match shares next to nothing with the query
+const MIN_SCORE = 0.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Changes handled per sync run, and records embedded at once by a reindex
+const SYNC_BATCH_SIZE = 200;
+const REINDEX_BATCH_SIZE = 100;
+
+let syncing = false;
+
+/**
+ * Where each type of vector comes from. key(table) is the SQL expression its vector is keyed by
+ * (default: the id), keyField the metadata field holding that key, where(table) narrows the rows
+ * that get one. text(row) is what gets embedded, from textColumns; title(row) what a result is called.
+ */
+const SOURCES = {
+  // One vector per exchange, written by the agent and keyed by its execution
+  conversation: {
+    table: 'conversations',
+    key: table => `json_extract(${table}.metadata, '$.executionId')`,
+    keyField: 'executionId',
+    where: table => `${table}.role = 'assistant'`,
+    columns: 'id, thread_id, message, response, active, created_at',
+    textColumns: 'message, response',
+    vectorId: (userId, key) => `conv_${userId}_${key}`,
+    title: row => row.message,
+    text: row => `${row.message} ${row.response}`
+  },
+  idea: {
+    table: 'ideas',
+    keyField: 'ideaId',
+    columns: 'id, title, content, type, status, created_at',
+    textColumns: 'title, content',
+    vectorId: (_userId, key) => `idea_${key}`,
+    title: row => row.title || 'Untitled',
+    text: row => `${row.title || ''} ${row.content}`
+  },
+  task: {
+    table: 'tasks',
+    keyField: 'taskId',
+    columns: 'id, title, description, status, completed_at, created_at',
+    textColumns: 'title, description',
+    vectorId: (_userId, key) => `task_${key}`,
+    title: row => row.title,
+    text: row => `${row.title} ${row.description || ''}`
+  },
+  email: {
+    table: 'emails',
+    keyField: 'emailId',
+    columns: 'id, from_address, to_address, subject, body, created_at',
+    textColumns: 'subject, body, from_address',
+    vectorId: (_userId, key) => `email_${key}`,
+    title: row => row.subject || '(no subject)',
+    text: row => `${row.subject || ''}\n${row.from_address || ''}\n${row.body || ''}`
+  },
+  search: {
+    table: 'searches',
+    keyField: 'searchId',
+    columns: 'id, query, results, created_at',
+    textColumns: 'query',
+    vectorId: (_userId, key) => `search_${key}`,
+    title: row => row.query,
+    text: row => row.query
+  },
+  research: {
+    table: 'research_data',
+    keyField: 'researchId',
+    columns: 'id, search_id, entity_type, entity_name, data, source_url, created_at',
+    textColumns: 'entity_type, entity_name, data',
+    vectorId: (_userId, key) => `research_${key}`,
+    title: row => row.entity_name || row.entity_type || 'Research',
+    text: row => `${row.entity_type || ''} ${row.entity_name || ''}\n${row.data || ''}`
+  },
+  // What the user asked to be remembered (see memory-facts.js)
+  fact: {
+    table: 'memory_facts',
+    keyField: 'factId',
+    columns: 'id, statement, source, source_message, execution_id, created_at, updated_at',
+    textColumns: 'statement',
+    vectorId: (_userId, key) => `fact_${key}`,
+    title: row => row.statement,
+    text: row => row.statement
+  },
+  // Only the file's name and kind - the contents are not read
+  upload: {
+    table: 'uploads',
+    keyField: 'uploadId',
+    columns: 'id, filename, file_type, file_size, metadata, created_at',
+    textColumns: 'filename, file_type, metadata',
+    vectorId: (_userId, key) => `upload_${key}`,
+    title: row => JSON.parse(row.metadata || '{}').originalName || row.filename,
+    text: row => `${JSON.parse(row.metadata || '{}').originalName || row.filename} ${row.file_type || ''}`
+  }
+};
+
+export const MEMORY_TYPES = Object.keys(SOURCES);
+
+function keyOf(source, table) {
+  return source.key ? source.key(table) : `${table}.id`;
+}
+
+// ============================================
+// RECORDS
+// ============================================
+
+// SQLite timestamps are UTC without a zone
+function toTimestamp(value) {
+  return value ? Date.parse(`${String(value).replace(' ', 'T')}Z`) : null;
+}
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.substring(0, length)}…` : value;
+}
+
+function contentHash(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function textOf(type, row) {
+  return truncate(SOURCES[type].text(row), MAX_TEXT_LENGTH);
+}
+
+/**
+ * The user's records of one type, by the keys their vectors are stored under (all of them
+ * without keys). Returns a Map of key → row
+ */
+async function loadRecords(userId, type, keys = null) {
+  const source = SOURCES[type];
+  const key = keyOf(source, source.table);
+  const conditions = ['user_id = ?', `${key} IS NOT NULL`];
+  const args = [userId];
+  if (keys) {
+    conditions.push(`${key} IN (SELECT value FROM json_each(?))`);
+    args.push(JSON.stringify(keys));
+  }
+  if (source.where) {
+    conditions.push(source.where(source.table));
+  }
+
+  const result = await client.execute({
+    sql: `SELECT ${source.columns}, ${key} AS memory_key FROM ${source.table} WHERE ${conditions.join(' AND ')}`,
+    args
+  });
+
+  return new Map(result.rows.map(row => [
+    row.memory_key,
+    Object.fromEntries(result.columns.filter(column => column !== 'memory_key').map(column => [column, row[column]]))
+  ]));
+}
+
+/**
+ * The key of the record a vector was made from, from its metadata
+ */
+export function recordKey(metadata) {
+  return SOURCES[metadata.type] ? metadata[SOURCES[metadata.type].keyField] : undefined;
+}
+
+/**
+ * The text a vector is made from, read back from its record - null when the record is gone
+ */
+export async function sourceText(metadata) {
+  const key = recordKey(metadata);
+  if (!key || !metadata.userId) {
+    return null;
+  }
+
+  const row = (await loadRecords(metadata.userId, metadata.type, [key])).get(key);
+  return row ? textOf(metadata.type, row) : null;
+}
+
+// ============================================
+// TRACKING
+// ============================================
+
+/**
+ * Record vectors as written: [{ vectorId, userId, type, key, text }]
+ */
+export async function trackVectors(entries) {
+  if (entries.length === 0) return;
+  const model = getEmbeddingModel().id;
+
+  await client.batch(entries.map(({ vectorId, userId, type, key, text }) => ({
+    sql: `INSERT INTO vector_metadata (id, user_id, record_type, record_id, pinecone_id, content_hash, model, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(pinecone_id) DO UPDATE SET record_type = excluded.record_type, record_id = excluded.record_id,
+            content_hash = excluded.content_hash, model = excluded.model, updated_at = CURRENT_TIMESTAMP`,
+    args: [uuidv4(), userId, type, key, vectorId, contentHash(text), model]
+  })), 'write');
+}
+
+/**
+ * Delete vectors from the store and from tracking
+ */
+export async function removeVectors(vectorIds) {
+  if (vectorIds.length === 0) return;
+
+  for (const vectorId of vectorIds) {
+    await deleteVector(vectorId);
+  }
+  await client.execute({
+    sql: 'DELETE FROM vector_metadata WHERE pinecone_id IN (SELECT value FROM json_each(?))',
+    args: [JSON.stringify(vectorIds)]
+  });
+}
+
+async function writeVector(userId, type, key, row, text, embedding) {
+  const source = SOURCES[type];
+  const vectorId = source.vectorId(userId, key);
+  await upsertVector(vectorId, embedding, {
+    userId,
+    type,
+    [source.keyField]: key,
+    title: truncate(source.title(row), TITLE_LENGTH),
+    createdAt: toTimestamp(row.created_at)
+  });
+  await trackVectors([{ vectorId, userId, type, key, text }]);
+  return vectorId;
+}
+
+// ============================================
+// INDEXING
+// ============================================
+
+/**
+ * Embed a saved record and store its vector. The record is saved either way, so this never
+ * throws: without the vector it is only missing from semantic search. Returns the vector id or null.
+ */
+export async function indexRecord(userId, type, key) {
+  try {
+    const row = (await loadRecords(userId, type, [key])).get(key);
+    if (!row) {
+      return null;
+    }
+
+    const text = textOf(type, row);
+    const embedding = await generateEmbedding(text, { userId, purpose: `${type}_embedding` });
+    return await writeVector(userId, type, key, row, text, embedding);
+  } catch (error) {
+    console.error(`Error indexing ${type} ${key}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store the vector of an exchange the agent just had. Its reply is saved after this, so the
+ * text comes from the agent; the sync re-embeds it if the saved reply turns out different.
+ */
+export async function storeConversationEmbedding(userId, executionId, text, metadata = {}) {
+  const source = SOURCES.conversation;
+  const vectorText = truncate(text, MAX_TEXT_LENGTH);
+  const embedding = await generateEmbedding(vectorText, { userId, purpose: 'conversation_embedding' });
+  const vectorId = source.vectorId(userId, executionId);
+
+  await upsertVector(vectorId, embedding, {
+    userId,
+    type: 'conversation',
+    executionId,
+    title: truncate(text, TITLE_LENGTH),
+    createdAt: Date.now(),
+    ...metadata
+  });
+  await trackVectors([{ vectorId, userId, type: 'conversation', key: executionId, text: vectorText }]);
+  return vectorId;
+}
+
+// ============================================
+// SYNC
+// ============================================
+
+async function createChangeTriggers() {
+  for (const [type, source] of Object.entries(SOURCES)) {
+    const operations = [
+      ['insert', 'INSERT', 'new'],
+      ['update', `UPDATE OF ${source.textColumns}`, 'new'],
+      ['delete', 'DELETE', 'old']
+    ];
+    for (const [name, event, row] of operations) {
+      const when = [`${keyOf(source, row)} IS NOT NULL`, ...(source.where ? [source.where(row)] : [])];
+      await client.execute(`
+        CREATE TRIGGER IF NOT EXISTS vector_changes_${source.table}_${name} AFTER ${event} ON ${source.table}
+        WHEN ${when.join(' AND ')} BEGIN
+          INSERT INTO vector_changes (user_id, record_type, record_id) VALUES (${row}.user_id, '${type}', ${keyOf(source, row)});
+        END
+      `);
+    }
+  }
+}
+
+// Bring one record's vector in line: embed it again if its text or the model changed, drop it if the record is gone
+async function syncRecord(userId, type, key) {
+  const vectorId = SOURCES[type].vectorId(userId, key);
+  const row = (await loadRecords(userId, type, [key])).get(key);
+  if (!row) {
+    await removeVectors([vectorId]);
+    return;
+  }
+
+  const tracked = await client.execute({
+    sql: 'SELECT content_hash, model FROM vector_metadata WHERE pinecone_id = ?',
+    args: [vectorId]
+  });
+  const current = tracked.rows[0];
+  if (current && current.content_hash === contentHash(textOf(type, row)) && current.model === getEmbeddingModel().id) {
+    return;
+  }
+
+  if (!(await indexRecord(userId, type, key))) {
+    throw new Error(`${type} ${key} could not be indexed`);
+  }
+}
+
+/**
+ * Apply noted changes (rows of vector_changes) and clear them. Changes that fail stay queued for
+ * the next run. Returns how many were applied.
+ */
+async function applyChanges(changes) {
+  // A record written several times since the last run is brought up to date once
+  const records = new Map();
+  for (const change of changes) {
+    const id = `${change.user_id}:${change.record_type}:${change.record_id}`;
+    if (!records.has(id)) records.set(id, { change, ids: [] });
+    records.get(id).ids.push(change.id);
+  }
+
+  const done = [];
+  for (const { change, ids } of records.values()) {
+    try {
+      if (SOURCES[change.record_type]) {
+        await syncRecord(change.user_id, change.record_type, change.record_id);
+      }
+      done.push(...ids);
+    } catch (error) {
+      console.error(`Vector sync error for ${change.record_type} ${change.record_id}:`, error.message);
+    }
+  }
+
+  await client.execute({
+    sql: 'DELETE FROM vector_changes WHERE id IN (SELECT value FROM json_each(?))',
+    args: [JSON.stringify(done)]
+  });
+  return done.length;
+}
+
+/**
+ * Apply the record changes noted since the last run. Changes that fail stay queued for the next one.
+ */
+export async function syncVectorChanges() {
+  if (syncing) return 0;
+  syncing = true;
+
+  try {
+    const result = await client.execute({
+      sql: 'SELECT id, user_id, record_type, record_id FROM vector_changes ORDER BY id LIMIT ?',
+      args: [SYNC_BATCH_SIZE]
+    });
+    return await applyChanges(result.rows);
+  } catch (error) {
+    console.error('Vector sync error:', error);
+    return 0;
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Apply one user's noted changes now, without waiting for the sync. Changes that fail stay
+ * queued; returns how many were applied.
+ */
+export async function syncUserChanges(userId) {
+  let applied = 0;
+  let after = 0;
+  for (;;) {
+    const result = await client.execute({
+      sql: 'SELECT id, user_id, record_type, record_id FROM vector_changes WHERE user_id = ? AND id > ? ORDER BY id LIMIT ?',
+      args: [userId, after, SYNC_BATCH_SIZE]
+    });
+    if (result.rows.length === 0) {
+      return applied;
+    }
+    applied += await applyChanges(result.rows);
+    after = result.rows[result.rows.length - 1].id;
+  }
+}
+
+/**
+ * Set up the change triggers and sync every minute
+ */
+export async function initializeVectorSync() {
+  await createChangeTriggers();
+  cron.schedule('* * * * *', () => {
+    syncVectorChanges();
+  });
+}
+
+// ============================================
+// RE-INDEXING
+// ============================================
+
+/**
+ * Rebuild all of a user's vectors from the source tables, and report how far the store and
+ * vector_metadata had drifted from them:
+ * - missing: records with no vector in the store
+ * - changed: vectors made from text the record no longer has
+ * - otherModel: vectors made by another embedding model
+ * - untracked: vectors in the store missing from vector_metadata
+ * - orphaned: vectors (or tracking rows) whose record is gone - these are deleted
+ * With dryRun nothing is written. Unchanged texts come from the embedding cache, so rebuilding
+ * costs little beyond what drifted. Changes noted for the user are applied first, so the
+ * report shows drift rather than what the sync has yet to do; the local store lists only the
+ * user's vectors, Pinecone lists the whole index.
+ */
+export async function reindexUser(userId, { dryRun = false, onProgress } = {}) {
+  const model = getEmbeddingModel().id;
+  const report = { model, records: 0, vectors: 0, missing: 0, changed: 0, otherModel: 0, untracked: 0, orphaned: 0, reindexed: 0 };
+
+  if (!dryRun) {
+    await syncUserChanges(userId);
+  }
+
+  // What the source tables say should be there
+  const expected = new Map();
+  for (const type of MEMORY_TYPES) {
+    for (const [key, row] of await loadRecords(userId, type)) {
+      const text = textOf(type, row);
+      expected.set(SOURCES[type].vectorId(userId, key), { type, key, row, text });
+    }
+  }
+
+  // What the store holds, and the records its vectors say they came from
+  const stored = new Map();
+  const sources = new Map();
+  const store = getVectorStore();
+  let cursor = null;
+  do {
+    const page = await store.list({ cursor, limit: REINDEX_BATCH_SIZE, filter: { userId: { $eq: userId } } });
+    for (const vector of page.vectors) {
+      stored.set(vector.id, vector.metadata.embeddingModel || LEGACY_EMBEDDING_MODEL);
+      sources.set(vector.id, { type: vector.metadata.type, key: recordKey(vector.metadata) });
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  // What was tracked
+  const trackedResult = await client.execute({
+    sql: 'SELECT pinecone_id, content_hash, record_type, record_id FROM vector_metadata WHERE user_id = ?',
+    args: [userId]
+  });
+  const tracked = new Map(trackedResult.rows.map(row => [row.pinecone_id, row.content_hash]));
+  for (const row of trackedResult.rows) {
+    if (!sources.has(row.pinecone_id)) {
+      sources.set(row.pinecone_id, { type: row.record_type, key: row.record_id });
+    }
+  }
+
+  for (const [vectorId, { text }] of expected) {
+    if (!stored.has(vectorId)) {
+      report.missing++;
+      continue;
+    }
+    if (stored.get(vectorId) !== model) report.otherModel++;
+    if (!tracked.has(vectorId)) {
+      report.untracked++;
+    } else if (tracked.get(vectorId) !== contentHash(text)) {
+      report.changed++;
+    }
+  }
+
+  const orphans = [...new Set([...stored.keys(), ...tracked.keys()])].filter(vectorId => !expected.has(vectorId));
+  report.records = expected.size;
+  report.vectors = stored.size;
+  report.orphaned = orphans.length;
+
+  if (dryRun) {
+    return report;
+  }
+
+  const entries = [...expected.values()];
+  for (let i = 0; i < entries.length; i += REINDEX_BATCH_SIZE) {
+    const batch = entries.slice(i, i + REINDEX_BATCH_SIZE);
+    // Embedding calls made together go out as one batch
+    const embeddings = await Promise.all(batch.map(({ text }) => generateEmbedding(text, { userId, purpose: 'reindex' })));
+    for (const [j, { type, key, row, text }] of batch.entries()) {
+      await writeVector(userId, type, key, row, text, embeddings[j]);
+    }
+    report.reindexed += batch.length;
+    onProgress?.(report);
+  }
+
+  // Records saved while this ran have vectors that were not expected: apply what was noted
+  // meanwhile, and only delete the vectors whose record is still gone
+  await syncUserChanges(userId);
+  const gone = [];
+  for (const vectorId of orphans) {
+    const { type, key } = sources.get(vectorId) || {};
+    const current = SOURCES[type] && key && SOURCES[type].vectorId(userId, key) === vectorId
+      && (await loadRecords(userId, type, [key])).has(key);
+    if (!current) gone.push(vectorId);
+  }
+  report.orphaned = gone.length;
+
+  await removeVectors(gone);
+  return report;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Search the user's records by meaning. Best matches first; each result is
+ * { type, id, score, title, excerpt, createdAt, record } where record is the source row.
+ * Options: types (some of MEMORY_TYPES), from / to (dates or timestamps, both inclusive), limit.
+ * Records without a createdAt in their vector (indexed before it was recorded) only show up
+ * in searches without dates.
+ */
+export async function searchMemory(userId, query, { types, from, to, limit } = {}) {
+  const size = pageSize(limit, 10);
+  const filter = { userId: { $eq: userId } };
+  if (types?.length > 0) {
+    filter.type = { $in: types };
+  }
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: Date.parse(from) }),
+      // A bare date as the upper bound takes in the whole day
+      ...(to && { $lte: /^\d{4}-\d{2}-\d{2}$/.test(to) ? Date.parse(to) + DAY_MS - 1 : Date.parse(to) })
+    };
+  }
+
+  const embedding = await generateEmbedding(query, { userId, purpose: 'memory_search' });
+  // Some matches may point at records deleted or abandoned since, so ask for a few extra
+  const matches = (await queryVectors(embedding, size * 2, filter))
+    .filter(match => SOURCES[match.metadata.type] && !(match.score < MIN_SCORE));
+
+  const records = new Map();
+  for (const type of new Set(matches.map(match => match.metadata.type))) {
+    const keys = matches.filter(match => match.metadata.type === type).map(match => recordKey(match.metadata));
+    records.set(type, await loadRecords(userId, type, keys.filter(Boolean)));
+  }
+
+  const seen = new Set();
+  const results = [];
+  for (const match of matches) {
+    const { type } = match.metadata;
+    const record = records.get(type).get(recordKey(match.metadata));
+    // Replies of abandoned branches (see threads.js) stay out
+    if (!record || record.active === 0 || seen.has(`${type}:${record.id}`)) continue;
+    seen.add(`${type}:${record.id}`);
+
+    results.push({
+      type,
+      id: record.id,
+      score: match.score,
+      title: truncate(SOURCES[type].title(record), TITLE_LENGTH),
+      excerpt: truncate(SOURCES[type].text(record), EXCERPT_LENGTH),
+      createdAt: record.created_at,
+      record
+    });
+  }
+
+  return results.slice(0, size);
+}
+
+export default {
+  MEMORY_TYPES,
+  recordKey,
+  sourceText,
+  trackVectors,
+  removeVectors,
+  indexRecord,
+  storeConversationEmbedding,
+  syncVectorChanges,
+  syncUserChanges,
+  initializeVectorSync,
+  reindexUser,
+  searchMemory
+};
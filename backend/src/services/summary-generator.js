@@ -2,6 +2,7 @@ import cron from 'node-cron';
 import { client } from '../models/database.js';
 import { processWithClaude } from './anthropic.js';
 import { sendEmail } from './gmail.js';
+import { emitToUser } from './realtime.js';
 import { randomUUID as uuidv4 } from 'crypto';
 
 // Generate summary for a user
@@ -84,7 +85,10 @@ ${summaryData.ideasSaved.map(i => `  - ${i.title} (${i.type})`).join('\n') || '
 
 Write a brief 2-3 sentence summary highlighting key accomplishments and what's coming up. Be direct and actionable.`;
 
-  const aiSummary = await processWithClaude(prompt, 'You are an executive assistant providing daily briefings.');
+  const aiSummary = await processWithClaude(prompt, 'You are an executive assistant providing daily briefings.', {
+    userId,
+    purpose: 'daily_summary'
+  });
 
   // Store the summary
   const summaryId = uuidv4();
@@ -168,7 +172,7 @@ Smart Idea Manager - Your AI Assistant
 }
 
 // Initialize 12-hour summary scheduler
-export function initializeSummaryScheduler(io) {
+export function initializeSummaryScheduler() {
   // Run at 6 AM and 6 PM every day
   cron.schedule('0 6,18 * * *', async () => {
     console.log('Running 12-hour summary generation...');
@@ -186,15 +190,13 @@ export function initializeSummaryScheduler(io) {
           // Send email
           await sendSummaryEmail(user.id, summary);
 
-          // Also emit via WebSocket if user is connected
-          if (io) {
-            io.to(user.id).emit('summary', {
-              type: '12_hour_summary',
-              summary: summary.summaryText,
-              data: summary.data,
-              timestamp: new Date().toISOString()
-            });
-          }
+          // Also push via WebSocket (replayed on reconnect if the user is offline)
+          await emitToUser(user.id, 'summary', {
+            type: '12_hour_summary',
+            summary: summary.summaryText,
+            data: summary.data,
+            timestamp: new Date().toISOString()
+          });
 
           console.log(`Summary generated and sent for user: ${user.id}`);
         } catch (error) {
@@ -210,21 +212,19 @@ export function initializeSummaryScheduler(io) {
 }
 
 // Manual trigger for testing
-export async function triggerSummaryForUser(userId, io) {
+export async function triggerSummaryForUser(userId) {
   const summary = await generateUserSummary(userId, 12);
 
   // Send email
   await sendSummaryEmail(userId, summary);
 
   // Emit via WebSocket
-  if (io) {
-    io.to(userId).emit('summary', {
-      type: '12_hour_summary',
-      summary: summary.summaryText,
-      data: summary.data,
-      timestamp: new Date().toISOString()
-    });
-  }
+  await emitToUser(userId, 'summary', {
+    type: '12_hour_summary',
+    summary: summary.summaryText,
+    data: summary.data,
+    timestamp: new Date().toISOString()
+  });
 
   return summary;
 }
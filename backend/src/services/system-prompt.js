@@ -0,0 +1,287 @@
+/**
+ * System Prompt
+ * Composes the agent's system prompt from sections - identity, user context, tool guidance,
+ * formatting, policies - shaped by the assistant settings on the user's profile:
+ * - assistant_name and persona (a preset), plus persona_instructions the user writes themselves
+ * - communication_style as the tone, response_language and response_format
+ * - money_focus_mode and proactive_enabled switch their parts of the prompt on or off
+ */
+
+import { getOrCreateProfile, getPersonalizedContext } from './personalization.js';
+import { buildToolPromptSection } from '../tools/index.js';
+import { getCaptureFeedback, CONFIDENCE_THRESHOLD } from './captures.js';
+
+const DEFAULT_ASSISTANT_NAME = 'Shree AI';
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+// Free-text settings are capped so a profile cannot crowd out the rest of the prompt
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+export const PERSONAS = {
+  life_coach: {
+    identity: 'a highly personalized proactive life assistant. You deeply care about the user\'s success, wellbeing, and financial growth.',
+    closing: 'Always be supportive, personal, and focused on helping the user achieve their financial and personal goals while maintaining their wellbeing.'
+  },
+  assistant: {
+    identity: 'a capable personal assistant. You keep the user\'s tasks, notes and plans in order and get things done with little back-and-forth.',
+    closing: 'Be accurate and efficient. Suggest next steps only when they are clearly useful.'
+  },
+  companion: {
+    identity: 'a warm, attentive companion. You look out for the user\'s wellbeing first and help with their plans along the way.',
+    closing: 'Be kind and encouraging, and check in on how the user is doing when it fits the conversation.'
+  }
+};
+
+// communication_style
+export const TONES = {
+  friendly: 'Warm and casual. Be direct and natural, like talking to a friend.',
+  professional: 'Polite and professional. No slang, and no emojis unless the user uses them.',
+  concise: 'As brief as possible. Answer first, skip pleasantries, and keep to a few sentences unless asked for more.',
+  detailed: 'Thorough. Explain your reasoning, give context and options, and spell out steps.'
+};
+
+export const RESPONSE_FORMATS = {
+  chat: `- NO markdown headers (no # or ##)
+- NO bullet points with asterisks
+- NO hashtags
+- Write in simple conversational style like WhatsApp chat
+- Use line breaks for separation
+- Emojis are okay but sparingly`,
+  markdown: `- Markdown is allowed: headers, bullet and numbered lists, tables and code blocks
+- Use them where they make the answer easier to scan (tables for comparisons, lists for steps)
+- Keep short answers as plain sentences
+- Emojis are okay but sparingly`
+};
+
+function pick(options, key, fallback) {
+  return Object.hasOwn(options, key || '') ? options[key] : options[fallback];
+}
+
+function cap(text) {
+  return text ? String(text).trim().substring(0, MAX_INSTRUCTIONS_LENGTH) : '';
+}
+
+// ============================================
+// SECTIONS
+// ============================================
+
+function identitySection({ profile }) {
+  const persona = pick(PERSONAS, profile.persona, 'life_coach');
+  const instructions = cap(profile.persona_instructions);
+
+  return `You are ${cap(profile.assistant_name) || DEFAULT_ASSISTANT_NAME}, ${persona.identity}${instructions ? `
+
+HOW THE USER WANTS YOU TO BE (follow this over the defaults below):
+${instructions}` : ''}`;
+}
+
+function dateSection({ profile }) {
+  const now = new Date();
+  let timeZone = profile.timezone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-IN', { timeZone });
+  } catch {
+    timeZone = DEFAULT_TIMEZONE;
+  }
+
+  return `CURRENT DATE & TIME:
+- Date: ${now.toLocaleDateString('en-IN', { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+- Time: ${now.toLocaleTimeString('en-IN', { timeZone, hour: '2-digit', minute: '2-digit', hour12: true })}
+- Year: ${now.getFullYear()}
+- Timezone: ${timeZone}`;
+}
+
+function userContextSection({ userContext }) {
+  if (!userContext) {
+    return '';
+  }
+  const { profile } = userContext;
+
+  const lines = [
+    `- Name: ${profile.name || 'User'}`,
+    profile.schedule?.work_start && `- Work hours: ${profile.schedule.work_start} to ${profile.schedule.work_end}`,
+    profile.financial_goal && `- Financial goal: ${profile.financial_goal}`,
+    userContext.income_sources?.length > 0 && `- Top income sources: ${userContext.income_sources.map(s => `${s.name} (₹${s.hourly_rate}/hr)`).join(', ')}`,
+    userContext.protected_time_blocks?.length > 0 && `- Protected time blocks: ${userContext.protected_time_blocks.map(b => `${b.name} (${b.time})`).join(', ')}`,
+    userContext.active_goals?.length > 0 && `- Active goals: ${userContext.active_goals.slice(0, 3).map(g => g.progress ? `${g.title} (${g.progress})` : g.title).join(', ')}`,
+    userContext.recent_mood && `- Recent mood: ${userContext.recent_mood}`,
+    userContext.personality_notes && `- Notes: ${userContext.personality_notes}`
+  ].filter(Boolean);
+
+  return `USER CONTEXT (Use this to personalize your responses):
+${lines.join('\n')}`;
+}
+
+// The money-time philosophy is part of the prompt only while money focus mode is on
+function focusSection({ profile }) {
+  if (profile.money_focus_mode === 0) {
+    return '';
+  }
+
+  return `CORE PHILOSOPHY - MONEY-TIME OPTIMIZATION:
+You are acutely aware that the user is working hard to maximize their income while maintaining work-life balance. Your primary goal is to help them:
+1. PRIORITIZE high-ROI tasks (money earned per hour spent)
+2. PROTECT their study/focus time blocks
+3. BATCH similar tasks to save time
+4. IDENTIFY time-wasters and suggest optimizations
+5. CELEBRATE wins and track progress
+
+When the user mentions tasks or asks what to do:
+- Always consider money impact and time required
+- Suggest the highest priority task first
+- Remind them of protected time blocks if relevant
+- Offer to log time saved when you help them be more efficient`;
+}
+
+function toolGuidanceSection({ enabledTools, captureFeedback }) {
+  return `TOOL CATEGORIES:
+
+${buildToolPromptSection(enabledTools)}
+
+AUTONOMOUS DATA CAPTURE - CRITICAL:
+
+YOU MUST AUTOMATICALLY USE TOOLS when you detect these patterns. Do NOT ask permission - just do it silently:
+
+MONEY/INCOME (auto-trigger log_income):
+- "I earned...", "got paid...", "received payment...", "made money..."
+- "client paid me...", "freelance gig...", "sold for..."
+- ANY mention of earning money with an amount → LOG IT IMMEDIATELY
+
+GOALS/COMMITMENTS (auto-trigger create_goal):
+- "I want to...", "my goal is...", "I'm planning to..."
+- "I need to achieve...", "target is...", "aiming for..."
+- ANY future intention or target → CREATE GOAL IMMEDIATELY
+
+MOOD/FEELINGS (auto-trigger log_mood):
+- "feeling...", "I'm...", emotional words (stressed, happy, tired, anxious, excited)
+- Detect mood from context even if not explicit
+- ANY emotional state detected → LOG IT SILENTLY
+
+SLEEP (auto-trigger log_sleep):
+- "slept for...", "got X hours sleep", "woke up at..."
+- "couldn't sleep", "slept well/badly"
+- ANY sleep mention → LOG IT SILENTLY
+
+EXERCISE (auto-trigger log_exercise):
+- "went to gym", "did workout", "ran/walked X km"
+- "yoga", "exercise", "played sports"
+- ANY physical activity → LOG IT SILENTLY
+
+CONTACTS (auto-trigger add_contact):
+- "my friend John...", "my boss Sarah...", "talked to mom..."
+- ANY person mentioned with relationship context → SAVE CONTACT
+
+PROFILE INFO (auto-trigger update_my_profile):
+- "I prefer...", "I usually...", "my schedule is..."
+- "I work from...", "I wake up at..."
+- ANY personal preference or routine → UPDATE PROFILE
+
+IMPORTANT:
+- Execute these tools IN ADDITION to answering the user's question
+- Don't announce "I'm logging this..." - just do it silently
+- The user should feel like you magically remember everything
+- After tool execution, respond naturally without mentioning you saved data
+- Pass capture_confidence (0-1) on these calls. Everything captured this way is listed in the user's
+  "captured for you" feed with their message; below ${CONFIDENCE_THRESHOLD} it is held there until they confirm it
+${captureFeedback}
+
+REMEMBER / FORGET (only when the user asks explicitly):
+- "remember that...", "note that...", "don't forget..." → remember_fact, one call per fact
+- A correction of a fact you were shown ("my GST number changed to...") → remember_fact with replaces_fact_id
+- "forget...", "delete what I said about..." → recall_facts, then forget_facts with the matching IDs
+- Facts listed under FACTS THE USER ASKED YOU TO REMEMBER are current - prefer them over older conversations
+
+ACTIONS THAT NEED APPROVAL:
+- When user says "post to LinkedIn" or "send the email" → call the tool DIRECTLY, do NOT check status first
+- Do NOT ask for confirmation in chat - the app shows the user a preview to approve
+- If a tool result says "pending": true, the action has NOT happened yet
+- Then tell the user briefly what is waiting for their approval - never claim it was sent/posted/deleted
+- Do NOT call the same tool again for a pending action
+- If a tool fails, explain the error
+
+WEB SEARCH IS MANDATORY when user asks about:
+- "Latest", "recent", "current" anything, or a specific recent year
+- News, trends, research, updates
+- Any information that could have changed after your training
+- Facts you're not 100% sure about
+- ALWAYS use search_web tool for such queries - NEVER rely on training data alone!`;
+}
+
+function formattingSection({ profile }) {
+  const language = cap(profile.response_language);
+
+  return `RESPONSE STYLE:
+Tone: ${pick(TONES, profile.communication_style, 'friendly')}
+Language: ${language ? `Always reply in ${language}, whatever language the user writes in.` : 'Reply in the language the user writes in.'}
+Format:
+${pick(RESPONSE_FORMATS, profile.response_format, 'chat')}`;
+}
+
+function policiesSection({ profile }) {
+  const persona = pick(PERSONAS, profile.persona, 'life_coach');
+  const proactive = profile.proactive_enabled !== 0
+    ? `PROACTIVE SUGGESTIONS:
+- If you notice the user is working during their protected time, gently remind them
+- Suggest batching similar tasks when you see patterns
+- Celebrate streaks and progress on goals
+- Remind about upcoming deadlines naturally in conversation
+
+`
+    : '';
+
+  return `${proactive}DATE AWARENESS:
+- Always be aware of the current date provided above
+- Reference dates correctly (today, yesterday, next week etc.)
+- Never give outdated information - search if unsure
+
+CONVERSATION CONTINUITY:
+- Earlier messages of this conversation thread are included above the latest message
+- Related snippets from other conversations may be provided below
+- Ask for clarification if something is unclear from previous context
+
+${persona.closing}`;
+}
+
+const SECTIONS = [
+  identitySection,
+  dateSection,
+  userContextSection,
+  focusSection,
+  toolGuidanceSection,
+  formattingSection,
+  policiesSection
+];
+
+// ============================================
+// COMPOSITION
+// ============================================
+
+/**
+ * Compose the system prompt for one agent run.
+ * enabledTools are the tool definitions this user has on; context (see context-builder.js) is appended as-is.
+ */
+export async function buildSystemPrompt(userId, { enabledTools = [], context = '' } = {}) {
+  // The profile first: on a user's first message it is created here, and the context reuses it
+  const profile = await getOrCreateProfile(userId).catch(error => {
+    console.error('Could not load profile for the system prompt:', error.message);
+    return {};
+  });
+  const [userContext, captureFeedback] = await Promise.all([
+    getPersonalizedContext(userId),
+    getCaptureFeedback(userId)
+  ]);
+
+  const input = { profile, userContext, enabledTools, captureFeedback };
+  const sections = SECTIONS.map(section => section(input));
+  if (context) {
+    sections.push(context);
+  }
+
+  return sections.filter(Boolean).join('\n\n');
+}
+
+export default {
+  PERSONAS,
+  TONES,
+  RESPONSE_FORMATS,
+  buildSystemPrompt
+};
@@ -0,0 +1,631 @@
+/**
+ * Threads Service
+ * Conversation threads: creation, titles, listing, archive/delete and per-thread history,
+ * the processing status of each user message, and branches - editing a message or
+ * regenerating a reply forks the thread, and the user can switch between the alternatives
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { processWithClaude } from './anthropic.js';
+import { emitToUser } from './realtime.js';
+import { INSTANCE_ID, ownedByStoppedInstance } from './instances.js';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+
+function formatThread(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    archived: row.archived === 1,
+    lastMessageAt: row.last_message_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// ============================================
+// THREADS
+// ============================================
+
+/**
+ * Create a thread; the title is filled in after the first exchange if not given
+ */
+export async function createThread(userId, title = null) {
+  const id = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO threads (id, user_id, title) VALUES (?, ?, ?)',
+    args: [id, userId, title]
+  });
+  return await getThread(userId, id);
+}
+
+/**
+ * Get a thread owned by the user
+ */
+export async function getThread(userId, threadId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM threads WHERE id = ? AND user_id = ?',
+    args: [threadId, userId]
+  });
+  return result.rows.length > 0 ? formatThread(result.rows[0]) : null;
+}
+
+/**
+ * List threads by most recent activity, newest first
+ */
+export async function listThreads(userId, { archived = false, limit, cursor } = {}) {
+  const size = pageSize(limit, 30);
+  const after = decodeCursor(cursor);
+
+  const result = await client.execute({
+    sql: `SELECT * FROM threads
+          WHERE user_id = ? AND archived = ?
+          ${after ? 'AND (last_message_at < ? OR (last_message_at = ? AND id < ?))' : ''}
+          ORDER BY last_message_at DESC, id DESC
+          LIMIT ?`,
+    args: after
+      ? [userId, archived ? 1 : 0, after.at, after.at, after.id, size + 1]
+      : [userId, archived ? 1 : 0, size + 1]
+  });
+
+  const rows = result.rows.slice(0, size);
+  const last = rows[rows.length - 1];
+
+  return {
+    threads: rows.map(formatThread),
+    nextCursor: result.rows.length > size ? encodeCursor({ at: last.last_message_at, id: last.id }) : null
+  };
+}
+
+/**
+ * Rename and/or archive a thread
+ */
+export async function updateThread(userId, threadId, { title, archived } = {}) {
+  const fields = [];
+  const args = [];
+
+  if (title !== undefined) {
+    fields.push('title = ?');
+    args.push(title);
+  }
+  if (archived !== undefined) {
+    fields.push('archived = ?');
+    args.push(archived ? 1 : 0);
+  }
+  if (fields.length === 0) {
+    return await getThread(userId, threadId);
+  }
+
+  const result = await client.execute({
+    sql: `UPDATE threads SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+    args: [...args, threadId, userId]
+  });
+  if (result.rowsAffected === 0) {
+    return null;
+  }
+
+  const thread = await getThread(userId, threadId);
+  await emitToUser(userId, 'thread_updated', { thread });
+  return thread;
+}
+
+/**
+ * Delete a thread and its messages
+ */
+export async function deleteThread(userId, threadId) {
+  const thread = await getThread(userId, threadId);
+  if (!thread) {
+    return false;
+  }
+
+  await client.batch([
+    { sql: 'DELETE FROM conversations WHERE thread_id = ? AND user_id = ?', args: [threadId, userId] },
+    { sql: 'DELETE FROM conversation_branches WHERE thread_id = ? AND user_id = ?', args: [threadId, userId] },
+    { sql: 'DELETE FROM threads WHERE id = ? AND user_id = ?', args: [threadId, userId] }
+  ], 'write');
+
+  await emitToUser(userId, 'thread_deleted', { threadId });
+  return true;
+}
+
+/**
+ * Delete a thread that has no messages yet (one started for a message that was never stored)
+ */
+export async function deleteEmptyThread(userId, threadId) {
+  await client.execute({
+    sql: `DELETE FROM threads WHERE id = ? AND user_id = ?
+            AND NOT EXISTS (SELECT 1 FROM conversations WHERE thread_id = ?)`,
+    args: [threadId, userId, threadId]
+  });
+}
+
+/**
+ * Bump a thread to the top of the list after a new message (and bring it back from the archive)
+ */
+export async function touchThread(threadId) {
+  await client.execute({
+    sql: 'UPDATE threads SET last_message_at = CURRENT_TIMESTAMP, archived = 0 WHERE id = ?',
+    args: [threadId]
+  });
+}
+
+/**
+ * Give an untitled thread a short title from its first exchange
+ */
+export async function generateThreadTitle(userId, threadId, userMessage, assistantReply) {
+  try {
+    const thread = await getThread(userId, threadId);
+    if (!thread || thread.title) return;
+
+    const title = await processWithClaude(
+      `User: ${userMessage.substring(0, 1000)}\n\nAssistant: ${assistantReply.substring(0, 1000)}`,
+      'Write a title of at most 6 words for this conversation. Reply with the title only - no quotes, no trailing punctuation.',
+      { userId, purpose: 'thread_title' }
+    );
+
+    const cleaned = title.trim().replace(/^["']|["'.]$/g, '').substring(0, 80);
+    if (!cleaned) return;
+
+    // Only fill in a title the user has not set in the meantime
+    await client.execute({
+      sql: 'UPDATE threads SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND title IS NULL',
+      args: [cleaned, threadId]
+    });
+
+    await emitToUser(userId, 'thread_updated', { thread: await getThread(userId, threadId) });
+  } catch (error) {
+    console.error('Error generating thread title:', error);
+  }
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Page through a user's messages newest first, optionally within one thread.
+ * Rows are ordered by rowid, which follows insertion order even within the same second.
+ * Only the branch on screen is listed; within a thread, edited messages and regenerated replies
+ * carry alternatives: { index, ids } with every version, oldest first.
+ */
+export async function getMessages(userId, { threadId, limit, cursor } = {}) {
+  const size = pageSize(limit, 50);
+  const before = decodeCursor(cursor);
+
+  const conditions = ['user_id = ?', 'active = 1'];
+  const args = [userId];
+  if (threadId) {
+    conditions.push('thread_id = ?');
+    args.push(threadId);
+  }
+  if (before) {
+    conditions.push('rowid < ?');
+    args.push(before.rowid);
+  }
+
+  const result = await client.execute({
+    sql: `SELECT rowid, id, thread_id, message, response, role, metadata, status, alt_of, created_at FROM conversations
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY rowid DESC
+          LIMIT ?`,
+    args: [...args, size + 1]
+  });
+
+  const rows = result.rows.slice(0, size);
+  const alternatives = threadId ? await getAlternatives(threadId, rows) : new Map();
+
+  return {
+    messages: rows.map(({ rowid, metadata, alt_of: altOf, ...row }) => {
+      const meta = metadata ? JSON.parse(metadata) : {};
+      const versions = alternatives.get(altOf || row.id);
+      return {
+        ...row,
+        status: row.status || null,
+        executionId: meta.executionId || null,
+        planId: meta.planId || null,
+        alternatives: versions?.length > 1 ? { index: versions.indexOf(row.id), ids: versions } : null
+      };
+    }),
+    nextCursor: result.rows.length > size ? encodeCursor({ rowid: rows[rows.length - 1].rowid }) : null
+  };
+}
+
+/**
+ * Load the last turns of a thread as Claude message history, oldest first.
+ * Consecutive same-role rows are merged and the history always starts with a user turn.
+ */
+export async function getThreadHistory(userId, threadId, maxMessages = 20, { beforeRowid } = {}) {
+  const cursor = beforeRowid ? encodeCursor({ rowid: beforeRowid }) : undefined;
+  const { messages } = await getMessages(userId, { threadId, limit: maxMessages, cursor });
+
+  const history = [];
+  for (const row of messages.reverse()) {
+    const role = row.role === 'assistant' ? 'assistant' : 'user';
+    const content = role === 'assistant' ? row.response : row.message;
+    if (!content) continue;
+
+    const previous = history[history.length - 1];
+    if (previous?.role === role) {
+      previous.content += `\n\n${content}`;
+    } else {
+      history.push({ role, content });
+    }
+  }
+
+  while (history.length > 0 && history[0].role !== 'user') {
+    history.shift();
+  }
+
+  return history;
+}
+
+// ============================================
+// MESSAGE STATUS
+// ============================================
+
+/**
+ * Store a user message as queued, in the branch on screen; altOf is the message it is an edit of.
+ * With a clientKey (the sender's Idempotency-Key) returns null instead when a message with that key
+ * already exists, so a retried request is not stored twice.
+ */
+export async function addUserMessage(userId, threadId, message, { clientKey, altOf } = {}) {
+  const id = uuidv4();
+  const branchId = await getActiveBranchId(threadId);
+  const result = await client.execute({
+    sql: `INSERT INTO conversations (id, user_id, thread_id, message, role, status, client_key, branch_id, alt_of, instance_id)
+          VALUES (?, ?, ?, ?, 'user', 'queued', ?, ?, ?, ?)
+          ON CONFLICT DO NOTHING`,
+    args: [id, userId, threadId, message, clientKey || null, storedBranchId(threadId, branchId), altOf || null, INSTANCE_ID]
+  });
+  return result.rowsAffected > 0 ? id : null;
+}
+
+/**
+ * Store an assistant reply; returns its id. It goes into the branch on screen, unless the user
+ * switched to one without the message it answers (replyTo) in the meantime - then into that
+ * message's branch, out of view. altOf is the reply it regenerates.
+ */
+export async function addAssistantMessage(userId, threadId, { message, response, metadata = {}, replyTo, altOf } = {}) {
+  const id = uuidv4();
+  const activeBranchId = await getActiveBranchId(threadId);
+  const question = replyTo ? await getMessage(userId, replyTo) : null;
+  const branchId = !question || question.active ? activeBranchId : branchOf(question);
+
+  await client.execute({
+    sql: `INSERT INTO conversations (id, user_id, thread_id, message, response, role, metadata, branch_id, reply_to, alt_of, active)
+          VALUES (?, ?, ?, ?, ?, 'assistant', ?, ?, ?, ?, ?)`,
+    args: [
+      id, userId, threadId, message, response, JSON.stringify(metadata),
+      storedBranchId(threadId, branchId), replyTo || null, altOf || null, branchId === activeBranchId ? 1 : 0
+    ]
+  });
+  return id;
+}
+
+/**
+ * The user message sent with an Idempotency-Key, or null
+ */
+export async function findMessageByKey(userId, clientKey) {
+  const result = await client.execute({
+    sql: 'SELECT id, thread_id, status, result, error FROM conversations WHERE user_id = ? AND client_key = ?',
+    args: [userId, clientKey]
+  });
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    status: row.status,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error
+  };
+}
+
+/**
+ * Move a user message to running, done (with the response sent for it) or failed (with the error).
+ * The message is stamped with this server instance, which is now the one answering it. A response
+ * already stored is kept when none is given.
+ */
+export async function setMessageStatus(messageId, status, { result, error } = {}) {
+  await client.execute({
+    sql: 'UPDATE conversations SET status = ?, result = COALESCE(?, result), error = ?, instance_id = ? WHERE id = ?',
+    args: [status, result ? JSON.stringify(result) : null, error || null, INSTANCE_ID, messageId]
+  });
+}
+
+/**
+ * Move a stored user message to running to answer or edit it again; false when it is already
+ * queued or running, or out of view, so two requests cannot act on it at once
+ */
+export async function claimMessage(messageId) {
+  const result = await client.execute({
+    sql: `UPDATE conversations SET status = 'running', error = NULL, instance_id = ?
+          WHERE id = ? AND active = 1 AND (status IS NULL OR status NOT IN ('queued', 'running'))`,
+    args: [INSTANCE_ID, messageId]
+  });
+  return result.rowsAffected > 0;
+}
+
+/**
+ * Messages that were being answered on a server instance that has stopped are marked failed, so a
+ * reload shows them as unanswered. Messages other live instances are answering are left alone.
+ */
+export async function failInterruptedMessages() {
+  try {
+    await client.execute(`
+      UPDATE conversations SET status = 'failed', error = 'Interrupted by a server restart'
+      WHERE status IN ('queued', 'running') AND ${ownedByStoppedInstance('instance_id')}
+    `);
+  } catch (error) {
+    console.error('Error recovering interrupted messages:', error);
+  }
+}
+
+// ============================================
+// BRANCHES
+// ============================================
+
+// Rows of a thread's first branch keep branch_id NULL; that branch's id is the thread's
+function branchOf(row) {
+  return row.branch_id || row.thread_id;
+}
+
+function storedBranchId(threadId, branchId) {
+  return branchId === threadId ? null : branchId;
+}
+
+async function getActiveBranchId(threadId) {
+  const result = await client.execute({
+    sql: 'SELECT active_branch_id FROM threads WHERE id = ?',
+    args: [threadId]
+  });
+  return result.rows[0]?.active_branch_id || threadId;
+}
+
+async function loadBranches(threadId) {
+  const result = await client.execute({
+    sql: 'SELECT id, parent_branch_id, fork_rowid, selected_at FROM conversation_branches WHERE thread_id = ?',
+    args: [threadId]
+  });
+  return new Map(result.rows.map(row => [row.id, row]));
+}
+
+// The branches whose rows a branch shows, each with the rowid its rows are shown below
+function lineage(branchId, branches) {
+  const visible = new Map([[branchId, Infinity]]);
+  let limit = Infinity;
+  let branch = branches.get(branchId);
+  while (branch?.parent_branch_id) {
+    limit = Math.min(limit, branch.fork_rowid);
+    visible.set(branch.parent_branch_id, limit);
+    branch = branches.get(branch.parent_branch_id);
+  }
+  return visible;
+}
+
+function shows(visible, row) {
+  const limit = visible.get(branchOf(row));
+  return limit !== undefined && row.rowid < limit;
+}
+
+// Every version of the messages given (an original and its edits or regenerations), by original id
+async function getAlternatives(threadId, rows) {
+  const originals = [...new Set(rows.map(row => row.alt_of || row.id))];
+  if (originals.length === 0) {
+    return new Map();
+  }
+
+  const result = await client.execute({
+    sql: `SELECT id, alt_of FROM conversations
+          WHERE thread_id = ? AND (id IN (SELECT value FROM json_each(?)) OR alt_of IN (SELECT value FROM json_each(?)))
+          ORDER BY rowid`,
+    args: [threadId, JSON.stringify(originals), JSON.stringify(originals)]
+  });
+
+  const versions = new Map();
+  for (const row of result.rows) {
+    const original = row.alt_of || row.id;
+    versions.set(original, [...(versions.get(original) || []), row.id]);
+  }
+  return versions;
+}
+
+// Show the rows of the thread's active branch and hide the rest; returns the rows that were hidden
+async function refreshActiveRows(threadId) {
+  const [branches, activeBranchId, result] = await Promise.all([
+    loadBranches(threadId),
+    getActiveBranchId(threadId),
+    client.execute({
+      sql: 'SELECT rowid, id, thread_id, branch_id, role, metadata, active FROM conversations WHERE thread_id = ?',
+      args: [threadId]
+    })
+  ]);
+  const visible = lineage(activeBranchId, branches);
+
+  const shown = [];
+  const hidden = [];
+  for (const row of result.rows) {
+    const active = shows(visible, row);
+    if (active && row.active !== 1) shown.push(row);
+    if (!active && row.active === 1) hidden.push(row);
+  }
+
+  const update = (rows, active) => ({
+    sql: 'UPDATE conversations SET active = ? WHERE id IN (SELECT value FROM json_each(?))',
+    args: [active, JSON.stringify(rows.map(row => row.id))]
+  });
+  // A summary that covers rows which changed sides no longer fits the branch; it is rebuilt from the rows on screen
+  const firstChanged = Math.min(...[...shown, ...hidden].map(row => row.rowid));
+  await client.batch([
+    update(shown, 1),
+    update(hidden, 0),
+    {
+      sql: 'UPDATE threads SET summary = NULL, summary_upto = NULL WHERE id = ? AND summary_upto >= ?',
+      args: [threadId, Number.isFinite(firstChanged) ? firstChanged : Number.MAX_SAFE_INTEGER]
+    }
+  ], 'write');
+
+  return hidden;
+}
+
+// What the replies among the rows did through tools and still stands: changes that were
+// not undone, and actions still waiting for approval
+async function getSideEffects(userId, rows) {
+  const executionIds = rows
+    .filter(row => row.role === 'assistant' && row.metadata)
+    .map(row => JSON.parse(row.metadata).executionId)
+    .filter(Boolean);
+  if (executionIds.length === 0) {
+    return [];
+  }
+
+  const [changes, pending] = await Promise.all([
+    client.execute({
+      sql: `SELECT id, tool_name, description, undoable FROM undo_log
+            WHERE user_id = ? AND status = 'applied' AND execution_id IN (SELECT value FROM json_each(?))
+            ORDER BY rowid`,
+      args: [userId, JSON.stringify(executionIds)]
+    }),
+    client.execute({
+      sql: `SELECT id, tool_name, preview FROM pending_actions
+            WHERE user_id = ? AND status = 'pending' AND execution_id IN (SELECT value FROM json_each(?))
+            ORDER BY created_at`,
+      args: [userId, JSON.stringify(executionIds)]
+    })
+  ]);
+
+  return [
+    ...changes.rows.map(row => ({
+      type: 'change', id: row.id, tool: row.tool_name, description: row.description, undoable: row.undoable === 1
+    })),
+    ...pending.rows.map(row => ({
+      type: 'pending_action', id: row.id, tool: row.tool_name, description: row.preview, undoable: false
+    }))
+  ];
+}
+
+/**
+ * A message of the user's, with what branching needs (rowid, branch_id, reply_to, alt_of), or null
+ */
+export async function getMessage(userId, messageId) {
+  const result = await client.execute({
+    sql: 'SELECT rowid, * FROM conversations WHERE id = ? AND user_id = ?',
+    args: [messageId, userId]
+  });
+  return result.rows[0] || null;
+}
+
+/**
+ * The exchange a message is part of: { question, reply } - the user message and the reply on
+ * screen for it (null when it was not answered). Replies from before branching find their
+ * question by position.
+ */
+export async function getExchange(userId, messageId) {
+  const row = await getMessage(userId, messageId);
+  if (!row) {
+    return null;
+  }
+
+  const neighbour = async (direction) => {
+    const result = await client.execute({
+      sql: `SELECT rowid, * FROM conversations WHERE thread_id = ? AND user_id = ? AND active = 1
+            AND rowid ${direction === 'next' ? '>' : '<'} ?
+            ORDER BY rowid ${direction === 'next' ? 'ASC' : 'DESC'} LIMIT 1`,
+      args: [row.thread_id, userId, row.rowid]
+    });
+    return result.rows[0] || null;
+  };
+
+  if (row.role === 'user') {
+    const next = await neighbour('next');
+    return { question: row, reply: next?.role === 'assistant' ? next : null };
+  }
+
+  const question = row.reply_to ? await getMessage(userId, row.reply_to) : await neighbour('previous');
+  return { question: question?.role === 'user' ? question : null, reply: row };
+}
+
+/**
+ * Start a new branch of the thread that keeps the rows on screen before forkRowid and drops the
+ * rest from view. Returns { branchId, abandonedEffects } - what the hidden replies did that still
+ * stands - or a null branchId when nothing on screen comes after forkRowid.
+ */
+export async function forkThread(userId, threadId, forkRowid) {
+  const later = await client.execute({
+    sql: 'SELECT 1 FROM conversations WHERE thread_id = ? AND active = 1 AND rowid >= ? LIMIT 1',
+    args: [threadId, forkRowid]
+  });
+  if (later.rows.length === 0) {
+    return { branchId: null, abandonedEffects: [] };
+  }
+
+  const branchId = uuidv4();
+  await client.batch([
+    {
+      sql: `INSERT INTO conversation_branches (id, user_id, thread_id, parent_branch_id, fork_rowid, selected_at)
+            SELECT ?, ?, id, COALESCE(active_branch_id, id), ?, ? FROM threads WHERE id = ?`,
+      args: [branchId, userId, forkRowid, Date.now(), threadId]
+    },
+    { sql: 'UPDATE threads SET active_branch_id = ? WHERE id = ?', args: [branchId, threadId] }
+  ], 'write');
+
+  const hidden = await refreshActiveRows(threadId);
+  return { branchId, abandonedEffects: await getSideEffects(userId, hidden) };
+}
+
+/**
+ * Switch the thread to the branch that shows a message (one of the versions in its alternatives).
+ * Of the branches that show it, the one the user was on most recently is picked.
+ * Returns { threadId, abandonedEffects } for the replies that went out of view, or null for an unknown message.
+ */
+export async function selectMessage(userId, messageId) {
+  const row = await getMessage(userId, messageId);
+  if (!row || !row.thread_id) {
+    return null;
+  }
+  const threadId = row.thread_id;
+
+  const branches = await loadBranches(threadId);
+  const candidates = [threadId, ...[...branches.keys()].filter(id => id !== threadId)]
+    .filter(id => shows(lineage(id, branches), row));
+  const selectedAt = (id) => branches.get(id)?.selected_at || 0;
+  const branchId = candidates.reduce((best, id) => selectedAt(id) > selectedAt(best) ? id : best);
+
+  await client.batch([
+    {
+      sql: `INSERT INTO conversation_branches (id, user_id, thread_id, selected_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET selected_at = excluded.selected_at`,
+      args: [branchId, userId, threadId, Date.now()]
+    },
+    { sql: 'UPDATE threads SET active_branch_id = ? WHERE id = ?', args: [branchId, threadId] }
+  ], 'write');
+
+  const hidden = await refreshActiveRows(threadId);
+  return { threadId, abandonedEffects: await getSideEffects(userId, hidden) };
+}
+
+export default {
+  createThread,
+  getThread,
+  listThreads,
+  updateThread,
+  deleteThread,
+  deleteEmptyThread,
+  touchThread,
+  generateThreadTitle,
+  getMessages,
+  getThreadHistory,
+  addUserMessage,
+  addAssistantMessage,
+  findMessageByKey,
+  setMessageStatus,
+  claimMessage,
+  failInterruptedMessages,
+  getMessage,
+  getExchange,
+  forkThread,
+  selectMessage
+};
@@ -0,0 +1,394 @@
+/**
+ * Undo Service
+ * Records what each tool call changed, as inverse operations, and rolls changes back on request.
+ *
+ * Tools declare the rows they write in their `undo` spec (see registry.js). Around each call
+ * those rows are snapshotted and diffed: new rows are undone by deleting them (and the vectors
+ * stored alongside them), changed rows by restoring the values the call changed, deleted rows by
+ * re-inserting them. Only rows the call reports writing (or its arguments name) are looked at, so
+ * what reminders, the proactive engine or the REST API write to the same tables meanwhile is not
+ * taken for the call's. Calls that act outside the app (emails, posts, sheets) are recorded too,
+ * as not undoable.
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { removeVectors } from './semantic-memory.js';
+import { encodeCursor, decodeCursor, pageSize } from '../utils/pagination.js';
+
+const MAX_UNDO_COUNT = 10;
+const IDENTIFIER = /^[a-z_]+$/;
+// Rows looked up by id per query
+const ID_CHUNK = 500;
+
+// Tail of each user's queue of tracked writes
+const queues = new Map();
+
+function toObject(result, row) {
+  return Object.fromEntries(result.columns.map(column => [column, row[column]]));
+}
+
+// Whether row still has these column values
+function hasValues(row, values) {
+  return Object.entries(values).every(([column, value]) => JSON.stringify(row[column]) === JSON.stringify(value));
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map(column => [column, row[column]]));
+}
+
+function checkIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier in undo record: ${name}`);
+  }
+}
+
+async function selectRows(table, userId, condition, args = []) {
+  const result = await client.execute({
+    sql: `SELECT * FROM ${table} WHERE user_id = ? AND (${condition})`,
+    args: [userId, ...args]
+  });
+  return result.rows.map(row => toObject(result, row));
+}
+
+async function selectByIds(table, userId, ids, condition = '1 = 1', args = []) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const chunk = ids.slice(i, i + ID_CHUNK);
+    rows.push(...await selectRows(table, userId, `${condition} AND id IN (${chunk.map(() => '?').join(', ')})`, [...args, ...chunk]));
+  }
+  return rows;
+}
+
+function formatEntry(row) {
+  return {
+    id: row.id,
+    executionId: row.execution_id,
+    toolName: row.tool_name,
+    description: row.description,
+    undoable: row.undoable === 1,
+    status: row.status,
+    outcome: row.outcome ? JSON.parse(row.outcome) : null,
+    createdAt: row.created_at,
+    undoneAt: row.undone_at
+  };
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+// The rows a spec entry may write, as an SQL condition and its arguments
+function scope(entry, args) {
+  if (typeof entry.where === 'function') {
+    const [condition, ...params] = entry.where(args);
+    return { condition, params };
+  }
+  return { condition: entry.where || '1 = 1', params: [] };
+}
+
+// The ids of the rows the call reports writing, or null when the entry goes by its where alone
+function reportedIds(entry, result, args) {
+  if (!entry.ids) {
+    return null;
+  }
+  // A call that threw reports nothing
+  return new Set(result ? [entry.ids(result, args)].flat().filter(Boolean) : []);
+}
+
+// Snapshot the rows a change may write, before it runs
+async function captureState(userId, spec, args) {
+  const state = [];
+  for (const entry of spec) {
+    checkIdentifier(entry.table);
+    const { condition, params } = scope(entry, args);
+    const watermark = await client.execute(`SELECT MAX(rowid) AS last FROM ${entry.table}`);
+    state.push({
+      ...entry,
+      condition,
+      params,
+      watermark: watermark.rows[0].last || 0,
+      before: entry.updates ? await selectRows(entry.table, userId, condition, params) : []
+    });
+  }
+  return state;
+}
+
+// Compare the rows with their snapshot; returns the inverse operations, to be applied last-first
+async function diffState(userId, state, result, args) {
+  const changes = [];
+
+  for (const entry of state) {
+    const reported = reportedIds(entry, result, args);
+    const isReported = row => !reported || reported.has(row.id);
+
+    if (entry.updates) {
+      const before = entry.before.filter(isReported);
+      // Looked up by id: a change may take a row out of the entry's where
+      const after = new Map(
+        (await selectByIds(entry.table, userId, before.map(row => row.id))).map(row => [row.id, row])
+      );
+      for (const row of before) {
+        const current = after.get(row.id);
+        if (!current) {
+          changes.push({ op: 'reinsert', table: entry.table, row });
+          continue;
+        }
+        // Only the values that changed, so columns nobody touched are never written back
+        const changed = Object.keys(row).filter(column => !hasValues(current, pick(row, [column])));
+        if (changed.length > 0) {
+          changes.push({ op: 'restore', table: entry.table, id: row.id, before: pick(row, changed), after: pick(current, changed) });
+        }
+      }
+    }
+
+    // New rows: the reported ones, or else those in the entry's where
+    const inserted = reported
+      ? await selectByIds(entry.table, userId, [...reported], 'rowid > ?', [entry.watermark])
+      : await selectRows(entry.table, userId, `rowid > ? AND (${entry.condition})`, [entry.watermark, ...entry.params]);
+    for (const row of inserted) {
+      changes.push({
+        op: 'delete',
+        table: entry.table,
+        id: row.id,
+        vectorId: entry.vector ? entry.vector(row) : undefined
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Run fn and work out what it changed in the rows of spec ([{ table, updates?, where?, ids?, vector? }],
+ * see registerTool); args are the call's arguments, for where and ids. A user's tracked writes run
+ * one at a time, so two of them never diff the same rows at once.
+ * Returns { result, error, changes }; fn throwing is reported in error, after its partial writes
+ * to the rows in where are diffed.
+ */
+export async function trackChanges(userId, spec, fn, args = {}) {
+  const previous = queues.get(userId) || Promise.resolve();
+  const run = previous.then(async () => {
+    const state = await captureState(userId, spec, args);
+    let result;
+    let error = null;
+    try {
+      result = await fn();
+    } catch (err) {
+      error = err;
+    }
+    return { result, error, changes: await diffState(userId, state, result, args) };
+  });
+
+  const tail = run.catch(() => {});
+  queues.set(userId, tail);
+  try {
+    return await run;
+  } finally {
+    if (queues.get(userId) === tail) {
+      queues.delete(userId);
+    }
+  }
+}
+
+/**
+ * Record a finished tool call with the changes trackChanges found. Tools without an undo spec
+ * are only recorded when they act outside the app. Returns the log entry id, or null. Never throws.
+ */
+export async function recordToolCall(userId, tool, args, result, changes, { executionId } = {}) {
+  try {
+    const external = tool.sideEffects === 'external' || tool.sideEffects === 'destructive';
+
+    // Nothing to record: no rows changed, and nothing happened outside the app
+    if (changes.length === 0 && (tool.undo || !external || result?.success === false)) {
+      return null;
+    }
+
+    const description = tool.preview
+      ? tool.preview(args)
+      : (result?.message || `${tool.name} ${JSON.stringify(args).substring(0, 200)}`);
+    const entryId = uuidv4();
+    await client.execute({
+      sql: `INSERT INTO undo_log (id, user_id, execution_id, tool_name, description, changes, undoable)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      args: [entryId, userId, executionId || null, tool.name, description, JSON.stringify(changes), changes.length > 0 ? 1 : 0]
+    });
+    return entryId;
+  } catch (error) {
+    console.error(`Error recording changes of ${tool.name}:`, error);
+    return null;
+  }
+}
+
+// ============================================
+// UNDOING
+// ============================================
+
+// Apply one inverse operation; returns a note when it could not be applied cleanly
+async function revert(userId, change) {
+  checkIdentifier(change.table);
+
+  if (change.op === 'delete') {
+    await client.execute({
+      sql: `DELETE FROM ${change.table} WHERE id = ? AND user_id = ?`,
+      args: [change.id, userId]
+    });
+    if (change.vectorId) {
+      try {
+        await removeVectors([change.vectorId]);
+      } catch (error) {
+        return `Search index entry ${change.vectorId} could not be removed: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  if (change.op === 'restore') {
+    const current = await selectRows(change.table, userId, 'id = ?', [change.id]);
+    // Leave rows alone whose changed values were edited again since
+    if (current.length === 0 || !hasValues(current[0], change.after)) {
+      return `A ${change.table} record was changed again since, so it was left as it is`;
+    }
+    const columns = Object.keys(change.before).filter(column => column !== 'id' && column !== 'user_id');
+    columns.forEach(checkIdentifier);
+    if (columns.length === 0) {
+      return null;
+    }
+    await client.execute({
+      sql: `UPDATE ${change.table} SET ${columns.map(column => `${column} = ?`).join(', ')}
+            WHERE id = ? AND user_id = ?`,
+      args: [...columns.map(column => change.before[column]), change.id, userId]
+    });
+    return null;
+  }
+
+  if (change.op === 'reinsert') {
+    const columns = Object.keys(change.row);
+    columns.forEach(checkIdentifier);
+    await client.execute({
+      sql: `INSERT OR IGNORE INTO ${change.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      args: columns.map(column => change.row[column])
+    });
+    return null;
+  }
+
+  return `Unknown change ${change.op}`;
+}
+
+/**
+ * Apply the inverse of changes from trackChanges, newest first.
+ * Returns notes on anything that could not be reverted cleanly.
+ */
+export async function revertChanges(userId, changes) {
+  const notes = [];
+  for (const change of [...changes].reverse()) {
+    try {
+      const note = await revert(userId, change);
+      if (note) notes.push(note);
+    } catch (error) {
+      console.error('Error reverting change:', error);
+      notes.push(`Could not revert a ${change.table} change: ${error.message}`);
+    }
+  }
+  return notes;
+}
+
+// Undo one claimed log entry; returns a summary for the caller
+async function undoEntry(userId, row) {
+  const entry = formatEntry(row);
+
+  // Claim it first so two undo requests cannot both apply it. Actions outside the app are
+  // reported once and then passed over, so the next undo reaches the action before them.
+  const claimed = await client.execute({
+    sql: `UPDATE undo_log SET status = ?, undone_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'applied'`,
+    args: [entry.undoable ? 'undone' : 'skipped', entry.id]
+  });
+  if (claimed.rowsAffected === 0) {
+    return { ...entry, undone: false, reason: `Already ${entry.status}` };
+  }
+  if (!entry.undoable) {
+    return { ...entry, status: 'skipped', undone: false, reason: 'This acted outside the app and cannot be undone' };
+  }
+
+  const notes = await revertChanges(userId, JSON.parse(row.changes));
+
+  await client.execute({
+    sql: 'UPDATE undo_log SET outcome = ? WHERE id = ?',
+    args: [JSON.stringify({ notes }), entry.id]
+  });
+
+  return { ...entry, status: 'undone', undone: true, notes };
+}
+
+/**
+ * Undo the user's last `count` recorded actions, newest first.
+ * Actions that cannot be undone are reported rather than skipped over silently.
+ */
+export async function undoLastActions(userId, count = 1) {
+  const limit = Math.min(Math.max(parseInt(count) || 1, 1), MAX_UNDO_COUNT);
+  const result = await client.execute({
+    sql: `SELECT * FROM undo_log WHERE user_id = ? AND status = 'applied'
+          ORDER BY rowid DESC LIMIT ?`,
+    args: [userId, limit]
+  });
+
+  const outcomes = [];
+  for (const row of result.rows) {
+    outcomes.push(await undoEntry(userId, row));
+  }
+  return outcomes;
+}
+
+/**
+ * Undo one recorded action by id; returns null when it does not exist
+ */
+export async function undoAction(userId, entryId) {
+  const result = await client.execute({
+    sql: 'SELECT * FROM undo_log WHERE id = ? AND user_id = ?',
+    args: [entryId, userId]
+  });
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return undoEntry(userId, result.rows[0]);
+}
+
+/**
+ * Page through recorded actions, newest first
+ */
+export async function listActionHistory(userId, { limit, cursor } = {}) {
+  const size = pageSize(limit, 20);
+  const before = decodeCursor(cursor);
+
+  const conditions = ['user_id = ?'];
+  const args = [userId];
+  if (before) {
+    conditions.push('rowid < ?');
+    args.push(before.rowid);
+  }
+
+  const result = await client.execute({
+    sql: `SELECT rowid, * FROM undo_log
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY rowid DESC
+          LIMIT ?`,
+    args: [...args, size + 1]
+  });
+
+  const rows = result.rows.slice(0, size);
+
+  return {
+    entries: rows.map(formatEntry),
+    nextCursor: result.rows.length > size ? encodeCursor({ rowid: rows[rows.length - 1].rowid }) : null
+  };
+}
+
+export default {
+  trackChanges,
+  recordToolCall,
+  revertChanges,
+  undoLastActions,
+  undoAction,
+  listActionHistory
+};
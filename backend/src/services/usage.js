@@ -0,0 +1,243 @@
+/**
+ * Usage Service
+ * Records every LLM and embedding call with its tokens and estimated cost,
+ * rolls usage up per day/month, and checks per-user monthly budgets
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// USD per million tokens. Models not listed (e.g. self-hosted) cost nothing.
+// Override or extend with LLM_PRICES='{"model": {"input": 1, "output": 2}}'
+const DEFAULT_PRICES = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-3-small': { input: 0.02, output: 0 }
+};
+
+const PRICES = { ...DEFAULT_PRICES, ...parsePriceOverrides() };
+
+// Budget checks run before every call, so the month's spend is cached briefly
+const BUDGET_CACHE_MS = 60 * 1000;
+const budgetCache = new Map();
+
+function parsePriceOverrides() {
+  if (!process.env.LLM_PRICES) return {};
+  try {
+    return JSON.parse(process.env.LLM_PRICES);
+  } catch (error) {
+    console.error('Invalid LLM_PRICES, using defaults:', error.message);
+    return {};
+  }
+}
+
+function envBudget(name) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? null : value;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Estimate the USD cost of a call
+ */
+export function estimateCost(model, inputTokens = 0, outputTokens = 0) {
+  const price = PRICES[model];
+  if (!price) return 0;
+  return (inputTokens * price.input + outputTokens * (price.output || 0)) / 1_000_000;
+}
+
+/**
+ * Record one LLM or embedding call. userId is null for system work.
+ * Never throws: accounting must not break the call it describes.
+ */
+export async function recordUsage({ userId = null, purpose = 'other', provider, model, inputTokens = 0, outputTokens = 0 }) {
+  const cost = estimateCost(model, inputTokens, outputTokens);
+
+  try {
+    await client.execute({
+      sql: `INSERT INTO llm_usage (id, user_id, purpose, provider, model, input_tokens, output_tokens, cost_usd)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [uuidv4(), userId, purpose, provider, model, inputTokens, outputTokens, cost]
+    });
+
+    const cached = budgetCache.get(userId);
+    if (cached) {
+      cached.monthSpend += cost;
+    }
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+
+  return cost;
+}
+
+// ============================================
+// ROLLUPS
+// ============================================
+
+/**
+ * Usage totals grouped by day or month, newest first, plus a breakdown by purpose and model
+ * period: 'day' (last `days` days) or 'month' (last `months` months)
+ */
+export async function getUsageSummary(userId, { period = 'day', days = 30, months = 12 } = {}) {
+  const format = period === 'month' ? '%Y-%m' : '%Y-%m-%d';
+  const span = Math.min(Math.max(parseInt(period === 'month' ? months : days) || 1, 1), 366);
+  const since = period === 'month'
+    ? `start of month', '-${span - 1} months`
+    : `-${span - 1} days', 'start of day`;
+
+  const sinceSql = `datetime('now', '${since}')`;
+
+  const [rollups, byPurpose, byModel] = await Promise.all([
+    client.execute({
+      sql: `SELECT strftime('${format}', created_at) AS period,
+                   COUNT(*) AS calls,
+                   SUM(input_tokens) AS input_tokens,
+                   SUM(output_tokens) AS output_tokens,
+                   SUM(cost_usd) AS cost_usd
+            FROM llm_usage
+            WHERE user_id = ? AND created_at >= ${sinceSql}
+            GROUP BY period
+            ORDER BY period DESC`,
+      args: [userId]
+    }),
+    client.execute({
+      sql: `SELECT purpose, COUNT(*) AS calls, SUM(input_tokens + output_tokens) AS tokens, SUM(cost_usd) AS cost_usd
+            FROM llm_usage
+            WHERE user_id = ? AND created_at >= ${sinceSql}
+            GROUP BY purpose
+            ORDER BY cost_usd DESC`,
+      args: [userId]
+    }),
+    client.execute({
+      sql: `SELECT model, COUNT(*) AS calls, SUM(input_tokens + output_tokens) AS tokens, SUM(cost_usd) AS cost_usd
+            FROM llm_usage
+            WHERE user_id = ? AND created_at >= ${sinceSql}
+            GROUP BY model
+            ORDER BY cost_usd DESC`,
+      args: [userId]
+    })
+  ]);
+
+  return {
+    period,
+    rollups: rollups.rows.map(row => ({
+      period: row.period,
+      calls: row.calls,
+      inputTokens: row.input_tokens || 0,
+      outputTokens: row.output_tokens || 0,
+      costUsd: row.cost_usd || 0
+    })),
+    byPurpose: byPurpose.rows.map(row => ({ purpose: row.purpose, calls: row.calls, tokens: row.tokens || 0, costUsd: row.cost_usd || 0 })),
+    byModel: byModel.rows.map(row => ({ model: row.model, calls: row.calls, tokens: row.tokens || 0, costUsd: row.cost_usd || 0 }))
+  };
+}
+
+// ============================================
+// BUDGETS
+// ============================================
+
+/**
+ * Get a user's monthly budget limits in USD (null = no limit).
+ * Users without their own row get USAGE_SOFT_BUDGET_USD / USAGE_HARD_BUDGET_USD.
+ */
+export async function getBudget(userId) {
+  const result = await client.execute({
+    sql: 'SELECT soft_limit_usd, hard_limit_usd FROM usage_budgets WHERE user_id = ?',
+    args: [userId]
+  });
+
+  if (result.rows.length === 0) {
+    return {
+      softLimitUsd: envBudget('USAGE_SOFT_BUDGET_USD'),
+      hardLimitUsd: envBudget('USAGE_HARD_BUDGET_USD'),
+      isDefault: true
+    };
+  }
+
+  return {
+    softLimitUsd: result.rows[0].soft_limit_usd,
+    hardLimitUsd: result.rows[0].hard_limit_usd,
+    isDefault: false
+  };
+}
+
+/**
+ * Set a user's monthly budget limits
+ */
+export async function setBudget(userId, { softLimitUsd = null, hardLimitUsd = null }) {
+  await client.execute({
+    sql: `INSERT INTO usage_budgets (user_id, soft_limit_usd, hard_limit_usd)
+          VALUES (?, ?, ?)
+          ON CONFLICT(user_id) DO UPDATE SET
+          soft_limit_usd = excluded.soft_limit_usd,
+          hard_limit_usd = excluded.hard_limit_usd,
+          updated_at = CURRENT_TIMESTAMP`,
+    args: [userId, softLimitUsd, hardLimitUsd]
+  });
+  budgetCache.delete(userId);
+  return await getBudget(userId);
+}
+
+/**
+ * Where a user stands against their budget this calendar month (UTC)
+ * state: 'ok', 'soft' (models are downgraded) or 'hard' (background learning is off as well)
+ */
+export async function getBudgetStatus(userId) {
+  if (!userId) {
+    return { state: 'ok', monthSpendUsd: 0, softLimitUsd: null, hardLimitUsd: null };
+  }
+
+  let cached = budgetCache.get(userId);
+  if (!cached || cached.expires < Date.now()) {
+    try {
+      const [budget, spend] = await Promise.all([
+        getBudget(userId),
+        client.execute({
+          sql: `SELECT COALESCE(SUM(cost_usd), 0) AS total FROM llm_usage
+                WHERE user_id = ? AND created_at >= datetime('now', 'start of month')`,
+          args: [userId]
+        })
+      ]);
+      cached = { budget, monthSpend: spend.rows[0].total, expires: Date.now() + BUDGET_CACHE_MS };
+      budgetCache.set(userId, cached);
+    } catch (error) {
+      console.error('Error checking budget:', error);
+      return { state: 'ok', monthSpendUsd: 0, softLimitUsd: null, hardLimitUsd: null };
+    }
+  }
+
+  const { budget, monthSpend } = cached;
+  let state = 'ok';
+  if (budget.hardLimitUsd !== null && monthSpend >= budget.hardLimitUsd) {
+    state = 'hard';
+  } else if (budget.softLimitUsd !== null && monthSpend >= budget.softLimitUsd) {
+    state = 'soft';
+  }
+
+  return {
+    state,
+    monthSpendUsd: monthSpend,
+    softLimitUsd: budget.softLimitUsd,
+    hardLimitUsd: budget.hardLimitUsd
+  };
+}
+
+export default {
+  estimateCost,
+  recordUsage,
+  getUsageSummary,
+  getBudget,
+  setBudget,
+  getBudgetStatus
+};
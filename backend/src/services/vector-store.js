@@ -1,104 +1,278 @@
+/**
+ * Vector Store
+ * One interface over the backends that hold embeddings, selected by config:
+ * - pinecone: a Pinecone index (PINECONE_API_KEY, PINECONE_INDEX_NAME)
+ * - local: the vectors table in the app's own database, searched by brute-force cosine
+ *   similarity over the user's rows - fine for one user's thousands of vectors, no service needed
+ *
+ * VECTOR_STORE picks the backend; without it, pinecone when PINECONE_API_KEY is set, else local.
+ * Metadata filters use Pinecone's syntax everywhere: { field: value } or
+ * { field: { $eq | $ne | $in | $nin | $gt | $gte | $lt | $lte: ... } }. scripts/migrate-vectors.js copies vectors between backends.
+ *
+ * Each vector's metadata records the embedding model that made it (embeddingModel, dimensions);
+ * searches only compare vectors from the current model.
+ */
+
 import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
-import { generateEmbedding } from './embeddings.js';
+import { client } from '../models/database.js';
+import { generateEmbedding, getEmbeddingModel, LEGACY_EMBEDDING_MODEL } from './embeddings.js';
+import { toBlob, fromBlob } from '../utils/vectors.js';
 
 dotenv.config();
 
-let pineconeClient = null;
-let index = null;
+const stores = new Map();
+const instances = new Map();
+
+// ============================================
+// BACKENDS
+// ============================================
+
+/**
+ * Register a backend. create() returns the store:
+ * - upsert(vectors): vectors are [{ id, values, metadata }]
+ * - query({ vector, topK, filter }): [{ id, score, metadata }], best first
+ * - delete(ids)
+ * - list({ cursor, limit, filter }): { vectors: [{ id, values, metadata }], nextCursor } - every vector
+ *   matching the filter (default: all of them), for migrations and reindexing. Pages may come back short.
+ */
+export function registerVectorStore(name, create) {
+  stores.set(name, create);
+  instances.delete(name);
+}
+
+export function listVectorStores() {
+  return [...stores.keys()];
+}
+
+export function getConfiguredStoreName() {
+  return process.env.VECTOR_STORE || (process.env.PINECONE_API_KEY ? 'pinecone' : 'local');
+}
 
-export async function initializePinecone() {
-  if (pineconeClient) {
-    return;
+/**
+ * The named backend (default: the configured one), created on first use
+ */
+export function getVectorStore(name = getConfiguredStoreName()) {
+  if (!instances.has(name)) {
+    const create = stores.get(name);
+    if (!create) {
+      throw new Error(`Unknown vector store: ${name}. Use one of: ${listVectorStores().join(', ')}`);
+    }
+    instances.set(name, create());
   }
+  return instances.get(name);
+}
 
-  try {
-    pineconeClient = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY,
-    });
+function createPineconeStore() {
+  if (!process.env.PINECONE_API_KEY) {
+    throw new Error('PINECONE_API_KEY is not set - set it, or use VECTOR_STORE=local');
+  }
 
-    const indexName = process.env.PINECONE_INDEX_NAME || 'smart-idea-manager';
-    index = pineconeClient.index(indexName);
+  const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+  const index = pinecone.index(process.env.PINECONE_INDEX_NAME || 'smart-idea-manager');
+  console.log('Pinecone initialized');
 
-    console.log('Pinecone initialized');
-  } catch (error) {
-    console.error('Pinecone initialization error:', error);
-    throw error;
+  return {
+    async upsert(vectors) {
+      await index.upsert(vectors);
+    },
+
+    async query({ vector, topK, filter }) {
+      const response = await index.query({ vector, topK, includeMetadata: true, filter });
+      return response.matches || [];
+    },
+
+    async delete(ids) {
+      await index.deleteMany(ids);
+    },
+
+    // Listing is only available on serverless indexes, and can't filter: the filter is applied to
+    // the fetched metadata
+    async list({ cursor, limit = 100, filter = {} } = {}) {
+      const page = await index.listPaginated({ limit, paginationToken: cursor || undefined });
+      const ids = (page.vectors || []).map(vector => vector.id);
+      const fetched = ids.length > 0 ? await index.fetch(ids) : { records: {} };
+
+      return {
+        vectors: ids.filter(id => fetched.records[id]).map(id => ({
+          id,
+          values: fetched.records[id].values,
+          metadata: fetched.records[id].metadata || {}
+        })).filter(vector => matchesFilter(vector.metadata, filter)),
+        nextCursor: page.pagination?.next || null
+      };
+    }
+  };
+}
+
+// Pinecone-style metadata filter, for the local store
+export function matchesFilter(metadata, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata[field];
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case '$eq': return value === operand;
+          case '$ne': return value !== operand;
+          case '$in': return operand.includes(value);
+          case '$nin': return !operand.includes(value);
+          case '$gt': return typeof value === 'number' && value > operand;
+          case '$gte': return typeof value === 'number' && value >= operand;
+          case '$lt': return typeof value === 'number' && value < operand;
+          case '$lte': return typeof value === 'number' && value <= operand;
+          default: throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+      });
+    }
+    return value === condition;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// An equality filter on userId or type narrows the rows in SQL; the rest is checked per row
+function equalityValue(condition) {
+  if (typeof condition === 'string') return condition;
+  if (condition && typeof condition === 'object' && Object.keys(condition).length === 1 && typeof condition.$eq === 'string') {
+    return condition.$eq;
   }
+  return null;
+}
+
+function indexedConditions(filter, conditions = [], args = []) {
+  for (const [field, column] of [['userId', 'user_id'], ['type', 'type']]) {
+    const value = equalityValue(filter[field]);
+    if (value !== null) {
+      conditions.push(`${column} = ?`);
+      args.push(value);
+    }
+  }
+  return { conditions, args };
+}
+
+function createLocalStore() {
+  return {
+    async upsert(vectors) {
+      await client.batch(vectors.map(({ id, values, metadata = {} }) => ({
+        sql: `INSERT INTO vectors (id, user_id, type, dimensions, embedding, metadata) VALUES (?, ?, ?, ?, ?, ?)
+              ON CONFLICT(id) DO UPDATE SET user_id = excluded.user_id, type = excluded.type, dimensions = excluded.dimensions,
+                embedding = excluded.embedding, metadata = excluded.metadata, updated_at = CURRENT_TIMESTAMP`,
+        args: [id, metadata.userId || null, metadata.type || null, values.length, toBlob(values), JSON.stringify(metadata)]
+      })), 'write');
+    },
+
+    async query({ vector, topK, filter = {} }) {
+      const { conditions, args } = indexedConditions(filter, ['dimensions = ?'], [vector.length]);
+
+      const result = await client.execute({
+        sql: `SELECT id, embedding, metadata FROM vectors WHERE ${conditions.join(' AND ')}`,
+        args
+      });
+
+      const query = Float32Array.from(vector);
+      const matches = [];
+      for (const row of result.rows) {
+        const metadata = JSON.parse(row.metadata || '{}');
+        if (!matchesFilter(metadata, filter)) continue;
+        matches.push({ id: row.id, score: cosineSimilarity(query, fromBlob(row.embedding)), metadata });
+      }
+
+      return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+    },
+
+    async delete(ids) {
+      await client.execute({
+        sql: 'DELETE FROM vectors WHERE id IN (SELECT value FROM json_each(?))',
+        args: [JSON.stringify(ids)]
+      });
+    },
+
+    async list({ cursor, limit = 100, filter = {} } = {}) {
+      const { conditions, args } = indexedConditions(filter, ['id > ?'], [cursor || '']);
+      const result = await client.execute({
+        sql: `SELECT id, embedding, metadata FROM vectors WHERE ${conditions.join(' AND ')} ORDER BY id LIMIT ?`,
+        args: [...args, limit + 1]
+      });
+      const rows = result.rows.slice(0, limit);
+
+      return {
+        vectors: rows
+          .map(row => ({ id: row.id, values: Array.from(fromBlob(row.embedding)), metadata: JSON.parse(row.metadata || '{}') }))
+          .filter(vector => matchesFilter(vector.metadata, filter)),
+        nextCursor: result.rows.length > limit ? rows[rows.length - 1].id : null
+      };
+    }
+  };
+}
+
+registerVectorStore('pinecone', createPineconeStore);
+registerVectorStore('local', createLocalStore);
+
+// ============================================
+// VECTORS
+// ============================================
+
+/**
+ * Record which embedding model made a vector, so a model change can find the vectors to redo
+ */
+export function withEmbeddingModel(metadata, embedding) {
+  return { ...metadata, embeddingModel: getEmbeddingModel().id, dimensions: embedding.length };
 }
 
 export async function upsertVector(id, embedding, metadata) {
   try {
-    await initializePinecone();
-    
-    await index.upsert([
+    await getVectorStore().upsert([
       {
         id,
         values: embedding,
-        metadata: {
+        metadata: withEmbeddingModel({
           ...metadata,
           timestamp: new Date().toISOString(),
-        },
+        }, embedding),
       },
     ]);
   } catch (error) {
-    console.error('Pinecone upsert error:', error);
+    console.error('Vector upsert error:', error);
     throw error;
   }
 }
 
+// Only vectors from the current model are comparable. Unrecorded ones are from the legacy model,
+// so while that is the model in use they match too.
 export async function queryVectors(embedding, topK = 5, filter = {}) {
   try {
-    await initializePinecone();
-
-    const queryResponse = await index.query({
-      vector: embedding,
-      topK,
-      includeMetadata: true,
-      filter,
-    });
-
-    return queryResponse.matches || [];
+    const model = getEmbeddingModel().id;
+    const modelFilter = model === LEGACY_EMBEDDING_MODEL ? {} : { embeddingModel: { $eq: model } };
+    return await getVectorStore().query({ vector: embedding, topK, filter: { ...filter, ...modelFilter } });
   } catch (error) {
-    console.error('Pinecone query error:', error);
+    console.error('Vector query error:', error);
     throw error;
   }
 }
 
 export async function deleteVector(id) {
   try {
-    await initializePinecone();
-    await index.deleteOne(id);
+    await getVectorStore().delete([id]);
   } catch (error) {
-    console.error('Pinecone delete error:', error);
-    throw error;
-  }
-}
-
-export async function storeConversationEmbedding(userId, conversationId, text, metadata = {}) {
-  try {
-    const embedding = await generateEmbedding(text);
-    const vectorId = `conv_${userId}_${conversationId}`;
-    
-    await upsertVector(vectorId, embedding, {
-      userId,
-      conversationId,
-      type: 'conversation',
-      text: text.substring(0, 500), // Store first 500 chars as metadata
-      ...metadata,
-    });
-
-    return vectorId;
-  } catch (error) {
-    console.error('Store conversation embedding error:', error);
+    console.error('Vector delete error:', error);
     throw error;
   }
 }
 
 export async function searchSimilarConversations(userId, queryText, topK = 5) {
   try {
-    const queryEmbedding = await generateEmbedding(queryText);
-    
+    const queryEmbedding = await generateEmbedding(queryText, { userId, purpose: 'conversation_search' });
+
     const results = await queryVectors(queryEmbedding, topK, {
       userId: { $eq: userId },
       type: { $eq: 'conversation' },
@@ -111,3 +285,13 @@ export async function searchSimilarConversations(userId, queryText, topK = 5) {
   }
 }
 
+export default {
+  registerVectorStore,
+  listVectorStores,
+  getVectorStore,
+  withEmbeddingModel,
+  upsertVector,
+  queryVectors,
+  deleteVector,
+  searchSimilarConversations
+};
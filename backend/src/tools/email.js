@@ -0,0 +1,113 @@
+/**
+ * Email Tools
+ * Sending and reading email through Gmail
+ */
+
+import { client } from '../models/database.js';
+import { sendEmail, listEmails } from '../services/gmail.js';
+import { indexRecord } from '../services/semantic-memory.js';
+import { randomUUID as uuidv4 } from 'crypto';
+
+async function executeSendEmail(userId, args) {
+  const { to, subject, body } = args;
+
+  try {
+    // Gmail service expects an object, not separate arguments
+    const result = await sendEmail({ to, subject, body });
+
+    if (result.success) {
+      // Log the email
+      const emailId = uuidv4();
+      await client.execute({
+        sql: 'INSERT INTO emails (id, user_id, from_address, to_address, subject, body) VALUES (?, ?, ?, ?, ?, ?)',
+        args: [emailId, userId, 'me', to, subject, body]
+      });
+      await indexRecord(userId, 'email', emailId);
+
+      return { success: true, message: `Email sent to ${to}` };
+    }
+
+    return { success: false, error: result.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeReadEmails(_userId, args) {
+  const { count = 5 } = args;
+
+  try {
+    // listEmails expects an options object
+    const result = await listEmails({ maxResults: count });
+
+    if (result.success) {
+      return {
+        success: true,
+        emails: result.emails.map(e => ({
+          from: e.from,
+          subject: e.subject,
+          snippet: e.snippet,
+          date: e.date
+        }))
+      };
+    }
+
+    return { success: false, error: result.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'send_email',
+    description: 'Send an email on behalf of the user.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        to: {
+          type: 'string',
+          description: 'Recipient email address'
+        },
+        subject: {
+          type: 'string',
+          description: 'Email subject line'
+        },
+        body: {
+          type: 'string',
+          description: 'Email body content'
+        }
+      },
+      required: ['to', 'subject', 'body']
+    },
+    category: 'Communication',
+    summary: 'Send emails on the user\'s behalf',
+    sideEffects: 'external',
+    preview: (args) => `To: ${args.to}\nSubject: ${args.subject}\n\n${args.body}`,
+    measure: (args) => String(args.to || '').split(',').filter(address => address.trim()).length,
+    measureUnit: 'recipients',
+    handler: executeSendEmail
+  },
+  {
+    name: 'read_emails',
+    description: 'Read recent emails from the user inbox.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        count: {
+          type: 'number',
+          description: 'Number of emails to fetch (default 5)'
+        },
+        filter: {
+          type: 'string',
+          description: 'Optional filter: "unread", "job", or search term'
+        }
+      },
+      required: []
+    },
+    category: 'Communication',
+    summary: 'Read recent emails from the user\'s inbox',
+    sideEffects: 'none',
+    handler: executeReadEmails
+  }
+];
@@ -0,0 +1,234 @@
+/**
+ * Goal Tracking Tools
+ * Goals, habits and progress logging
+ */
+
+import { createGoal, getGoals, logProgress, getDailyHabitsStatus, getGoalsSummary } from '../services/goals.js';
+
+async function executeCreateGoal(userId, args) {
+  console.log('🎯 GOALS: Creating goal...');
+  const { title, description, goal_type, target_value, unit, target_date, frequency, linked_income_source, expected_roi } = args;
+  try {
+    const result = await createGoal(userId, {
+      title,
+      description,
+      goal_type,
+      target_value,
+      unit,
+      target_date,
+      frequency,
+      linked_income_source,
+      expected_roi
+    });
+    return {
+      success: true,
+      goalId: result.id,
+      message: `Created goal: "${title}" (${goal_type})`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeLogGoalProgress(userId, args) {
+  console.log('📈 GOALS: Logging progress...');
+  const { goal_id, goal_title, progress_value, notes } = args;
+  try {
+    // If goal_title is provided but not goal_id, find the goal
+    let goalId = goal_id;
+    if (!goalId && goal_title) {
+      const goals = await getGoals(userId);
+      const matchingGoal = goals.find(g => g.title.toLowerCase().includes(goal_title.toLowerCase()));
+      if (matchingGoal) {
+        goalId = matchingGoal.id;
+      } else {
+        return { success: false, error: `Could not find goal matching "${goal_title}"` };
+      }
+    }
+
+    if (!goalId) {
+      return { success: false, error: 'Please specify which goal to update' };
+    }
+
+    const result = await logProgress(userId, goalId, progress_value, notes);
+    return {
+      success: true,
+      goalId,
+      progressId: result.id,
+      message: result.message || `Progress logged: +${progress_value}`,
+      streakUpdated: result.streakUpdated,
+      newStreak: result.newStreak
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetMyGoals(userId, args) {
+  console.log('🎯 GOALS: Getting goals...');
+  const { goal_type, status } = args;
+  try {
+    const goals = await getGoals(userId, goal_type, status);
+    const summary = await getGoalsSummary(userId);
+    return {
+      success: true,
+      goals,
+      summary,
+      count: goals.length
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetDailyHabitsStatus(userId) {
+  console.log('📋 HABITS: Getting daily habits status...');
+  try {
+    const habits = await getDailyHabitsStatus(userId);
+    const completed = habits.filter(h => h.completed_today).length;
+    const total = habits.length;
+    return {
+      success: true,
+      habits,
+      completed,
+      total,
+      message: `Daily habits: ${completed}/${total} completed today`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'create_goal',
+    description: 'Create a new goal (short-term, long-term, or daily habit). Use when user sets a goal or commits to something.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Goal title'
+        },
+        description: {
+          type: 'string',
+          description: 'Detailed goal description'
+        },
+        goal_type: {
+          type: 'string',
+          enum: ['short_term', 'long_term', 'daily_habit', 'weekly_habit', 'income_goal', 'savings_goal', 'learning_goal'],
+          description: 'Type of goal'
+        },
+        target_value: {
+          type: 'number',
+          description: 'Target numeric value (e.g., 100000 for income goal)'
+        },
+        unit: {
+          type: 'string',
+          description: 'Unit of measurement (e.g., INR, hours, tasks)'
+        },
+        target_date: {
+          type: 'string',
+          description: 'Target completion date (YYYY-MM-DD)'
+        },
+        frequency: {
+          type: 'string',
+          enum: ['daily', 'weekly', 'monthly', 'once'],
+          description: 'Frequency for habit goals'
+        },
+        linked_income_source: {
+          type: 'string',
+          description: 'Income source this goal is linked to (for income goals)'
+        },
+        expected_roi: {
+          type: 'string',
+          description: 'Expected return on investment or benefit'
+        }
+      },
+      required: ['title', 'goal_type']
+    },
+    category: 'Goal Tracking',
+    summary: 'Create a new goal (income, learning, habit, etc.)',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [{ table: 'user_goals', ids: result => result.goalId }],
+    handler: executeCreateGoal
+  },
+  {
+    name: 'log_goal_progress',
+    description: 'Log progress on a goal or habit. Use when user reports progress or completing a habit.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        goal_id: {
+          type: 'string',
+          description: 'ID of the goal to update'
+        },
+        goal_title: {
+          type: 'string',
+          description: 'Title of the goal (if ID not known)'
+        },
+        progress_value: {
+          type: 'number',
+          description: 'Progress amount to add'
+        },
+        notes: {
+          type: 'string',
+          description: 'Notes about this progress'
+        }
+      },
+      required: ['progress_value']
+    },
+    category: 'Goal Tracking',
+    summary: 'Log progress on a goal or habit',
+    sideEffects: 'internal',
+    undo: [
+      { table: 'goal_progress', ids: result => result.progressId },
+      {
+        table: 'user_goals',
+        updates: true,
+        // The goal is given by id, or found by its title
+        where: args => args.goal_id ? ['id = ?', args.goal_id] : ['LOWER(title) LIKE ?', `%${(args.goal_title || '').toLowerCase()}%`],
+        ids: result => result.goalId
+      },
+      { table: 'daily_metrics', updates: true, where: "date = date('now')" }
+    ],
+    handler: executeLogGoalProgress
+  },
+  {
+    name: 'get_my_goals',
+    description: 'Get user goals with status and progress. Use when user asks about their goals.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        goal_type: {
+          type: 'string',
+          description: 'Filter by goal type (optional)'
+        },
+        status: {
+          type: 'string',
+          enum: ['active', 'completed', 'paused'],
+          description: 'Filter by status (optional)'
+        }
+      },
+      required: []
+    },
+    category: 'Goal Tracking',
+    summary: 'Get user goals with status and progress',
+    sideEffects: 'none',
+    handler: executeGetMyGoals
+  },
+  {
+    name: 'get_daily_habits_status',
+    description: 'Get status of daily habits for today (completed/pending). Use for daily check-ins.',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    category: 'Goal Tracking',
+    summary: 'Get status of daily habits',
+    sideEffects: 'none',
+    handler: executeGetDailyHabitsStatus
+  }
+];
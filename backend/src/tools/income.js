@@ -0,0 +1,109 @@
+/**
+ * Income Tools
+ * Logging earnings and comparing income sources
+ */
+
+import { recordIncomeSource, getIncomeSources, updateDailyMetrics } from '../services/personalization.js';
+
+async function executeLogIncome(userId, args) {
+  console.log('💰 INCOME: Logging income...');
+  const { source_name, source_type, amount, time_spent_hours, notes } = args;
+  try {
+    const result = await recordIncomeSource(userId, {
+      source_name,
+      source_type: source_type || 'other',
+      amount,
+      time_spent_hours,
+      notes
+    });
+
+    // Update daily metrics
+    await updateDailyMetrics(userId, { money_earned: amount });
+
+    return {
+      success: true,
+      message: `Logged income: ₹${amount} from ${source_name}`,
+      hourlyRate: result.hourlyRate ? `₹${result.hourlyRate}/hour` : null,
+      totalFromSource: result.totalEarned
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetIncomeSources(userId) {
+  console.log('💰 INCOME: Getting income sources...');
+  try {
+    const sources = await getIncomeSources(userId);
+    const totalEarned = sources.reduce((sum, s) => sum + (s.total_earned || 0), 0);
+    const bestHourlyRate = sources.reduce((max, s) => Math.max(max, s.hourly_rate || 0), 0);
+
+    return {
+      success: true,
+      sources,
+      summary: {
+        total_sources: sources.length,
+        total_earned: totalEarned,
+        best_hourly_rate: bestHourlyRate
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'log_income',
+    description: 'Log income earned from a source. Use when user mentions earning money.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        source_name: {
+          type: 'string',
+          description: 'Name of income source (e.g., "Freelance Project", "YouTube")'
+        },
+        source_type: {
+          type: 'string',
+          enum: ['freelance', 'job', 'business', 'investment', 'side_hustle', 'passive', 'other'],
+          description: 'Type of income source'
+        },
+        amount: {
+          type: 'number',
+          description: 'Amount earned in INR'
+        },
+        time_spent_hours: {
+          type: 'number',
+          description: 'Hours spent earning this (for hourly rate calculation)'
+        },
+        notes: {
+          type: 'string',
+          description: 'Additional notes'
+        }
+      },
+      required: ['source_name', 'amount']
+    },
+    category: 'Income Tracking',
+    summary: 'Log income earned from a source',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [
+      { table: 'income_sources', updates: true, where: args => ['LOWER(source_name) = LOWER(?)', args.source_name] },
+      { table: 'daily_metrics', updates: true, where: "date = date('now')" }
+    ],
+    handler: executeLogIncome
+  },
+  {
+    name: 'get_income_sources',
+    description: 'Get list of income sources with earnings and hourly rates. Use for financial analysis.',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    category: 'Income Tracking',
+    summary: 'Get list of income sources with hourly rates',
+    sideEffects: 'none',
+    handler: executeGetIncomeSources
+  }
+];
@@ -0,0 +1,36 @@
+/**
+ * Agent Tools
+ * Registers every domain's tools; import the registry API from here
+ */
+
+import { registerTools } from './registry.js';
+import researchTools from './research.js';
+import memoryTools from './memory.js';
+import taskTools from './tasks.js';
+import emailTools from './email.js';
+import linkedinTools from './linkedin.js';
+import sheetsTools from './sheets.js';
+import profileTools from './profile.js';
+import goalTools from './goals.js';
+import productivityTools from './productivity.js';
+import incomeTools from './income.js';
+import wellbeingTools from './wellbeing.js';
+import jobTools from './jobs.js';
+import undoTools from './undo.js';
+
+// Registration order sets the order of categories in the system prompt
+registerTools(researchTools);
+registerTools(memoryTools);
+registerTools(taskTools);
+registerTools(emailTools);
+registerTools(linkedinTools);
+registerTools(sheetsTools);
+registerTools(profileTools);
+registerTools(goalTools);
+registerTools(productivityTools);
+registerTools(incomeTools);
+registerTools(wellbeingTools);
+registerTools(jobTools);
+registerTools(undoTools);
+
+export * from './registry.js';
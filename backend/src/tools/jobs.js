@@ -0,0 +1,206 @@
+/**
+ * Scheduled Job Tools
+ * Standing instructions the agent carries out on a recurring schedule
+ */
+
+import { createJob, listJobs, updateJob, deleteJob } from '../services/agent-jobs.js';
+
+// Jobs are addressed by id, or by a case-insensitive part of their name
+async function findJob(userId, { job_id, job_name }) {
+  const jobs = await listJobs(userId);
+  if (job_id) {
+    return jobs.find(job => job.id === job_id) || null;
+  }
+  if (job_name) {
+    const matches = jobs.filter(job => job.name.toLowerCase().includes(job_name.toLowerCase()));
+    return matches.length === 1 ? matches[0] : null;
+  }
+  return null;
+}
+
+// The rows of the jobs a call may address (see findJob), for the undo specs
+function jobRows(column) {
+  return (args) => args.job_id
+    ? [`${column} = ?`, args.job_id]
+    : [`${column} IN (SELECT id FROM agent_jobs WHERE LOWER(name) LIKE ?)`, `%${(args.job_name || '').toLowerCase()}%`];
+}
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    instruction: job.instruction,
+    schedule: job.schedule,
+    timezone: job.timezone,
+    enabled: job.enabled,
+    nextRunAt: job.nextRunAt,
+    lastRunAt: job.lastRunAt,
+    lastStatus: job.lastStatus
+  };
+}
+
+async function executeCreateScheduledJob(userId, args) {
+  const { name, instruction, schedule, timezone } = args;
+  const outcome = await createJob(userId, { name, instruction, schedule, timezone });
+
+  if (!outcome.success) {
+    return { success: false, error: `Invalid schedule "${schedule}": ${outcome.error}` };
+  }
+
+  return {
+    success: true,
+    job: describeJob(outcome.job),
+    message: `Scheduled "${name}" (${schedule}, ${outcome.job.timezone}). First run: ${outcome.job.nextRunAt}`
+  };
+}
+
+async function executeListScheduledJobs(userId) {
+  const jobs = await listJobs(userId);
+  return {
+    success: true,
+    jobs: jobs.map(describeJob),
+    message: jobs.length > 0 ? `${jobs.length} scheduled job(s)` : 'No scheduled jobs yet'
+  };
+}
+
+async function executeUpdateScheduledJob(userId, args) {
+  const job = await findJob(userId, args);
+  if (!job) {
+    return { success: false, error: 'Could not find exactly one job matching that id or name. List the jobs first.' };
+  }
+
+  const { name, instruction, schedule, timezone, enabled } = args;
+  const outcome = await updateJob(userId, job.id, { name, instruction, schedule, timezone, enabled });
+  if (!outcome?.success) {
+    return { success: false, error: outcome?.error || 'Job not found' };
+  }
+
+  return {
+    success: true,
+    job: describeJob(outcome.job),
+    message: `Updated "${outcome.job.name}"${outcome.job.enabled ? `; next run ${outcome.job.nextRunAt}` : ' (paused)'}`
+  };
+}
+
+async function executeDeleteScheduledJob(userId, args) {
+  const job = await findJob(userId, args);
+  if (!job) {
+    return { success: false, error: 'Could not find exactly one job matching that id or name. List the jobs first.' };
+  }
+
+  await deleteJob(userId, job.id);
+  return { success: true, jobId: job.id, message: `Deleted scheduled job "${job.name}"` };
+}
+
+const JOB_REFERENCE = {
+  job_id: {
+    type: 'string',
+    description: 'The job ID (from list_scheduled_jobs)'
+  },
+  job_name: {
+    type: 'string',
+    description: 'Part of the job name, if the ID is not known'
+  }
+};
+
+const SCHEDULE_DESCRIPTION = 'When to run, as a 5-field cron expression in the user\'s local time ' +
+  '(e.g. "0 18 * * FRI" = Fridays 6pm, "0 8 * * *" = every morning at 8, "0 9 * * 1-5" = weekdays 9am) ' +
+  'or an RRULE (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;BYHOUR=9;BYMINUTE=0" = every other Monday 9am)';
+
+export default [
+  {
+    name: 'create_scheduled_job',
+    description: 'Set up a standing instruction that runs automatically on a recurring schedule, e.g. "every Friday at 6pm, summarize my income into my budget sheet" or "every morning, search for new React jobs in Bangalore and email me". The result of each run is sent to the user as a notification.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'A short name for the job (e.g., "Weekly income summary")'
+        },
+        instruction: {
+          type: 'string',
+          description: 'What to do on every run, written as a complete, self-contained instruction'
+        },
+        schedule: {
+          type: 'string',
+          description: SCHEDULE_DESCRIPTION
+        },
+        timezone: {
+          type: 'string',
+          description: 'IANA timezone (e.g., "Asia/Kolkata"). Omit to use the user\'s profile timezone'
+        }
+      },
+      required: ['name', 'instruction', 'schedule']
+    },
+    category: 'Scheduled Jobs',
+    summary: 'Create recurring jobs ("every Monday, do X")',
+    sideEffects: 'internal',
+    undo: [{ table: 'agent_jobs', ids: result => result.job?.id }],
+    handler: executeCreateScheduledJob
+  },
+  {
+    name: 'list_scheduled_jobs',
+    description: 'List the user\'s scheduled jobs with their schedules, next run and last result status.',
+    input_schema: {
+      type: 'object',
+      properties: {}
+    },
+    category: 'Scheduled Jobs',
+    summary: 'List scheduled jobs',
+    sideEffects: 'none',
+    handler: executeListScheduledJobs
+  },
+  {
+    name: 'update_scheduled_job',
+    description: 'Change a scheduled job: its name, instruction or schedule, or pause/resume it (enabled false/true).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        ...JOB_REFERENCE,
+        name: {
+          type: 'string',
+          description: 'New name'
+        },
+        instruction: {
+          type: 'string',
+          description: 'New instruction'
+        },
+        schedule: {
+          type: 'string',
+          description: SCHEDULE_DESCRIPTION
+        },
+        timezone: {
+          type: 'string',
+          description: 'New IANA timezone'
+        },
+        enabled: {
+          type: 'boolean',
+          description: 'false to pause the job, true to resume it'
+        }
+      }
+    },
+    category: 'Scheduled Jobs',
+    summary: 'Change, pause or resume scheduled jobs',
+    sideEffects: 'internal',
+    undo: [{ table: 'agent_jobs', updates: true, where: jobRows('id'), ids: result => result.job?.id }],
+    handler: executeUpdateScheduledJob
+  },
+  {
+    name: 'delete_scheduled_job',
+    description: 'Delete a scheduled job and its run history.',
+    input_schema: {
+      type: 'object',
+      properties: JOB_REFERENCE
+    },
+    category: 'Scheduled Jobs',
+    summary: 'Delete scheduled jobs',
+    sideEffects: 'destructive',
+    undo: [
+      { table: 'agent_jobs', updates: true, where: jobRows('id'), ids: result => result.jobId },
+      { table: 'agent_job_runs', updates: true, where: jobRows('job_id') }
+    ],
+    preview: (args) => `Delete scheduled job ${args.job_name ? `"${args.job_name}"` : args.job_id}`,
+    handler: executeDeleteScheduledJob
+  }
+];
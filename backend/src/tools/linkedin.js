@@ -0,0 +1,328 @@
+/**
+ * LinkedIn & Image Tools
+ * Publishing to LinkedIn and generating images
+ */
+
+import { client } from '../models/database.js';
+import { createTextPost, createArticlePost, createImagePost, uploadImage, getRateLimitStatus, LinkedInVisibility } from '../services/linkedin.js';
+import { generateImage, generateImageBuffer } from '../services/image-generator.js';
+import { randomUUID as uuidv4 } from 'crypto';
+
+async function executePostToLinkedIn(userId, args) {
+  console.log('📱 LINKEDIN: Posting content...');
+  const { content, article_url, article_title, visibility = 'PUBLIC' } = args;
+
+  try {
+    // Check rate limit first
+    const rateLimit = getRateLimitStatus();
+    if (rateLimit.remaining <= 0) {
+      return {
+        success: false,
+        rateLimited: true,
+        message: `Rate limit exceeded. You can post again in ${rateLimit.resetIn} hours.`
+      };
+    }
+
+    // Get stored credentials
+    const credResult = await client.execute({
+      sql: 'SELECT access_token, person_urn FROM linkedin_credentials WHERE user_id = ?',
+      args: [userId]
+    });
+
+    if (credResult.rows.length === 0) {
+      return {
+        success: false,
+        needsAuth: true,
+        message: 'LinkedIn not connected. Please connect your LinkedIn account first by visiting /api/linkedin/auth'
+      };
+    }
+
+    const { access_token, person_urn } = credResult.rows[0];
+    const postVisibility = visibility === 'CONNECTIONS' ? LinkedInVisibility.CONNECTIONS : LinkedInVisibility.PUBLIC;
+
+    let result;
+    if (article_url) {
+      result = await createArticlePost(access_token, person_urn, content, article_url, article_title || 'Shared Article', '', postVisibility);
+    } else {
+      result = await createTextPost(access_token, person_urn, content, postVisibility);
+    }
+
+    if (result.success) {
+      // Log the post
+      await client.execute({
+        sql: 'INSERT INTO linkedin_posts (id, user_id, content, post_id, created_at) VALUES (?, ?, ?, ?, ?)',
+        args: [uuidv4(), userId, content, result.postId, new Date().toISOString()]
+      });
+
+      return {
+        success: true,
+        postId: result.postId,
+        message: `Successfully posted to LinkedIn! (${result.remainingRequests} requests remaining today)`,
+        visibility: visibility,
+        remainingRequests: result.remainingRequests
+      };
+    }
+
+    return { success: false, error: result.error };
+  } catch (error) {
+    console.error('LinkedIn post error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// LinkedIn post with AI-generated image
+async function executePostToLinkedInWithImage(userId, args) {
+  console.log('📱🎨 LINKEDIN+IMAGE: Creating post with generated image...');
+  const { content, image_prompt, visibility = 'PUBLIC' } = args;
+
+  try {
+    // Step 1: Check LinkedIn credentials
+    const credResult = await client.execute({
+      sql: 'SELECT access_token, person_urn FROM linkedin_credentials WHERE user_id = ?',
+      args: [userId]
+    });
+
+    if (credResult.rows.length === 0) {
+      return {
+        success: false,
+        error: 'LinkedIn not connected. Please connect your LinkedIn account first.'
+      };
+    }
+
+    const { access_token, person_urn } = credResult.rows[0];
+
+    // Step 2: Generate the image
+    console.log('🎨 Step 1: Generating image...');
+    const imageResult = await generateImageBuffer(image_prompt, {
+      size: '1024x1024',
+      style: 'vivid',
+      quality: 'standard'
+    });
+
+    if (!imageResult.success) {
+      return {
+        success: false,
+        error: `Image generation failed: ${imageResult.error}`
+      };
+    }
+
+    // Step 3: Upload image to LinkedIn
+    console.log('📤 Step 2: Uploading image to LinkedIn...');
+    const uploadResult = await uploadImage(access_token, person_urn, imageResult.buffer, 'generated-image.png');
+
+    if (!uploadResult.success) {
+      return {
+        success: false,
+        error: `Image upload failed: ${uploadResult.error}`
+      };
+    }
+
+    // Step 4: Create the post with the image
+    console.log('📝 Step 3: Creating LinkedIn post with image...');
+    const postVisibility = visibility === 'CONNECTIONS' ? LinkedInVisibility.CONNECTIONS : LinkedInVisibility.PUBLIC;
+    const postResult = await createImagePost(access_token, person_urn, content, uploadResult.asset, postVisibility);
+
+    if (postResult.success) {
+      // Log the post to database
+      await client.execute({
+        sql: 'INSERT INTO linkedin_posts (id, user_id, content, post_id, created_at) VALUES (?, ?, ?, ?, ?)',
+        args: [uuidv4(), userId, content, postResult.postId, new Date().toISOString()]
+      });
+
+      return {
+        success: true,
+        postId: postResult.postId,
+        message: `Successfully posted to LinkedIn with AI-generated image! (${postResult.remainingRequests} requests remaining today)`,
+        imagePromptUsed: imageResult.revisedPrompt || image_prompt
+      };
+    }
+
+    return { success: false, error: postResult.error };
+  } catch (error) {
+    console.error('LinkedIn image post error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeCheckLinkedInStatus(userId) {
+  console.log('📱 LINKEDIN: Checking status...');
+  try {
+    // Check rate limit
+    const rateLimit = getRateLimitStatus();
+
+    // Check if user has LinkedIn connected
+    const credResult = await client.execute({
+      sql: 'SELECT person_urn, profile_name, expires_at FROM linkedin_credentials WHERE user_id = ?',
+      args: [userId]
+    });
+
+    if (credResult.rows.length === 0) {
+      return {
+        success: true,
+        connected: false,
+        message: 'LinkedIn not connected. Visit /api/linkedin/auth to connect your account.',
+        rateLimit
+      };
+    }
+
+    const credential = credResult.rows[0];
+    const isExpired = new Date(credential.expires_at) < new Date();
+
+    // Get recent post count
+    const postResult = await client.execute({
+      sql: 'SELECT COUNT(*) as count FROM linkedin_posts WHERE user_id = ? AND created_at > datetime("now", "-24 hours")',
+      args: [userId]
+    });
+
+    return {
+      success: true,
+      connected: !isExpired,
+      profileName: credential.profile_name,
+      expired: isExpired,
+      postsLast24h: postResult.rows[0]?.count || 0,
+      rateLimit: {
+        used: rateLimit.used,
+        remaining: rateLimit.remaining,
+        limit: rateLimit.limit,
+        resetInHours: rateLimit.resetIn
+      },
+      message: isExpired
+        ? 'LinkedIn token expired. Please reconnect your account.'
+        : `LinkedIn connected as ${credential.profile_name}. ${rateLimit.remaining} API requests remaining today.`
+    };
+  } catch (error) {
+    console.error('LinkedIn status error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Image generation execution function
+async function executeGenerateImage(_userId, args) {
+  console.log('🎨 IMAGE: Generating image...');
+  const { prompt, size = '1024x1024', style = 'vivid', quality = 'standard' } = args;
+
+  try {
+    const result = await generateImage(prompt, size, style, quality);
+    if (result.success) {
+      return {
+        success: true,
+        imageUrl: result.imageUrl,
+        revisedPrompt: result.revisedPrompt,
+        message: 'Image generated successfully!'
+      };
+    }
+    return { success: false, error: result.error };
+  } catch (error) {
+    console.error('Image generation error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'post_to_linkedin',
+    description: 'Create and publish a post on the user\'s LinkedIn profile. Use this when the user wants to share content on LinkedIn.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'The text content of the LinkedIn post. Should be engaging and professional.'
+        },
+        article_url: {
+          type: 'string',
+          description: 'Optional URL to share as an article/link post'
+        },
+        article_title: {
+          type: 'string',
+          description: 'Title for the shared article (if article_url is provided)'
+        },
+        visibility: {
+          type: 'string',
+          enum: ['PUBLIC', 'CONNECTIONS'],
+          description: 'Who can see the post: PUBLIC (anyone on LinkedIn) or CONNECTIONS (only connections). Default is PUBLIC.'
+        }
+      },
+      required: ['content']
+    },
+    category: 'Social Media',
+    summary: 'Post text content to LinkedIn',
+    sideEffects: 'external',
+    preview: (args) => `${args.visibility || 'PUBLIC'} post:\n\n${args.content}${args.article_url ? `\n\nLink: ${args.article_url}` : ''}`,
+    handler: executePostToLinkedIn
+  },
+  {
+    name: 'post_to_linkedin_with_image',
+    description: 'Create and publish a LinkedIn post with an AI-generated image. Use this when user wants to post on LinkedIn with a custom generated image.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'The text content of the LinkedIn post. Should be engaging and professional.'
+        },
+        image_prompt: {
+          type: 'string',
+          description: 'Description of the image to generate for the post. Will be used with DALL-E 3.'
+        },
+        visibility: {
+          type: 'string',
+          enum: ['PUBLIC', 'CONNECTIONS'],
+          description: 'Who can see the post: PUBLIC or CONNECTIONS. Default: PUBLIC'
+        }
+      },
+      required: ['content', 'image_prompt']
+    },
+    category: 'Social Media',
+    summary: 'Post to LinkedIn with AI-generated image',
+    sideEffects: 'external',
+    preview: (args) => `${args.visibility || 'PUBLIC'} post:\n\n${args.content}\n\nImage: ${args.image_prompt}`,
+    handler: executePostToLinkedInWithImage
+  },
+  {
+    name: 'check_linkedin_status',
+    description: 'Check LinkedIn connection status and remaining API rate limits. Use this before posting to ensure the user is connected.',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    category: 'Social Media',
+    summary: 'Check LinkedIn connection and rate limits',
+    sideEffects: 'none',
+    handler: executeCheckLinkedInStatus
+  },
+  {
+    name: 'generate_image',
+    description: 'Generate an AI image using DALL-E 3. Use this when user wants to create an image, illustration, or visual content.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        prompt: {
+          type: 'string',
+          description: 'Detailed description of the image to generate. Be specific about style, colors, composition.'
+        },
+        size: {
+          type: 'string',
+          enum: ['1024x1024', '1792x1024', '1024x1792'],
+          description: 'Image dimensions. 1024x1024 (square), 1792x1024 (landscape), 1024x1792 (portrait). Default: 1024x1024'
+        },
+        style: {
+          type: 'string',
+          enum: ['vivid', 'natural'],
+          description: 'Image style. vivid = hyper-real/dramatic, natural = more realistic. Default: vivid'
+        },
+        quality: {
+          type: 'string',
+          enum: ['standard', 'hd'],
+          description: 'Image quality. hd = more detail but costs more. Default: standard'
+        }
+      },
+      required: ['prompt']
+    },
+    category: 'Social Media',
+    summary: 'Generate AI images using DALL-E 3',
+    sideEffects: 'none',
+    handler: executeGenerateImage
+  }
+];
@@ -0,0 +1,206 @@
+/**
+ * Memory Tools
+ * Looking back through what the user has saved, said and received, and keeping the facts
+ * they ask to be remembered
+ */
+
+import { MEMORY_TYPES, searchMemory } from '../services/semantic-memory.js';
+import { MAX_STATEMENT_LENGTH, createFact, updateFact, deleteFacts, findFacts, listFacts } from '../services/memory-facts.js';
+
+async function executeSearchMemory(userId, args) {
+  const { query, types, from, to, limit = 5 } = args;
+
+  const unknown = (types || []).filter(type => !MEMORY_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown type: ${unknown.join(', ')}. Use ${MEMORY_TYPES.join(', ')}` };
+  }
+  if ([from, to].some(bound => bound && Number.isNaN(Date.parse(bound)))) {
+    return { success: false, error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+
+  const results = await searchMemory(userId, query, { types, from, to, limit: Math.min(limit, 20) });
+  if (results.length === 0) {
+    return { success: true, results: [], message: 'Nothing related found in the user\'s records' };
+  }
+
+  return {
+    success: true,
+    results: results.map(result => ({
+      type: result.type,
+      id: result.id,
+      title: result.title,
+      excerpt: result.excerpt,
+      date: result.createdAt
+    }))
+  };
+}
+
+function describeFact(fact) {
+  return { id: fact.id, statement: fact.statement, savedAt: fact.updatedAt || fact.createdAt };
+}
+
+async function executeRememberFact(userId, args, context = {}) {
+  const { statement, replaces_fact_id } = args;
+  if (!statement || !statement.trim()) {
+    return { success: false, error: 'Nothing to remember: statement is empty' };
+  }
+  if (statement.length > MAX_STATEMENT_LENGTH) {
+    return { success: false, error: `Keep it to one fact of at most ${MAX_STATEMENT_LENGTH} characters` };
+  }
+
+  if (replaces_fact_id) {
+    const fact = await updateFact(userId, replaces_fact_id, statement);
+    if (!fact) {
+      return { success: false, error: 'No fact with that ID. Use recall_facts to find it.' };
+    }
+    return { success: true, fact: describeFact(fact), message: `Updated: "${fact.statement}"` };
+  }
+
+  const { fact, created } = await createFact(userId, statement, { source: 'chat', executionId: context.executionId });
+  return {
+    success: true,
+    fact: describeFact(fact),
+    message: created ? `Remembered: "${fact.statement}"` : `Already remembered: "${fact.statement}"`
+  };
+}
+
+async function executeRecallFacts(userId, args) {
+  const { query, limit = 10 } = args;
+  const size = Math.min(limit, 50);
+  const facts = query && query.trim()
+    ? await findFacts(userId, query, size)
+    : (await listFacts(userId, { limit: size })).facts;
+
+  return {
+    success: true,
+    facts: facts.map(describeFact),
+    message: facts.length > 0 ? `${facts.length} fact(s)` : 'No remembered facts match'
+  };
+}
+
+async function executeForgetFacts(userId, args) {
+  const { fact_ids = [] } = args;
+  if (fact_ids.length === 0) {
+    return { success: false, error: 'Pass the IDs of the facts to forget (from recall_facts)' };
+  }
+
+  const deleted = await deleteFacts(userId, fact_ids);
+  if (deleted.length === 0) {
+    return { success: false, error: 'None of those facts exist. Use recall_facts to find them.' };
+  }
+
+  return {
+    success: true,
+    forgotten: deleted.map(fact => fact.statement),
+    message: `Forgot ${deleted.length} fact(s)`
+  };
+}
+
+export default [
+  {
+    name: 'search_memory',
+    description: 'Search everything the user has saved, said or received by meaning: past chats, ideas, tasks, emails, web searches, research notes, remembered facts and uploaded files. Use when the user refers to something from before ("that app idea I had", "what did the landlord say about the deposit?") or when their own history would help answer. Finds related wording too, not just exact words.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for, in natural language'
+        },
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: MEMORY_TYPES },
+          description: 'Only these kinds of records (default: all)'
+        },
+        from: {
+          type: 'string',
+          description: 'Only records from this date on (YYYY-MM-DD)'
+        },
+        to: {
+          type: 'string',
+          description: 'Only records up to and including this date (YYYY-MM-DD)'
+        },
+        limit: {
+          type: 'number',
+          description: 'How many results (default 5, max 20)'
+        }
+      },
+      required: ['query']
+    },
+    category: 'Memory',
+    summary: 'Search the user\'s past chats, ideas, tasks, emails, research and files',
+    sideEffects: 'none',
+    handler: executeSearchMemory
+  },
+  {
+    name: 'remember_fact',
+    description: 'Save a fact the user explicitly asks you to remember ("remember that my GST number is 29ABCDE1234F1Z5", "note that Ravi is my accountant"). One self-contained statement per call, written in the third person about the user ("The user\'s GST number is ..."); split several facts into several calls. To correct a fact already saved, pass its ID as replaces_fact_id instead of saving a second version. Remembered facts related to a message are shown to you automatically.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        statement: {
+          type: 'string',
+          description: 'The fact, as a complete sentence that makes sense on its own'
+        },
+        replaces_fact_id: {
+          type: 'string',
+          description: 'The ID of the fact this corrects (from recall_facts or your context)'
+        }
+      },
+      required: ['statement']
+    },
+    category: 'Memory',
+    summary: 'Remember facts the user asks you to ("remember that...")',
+    sideEffects: 'internal',
+    undo: [{
+      table: 'memory_facts',
+      updates: true,
+      where: args => ['id = ?', args.replaces_fact_id || null],
+      ids: result => result.fact?.id,
+      vector: row => `fact_${row.id}`
+    }],
+    handler: executeRememberFact
+  },
+  {
+    name: 'recall_facts',
+    description: 'Look up the facts the user asked you to remember, with their IDs: the ones about a topic or person, or the latest ones without a query. Use before forgetting or correcting a fact, or when the user asks what you remember about something.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What the facts are about (e.g., "Ravi", "tax details"). Omit for the latest facts'
+        },
+        limit: {
+          type: 'number',
+          description: 'How many facts (default 10, max 50)'
+        }
+      }
+    },
+    category: 'Memory',
+    summary: 'Look up remembered facts',
+    sideEffects: 'none',
+    handler: executeRecallFacts
+  },
+  {
+    name: 'forget_facts',
+    description: 'Delete remembered facts when the user asks you to forget them ("forget what I said about Ravi"). Find them with recall_facts first and pass only the IDs of the facts the request is about.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        fact_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of the facts to delete'
+        }
+      },
+      required: ['fact_ids']
+    },
+    category: 'Memory',
+    summary: 'Forget remembered facts',
+    // The user asked for it, and it can be undone like any other change to their data
+    sideEffects: 'internal',
+    undo: [{ table: 'memory_facts', updates: true, where: args => [`id IN (${(args.fact_ids || []).map(() => '?').join(', ') || 'NULL'})`, ...(args.fact_ids || [])] }],
+    handler: executeForgetFacts
+  }
+];
@@ -0,0 +1,244 @@
+/**
+ * Productivity Tools
+ * Prioritized tasks, schedules, protected time and time savings
+ */
+
+import {
+  createProtectedTimeBlock,
+  getPrioritizedTasks,
+  addPrioritizedTask,
+  generateOptimizedSchedule,
+  logTimeSaving
+} from '../services/productivity-optimizer.js';
+
+async function executeAddPrioritizedTask(userId, args) {
+  console.log('➕ TASK: Adding prioritized task...');
+  const { title, task_type, money_impact, time_required_minutes, deadline } = args;
+  try {
+    const result = await addPrioritizedTask(userId, {
+      title,
+      task_type,
+      money_impact: money_impact || 0,
+      time_required_minutes: time_required_minutes || 60,
+      deadline
+    });
+    return {
+      success: true,
+      taskId: result.id,
+      priorityScore: result.priority_score,
+      message: `Task added with priority score: ${result.priority_score}/100`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetMyPriorities(userId, args) {
+  console.log('🔝 PRIORITIES: Getting prioritized tasks...');
+  const { limit = 10 } = args;
+  try {
+    const tasks = await getPrioritizedTasks(userId, limit);
+    return {
+      success: true,
+      tasks,
+      count: tasks.length,
+      message: `Here are your top ${tasks.length} priorities based on money impact and time efficiency`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetDailySchedule(userId, args) {
+  console.log('📅 SCHEDULE: Getting optimized daily schedule...');
+  const { date } = args;
+  try {
+    const schedule = await generateOptimizedSchedule(userId, date);
+    return {
+      success: true,
+      schedule,
+      message: `Here's your optimized schedule for ${date || 'today'}`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeCreateProtectedTimeBlock(userId, args) {
+  console.log('🛡️ TIME: Creating protected time block...');
+  const { block_name, purpose, start_time, end_time, days_of_week, expected_roi } = args;
+  try {
+    const blockId = await createProtectedTimeBlock(userId, {
+      block_name,
+      purpose,
+      start_time,
+      end_time,
+      days_of_week: days_of_week || 'mon,tue,wed,thu,fri',
+      expected_roi
+    });
+    return {
+      success: true,
+      blockId,
+      message: `Protected time block created: "${block_name}" (${start_time} - ${end_time})`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeLogTimeSaved(userId, args) {
+  console.log('⏱️ TIME: Logging time saved...');
+  const { action_type, description, time_saved_minutes } = args;
+  try {
+    const logId = await logTimeSaving(userId, action_type, description, time_saved_minutes);
+    return {
+      success: true,
+      logId,
+      message: `Logged ${time_saved_minutes} minutes saved through ${action_type}`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'add_prioritized_task',
+    description: 'Add a task with priority scoring based on money impact and deadline.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Task title'
+        },
+        task_type: {
+          type: 'string',
+          enum: ['income', 'deadline', 'maintenance', 'growth', 'personal'],
+          description: 'Type of task for priority calculation'
+        },
+        money_impact: {
+          type: 'number',
+          description: 'Potential money impact in INR'
+        },
+        time_required_minutes: {
+          type: 'number',
+          description: 'Estimated time to complete in minutes'
+        },
+        deadline: {
+          type: 'string',
+          description: 'Deadline if any (YYYY-MM-DD HH:MM)'
+        }
+      },
+      required: ['title', 'task_type']
+    },
+    category: 'Tasks & Reminders',
+    summary: 'Add task with money impact and priority scoring',
+    sideEffects: 'internal',
+    undo: [{ table: 'task_priorities', ids: result => result.taskId }],
+    handler: executeAddPrioritizedTask
+  },
+  {
+    name: 'get_my_priorities',
+    description: 'Get prioritized task list based on money impact and time efficiency. Use when user asks what to do next.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Number of tasks to return (default 10)'
+        }
+      },
+      required: []
+    },
+    category: 'Tasks & Reminders',
+    summary: 'Get prioritized task list based on money impact',
+    sideEffects: 'none',
+    handler: executeGetMyPriorities
+  },
+  {
+    name: 'get_daily_schedule',
+    description: 'Get optimized daily schedule with prioritized tasks. Returns money-making tasks first, then time-sensitive, then others.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'Date for schedule (YYYY-MM-DD), defaults to today'
+        }
+      },
+      required: []
+    },
+    category: 'Tasks & Reminders',
+    summary: 'Get optimized daily schedule',
+    sideEffects: 'none',
+    handler: executeGetDailySchedule
+  },
+  {
+    name: 'create_protected_time_block',
+    description: 'Create a protected time block for focused work (study, deep work, etc.). Use when user wants to protect time for important activities.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        block_name: {
+          type: 'string',
+          description: 'Name of the time block (e.g., "Study Time", "Deep Work")'
+        },
+        purpose: {
+          type: 'string',
+          description: 'Purpose of this time block'
+        },
+        start_time: {
+          type: 'string',
+          description: 'Start time in HH:MM format (24h)'
+        },
+        end_time: {
+          type: 'string',
+          description: 'End time in HH:MM format (24h)'
+        },
+        days_of_week: {
+          type: 'string',
+          description: 'Comma-separated days: mon,tue,wed,thu,fri,sat,sun'
+        },
+        expected_roi: {
+          type: 'string',
+          description: 'Expected benefit of this time block'
+        }
+      },
+      required: ['block_name', 'start_time', 'end_time']
+    },
+    category: 'Productivity & Time',
+    summary: 'Create protected time for focus work',
+    sideEffects: 'internal',
+    // Adding a block rescores the user's pending prioritized tasks
+    undo: [{ table: 'protected_time_blocks', ids: result => result.blockId }, { table: 'task_priorities', updates: true, where: 'status = \'pending\'' }],
+    handler: executeCreateProtectedTimeBlock
+  },
+  {
+    name: 'log_time_saved',
+    description: 'Log when time is saved through optimization. Track efficiency wins.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action_type: {
+          type: 'string',
+          description: 'Type of action that saved time'
+        },
+        description: {
+          type: 'string',
+          description: 'What was done to save time'
+        },
+        time_saved_minutes: {
+          type: 'number',
+          description: 'Minutes saved'
+        }
+      },
+      required: ['action_type', 'time_saved_minutes']
+    },
+    category: 'Productivity & Time',
+    summary: 'Log when time is saved through optimization',
+    sideEffects: 'internal',
+    undo: [{ table: 'time_savings_log', ids: result => result.logId }, { table: 'daily_metrics', updates: true, where: "date = date('now')" }],
+    handler: executeLogTimeSaved
+  }
+];
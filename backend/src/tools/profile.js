@@ -0,0 +1,149 @@
+/**
+ * Profile & Contact Tools
+ * What the assistant remembers about the user and their people
+ */
+
+import { updateProfile, addOrUpdateContact, getContacts } from '../services/personalization.js';
+
+async function executeUpdateMyProfile(userId, args) {
+  console.log('👤 PROFILE: Updating profile...');
+  const { field, value } = args;
+  try {
+    const result = await updateProfile(userId, { [field]: value });
+    return {
+      success: true,
+      message: `Profile updated: ${field} = ${value}`,
+      profile: result
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeAddContact(userId, args) {
+  console.log('👥 CONTACTS: Adding contact...');
+  const { name, relationship, phone, email, birthday, notes, importance } = args;
+  try {
+    const result = await addOrUpdateContact(userId, {
+      name,
+      relationship,
+      phone,
+      email,
+      birthday,
+      notes,
+      importance: importance || 3
+    });
+    return {
+      success: true,
+      contactId: result.contactId,
+      message: `Added/updated contact: ${name} (${relationship})`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetMyContacts(userId, args) {
+  console.log('👥 CONTACTS: Getting contacts...');
+  const { relationship } = args;
+  try {
+    const contacts = await getContacts(userId, relationship);
+    return {
+      success: true,
+      contacts,
+      count: contacts.length
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'update_my_profile',
+    description: 'Update user preferences, schedule, goals, or personal information. Use when user shares preferences, work hours, goals, or personal details.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        field: {
+          type: 'string',
+          enum: ['name', 'preferred_name', 'timezone', 'wake_time', 'sleep_time', 'work_start_time', 'work_end_time', 'communication_style', 'interests', 'short_term_goals', 'long_term_goals', 'daily_habits', 'financial_goal', 'personality_notes', 'assistant_name', 'response_language'],
+          description: 'The profile field to update (assistant_name and response_language only when the user asks you to go by another name or reply in a given language)'
+        },
+        value: {
+          type: 'string',
+          description: 'The new value for the field'
+        }
+      },
+      required: ['field', 'value']
+    },
+    category: 'Profile & Personalization',
+    summary: 'Update user preferences (name, schedule, goals, etc.)',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [{ table: 'user_profiles', updates: true }],
+    handler: executeUpdateMyProfile
+  },
+  {
+    name: 'add_contact',
+    description: 'Add or update a contact/relationship the AI should remember. Use when user mentions important people in their life.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the contact'
+        },
+        relationship: {
+          type: 'string',
+          description: 'Relationship type: family, friend, colleague, boss, client, mentor, etc.'
+        },
+        phone: {
+          type: 'string',
+          description: 'Phone number (optional)'
+        },
+        email: {
+          type: 'string',
+          description: 'Email address (optional)'
+        },
+        birthday: {
+          type: 'string',
+          description: 'Birthday in YYYY-MM-DD format (optional)'
+        },
+        notes: {
+          type: 'string',
+          description: 'Additional notes about this contact'
+        },
+        importance: {
+          type: 'number',
+          description: 'Importance level 1-5 (5 = most important)'
+        }
+      },
+      required: ['name', 'relationship']
+    },
+    category: 'Profile & Personalization',
+    summary: 'Add/update a contact the AI should remember',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [{ table: 'user_contacts', updates: true, where: args => ['LOWER(name) = LOWER(?)', args.name] }],
+    handler: executeAddContact
+  },
+  {
+    name: 'get_my_contacts',
+    description: 'Get list of user contacts/relationships the AI knows about.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        relationship: {
+          type: 'string',
+          description: 'Filter by relationship type (optional)'
+        }
+      },
+      required: []
+    },
+    category: 'Profile & Personalization',
+    summary: 'Get list of user\'s contacts',
+    sideEffects: 'none',
+    handler: executeGetMyContacts
+  }
+];
@@ -0,0 +1,290 @@
+/**
+ * Agent Tool Registry
+ * Domain modules declare their tools here; the agent builds its tool list and prompt from it
+ */
+
+import { client } from '../models/database.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { trackChanges, recordToolCall } from '../services/undo.js';
+
+// none: read-only, internal: writes the user's own records, external: acts outside the app, destructive: deletes data
+export const SIDE_EFFECTS = ['none', 'internal', 'external', 'destructive'];
+
+// ask: always queue for approval, auto: run immediately, threshold: run immediately while measure(args) <= threshold
+export const APPROVAL_POLICIES = ['ask', 'auto', 'threshold'];
+
+const tools = new Map();
+
+const CAPTURE_CONFIDENCE = {
+  type: 'number',
+  description: 'Only when recording something the user mentioned without asking you to: how sure you are (0-1) that you understood it correctly'
+};
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+/**
+ * Register a single tool definition
+ * { name, description, input_schema, category, summary, sideEffects, handler }
+ * Side-effecting tools may add preview(args) for the approval card and
+ * measure(args) + measureUnit so users can auto-approve small actions.
+ * Tools that write the user's records declare them in undo: [{ table, updates?, where?, ids?, vector? }]
+ * so each call can be undone. ids(result, args) are the rows the call wrote, as its result reports
+ * them; where (an SQL condition, or args => [condition, ...params]) narrows the rows it may write,
+ * for writes the result does not report (today's metrics, a contact found by name). New rows are
+ * tracked; with updates: true the user's existing rows in where (all of them without one) are
+ * snapshotted too, and of those only the reported ones count. vector(row) names the vector stored
+ * alongside a new row.
+ * Tools the agent calls unprompted to record what the user mentions set autoCapture: true; the
+ * model then passes capture_confidence and the call shows up in the "captured for you" feed.
+ */
+export function registerTool(tool) {
+  if (!tool.name || !tool.description || !tool.input_schema || typeof tool.handler !== 'function') {
+    throw new Error(`Invalid tool definition: ${tool.name || '(unnamed)'}`);
+  }
+  if (tools.has(tool.name)) {
+    throw new Error(`Tool already registered: ${tool.name}`);
+  }
+  if (tool.sideEffects && !SIDE_EFFECTS.includes(tool.sideEffects)) {
+    throw new Error(`Invalid sideEffects for ${tool.name}: ${tool.sideEffects}`);
+  }
+  if (tool.undo && !Array.isArray(tool.undo)) {
+    throw new Error(`Invalid undo spec for ${tool.name}`);
+  }
+
+  tools.set(tool.name, {
+    category: 'General',
+    summary: tool.description,
+    sideEffects: 'none',
+    ...tool
+  });
+}
+
+/**
+ * Register every tool a domain module exports
+ */
+export function registerTools(toolList) {
+  for (const tool of toolList) {
+    registerTool(tool);
+  }
+}
+
+export function getTool(name) {
+  return tools.get(name) || null;
+}
+
+export function listTools() {
+  return [...tools.values()];
+}
+
+/**
+ * Whether calls to this tool go through the approval policy
+ */
+export function requiresApproval(tool) {
+  return tool.sideEffects === 'external' || tool.sideEffects === 'destructive';
+}
+
+// ============================================
+// PER-USER SETTINGS
+// ============================================
+
+/**
+ * Get names of tools the user has switched off
+ */
+export async function getDisabledToolNames(userId) {
+  try {
+    const result = await client.execute({
+      sql: 'SELECT tool_name FROM user_tool_settings WHERE user_id = ? AND enabled = 0',
+      args: [userId]
+    });
+    return new Set(result.rows.map(row => row.tool_name));
+  } catch (error) {
+    console.error('Error getting tool settings:', error);
+    return new Set();
+  }
+}
+
+/**
+ * Enable or disable a tool for a user
+ */
+export async function setToolEnabled(userId, toolName, enabled) {
+  if (!tools.has(toolName)) {
+    throw new Error(`Unknown tool: ${toolName}`);
+  }
+
+  await client.execute({
+    sql: `INSERT INTO user_tool_settings (id, user_id, tool_name, enabled)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(user_id, tool_name) DO UPDATE SET
+          enabled = excluded.enabled, updated_at = CURRENT_TIMESTAMP`,
+    args: [uuidv4(), userId, toolName, enabled ? 1 : 0]
+  });
+}
+
+/**
+ * Get a user's approval policy for a tool, falling back to "ask"
+ */
+export async function getToolPolicy(userId, toolName) {
+  try {
+    const result = await client.execute({
+      sql: 'SELECT approval_policy, approval_threshold FROM user_tool_settings WHERE user_id = ? AND tool_name = ?',
+      args: [userId, toolName]
+    });
+    const row = result.rows[0];
+    return {
+      policy: row?.approval_policy || 'ask',
+      threshold: row?.approval_threshold ?? null
+    };
+  } catch (error) {
+    console.error('Error getting tool policy:', error);
+    return { policy: 'ask', threshold: null };
+  }
+}
+
+/**
+ * Set the approval policy for a side-effecting tool
+ */
+export async function setToolPolicy(userId, toolName, policy, threshold = null) {
+  const tool = tools.get(toolName);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${toolName}`);
+  }
+  if (!requiresApproval(tool)) {
+    throw new Error(`${toolName} has no side effects that need approval`);
+  }
+  if (!APPROVAL_POLICIES.includes(policy)) {
+    throw new Error(`Invalid approval policy: ${policy}`);
+  }
+  if (policy === 'threshold' && (!tool.measure || typeof threshold !== 'number')) {
+    throw new Error(`${toolName} does not support a threshold policy`);
+  }
+
+  await client.execute({
+    sql: `INSERT INTO user_tool_settings (id, user_id, tool_name, approval_policy, approval_threshold)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT(user_id, tool_name) DO UPDATE SET
+          approval_policy = excluded.approval_policy,
+          approval_threshold = excluded.approval_threshold,
+          updated_at = CURRENT_TIMESTAMP`,
+    args: [uuidv4(), userId, toolName, policy, policy === 'threshold' ? threshold : null]
+  });
+}
+
+/**
+ * Get the tools available to a user's agent
+ */
+export async function getEnabledTools(userId) {
+  const disabled = await getDisabledToolNames(userId);
+  return listTools().filter(tool => !disabled.has(tool.name));
+}
+
+/**
+ * List all tools with the user's enabled flag, for settings screens
+ */
+export async function getToolSettings(userId) {
+  const result = await client.execute({
+    sql: 'SELECT tool_name, enabled, approval_policy, approval_threshold FROM user_tool_settings WHERE user_id = ?',
+    args: [userId]
+  });
+  const settings = new Map(result.rows.map(row => [row.tool_name, row]));
+
+  return listTools().map(tool => {
+    const row = settings.get(tool.name);
+    const needsApproval = requiresApproval(tool);
+    return {
+      name: tool.name,
+      category: tool.category,
+      summary: tool.summary,
+      description: tool.description,
+      sideEffects: tool.sideEffects,
+      enabled: row ? row.enabled !== 0 : true,
+      approvalPolicy: needsApproval ? (row?.approval_policy || 'ask') : null,
+      approvalThreshold: needsApproval ? (row?.approval_threshold ?? null) : null,
+      measureUnit: needsApproval && tool.measure ? tool.measureUnit : null
+    };
+  });
+}
+
+// ============================================
+// AGENT INTEGRATION
+// ============================================
+
+/**
+ * Shape a registered tool for the Claude tools parameter
+ */
+export function toModelTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.autoCapture
+      ? {
+        ...tool.input_schema,
+        properties: { ...tool.input_schema.properties, capture_confidence: CAPTURE_CONFIDENCE }
+      }
+      : tool.input_schema
+  };
+}
+
+/**
+ * Build the "TOOL CATEGORIES" section of the system prompt, grouped in registration order
+ */
+export function buildToolPromptSection(toolList) {
+  const categories = new Map();
+  for (const tool of toolList) {
+    if (!categories.has(tool.category)) {
+      categories.set(tool.category, []);
+    }
+    categories.get(tool.category).push(`- ${tool.name}: ${tool.summary}`);
+  }
+
+  return [...categories.entries()]
+    .map(([category, lines]) => `${category}:\n${lines.join('\n')}`)
+    .join('\n\n');
+}
+
+/**
+ * Execute a tool by name for a user. What the call changed is recorded so it can be undone;
+ * the undo log entry id is left in context.recordedChangeId.
+ */
+export async function executeTool(userId, toolName, args, context = {}) {
+  const tool = tools.get(toolName);
+  if (!tool) {
+    return { success: false, error: `Unknown tool: ${toolName}` };
+  }
+
+  const disabled = context.disabledTools || await getDisabledToolNames(userId);
+  if (disabled.has(toolName)) {
+    return { success: false, error: `The ${toolName} tool is disabled in your settings` };
+  }
+
+  if (!tool.undo) {
+    const result = await tool.handler(userId, args || {}, context);
+    context.recordedChangeId = await recordToolCall(userId, tool, args || {}, result, [], context);
+    return result;
+  }
+
+  // Recorded after a throw too: the handler may have written some rows before failing
+  const { result, error, changes } = await trackChanges(userId, tool.undo, () => tool.handler(userId, args || {}, context), args || {});
+  context.recordedChangeId = await recordToolCall(userId, tool, args || {}, result, changes, context);
+  if (error) {
+    throw error;
+  }
+  return result;
+}
+
+export default {
+  registerTool,
+  registerTools,
+  getTool,
+  listTools,
+  getEnabledTools,
+  getToolSettings,
+  setToolEnabled,
+  requiresApproval,
+  getToolPolicy,
+  setToolPolicy,
+  toModelTool,
+  buildToolPromptSection,
+  executeTool
+};
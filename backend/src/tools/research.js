@@ -0,0 +1,161 @@
+/**
+ * Research Tools
+ * Web search, scraping and trending content
+ */
+
+import { searchWeb, scrapeUrl } from '../services/firecrawler.js';
+import { client } from '../models/database.js';
+import { indexRecord } from '../services/semantic-memory.js';
+import { randomUUID as uuidv4 } from 'crypto';
+
+// Tool execution functions
+async function executeSearchWeb(userId, args) {
+  const { query } = args;
+  const result = await searchWeb(query);
+
+  if (result.success && result.results.length > 0) {
+    // Store search in database
+    const searchId = uuidv4();
+    await client.execute({
+      sql: 'INSERT INTO searches (id, user_id, query, results) VALUES (?, ?, ?, ?)',
+      args: [searchId, userId, query, JSON.stringify(result.results)]
+    });
+
+    await indexRecord(userId, 'search', searchId);
+
+    return {
+      success: true,
+      searchId,
+      results: result.results.slice(0, 5).map(r => ({
+        title: r.title,
+        url: r.url,
+        content: r.content?.substring(0, 500) || r.description || ''
+      }))
+    };
+  }
+
+  return { success: false, error: result.error || 'No results found' };
+}
+
+async function executeScrapeUrl(_userId, args) {
+  const { url } = args;
+  const result = await scrapeUrl(url);
+
+  if (result.success) {
+    return {
+      success: true,
+      title: result.data?.metadata?.title || 'Unknown',
+      content: result.data?.content?.substring(0, 2000) || result.data?.markdown?.substring(0, 2000) || ''
+    };
+  }
+
+  return { success: false, error: result.error };
+}
+
+async function executeSearchViralContent(_userId, args) {
+  console.log('🔥 VIRAL: Searching for viral content...');
+  const { topic, platform = 'general' } = args;
+
+  // Build search queries for viral/trending content
+  const queries = [
+    `${topic} viral trending today ${new Date().getFullYear()}`,
+    `${topic} most popular news today`,
+    `${topic} trending tech news today`
+  ];
+
+  if (platform === 'hackernews') {
+    queries.push(`site:news.ycombinator.com ${topic} trending`);
+  } else if (platform === 'reddit') {
+    queries.push(`site:reddit.com ${topic} viral trending`);
+  }
+
+  let allResults = [];
+
+  for (const query of queries.slice(0, 2)) {
+    const result = await searchWeb(query);
+    if (result.success && result.results) {
+      allResults.push(...result.results);
+    }
+  }
+
+  // Remove duplicates based on URL
+  const uniqueResults = allResults.filter((item, index, self) =>
+    index === self.findIndex(t => t.url === item.url)
+  ).slice(0, 10);
+
+  if (uniqueResults.length > 0) {
+    return {
+      success: true,
+      topic,
+      results: uniqueResults.map(r => ({
+        title: r.title,
+        url: r.url,
+        snippet: r.content?.substring(0, 300) || r.description || ''
+      }))
+    };
+  }
+
+  return { success: false, error: 'No viral content found for this topic' };
+}
+
+export default [
+  {
+    name: 'search_web',
+    description: 'Search the web for information using Firecrawler API. Use this when user asks to search, find, look up, or research something.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The search query to find information on the web'
+        }
+      },
+      required: ['query']
+    },
+    category: 'Research & Content',
+    summary: 'Search the internet for information',
+    sideEffects: 'internal',
+    undo: [{ table: 'searches', ids: result => result.searchId, vector: row => `search_${row.id}` }],
+    handler: executeSearchWeb
+  },
+  {
+    name: 'scrape_url',
+    description: 'Scrape content from a specific URL to extract information.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL to scrape'
+        }
+      },
+      required: ['url']
+    },
+    category: 'Research & Content',
+    summary: 'Extract content from a specific URL',
+    sideEffects: 'none',
+    handler: executeScrapeUrl
+  },
+  {
+    name: 'search_viral_content',
+    description: 'Search for trending/viral technical content on the internet. Use this when user asks for viral content, trending posts, or popular tech news.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        topic: {
+          type: 'string',
+          description: 'The topic to search for viral content (e.g., "AI", "tech", "programming")'
+        },
+        platform: {
+          type: 'string',
+          description: 'Optional platform focus: "twitter", "hackernews", "reddit", "general"'
+        }
+      },
+      required: ['topic']
+    },
+    category: 'Research & Content',
+    summary: 'Find trending/viral content',
+    sideEffects: 'none',
+    handler: executeSearchViralContent
+  }
+];
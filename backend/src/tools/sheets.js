@@ -0,0 +1,318 @@
+/**
+ * Google Sheets Tools
+ * Creating, reading, editing and deleting spreadsheet data
+ */
+
+import {
+  createSpreadsheet,
+  readRange,
+  writeRange,
+  appendRows,
+  clearRange,
+  deleteRows,
+  listSpreadsheets,
+  deleteSpreadsheet,
+  getSpreadsheetSummary,
+  addSheet,
+  deleteSheet
+} from '../services/google-sheets.js';
+
+// Google Sheets execution functions
+async function executeCreateSpreadsheet(_userId, args) {
+  console.log('📊 SHEETS: Creating spreadsheet...');
+  const { title, sheet_names } = args;
+  return await createSpreadsheet(title, sheet_names || ['Sheet1']);
+}
+
+async function executeReadSpreadsheet(_userId, args) {
+  console.log('📊 SHEETS: Reading spreadsheet...');
+  const { spreadsheet_id, range = 'Sheet1!A1:Z100' } = args;
+  return await readRange(spreadsheet_id, range);
+}
+
+async function executeWriteSpreadsheet(_userId, args) {
+  console.log('📊 SHEETS: Writing to spreadsheet...');
+  const { spreadsheet_id, range, values } = args;
+  return await writeRange(spreadsheet_id, range, values);
+}
+
+async function executeAppendToSpreadsheet(_userId, args) {
+  console.log('📊 SHEETS: Appending to spreadsheet...');
+  const { spreadsheet_id, range, values } = args;
+  return await appendRows(spreadsheet_id, range, values);
+}
+
+async function executeDeleteSpreadsheetData(_userId, args) {
+  console.log('📊 SHEETS: Deleting spreadsheet data...');
+  const { spreadsheet_id, action, range, sheet_id, start_row, end_row } = args;
+
+  switch (action) {
+    case 'clear_range':
+      if (!range) return { success: false, error: 'Range is required for clear_range action' };
+      return await clearRange(spreadsheet_id, range);
+    case 'delete_rows':
+      if (sheet_id === undefined || start_row === undefined || end_row === undefined) {
+        return { success: false, error: 'sheet_id, start_row, and end_row are required for delete_rows action' };
+      }
+      return await deleteRows(spreadsheet_id, sheet_id, start_row, end_row);
+    case 'delete_sheet':
+      if (sheet_id === undefined) return { success: false, error: 'sheet_id is required for delete_sheet action' };
+      return await deleteSheet(spreadsheet_id, sheet_id);
+    case 'delete_spreadsheet':
+      return await deleteSpreadsheet(spreadsheet_id);
+    default:
+      return { success: false, error: `Unknown action: ${action}` };
+  }
+}
+
+async function executeListSpreadsheets(_userId, args) {
+  console.log('📊 SHEETS: Listing spreadsheets...');
+  const { limit = 10 } = args;
+  return await listSpreadsheets(limit);
+}
+
+async function executeSummarizeSpreadsheet(_userId, args) {
+  console.log('📊 SHEETS: Summarizing spreadsheet...');
+  const { spreadsheet_id } = args;
+  return await getSpreadsheetSummary(spreadsheet_id);
+}
+
+// Preview the first few rows of a write so the user can check it before approving
+function previewRows(values = []) {
+  const shown = values.slice(0, 5).map(row => row.join(' | ')).join('\n');
+  return values.length > 5 ? `${shown}\n… ${values.length - 5} more rows` : shown;
+}
+
+async function executeAddSheet(_userId, args) {
+  console.log('📊 SHEETS: Adding new sheet...');
+  const { spreadsheet_id, sheet_title } = args;
+  return await addSheet(spreadsheet_id, sheet_title);
+}
+
+export default [
+  {
+    name: 'create_spreadsheet',
+    description: 'Create a new Google Spreadsheet. Use when user wants to create a new spreadsheet or sheet.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Title for the new spreadsheet'
+        },
+        sheet_names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional names for the sheets in the spreadsheet (default: Sheet1)'
+        }
+      },
+      required: ['title']
+    },
+    category: 'Google Sheets',
+    summary: 'Create a new spreadsheet',
+    sideEffects: 'external',
+    preview: (args) => `Create spreadsheet "${args.title}"${args.sheet_names?.length ? ` with sheets: ${args.sheet_names.join(', ')}` : ''}`,
+    handler: executeCreateSpreadsheet
+  },
+  {
+    name: 'read_spreadsheet',
+    description: 'Read data from a Google Spreadsheet. Use when user asks to view, check, or get data from a sheet.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        spreadsheet_id: {
+          type: 'string',
+          description: 'The ID of the spreadsheet (from URL: docs.google.com/spreadsheets/d/{ID}/edit)'
+        },
+        range: {
+          type: 'string',
+          description: 'The A1 notation range to read (e.g., "Sheet1!A1:D10", "A1:Z100"). Default reads first sheet.'
+        }
+      },
+      required: ['spreadsheet_id']
+    },
+    category: 'Google Sheets',
+    summary: 'Read data from a sheet',
+    sideEffects: 'none',
+    handler: executeReadSpreadsheet
+  },
+  {
+    name: 'write_spreadsheet',
+    description: 'Write or update data in a Google Spreadsheet. Use when user wants to add, update, or modify data in a sheet.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        spreadsheet_id: {
+          type: 'string',
+          description: 'The ID of the spreadsheet'
+        },
+        range: {
+          type: 'string',
+          description: 'The A1 notation range to write to (e.g., "Sheet1!A1:D5")'
+        },
+        values: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          description: 'The data to write as a 2D array (rows and columns)'
+        }
+      },
+      required: ['spreadsheet_id', 'range', 'values']
+    },
+    category: 'Google Sheets',
+    summary: 'Write or update cells in a range',
+    sideEffects: 'external',
+    preview: (args) => `Write ${args.values?.length || 0} rows to ${args.range} in spreadsheet ${args.spreadsheet_id}:\n${previewRows(args.values)}`,
+    measure: (args) => args.values?.length || 0,
+    measureUnit: 'rows',
+    handler: executeWriteSpreadsheet
+  },
+  {
+    name: 'append_to_spreadsheet',
+    description: 'Append new rows to a Google Spreadsheet. Use when user wants to add new data at the end of a sheet.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        spreadsheet_id: {
+          type: 'string',
+          description: 'The ID of the spreadsheet'
+        },
+        range: {
+          type: 'string',
+          description: 'The sheet or range to append to (e.g., "Sheet1" or "Sheet1!A:D")'
+        },
+        values: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          description: 'The rows to append as a 2D array'
+        }
+      },
+      required: ['spreadsheet_id', 'range', 'values']
+    },
+    category: 'Google Sheets',
+    summary: 'Append rows to the end of a sheet',
+    sideEffects: 'external',
+    preview: (args) => `Append ${args.values?.length || 0} rows to ${args.range} in spreadsheet ${args.spreadsheet_id}:\n${previewRows(args.values)}`,
+    measure: (args) => args.values?.length || 0,
+    measureUnit: 'rows',
+    handler: executeAppendToSpreadsheet
+  },
+  {
+    name: 'delete_spreadsheet_data',
+    description: 'Clear or delete data from a Google Spreadsheet. Use when user wants to clear cells or delete rows.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        spreadsheet_id: {
+          type: 'string',
+          description: 'The ID of the spreadsheet'
+        },
+        action: {
+          type: 'string',
+          enum: ['clear_range', 'delete_rows', 'delete_sheet', 'delete_spreadsheet'],
+          description: 'The deletion action to perform'
+        },
+        range: {
+          type: 'string',
+          description: 'For clear_range: The A1 notation range to clear'
+        },
+        sheet_id: {
+          type: 'number',
+          description: 'For delete_rows or delete_sheet: The sheet ID'
+        },
+        start_row: {
+          type: 'number',
+          description: 'For delete_rows: Starting row index (0-based)'
+        },
+        end_row: {
+          type: 'number',
+          description: 'For delete_rows: Ending row index (0-based, exclusive)'
+        }
+      },
+      required: ['spreadsheet_id', 'action']
+    },
+    category: 'Google Sheets',
+    summary: 'Clear ranges, delete rows/sheets or a whole spreadsheet',
+    sideEffects: 'destructive',
+    preview: (args) => {
+      switch (args.action) {
+        case 'clear_range':
+          return `Clear ${args.range} in spreadsheet ${args.spreadsheet_id}`;
+        case 'delete_rows':
+          return `Delete rows ${args.start_row + 1}-${args.end_row} of sheet ${args.sheet_id} in spreadsheet ${args.spreadsheet_id}`;
+        case 'delete_sheet':
+          return `Delete sheet ${args.sheet_id} from spreadsheet ${args.spreadsheet_id}`;
+        default:
+          return `Delete the entire spreadsheet ${args.spreadsheet_id}`;
+      }
+    },
+    // Only row deletions have a size; everything else always asks
+    measure: (args) => args.action === 'delete_rows' ? args.end_row - args.start_row : null,
+    measureUnit: 'rows',
+    handler: executeDeleteSpreadsheetData
+  },
+  {
+    name: 'list_spreadsheets',
+    description: 'List all Google Spreadsheets the user has access to. Use when user asks to see their spreadsheets or find a specific one.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Maximum number of spreadsheets to return (default 10)'
+        }
+      },
+      required: []
+    },
+    category: 'Google Sheets',
+    summary: 'List the user\'s spreadsheets',
+    sideEffects: 'none',
+    handler: executeListSpreadsheets
+  },
+  {
+    name: 'summarize_spreadsheet',
+    description: 'Get an AI-friendly summary of a Google Spreadsheet including structure, headers, data types, and sample data. Use when user asks for a summary or overview of a spreadsheet.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        spreadsheet_id: {
+          type: 'string',
+          description: 'The ID of the spreadsheet to summarize'
+        }
+      },
+      required: ['spreadsheet_id']
+    },
+    category: 'Google Sheets',
+    summary: 'Summarize structure, headers and sample data',
+    sideEffects: 'none',
+    handler: executeSummarizeSpreadsheet
+  },
+  {
+    name: 'add_sheet',
+    description: 'Add a new sheet/tab to an existing Google Spreadsheet.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        spreadsheet_id: {
+          type: 'string',
+          description: 'The ID of the spreadsheet'
+        },
+        sheet_title: {
+          type: 'string',
+          description: 'Title for the new sheet'
+        }
+      },
+      required: ['spreadsheet_id', 'sheet_title']
+    },
+    category: 'Google Sheets',
+    summary: 'Add a new tab to a spreadsheet',
+    sideEffects: 'external',
+    preview: (args) => `Add sheet "${args.sheet_title}" to spreadsheet ${args.spreadsheet_id}`,
+    handler: executeAddSheet
+  }
+];
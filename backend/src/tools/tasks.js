@@ -0,0 +1,163 @@
+/**
+ * Idea, Task & Reminder Tools
+ * Capturing ideas, to-dos and timed reminders
+ */
+
+import { client } from '../models/database.js';
+import { indexRecord } from '../services/semantic-memory.js';
+import { randomUUID as uuidv4 } from 'crypto';
+import { parseTimeExpression } from '../utils/time-parser.js';
+
+async function executeSaveIdea(userId, args) {
+  const { title, content, type = 'note' } = args;
+  const ideaId = uuidv4();
+
+  await client.execute({
+    sql: 'INSERT INTO ideas (id, user_id, title, content, type) VALUES (?, ?, ?, ?, ?)',
+    args: [ideaId, userId, title, content, type]
+  });
+
+  await indexRecord(userId, 'idea', ideaId);
+
+  return { success: true, ideaId, message: `Saved idea: "${title}"` };
+}
+
+async function executeSaveTask(userId, args) {
+  const { title, description = '' } = args;
+  const taskId = uuidv4();
+
+  await client.execute({
+    sql: 'INSERT INTO tasks (id, user_id, title, description) VALUES (?, ?, ?, ?)',
+    args: [taskId, userId, title, description]
+  });
+  await indexRecord(userId, 'task', taskId);
+
+  return { success: true, taskId, message: `Created task: "${title}"` };
+}
+
+async function executeSetReminder(userId, args) {
+  const { reminder_text, time_expression } = args;
+
+  // If no time provided, return a message asking for time
+  if (!time_expression) {
+    return {
+      success: false,
+      needsTime: true,
+      message: `When would you like me to remind you to "${reminder_text}"? (e.g., "tomorrow at 10am", "in 2 hours", "next Monday at 9am")`
+    };
+  }
+
+  // Parse the time expression
+  const timeData = parseTimeExpression(time_expression);
+
+  if (!timeData || !timeData.time) {
+    return {
+      success: false,
+      needsTime: true,
+      message: `I couldn't understand "${time_expression}". Please specify when you'd like to be reminded (e.g., "tomorrow at 10am", "in 2 hours")`
+    };
+  }
+
+  // Create a task for the reminder
+  const taskId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO tasks (id, user_id, title, description) VALUES (?, ?, ?, ?)',
+    args: [taskId, userId, reminder_text, `Reminder created from: ${time_expression}`]
+  });
+  await indexRecord(userId, 'task', taskId);
+
+  // Create the reminder
+  const reminderId = uuidv4();
+  await client.execute({
+    sql: 'INSERT INTO reminders (id, user_id, task_id, scheduled_time, reminder_type) VALUES (?, ?, ?, ?, ?)',
+    args: [reminderId, userId, taskId, timeData.time, 'popup']
+  });
+
+  return {
+    success: true,
+    reminderId,
+    taskId,
+    scheduledTime: timeData.time,
+    description: timeData.description,
+    message: `Reminder set for ${timeData.description}: "${reminder_text}"`
+  };
+}
+
+export default [
+  {
+    name: 'save_idea',
+    description: 'Save an idea, note, or piece of information to the database for later retrieval.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'A short title for the idea'
+        },
+        content: {
+          type: 'string',
+          description: 'The full content or description of the idea'
+        },
+        type: {
+          type: 'string',
+          description: 'Type of idea: startup, research, task, note, etc.'
+        }
+      },
+      required: ['title', 'content']
+    },
+    category: 'Research & Content',
+    summary: 'Save ideas, notes, or research findings',
+    sideEffects: 'internal',
+    undo: [{ table: 'ideas', ids: result => result.ideaId, vector: row => `idea_${row.id}` }],
+    handler: executeSaveIdea
+  },
+  {
+    name: 'save_task',
+    description: 'Create a task or to-do item.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'The task title'
+        },
+        description: {
+          type: 'string',
+          description: 'Optional description of the task'
+        }
+      },
+      required: ['title']
+    },
+    category: 'Tasks & Reminders',
+    summary: 'Create tasks or to-do items',
+    sideEffects: 'internal',
+    undo: [{ table: 'tasks', ids: result => result.taskId, vector: row => `task_${row.id}` }],
+    handler: executeSaveTask
+  },
+  {
+    name: 'set_reminder',
+    description: 'Set a reminder for a specific time. If no time is provided, ask the user when they want to be reminded.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        reminder_text: {
+          type: 'string',
+          description: 'What to remind the user about'
+        },
+        time_expression: {
+          type: 'string',
+          description: 'When to remind (e.g., "tomorrow at 10am", "in 2 hours", "next Monday")'
+        }
+      },
+      required: ['reminder_text']
+    },
+    category: 'Tasks & Reminders',
+    summary: 'Set reminders for specific times',
+    sideEffects: 'internal',
+    undo: [
+      { table: 'tasks', ids: result => result.taskId, vector: row => `task_${row.id}` },
+      { table: 'reminders', ids: result => result.reminderId }
+    ],
+    handler: executeSetReminder
+  }
+];
@@ -0,0 +1,78 @@
+/**
+ * Undo Tools
+ * Rolling back what the assistant just changed, when it misread the user
+ */
+
+import { undoLastActions, listActionHistory } from '../services/undo.js';
+
+function describeOutcome(outcome) {
+  if (outcome.undone) {
+    return `Undone: ${outcome.description}${outcome.notes.length > 0 ? ` (${outcome.notes.join('; ')})` : ''}`;
+  }
+  return `Not undone: ${outcome.description} - ${outcome.reason}`;
+}
+
+async function executeUndoLastActions(userId, args) {
+  const outcomes = await undoLastActions(userId, args.count || 1);
+
+  if (outcomes.length === 0) {
+    return { success: false, error: 'There is nothing left to undo' };
+  }
+
+  return {
+    success: outcomes.some(outcome => outcome.undone),
+    undone: outcomes.filter(outcome => outcome.undone).length,
+    message: outcomes.map(describeOutcome).join('\n')
+  };
+}
+
+async function executeListRecentActions(userId, args) {
+  const { entries } = await listActionHistory(userId, { limit: args.limit || 10 });
+  return {
+    success: true,
+    actions: entries.map(entry => ({
+      tool: entry.toolName,
+      description: entry.description,
+      status: entry.status,
+      undoable: entry.undoable,
+      at: entry.createdAt
+    }))
+  };
+}
+
+export default [
+  {
+    name: 'undo_last_actions',
+    description: 'Undo the most recent changes you made to the user\'s records (saved ideas, tasks, reminders, goals, progress, income, mood/sleep/exercise logs, contacts, profile fields, scheduled jobs), newest first. Use when the user says "undo that", "that\'s wrong, remove it" or you realize you misread them. Emails, posts and sheet edits cannot be undone; they are reported instead.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        count: {
+          type: 'number',
+          description: 'How many of the latest actions to undo (default 1, max 10)'
+        }
+      }
+    },
+    category: 'Undo',
+    summary: 'Undo your latest changes to the user\'s records',
+    sideEffects: 'internal',
+    handler: executeUndoLastActions
+  },
+  {
+    name: 'list_recent_actions',
+    description: 'List the latest changes you made for the user and whether they can still be undone, to check what "undo" would affect.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'How many actions to list (default 10)'
+        }
+      }
+    },
+    category: 'Undo',
+    summary: 'List recent changes and what can be undone',
+    sideEffects: 'none',
+    handler: executeListRecentActions
+  }
+];
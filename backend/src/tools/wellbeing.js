@@ -0,0 +1,223 @@
+/**
+ * Wellbeing Tools
+ * Mood, sleep and exercise tracking
+ */
+
+import { recordWellbeingLog, getWellbeingLogs } from '../services/personalization.js';
+
+async function executeLogMood(userId, args) {
+  console.log('😊 WELLBEING: Logging mood...');
+  const { mood, notes } = args;
+  try {
+    const logId = await recordWellbeingLog(userId, 'mood', mood, notes);
+
+    // Provide contextual response based on mood
+    let feedback = '';
+    if (['stressed', 'anxious', 'sad', 'tired'].includes(mood)) {
+      feedback = " Remember to take breaks and prioritize self-care. I'm here if you need to talk.";
+    } else if (['great', 'motivated', 'focused'].includes(mood)) {
+      feedback = " Great time to tackle high-priority tasks!";
+    }
+
+    return {
+      success: true,
+      logIds: [logId],
+      message: `Mood logged: ${mood}${feedback}`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeLogSleep(userId, args) {
+  console.log('😴 WELLBEING: Logging sleep...');
+  const { hours, quality, notes } = args;
+  try {
+    const logIds = [await recordWellbeingLog(userId, 'sleep', hours, notes)];
+    if (quality) {
+      logIds.push(await recordWellbeingLog(userId, 'sleep_quality', quality, null));
+    }
+
+    let feedback = '';
+    if (hours < 6) {
+      feedback = " You need more sleep! Aim for 7-8 hours tonight.";
+    } else if (hours >= 7 && hours <= 8) {
+      feedback = " Great sleep! You're well-rested.";
+    } else if (hours > 9) {
+      feedback = " You slept a lot. Make sure you're feeling refreshed.";
+    }
+
+    return {
+      success: true,
+      logIds,
+      message: `Sleep logged: ${hours} hours${quality ? ` (${quality} quality)` : ''}${feedback}`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeLogExercise(userId, args) {
+  console.log('🏃 WELLBEING: Logging exercise...');
+  const { type, duration_minutes, notes } = args;
+  try {
+    const exerciseData = { type, duration: duration_minutes };
+    const logId = await recordWellbeingLog(userId, 'exercise', JSON.stringify(exerciseData), notes);
+
+    return {
+      success: true,
+      logIds: [logId],
+      message: `Exercise logged: ${duration_minutes} minutes of ${type}! Keep it up!`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function executeGetWellbeingSummary(userId, args) {
+  console.log('📊 WELLBEING: Getting summary...');
+  const { days = 7 } = args;
+  try {
+    const [moodLogs, sleepLogs, exerciseLogs] = await Promise.all([
+      getWellbeingLogs(userId, 'mood', days),
+      getWellbeingLogs(userId, 'sleep', days),
+      getWellbeingLogs(userId, 'exercise', days)
+    ]);
+
+    // Calculate averages and patterns
+    const sleepValues = sleepLogs.map(l => l.numeric_value).filter(v => v !== null);
+    const avgSleep = sleepValues.length > 0
+      ? Math.round((sleepValues.reduce((a, b) => a + b, 0) / sleepValues.length) * 10) / 10
+      : null;
+
+    // Count mood occurrences
+    const moodCounts = {};
+    moodLogs.forEach(l => {
+      moodCounts[l.value] = (moodCounts[l.value] || 0) + 1;
+    });
+
+    return {
+      success: true,
+      summary: {
+        period_days: days,
+        mood: {
+          total_logs: moodLogs.length,
+          distribution: moodCounts
+        },
+        sleep: {
+          average_hours: avgSleep,
+          total_logs: sleepLogs.length
+        },
+        exercise: {
+          total_sessions: exerciseLogs.length,
+          days_exercised: new Set(exerciseLogs.map(l => l.logged_at?.split('T')[0])).size
+        }
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default [
+  {
+    name: 'log_mood',
+    description: 'Log current mood. Use when user shares how they are feeling.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        mood: {
+          type: 'string',
+          enum: ['great', 'good', 'okay', 'stressed', 'tired', 'anxious', 'sad', 'motivated', 'focused'],
+          description: 'Current mood'
+        },
+        notes: {
+          type: 'string',
+          description: 'Additional context about mood'
+        }
+      },
+      required: ['mood']
+    },
+    category: 'Wellbeing',
+    summary: 'Log current mood',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [{ table: 'wellbeing_logs', ids: result => result.logIds }],
+    handler: executeLogMood
+  },
+  {
+    name: 'log_sleep',
+    description: 'Log sleep hours. Use when user mentions how much they slept.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        hours: {
+          type: 'number',
+          description: 'Hours of sleep'
+        },
+        quality: {
+          type: 'string',
+          enum: ['great', 'good', 'okay', 'poor', 'terrible'],
+          description: 'Sleep quality'
+        },
+        notes: {
+          type: 'string',
+          description: 'Additional notes'
+        }
+      },
+      required: ['hours']
+    },
+    category: 'Wellbeing',
+    summary: 'Log sleep hours',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [{ table: 'wellbeing_logs', ids: result => result.logIds }],
+    handler: executeLogSleep
+  },
+  {
+    name: 'log_exercise',
+    description: 'Log exercise activity. Use when user mentions working out or physical activity.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          description: 'Type of exercise (e.g., running, gym, yoga)'
+        },
+        duration_minutes: {
+          type: 'number',
+          description: 'Duration in minutes'
+        },
+        notes: {
+          type: 'string',
+          description: 'Additional notes'
+        }
+      },
+      required: ['type', 'duration_minutes']
+    },
+    category: 'Wellbeing',
+    summary: 'Log exercise activity',
+    sideEffects: 'internal',
+    autoCapture: true,
+    undo: [{ table: 'wellbeing_logs', ids: result => result.logIds }],
+    handler: executeLogExercise
+  },
+  {
+    name: 'get_wellbeing_summary',
+    description: 'Get wellbeing summary including mood, sleep, and exercise patterns.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        days: {
+          type: 'number',
+          description: 'Number of days to summarize (default 7)'
+        }
+      },
+      required: []
+    },
+    category: 'Wellbeing',
+    summary: 'Get wellbeing patterns and insights',
+    sideEffects: 'none',
+    handler: executeGetWellbeingSummary
+  }
+];
@@ -0,0 +1,22 @@
+// Cursor pagination helpers
+
+const MAX_PAGE_SIZE = 100;
+
+// Opaque cursors: base64url JSON of the last row's sort key
+export function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Clamp a ?limit= value to 1..MAX_PAGE_SIZE
+export function pageSize(limit, fallback) {
+  return Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_PAGE_SIZE);
+}
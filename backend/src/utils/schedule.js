@@ -0,0 +1,321 @@
+// Recurring schedules: 5-field cron expressions and a subset of RFC 5545 RRULEs,
+// evaluated in the user's timezone.
+//
+// Cron: "minute hour day-of-month month day-of-week" with *, lists, ranges, steps
+//   and JAN-DEC / SUN-SAT names, e.g. "0 18 * * FRI"
+// RRULE: FREQ=HOURLY|DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY (MO..SU), BYMONTHDAY,
+//   BYMONTH, BYHOUR, BYMINUTE, COUNT and UNTIL, e.g. "RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0".
+//   Parts left out are taken from the schedule's start time, as in RFC 5545.
+
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const RRULE_FREQS = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY'];
+const RRULE_KEYS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYHOUR', 'BYMINUTE', 'COUNT', 'UNTIL'];
+
+const MINUTE_MS = 60 * 1000;
+// How far ahead to look for the next run before deciding there is none (covers Feb 29)
+const SEARCH_HORIZON_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+function range(min, max) {
+  return new Set(Array.from({ length: max - min + 1 }, (_, i) => min + i));
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a timezone
+function localParts(date, timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  const dayIndex = Date.UTC(year, month - 1, day) / (24 * 60 * MINUTE_MS);
+
+  return {
+    year,
+    month,
+    day,
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    dow: DAY_NAMES.indexOf(parts.weekday.toUpperCase().substring(0, 3)),
+    dayIndex,
+    // 1970-01-01 was a Thursday; weeks start on Monday
+    weekIndex: Math.floor((dayIndex + 3) / 7)
+  };
+}
+
+// Minutes the timezone is ahead of UTC at an instant
+function utcOffset(time, timezone) {
+  const p = localParts(new Date(time), timezone);
+  return (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(time / MINUTE_MS) * MINUTE_MS) / MINUTE_MS;
+}
+
+// The first minute of the next local day. Days are 23 or 25 hours long across DST changes, so
+// this goes by the wall clock of either offset rather than adding a fixed day length.
+function nextLocalMidnight(time, p, timezone) {
+  const midnight = Date.UTC(p.year, p.month - 1, p.day + 1);
+  const before = midnight - utcOffset(time, timezone) * MINUTE_MS;
+  const after = midnight - utcOffset(before, timezone) * MINUTE_MS;
+
+  const candidates = [before, after]
+    .filter(candidate => candidate > time && localParts(new Date(candidate), timezone).dayIndex > p.dayIndex);
+  // Where midnight itself is skipped, the next hour is checked instead
+  return candidates.length > 0 ? Math.min(...candidates) : time + (60 - p.minute) * MINUTE_MS;
+}
+
+// ============================================
+// CRON
+// ============================================
+
+function parseCronValue(value, min, max, names) {
+  const named = names ? names.indexOf(value.toUpperCase()) : -1;
+  const number = named >= 0 ? named + min : Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`"${value}" is out of range ${min}-${max}`);
+  }
+  return number;
+}
+
+function parseCronField(field, min, max, names) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [span, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in "${part}"`);
+    }
+
+    let low;
+    let high;
+    if (span === '*') {
+      [low, high] = [min, max];
+    } else if (span.includes('-')) {
+      const [from, to] = span.split('-');
+      [low, high] = [parseCronValue(from, min, max, names), parseCronValue(to, min, max, names)];
+    } else {
+      low = parseCronValue(span, min, max, names);
+      high = stepText === undefined ? low : max;
+    }
+    if (low > high) {
+      throw new Error(`Invalid range "${span}"`);
+    }
+
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function compileCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, dom, month, dow] = fields;
+
+  // 7 is also Sunday
+  const dows = new Set([...parseCronField(dow, 0, 7, DAY_NAMES)].map(day => day % 7));
+  const doms = parseCronField(dom, 1, 31);
+  const months = parseCronField(month, 1, 12, MONTH_NAMES);
+  const domAny = dom === '*';
+  const dowAny = dow === '*';
+
+  return {
+    minutes: parseCronField(minute, 0, 59),
+    hours: parseCronField(hour, 0, 23),
+    // Standard cron: when both day fields are restricted, either may match
+    matchesDay: (p) => months.has(p.month) && (
+      domAny && dowAny ? true
+        : domAny ? dows.has(p.dow)
+          : dowAny ? doms.has(p.day)
+            : doms.has(p.day) || dows.has(p.dow)
+    ),
+    matchesHour: () => true
+  };
+}
+
+// ============================================
+// RRULE
+// ============================================
+
+function parseRRuleList(value, key, min, max) {
+  return new Set(value.split(',').map(item => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`${key} values must be ${min}-${max}`);
+    }
+    return number;
+  }));
+}
+
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new Error('UNTIL must look like 20250131 or 20250131T235959Z');
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+function compileRRule(expression, timezone, startsAt) {
+  const rule = {};
+  for (const part of expression.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    const name = key.toUpperCase();
+    if (!RRULE_KEYS.includes(name) || !value) {
+      throw new Error(`Unsupported RRULE part "${part}"`);
+    }
+    rule[name] = value.toUpperCase();
+  }
+
+  if (!RRULE_FREQS.includes(rule.FREQ)) {
+    throw new Error(`FREQ must be one of: ${RRULE_FREQS.join(', ')}`);
+  }
+
+  const interval = rule.INTERVAL ? Number(rule.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('INTERVAL must be a positive integer');
+  }
+  const count = rule.COUNT ? Number(rule.COUNT) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error('COUNT must be a positive integer');
+  }
+
+  const byDay = rule.BYDAY
+    ? new Set(rule.BYDAY.split(',').map(day => {
+        if (!(day in RRULE_DAYS)) throw new Error(`BYDAY values must be MO, TU, WE, TH, FR, SA or SU (got "${day}")`);
+        return RRULE_DAYS[day];
+      }))
+    : null;
+  const byMonthDay = rule.BYMONTHDAY ? parseRRuleList(rule.BYMONTHDAY, 'BYMONTHDAY', 1, 31) : null;
+  const byMonth = rule.BYMONTH ? parseRRuleList(rule.BYMONTH, 'BYMONTH', 1, 12) : range(1, 12);
+
+  const start = localParts(startsAt, timezone);
+  const freq = rule.FREQ;
+
+  // Periods since the start, for INTERVAL
+  const periodsSinceStart = (p) => ({
+    HOURLY: (p.dayIndex - start.dayIndex) * 24 + p.hour - start.hour,
+    DAILY: p.dayIndex - start.dayIndex,
+    WEEKLY: p.weekIndex - start.weekIndex,
+    MONTHLY: (p.year - start.year) * 12 + p.month - start.month
+  })[freq];
+  const inInterval = (p) => periodsSinceStart(p) >= 0 && periodsSinceStart(p) % interval === 0;
+
+  const dows = byDay || (freq === 'WEEKLY' ? new Set([start.dow]) : null);
+  const doms = byMonthDay || (freq === 'MONTHLY' && !byDay ? new Set([start.day]) : null);
+
+  return {
+    minutes: rule.BYMINUTE ? parseRRuleList(rule.BYMINUTE, 'BYMINUTE', 0, 59) : new Set([start.minute]),
+    hours: rule.BYHOUR
+      ? parseRRuleList(rule.BYHOUR, 'BYHOUR', 0, 23)
+      : freq === 'HOURLY' ? range(0, 23) : new Set([start.hour]),
+    matchesDay: (p) => byMonth.has(p.month)
+      && (!dows || dows.has(p.dow))
+      && (!doms || doms.has(p.day))
+      && (freq === 'HOURLY' || inInterval(p)),
+    matchesHour: (p) => freq !== 'HOURLY' || inInterval(p),
+    count,
+    until: rule.UNTIL ? parseUntil(rule.UNTIL) : null
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+function compileSchedule(expression, timezone, startsAt) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Schedule is required');
+  }
+  return /^(RRULE:)?FREQ=/i.test(expression.trim())
+    ? compileRRule(expression.trim(), timezone, startsAt)
+    : compileCron(expression);
+}
+
+/**
+ * Check a schedule expression; returns an error message, or null when it is usable
+ */
+export function validateSchedule(expression, timezone = 'UTC') {
+  if (!isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+  try {
+    return getNextRun(expression, { timezone }) ? null : 'This schedule never runs';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * The first run strictly after `after`, or null when the schedule has ended.
+ * startsAt anchors RRULE defaults and INTERVAL; runCount is checked against COUNT.
+ */
+export function getNextRun(expression, { timezone = 'UTC', after = new Date(), startsAt = after, runCount = 0 } = {}) {
+  const schedule = compileSchedule(expression, timezone, new Date(startsAt));
+  if (schedule.count && runCount >= schedule.count) {
+    return null;
+  }
+
+  const minutes = [...schedule.minutes].sort((a, b) => a - b);
+  const earliest = Math.max(new Date(after).getTime(), new Date(startsAt).getTime() - MINUTE_MS);
+  let time = Math.floor(earliest / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const horizon = time + SEARCH_HORIZON_MS;
+
+  while (time <= horizon) {
+    if (schedule.until && time > schedule.until.getTime()) {
+      return null;
+    }
+
+    const p = localParts(new Date(time), timezone);
+    if (!schedule.matchesDay(p)) {
+      time = nextLocalMidnight(time, p, timezone);
+      continue;
+    }
+    if (!schedule.hours.has(p.hour) || !schedule.matchesHour(p)) {
+      time += (60 - p.minute) * MINUTE_MS;
+      continue;
+    }
+
+    const minute = minutes.find(m => m >= p.minute);
+    if (minute === undefined) {
+      time += (60 - p.minute) * MINUTE_MS;
+      continue;
+    }
+    if (minute > p.minute) {
+      time += (minute - p.minute) * MINUTE_MS;
+      continue;
+    }
+
+    return new Date(time);
+  }
+
+  return null;
+}
@@ -0,0 +1,9 @@
+// Embeddings are stored in the database as float32 blobs
+
+export function toBlob(values) {
+  return new Uint8Array(Float32Array.from(values).buffer);
+}
+
+export function fromBlob(blob) {
+  return new Float32Array(blob);
+}
@@ -11,6 +11,7 @@ export default function ChatPage() {
   const router = useRouter()
   const { isAuthenticated, token, checkAuth } = useAuthStore()
   const [notification, setNotification] = useState<any>(null)
+  const [socketReady, setSocketReady] = useState(false)
   const socketRef = useRef<any>(null)
 
   useEffect(() => {
@@ -23,6 +24,7 @@ export default function ChatPage() {
     // Connect WebSocket
     const socket = connectSocket(token)
     socketRef.current = socket
+    setSocketReady(true)
 
     // Listen for reminders
     socket.on('reminder', (data: any) => {
@@ -30,6 +32,7 @@ export default function ChatPage() {
     })
 
     return () => {
+      setSocketReady(false)
       disconnectSocket()
     }
   }, [isAuthenticated, token, router, checkAuth])
@@ -38,7 +41,8 @@ export default function ChatPage() {
     setNotification(null)
   }
 
-  if (!isAuthenticated) {
+  // ChatInterface subscribes to socket events on mount, so wait for the connection object
+  if (!isAuthenticated || !socketReady) {
     return null
   }
 
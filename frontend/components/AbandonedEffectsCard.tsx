@@ -0,0 +1,84 @@
+'use client'
+
+import { useState } from 'react'
+import api from '@/lib/api'
+
+// What a reply that went out of view (after an edit, regenerate or switch) did through tools and still stands
+export interface AbandonedEffect {
+  type: 'change' | 'pending_action'
+  id: string
+  tool: string
+  description: string
+  undoable: boolean
+}
+
+interface AbandonedEffectsCardProps {
+  effects: AbandonedEffect[]
+  onDismiss: () => void
+}
+
+type EffectState = 'open' | 'busy' | 'resolved' | 'error'
+
+export default function AbandonedEffectsCard({ effects, onDismiss }: AbandonedEffectsCardProps) {
+  const [states, setStates] = useState<Record<string, EffectState>>({})
+
+  const resolve = async (effect: AbandonedEffect) => {
+    setStates(prev => ({ ...prev, [effect.id]: 'busy' }))
+    try {
+      if (effect.type === 'pending_action') {
+        await api.post(`/actions/${effect.id}/reject`)
+      } else {
+        await api.post(`/undo/${effect.id}`)
+      }
+      setStates(prev => ({ ...prev, [effect.id]: 'resolved' }))
+    } catch (error) {
+      console.error('Failed to resolve side effect:', error)
+      setStates(prev => ({ ...prev, [effect.id]: 'error' }))
+    }
+  }
+
+  return (
+    <div className="flex justify-start">
+      <div className="w-full max-w-[85%] lg:max-w-[70%] ml-10 bg-white border border-orange-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="flex items-center justify-between px-4 py-2 bg-orange-50/60 border-b border-orange-100">
+          <span className="text-sm font-medium text-gray-800">⚠️ The replies you left behind still had effects</span>
+          <button onClick={onDismiss} className="text-xs text-gray-400 hover:text-gray-600">
+            Dismiss
+          </button>
+        </div>
+
+        <ul className="divide-y divide-gray-100">
+          {effects.map(effect => {
+            const state = states[effect.id] || 'open'
+            return (
+              <li key={effect.id} className="flex items-center justify-between px-4 py-2 space-x-3">
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-700 truncate">{effect.description}</p>
+                  <p className="text-xs text-gray-400">
+                    {effect.tool.replace(/_/g, ' ')}
+                    {effect.type === 'pending_action' && ' - waiting for your approval'}
+                    {effect.type === 'change' && !effect.undoable && ' - already happened, can\'t be undone'}
+                  </p>
+                </div>
+
+                {state === 'resolved' ? (
+                  <span className="text-xs text-emerald-600 whitespace-nowrap">
+                    {effect.type === 'pending_action' ? 'Rejected' : 'Undone'}
+                  </span>
+                ) : (effect.undoable || effect.type === 'pending_action') && (
+                  <button
+                    onClick={() => resolve(effect)}
+                    disabled={state === 'busy'}
+                    className="px-3 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {state === 'error' ? 'Try again' : effect.type === 'pending_action' ? 'Reject' : 'Undo'}
+                  </button>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,83 @@
+'use client'
+
+import { useState } from 'react'
+import api from '@/lib/api'
+
+export interface PendingAction {
+  id: string
+  toolName: string
+  preview: string
+  status: 'pending' | 'approved' | 'executed' | 'failed' | 'rejected' | 'expired'
+  result?: { success?: boolean; error?: string; message?: string } | null
+  createdAt: string
+}
+
+interface ActionCardProps {
+  action: PendingAction
+  onUpdate: (action: PendingAction) => void
+}
+
+const STATUS_LABELS: Record<PendingAction['status'], { label: string; className: string }> = {
+  pending: { label: 'Waiting for approval', className: 'bg-amber-50 text-amber-700' },
+  approved: { label: 'Running…', className: 'bg-blue-50 text-blue-700' },
+  executed: { label: 'Done', className: 'bg-emerald-50 text-emerald-700' },
+  failed: { label: 'Failed', className: 'bg-red-50 text-red-700' },
+  rejected: { label: 'Rejected', className: 'bg-gray-100 text-gray-600' },
+  expired: { label: 'Expired', className: 'bg-gray-100 text-gray-600' },
+}
+
+export default function ActionCard({ action, onUpdate }: ActionCardProps) {
+  const [busy, setBusy] = useState(false)
+  const status = STATUS_LABELS[action.status]
+
+  const resolve = async (decision: 'approve' | 'reject') => {
+    setBusy(true)
+    try {
+      const response = await api.post(`/actions/${action.id}/${decision}`)
+      onUpdate(response.data.action)
+    } catch (error: any) {
+      console.error(`Failed to ${decision} action:`, error)
+      if (error.response?.data?.action) {
+        onUpdate(error.response.data.action)
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="flex justify-start">
+      <div className="w-full max-w-[85%] lg:max-w-[70%] ml-10 bg-white border border-amber-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="flex items-center justify-between px-4 py-2 bg-amber-50/60 border-b border-amber-100">
+          <span className="text-sm font-medium text-gray-800 capitalize">{action.toolName.replace(/_/g, ' ')}</span>
+          <span className={`px-2 py-0.5 text-xs rounded-full ${status.className}`}>{status.label}</span>
+        </div>
+
+        <pre className="px-4 py-3 text-sm text-gray-700 whitespace-pre-wrap font-sans max-h-60 overflow-y-auto">{action.preview}</pre>
+
+        {action.status === 'failed' && action.result?.error && (
+          <p className="px-4 pb-3 text-xs text-red-500">{action.result.error}</p>
+        )}
+
+        {action.status === 'pending' && (
+          <div className="flex justify-end space-x-2 px-4 py-2 border-t border-gray-100">
+            <button
+              onClick={() => resolve('reject')}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+            >
+              Reject
+            </button>
+            <button
+              onClick={() => resolve('approve')}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? 'Working…' : 'Approve'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
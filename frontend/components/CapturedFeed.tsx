@@ -0,0 +1,276 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import api from '@/lib/api'
+
+export interface Capture {
+  id: string
+  source: 'learning' | 'agent'
+  kind: string
+  summary: string
+  editedSummary: string | null
+  payload: Record<string, any>
+  editedPayload: Record<string, any> | null
+  confidence: number | null
+  sourceMessage: string | null
+  status: 'pending' | 'applying' | 'applied' | 'accepted' | 'edited' | 'rejected'
+  createdAt: string
+}
+
+interface CapturedFeedProps {
+  onClose: () => void
+  onChange?: () => void
+}
+
+const STATUS_LABELS: Record<Capture['status'], { label: string; className: string }> = {
+  pending: { label: 'Needs your OK', className: 'bg-amber-50 text-amber-700' },
+  applying: { label: 'Saving…', className: 'bg-gray-100 text-gray-500' },
+  applied: { label: 'Saved', className: 'bg-blue-50 text-blue-700' },
+  accepted: { label: 'Confirmed', className: 'bg-emerald-50 text-emerald-700' },
+  edited: { label: 'Corrected', className: 'bg-emerald-50 text-emerald-700' },
+  rejected: { label: 'Rejected', className: 'bg-gray-100 text-gray-500' },
+}
+
+function formatValue(value: any): string {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '')
+}
+
+export default function CapturedFeed({ onClose, onChange }: CapturedFeedProps) {
+  const [captures, setCaptures] = useState<Capture[]>([])
+  const [cursor, setCursor] = useState<string | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [filter, setFilter] = useState<'unreviewed' | 'all'>('unreviewed')
+  const [busyId, setBusyId] = useState<string | null>(null)
+  const [editing, setEditing] = useState<{ id: string; fields: Record<string, string> } | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    loadCaptures()
+  }, [filter])
+
+  const loadCaptures = async (more = false) => {
+    try {
+      const response = await api.get('/captures', {
+        params: { status: filter === 'all' ? undefined : filter, cursor: more ? cursor : undefined }
+      })
+      const list: Capture[] = response.data.captures || []
+      setCaptures(prev => more ? [...prev, ...list] : list)
+      setCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Failed to load captures:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const review = async (id: string, request: () => Promise<{ data: { capture?: Capture } }>) => {
+    setBusyId(id)
+    setError(null)
+    try {
+      const response = await request()
+      const updated = response.data.capture
+      if (updated) {
+        setCaptures(prev => prev.map(c => c.id === id ? updated : c))
+      }
+      setEditing(null)
+      onChange?.()
+    } catch (err: any) {
+      console.error('Capture review failed:', err)
+      setError(err.response?.data?.error || 'Something went wrong')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const startEditing = (capture: Capture) => {
+    const current = capture.editedPayload || capture.payload
+    setEditing({
+      id: capture.id,
+      fields: Object.fromEntries(Object.entries(current).map(([key, value]) => [key, formatValue(value)]))
+    })
+  }
+
+  const saveEdit = (capture: Capture) => {
+    if (!editing) return
+    // Send fields back with their original types where they were not plain strings
+    const payload = Object.fromEntries(Object.entries(editing.fields).map(([key, value]) => {
+      const original = capture.payload[key]
+      if (typeof original === 'number') return [key, Number(value)]
+      if (typeof original === 'object' && original !== null) {
+        try {
+          return [key, JSON.parse(value)]
+        } catch {
+          return [key, value]
+        }
+      }
+      return [key, value]
+    }))
+    review(capture.id, () => api.put(`/captures/${capture.id}`, { payload }))
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">Captured for you</h2>
+              <p className="text-blue-100 text-sm">Things Shree AI picked up from your conversations</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-lg transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Tabs */}
+          <div className="flex space-x-2 mt-4">
+            {(['unreviewed', 'all'] as const).map((tab) => (
+              <button
+                key={tab}
+                onClick={() => setFilter(tab)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  filter === tab
+                    ? 'bg-white text-indigo-600'
+                    : 'bg-white/20 text-white hover:bg-white/30'
+                }`}
+              >
+                {tab === 'unreviewed' ? 'To review' : 'Everything'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-blue-50 border-b border-blue-100 px-6 py-3 text-blue-700 text-sm">
+          Confirming, correcting or rejecting these teaches Shree AI what is worth remembering.
+        </div>
+
+        {error && <p className="px-6 pt-3 text-sm text-red-500">{error}</p>}
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin w-8 h-8 border-4 border-indigo-500 border-t-transparent rounded-full"></div>
+            </div>
+          ) : captures.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <p className="text-4xl mb-4">📥</p>
+              <p className="font-medium">Nothing to review</p>
+            </div>
+          ) : captures.map(capture => {
+            const status = STATUS_LABELS[capture.status]
+            const isEditing = editing?.id === capture.id
+            const busy = busyId === capture.id
+
+            return (
+              <div key={capture.id} className="border border-gray-200 rounded-xl p-4">
+                <div className="flex items-start justify-between space-x-3">
+                  <div>
+                    <p className={`text-sm font-medium ${capture.status === 'rejected' ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                      {capture.editedSummary || capture.summary}
+                    </p>
+                    {capture.editedSummary && (
+                      <p className="text-xs text-gray-400 line-through">{capture.summary}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 shrink-0">
+                    {capture.confidence !== null && (
+                      <span className="text-xs text-gray-400">{Math.round(capture.confidence * 100)}% sure</span>
+                    )}
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${status.className}`}>{status.label}</span>
+                  </div>
+                </div>
+
+                {capture.sourceMessage && (
+                  <p className="mt-2 pl-3 border-l-2 border-gray-200 text-xs text-gray-500 italic line-clamp-3">
+                    “{capture.sourceMessage}”
+                  </p>
+                )}
+
+                {isEditing && editing && (
+                  <div className="mt-3 space-y-2">
+                    {Object.entries(editing.fields).map(([key, value]) => (
+                      <label key={key} className="flex items-center space-x-2 text-sm">
+                        <span className="w-28 text-xs text-gray-500">{key.replace(/_/g, ' ')}</span>
+                        <input
+                          type="text"
+                          value={value}
+                          onChange={(e) => setEditing({ ...editing, fields: { ...editing.fields, [key]: e.target.value } })}
+                          className="flex-1 px-2 py-1 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-indigo-400"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                {capture.status !== 'rejected' && (
+                  <div className="flex justify-end space-x-2 mt-3">
+                    {isEditing ? (
+                      <>
+                        <button
+                          onClick={() => setEditing(null)}
+                          disabled={busy}
+                          className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                        >
+                          Discard
+                        </button>
+                        <button
+                          onClick={() => saveEdit(capture)}
+                          disabled={busy}
+                          className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          Save correction
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => review(capture.id, () => api.post(`/captures/${capture.id}/reject`))}
+                          disabled={busy}
+                          className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                        >
+                          Reject
+                        </button>
+                        <button
+                          onClick={() => startEditing(capture)}
+                          disabled={busy}
+                          className="px-3 py-1.5 text-sm text-indigo-700 hover:bg-indigo-50 rounded-lg disabled:opacity-50"
+                        >
+                          Edit
+                        </button>
+                        {(capture.status === 'pending' || capture.status === 'applied') && (
+                          <button
+                            onClick={() => review(capture.id, () => api.post(`/captures/${capture.id}/accept`))}
+                            disabled={busy}
+                            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            {capture.status === 'pending' ? 'Save it' : 'Looks right'}
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+
+          {cursor && !loading && (
+            <button
+              onClick={() => loadCaptures(true)}
+              className="w-full py-2 text-sm text-indigo-600 hover:underline"
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
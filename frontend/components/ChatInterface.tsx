@@ -5,20 +5,58 @@ import { getSocket } from '@/lib/websocket'
 import { useAuthStore } from '@/lib/store'
 import api from '@/lib/api'
 import MessageBubble from './MessageBubble'
+import StreamingBubble, { ToolProgress } from './StreamingBubble'
+import ActionCard, { PendingAction } from './ActionCard'
+import AbandonedEffectsCard, { AbandonedEffect } from './AbandonedEffectsCard'
+import PlanCard, { Plan } from './PlanCard'
+import ThreadSidebar, { Thread } from './ThreadSidebar'
+import TraceDrawer from './TraceDrawer'
 import ImageUpload from './ImageUpload'
 import ProfileSettings from './ProfileSettings'
 import GoalsDashboard from './GoalsDashboard'
 import WellbeingDashboard from './WellbeingDashboard'
+import CapturedFeed from './CapturedFeed'
 
 interface Message {
   id: string
   message: string
   response?: string
   role: 'user' | 'assistant'
+  threadId?: string
+  executionId?: string | null
+  planId?: string | null
+  status?: 'queued' | 'running' | 'done' | 'failed' | null
+  alternatives?: { index: number; ids: string[] } | null
+  // Shown before (or without) being stored on the server, so it cannot be edited or regenerated
+  local?: boolean
   timestamp?: string
   created_at?: string
 }
 
+interface SlashCommand {
+  name: string
+  usage: string
+  description: string
+}
+
+interface StreamState {
+  text: string
+  tools: ToolProgress[]
+}
+
+function createStreamId(): string {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+// Retries after a timeout or a dropped connection reuse the message's Idempotency-Key,
+// so the server answers them from the first attempt instead of running the message again
+const SEND_TIMEOUT_MS = 90000
+const SEND_RETRY_DELAYS_MS = [1000, 3000, 8000]
+
+function isRetryable(error: any): boolean {
+  return !error.response || error.response.status === 502 || error.response.status === 503 || error.response.status === 504
+}
+
 export default function ChatInterface() {
   const [messages, setMessages] = useState<Message[]>([])
   const [input, setInput] = useState('')
@@ -26,43 +64,353 @@ export default function ChatInterface() {
   const [showProfile, setShowProfile] = useState(false)
   const [showGoals, setShowGoals] = useState(false)
   const [showWellbeing, setShowWellbeing] = useState(false)
+  const [showCaptures, setShowCaptures] = useState(false)
+  const [pendingCaptures, setPendingCaptures] = useState(0)
+  const [stream, setStream] = useState<StreamState | null>(null)
+  const [actions, setActions] = useState<PendingAction[]>([])
+  const [threads, setThreads] = useState<Thread[]>([])
+  const [threadsCursor, setThreadsCursor] = useState<string | null>(null)
+  const [showArchived, setShowArchived] = useState(false)
+  const [activeThreadId, setActiveThreadId] = useState<string | null>(null)
+  const [historyCursor, setHistoryCursor] = useState<string | null>(null)
+  const [traceExecutionId, setTraceExecutionId] = useState<string | null>(null)
+  const [plans, setPlans] = useState<Record<string, Plan>>({})
+  const [planMode, setPlanMode] = useState(false)
+  const [commands, setCommands] = useState<SlashCommand[]>([])
+  const [commandIndex, setCommandIndex] = useState(0)
+  const [abandonedEffects, setAbandonedEffects] = useState<AbandonedEffect[]>([])
+  const [branching, setBranching] = useState(false)
+  // Socket handlers are registered once, so they read the current view through refs
+  const activeThreadRef = useRef<string | null>(null)
+  const showArchivedRef = useRef(false)
+  const streamIdRef = useRef<string | null>(null)
   const messagesEndRef = useRef<HTMLDivElement>(null)
   const socket = getSocket()
   const { user, clearAuth } = useAuthStore()
 
+  const upsertAction = (action: PendingAction) => {
+    setActions(prev => prev.some(a => a.id === action.id)
+      ? prev.map(a => a.id === action.id ? action : a)
+      : [...prev, action])
+  }
+
+  const upsertPlan = (plan: Plan) => {
+    setPlans(prev => ({ ...prev, [plan.id]: plan }))
+  }
+
   useEffect(() => {
-    loadHistory()
+    loadThreads(false, true)
+    loadPendingActions()
+    loadPendingCaptures()
+    loadCommands()
 
     if (socket) {
-      socket.on('chat_message', (data: Message) => {
-        setMessages(prev => [...prev, data])
+      socket.on('chat_message', (data: Message & { streamId?: string }) => {
+        // Our own streamed reply arrives through the HTTP response
+        if (data.streamId && data.streamId === streamIdRef.current) return
+        if (data.threadId !== activeThreadRef.current) return
+        // A reply also settles the thread's messages that were still waiting (e.g. after a reload)
+        setMessages(prev => {
+          const settled = prev.map(m => m.role === 'user' && (m.status === 'queued' || m.status === 'running') ? { ...m, status: 'done' as const } : m)
+          return settled.some(m => m.id === data.id) ? settled : [...settled, data]
+        })
+      })
+
+      socket.on('message_status', (data: { id: string; status: Message['status'] }) => {
+        setMessages(prev => prev.map(m => m.id === data.id ? { ...m, status: data.status } : m))
+      })
+
+      socket.on('thread_created', (data: { thread: Thread }) => {
+        if (showArchivedRef.current) return
+        setThreads(prev => prev.some(t => t.id === data.thread.id) ? prev : [data.thread, ...prev])
+      })
+
+      socket.on('thread_updated', (data: { thread: Thread }) => {
+        setThreads(prev => {
+          if (data.thread.archived !== showArchivedRef.current) {
+            return prev.filter(t => t.id !== data.thread.id)
+          }
+          return prev.some(t => t.id === data.thread.id)
+            ? prev.map(t => t.id === data.thread.id ? data.thread : t)
+            : [data.thread, ...prev]
+        })
+      })
+
+      socket.on('thread_deleted', (data: { threadId: string }) => {
+        setThreads(prev => prev.filter(t => t.id !== data.threadId))
+        if (activeThreadRef.current === data.threadId) {
+          selectThread(null)
+        }
+      })
+
+      socket.on('chat_delta', (data: { streamId: string; text: string }) => {
+        if (data.streamId !== streamIdRef.current) return
+        setStream(prev => prev && { ...prev, text: prev.text + data.text })
+      })
+
+      socket.on('tool_started', (data: { streamId: string; toolUseId: string; tool: string }) => {
+        if (data.streamId !== streamIdRef.current) return
+        setStream(prev => prev && {
+          ...prev,
+          tools: [...prev.tools, { toolUseId: data.toolUseId, tool: data.tool, status: 'running' }],
+        })
+      })
+
+      socket.on('tool_finished', (data: { streamId: string; toolUseId: string; success: boolean; pending?: boolean; error?: string; durationMs?: number }) => {
+        if (data.streamId !== streamIdRef.current) return
+        setStream(prev => prev && {
+          ...prev,
+          tools: prev.tools.map(tool => tool.toolUseId === data.toolUseId
+            ? { ...tool, status: data.pending ? 'pending' : data.success ? 'done' : 'failed', error: data.error, durationMs: data.durationMs }
+            : tool),
+        })
+      })
+
+      socket.on('action_pending', (data: { action: PendingAction }) => upsertAction(data.action))
+      socket.on('action_resolved', (data: { action: PendingAction }) => upsertAction(data.action))
+      socket.on('plan_updated', (data: { plan: Plan }) => upsertPlan(data.plan))
+      socket.on('capture_created', () => loadPendingCaptures())
+      socket.on('capture_updated', () => loadPendingCaptures())
+
+      // Back from a long disconnect: more was missed than the server replays, so reload it all
+      socket.on('replay_complete', (data: { truncated: boolean }) => {
+        if (!data.truncated) return
+        loadThreads(showArchivedRef.current)
+        loadPendingActions()
+        loadPendingCaptures()
+        if (activeThreadRef.current) {
+          loadHistory(activeThreadRef.current)
+          loadPlans(activeThreadRef.current)
+        }
       })
     }
 
     return () => {
       if (socket) {
         socket.off('chat_message')
+        socket.off('message_status')
+        socket.off('thread_created')
+        socket.off('thread_updated')
+        socket.off('thread_deleted')
+        socket.off('chat_delta')
+        socket.off('tool_started')
+        socket.off('tool_finished')
+        socket.off('action_pending')
+        socket.off('action_resolved')
+        socket.off('plan_updated')
+        socket.off('capture_created')
+        socket.off('capture_updated')
+        socket.off('replay_complete')
       }
     }
   }, [])
 
   useEffect(() => {
     scrollToBottom()
-  }, [messages])
+  }, [messages, stream, actions])
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
-  const loadHistory = async () => {
+  const loadThreads = async (archived: boolean, selectFirst = false) => {
+    try {
+      const response = await api.get('/threads', { params: { archived } })
+      const list: Thread[] = response.data.threads || []
+      setThreads(list)
+      setThreadsCursor(response.data.nextCursor)
+      if (selectFirst && list.length > 0) {
+        selectThread(list[0].id)
+      }
+    } catch (error) {
+      console.error('Failed to load threads:', error)
+    }
+  }
+
+  const loadMoreThreads = async () => {
+    if (!threadsCursor) return
+    try {
+      const response = await api.get('/threads', { params: { archived: showArchived, cursor: threadsCursor } })
+      setThreads(prev => [...prev, ...(response.data.threads || []).filter((t: Thread) => !prev.some(p => p.id === t.id))])
+      setThreadsCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Failed to load threads:', error)
+    }
+  }
+
+  const selectThread = (threadId: string | null) => {
+    activeThreadRef.current = threadId
+    setActiveThreadId(threadId)
+    setMessages([])
+    setHistoryCursor(null)
+    setAbandonedEffects([])
+    if (threadId) {
+      loadHistory(threadId)
+      loadPlans(threadId)
+    }
+  }
+
+  // History comes newest first; pages are reversed and prepended above what is shown
+  const loadHistory = async (threadId: string, cursor?: string) => {
     try {
-      const response = await api.get('/chat/history')
-      setMessages(response.data.conversations || [])
+      const response = await api.get('/chat/history', { params: { threadId, cursor } })
+      if (activeThreadRef.current !== threadId) return
+      const page: Message[] = (response.data.conversations || []).reverse()
+      setMessages(prev => cursor ? [...page, ...prev.filter(m => !page.some(p => p.id === m.id))] : page)
+      setHistoryCursor(response.data.nextCursor)
     } catch (error) {
       console.error('Failed to load history:', error)
     }
   }
 
+  const loadPlans = async (threadId: string) => {
+    try {
+      const response = await api.get('/plans', { params: { threadId } })
+      setPlans(prev => {
+        const next = { ...prev }
+        for (const plan of response.data.plans || []) next[plan.id] = plan
+        return next
+      })
+    } catch (error) {
+      console.error('Failed to load plans:', error)
+    }
+  }
+
+  const toggleArchived = () => {
+    const archived = !showArchived
+    showArchivedRef.current = archived
+    setShowArchived(archived)
+    loadThreads(archived)
+  }
+
+  const renameThread = async (threadId: string, title: string) => {
+    try {
+      const response = await api.patch(`/threads/${threadId}`, { title })
+      setThreads(prev => prev.map(t => t.id === threadId ? response.data.thread : t))
+    } catch (error) {
+      console.error('Failed to rename thread:', error)
+    }
+  }
+
+  const archiveThread = async (threadId: string, archived: boolean) => {
+    try {
+      await api.patch(`/threads/${threadId}`, { archived })
+      setThreads(prev => prev.filter(t => t.id !== threadId))
+      if (archived && activeThreadRef.current === threadId) {
+        selectThread(null)
+      }
+    } catch (error) {
+      console.error('Failed to archive thread:', error)
+    }
+  }
+
+  const deleteThread = async (threadId: string) => {
+    try {
+      await api.delete(`/threads/${threadId}`)
+      setThreads(prev => prev.filter(t => t.id !== threadId))
+      if (activeThreadRef.current === threadId) {
+        selectThread(null)
+      }
+    } catch (error) {
+      console.error('Failed to delete thread:', error)
+    }
+  }
+
+  const loadPendingActions = async () => {
+    try {
+      const response = await api.get('/actions', { params: { status: 'pending' } })
+      // Oldest first so cards read in the order the agent proposed them
+      setActions((response.data.actions || []).reverse())
+    } catch (error) {
+      console.error('Failed to load pending actions:', error)
+    }
+  }
+
+  const loadPendingCaptures = async () => {
+    try {
+      const response = await api.get('/captures', { params: { status: 'pending', limit: 1 } })
+      setPendingCaptures(response.data.pendingCount || 0)
+    } catch (error) {
+      console.error('Failed to load captures:', error)
+    }
+  }
+
+  const loadCommands = async () => {
+    try {
+      const response = await api.get('/chat/commands')
+      setCommands(response.data.commands || [])
+    } catch (error) {
+      console.error('Failed to load commands:', error)
+    }
+  }
+
+  // Slash command suggestions while the command name is being typed
+  const commandSuggestions = /^\/\S*$/.test(input)
+    ? commands.filter(command => command.name.startsWith(input.slice(1).toLowerCase()))
+    : []
+
+  const pickCommand = (command: SlashCommand) => {
+    setInput(`/${command.name} `)
+    setCommandIndex(0)
+  }
+
+  const handleInputKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (commandSuggestions.length === 0) return
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setCommandIndex(prev => (prev + step + commandSuggestions.length) % commandSuggestions.length)
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && input !== `/${commandSuggestions[commandIndex]?.name}`)) {
+      e.preventDefault()
+      pickCommand(commandSuggestions[Math.min(commandIndex, commandSuggestions.length - 1)])
+    } else if (e.key === 'Escape') {
+      setInput('')
+    }
+  }
+
+  // Editing, regenerating and switching versions reshape the thread, so it is reloaded afterwards.
+  // shown is what to display meanwhile.
+  const branchThread = async (request: () => Promise<any>, { thinking = false, shown }: { thinking?: boolean; shown?: (prev: Message[]) => Message[] } = {}) => {
+    const threadId = activeThreadRef.current
+    if (!threadId || loading || branching) return
+
+    setBranching(true)
+    setLoading(thinking)
+    if (shown) setMessages(shown)
+    try {
+      const response = await request()
+      if (response.data.plan) {
+        upsertPlan(response.data.plan)
+      }
+      setAbandonedEffects(response.data.abandonedEffects || [])
+    } catch (error) {
+      console.error('Failed to update the conversation:', error)
+    } finally {
+      setLoading(false)
+      setBranching(false)
+      await loadHistory(threadId)
+    }
+  }
+
+  const editMessage = (id: string, text: string) => branchThread(
+    () => api.put(`/chat/messages/${id}`, { message: text }, { timeout: SEND_TIMEOUT_MS }),
+    {
+      thinking: true,
+      shown: prev => {
+        const index = prev.findIndex(m => m.id === id)
+        return [...prev.slice(0, index), { ...prev[index], message: text, alternatives: null, status: 'running' }]
+      },
+    }
+  )
+
+  const regenerateReply = (id: string) => branchThread(
+    () => api.post(`/chat/messages/${id}/regenerate`, {}, { timeout: SEND_TIMEOUT_MS }),
+    { thinking: true, shown: prev => prev.slice(0, prev.findIndex(m => m.id === id)) }
+  )
+
+  const selectAlternative = (id: string) => branchThread(() => api.post(`/chat/messages/${id}/select`))
+
   const handleSend = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!input.trim() || loading) return
@@ -71,6 +419,7 @@ export default function ChatInterface() {
       id: Date.now().toString(),
       message: input,
       role: 'user',
+      local: true,
       timestamp: new Date().toISOString(),
     }
 
@@ -78,29 +427,81 @@ export default function ChatInterface() {
     setInput('')
     setLoading(true)
 
+    const streamId = socket?.connected ? createStreamId() : null
+    streamIdRef.current = streamId
+    if (streamId) {
+      setStream({ text: '', tools: [] })
+    }
+
     try {
-      const response = await api.post('/chat', { message: input })
+      const threadId = activeThreadRef.current ?? undefined
+      const mode = planMode ? 'plan' : undefined
+      const body = streamId
+        ? { message: input, threadId, stream: true, streamId, mode }
+        : { message: input, threadId, mode }
+      const headers = { 'Idempotency-Key': createStreamId() }
+
+      let response
+      for (let attempt = 0; ; attempt++) {
+        try {
+          response = await api.post('/chat', body, { headers, timeout: SEND_TIMEOUT_MS })
+          break
+        } catch (error: any) {
+          if (attempt >= SEND_RETRY_DELAYS_MS.length || !isRetryable(error)) throw error
+          await new Promise(resolve => setTimeout(resolve, SEND_RETRY_DELAYS_MS[attempt]))
+        }
+      }
+
+      // The first message of a new chat creates its thread
+      if (!activeThreadRef.current) {
+        activeThreadRef.current = response.data.threadId
+        setActiveThreadId(response.data.threadId)
+      }
+      setThreads(prev => {
+        const thread = prev.find(t => t.id === response.data.threadId)
+        return thread ? [thread, ...prev.filter(t => t.id !== thread.id)] : prev
+      })
 
       const assistantMessage: Message = {
         id: response.data.conversationId,
         message: input,
         response: response.data.response,
         role: 'assistant',
+        executionId: response.data.executionId,
+        planId: response.data.plan?.id,
         timestamp: new Date().toISOString(),
       }
+      if (response.data.plan) {
+        upsertPlan(response.data.plan)
+      }
 
-      setMessages(prev => [...prev, assistantMessage])
-    } catch (error) {
+      setMessages(prev => {
+        const stored = prev.map(m => m.id === userMessage.id && response.data.messageId ? { ...m, id: response.data.messageId, local: false } : m)
+        return stored.some(m => m.id === assistantMessage.id) ? stored : [...stored, assistantMessage]
+      })
+    } catch (error: any) {
+      // Still being answered by another server; the reply arrives over the socket
+      if (error.response?.status === 409) {
+        if (!activeThreadRef.current) {
+          activeThreadRef.current = error.response.data.threadId
+          setActiveThreadId(error.response.data.threadId)
+        }
+        setMessages(prev => prev.map(m => m.id === userMessage.id ? { ...m, status: 'running' } : m))
+        return
+      }
       console.error('Failed to send message:', error)
       // Add error message
-      setMessages(prev => [...prev, {
+      setMessages(prev => [...prev.map(m => m.id === userMessage.id ? { ...m, status: 'failed' as const } : m), {
         id: Date.now().toString(),
         message: '',
         response: 'Sorry, something went wrong. Please try again.',
         role: 'assistant',
+        local: true,
         timestamp: new Date().toISOString(),
       }])
     } finally {
+      streamIdRef.current = null
+      setStream(null)
       setLoading(false)
     }
   }
@@ -145,6 +546,18 @@ export default function ChatInterface() {
                 >
                   <span className="text-lg">💚</span>
                 </button>
+                <button
+                  onClick={() => setShowCaptures(true)}
+                  className="relative p-2 hover:bg-white/10 rounded-lg transition-colors"
+                  title="Captured for you"
+                >
+                  <span className="text-lg">📥</span>
+                  {pendingCaptures > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 bg-amber-400 text-[10px] font-bold text-gray-900 rounded-full flex items-center justify-center">
+                      {pendingCaptures}
+                    </span>
+                  )}
+                </button>
                 <button
                   onClick={() => setShowProfile(true)}
                   className="p-2 hover:bg-white/10 rounded-lg transition-colors"
@@ -196,100 +609,181 @@ export default function ChatInterface() {
         </div>
       </div>
 
-      {/* Messages Area */}
-      <div className="flex-1 overflow-y-auto">
-        <div className="max-w-4xl mx-auto px-4 py-6 space-y-4">
-          {messages.length === 0 && !loading && (
-            <div className="text-center py-16">
-              <div className="w-20 h-20 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-2xl mx-auto mb-6 flex items-center justify-center shadow-lg">
-                <svg className="w-10 h-10 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
-                </svg>
-              </div>
-              <h2 className="text-2xl font-bold text-gray-800 mb-2">Welcome to Shree AI</h2>
-              <p className="text-gray-500 mb-8 max-w-md mx-auto">
-                Your intelligent assistant for managing ideas, posting to LinkedIn, creating spreadsheets, and more.
-              </p>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 max-w-lg mx-auto">
-                {[
-                  { icon: '📝', text: 'Post on LinkedIn about AI trends' },
-                  { icon: '📊', text: 'Create a spreadsheet for expenses' },
-                  { icon: '🔍', text: 'Search for latest tech news' },
-                  { icon: '🎨', text: 'Generate an image for my post' },
-                ].map((suggestion, i) => (
+      <div className="flex flex-1 min-h-0">
+        <ThreadSidebar
+          threads={threads}
+          activeThreadId={activeThreadId}
+          showArchived={showArchived}
+          hasMore={!!threadsCursor}
+          onSelect={selectThread}
+          onNew={() => selectThread(null)}
+          onRename={renameThread}
+          onArchive={archiveThread}
+          onDelete={deleteThread}
+          onToggleArchived={toggleArchived}
+          onLoadMore={loadMoreThreads}
+        />
+
+        <div className="flex flex-col flex-1 min-w-0">
+          {/* Messages Area */}
+          <div className="flex-1 overflow-y-auto">
+            <div className="max-w-4xl mx-auto px-4 py-6 space-y-4">
+              {historyCursor && activeThreadId && (
+                <div className="text-center">
                   <button
-                    key={i}
-                    onClick={() => setInput(suggestion.text)}
-                    className="flex items-center space-x-2 p-3 bg-white rounded-xl border border-gray-200 hover:border-blue-300 hover:shadow-md transition-all text-left group"
+                    onClick={() => loadHistory(activeThreadId, historyCursor)}
+                    className="text-xs text-blue-600 hover:underline"
                   >
-                    <span className="text-xl">{suggestion.icon}</span>
-                    <span className="text-sm text-gray-700 group-hover:text-blue-700">{suggestion.text}</span>
+                    Load earlier messages
                   </button>
-                ))}
-              </div>
-            </div>
-          )}
+                </div>
+              )}
 
-          {messages.map((msg) => (
-            <MessageBubble key={msg.id} message={msg} />
-          ))}
+              {messages.length === 0 && !loading && (
+                <div className="text-center py-16">
+                  <div className="w-20 h-20 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-2xl mx-auto mb-6 flex items-center justify-center shadow-lg">
+                    <svg className="w-10 h-10 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                    </svg>
+                  </div>
+                  <h2 className="text-2xl font-bold text-gray-800 mb-2">Welcome to Shree AI</h2>
+                  <p className="text-gray-500 mb-8 max-w-md mx-auto">
+                    Your intelligent assistant for managing ideas, posting to LinkedIn, creating spreadsheets, and more.
+                  </p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 max-w-lg mx-auto">
+                    {[
+                      { icon: '📝', text: 'Post on LinkedIn about AI trends' },
+                      { icon: '📊', text: 'Create a spreadsheet for expenses' },
+                      { icon: '🔍', text: 'Search for latest tech news' },
+                      { icon: '🎨', text: 'Generate an image for my post' },
+                    ].map((suggestion, i) => (
+                      <button
+                        key={i}
+                        onClick={() => setInput(suggestion.text)}
+                        className="flex items-center space-x-2 p-3 bg-white rounded-xl border border-gray-200 hover:border-blue-300 hover:shadow-md transition-all text-left group"
+                      >
+                        <span className="text-xl">{suggestion.icon}</span>
+                        <span className="text-sm text-gray-700 group-hover:text-blue-700">{suggestion.text}</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {messages.map((msg, index) => (
+                <div key={msg.id} className="space-y-4">
+                  <MessageBubble
+                    message={msg}
+                    onShowTrace={setTraceExecutionId}
+                    onEdit={msg.local ? undefined : editMessage}
+                    onRegenerate={msg.local ? undefined : regenerateReply}
+                    onSelectAlternative={selectAlternative}
+                    disabled={loading || branching}
+                  />
+                  {/* The card sits under the message that proposed the plan, not under its results */}
+                  {msg.planId && plans[msg.planId] && !messages.slice(0, index).some(m => m.planId === msg.planId) && (
+                    <PlanCard plan={plans[msg.planId]} onUpdate={upsertPlan} onShowTrace={setTraceExecutionId} />
+                  )}
+                </div>
+              ))}
+
+              {abandonedEffects.length > 0 && (
+                <AbandonedEffectsCard effects={abandonedEffects} onDismiss={() => setAbandonedEffects([])} />
+              )}
+
+              {actions.map((action) => (
+                <ActionCard key={action.id} action={action} onUpdate={upsertAction} />
+              ))}
+
+              {loading && stream && (
+                <StreamingBubble text={stream.text} tools={stream.tools} />
+              )}
 
-          {loading && (
-            <div className="flex justify-start">
-              <div className="bg-white rounded-2xl px-5 py-4 shadow-sm border border-gray-100 max-w-xs">
-                <div className="flex items-center space-x-3">
-                  <div className="flex space-x-1">
-                    <div className="w-2.5 h-2.5 bg-blue-500 rounded-full animate-bounce"></div>
-                    <div className="w-2.5 h-2.5 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0.15s' }}></div>
-                    <div className="w-2.5 h-2.5 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0.3s' }}></div>
+              {loading && !stream && (
+                <div className="flex justify-start">
+                  <div className="bg-white rounded-2xl px-5 py-4 shadow-sm border border-gray-100 max-w-xs">
+                    <div className="flex items-center space-x-3">
+                      <div className="flex space-x-1">
+                        <div className="w-2.5 h-2.5 bg-blue-500 rounded-full animate-bounce"></div>
+                        <div className="w-2.5 h-2.5 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0.15s' }}></div>
+                        <div className="w-2.5 h-2.5 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0.3s' }}></div>
+                      </div>
+                      <span className="text-sm text-gray-500">Shree AI is thinking...</span>
+                    </div>
                   </div>
-                  <span className="text-sm text-gray-500">Shree AI is thinking...</span>
                 </div>
-              </div>
+              )}
+              <div ref={messagesEndRef} />
             </div>
-          )}
-          <div ref={messagesEndRef} />
-        </div>
-      </div>
+          </div>
 
-      {/* Input Area */}
-      <div className="bg-white border-t border-gray-200 shadow-lg">
-        <div className="max-w-4xl mx-auto px-4 py-4">
-          <form onSubmit={handleSend} className="flex items-center space-x-3">
-            <ImageUpload onImageUpload={(url) => {
-              setMessages(prev => [...prev, {
-                id: Date.now().toString(),
-                message: `[Image uploaded]`,
-                role: 'user',
-                timestamp: new Date().toISOString(),
-              }])
-            }} />
-
-            <div className="flex-1 relative">
-              <input
-                type="text"
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                placeholder="Type your message..."
-                className="w-full px-5 py-3.5 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-400 text-base transition-all"
-              />
-            </div>
+          {/* Input Area */}
+          <div className="bg-white border-t border-gray-200 shadow-lg">
+            <div className="max-w-4xl mx-auto px-4 py-4">
+              <form onSubmit={handleSend} className="flex items-center space-x-3">
+                <ImageUpload onImageUpload={(url) => {
+                  setMessages(prev => [...prev, {
+                    id: Date.now().toString(),
+                    message: `[Image uploaded]`,
+                    role: 'user',
+                    local: true,
+                    timestamp: new Date().toISOString(),
+                  }])
+                }} />
 
-            <button
-              type="submit"
-              disabled={loading || !input.trim()}
-              className="px-6 py-3.5 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl hover:from-blue-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-md hover:shadow-lg flex items-center space-x-2 font-medium"
-            >
-              <span>Send</span>
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
-              </svg>
-            </button>
-          </form>
-
-          <p className="text-center text-xs text-gray-400 mt-3">
-            Shree AI can make mistakes. Consider checking important information.
-          </p>
+                <button
+                  type="button"
+                  onClick={() => setPlanMode(!planMode)}
+                  className={`px-3 py-3.5 text-sm rounded-xl border transition-colors whitespace-nowrap ${planMode ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'border-gray-200 text-gray-500 hover:bg-gray-50'}`}
+                  title="Plan mode: review a step-by-step plan before anything runs"
+                >
+                  📋 Plan
+                </button>
+
+                <div className="flex-1 relative">
+                  {commandSuggestions.length > 0 && (
+                    <ul className="absolute bottom-full mb-2 left-0 right-0 bg-white border border-gray-200 rounded-xl shadow-lg overflow-hidden z-10">
+                      {commandSuggestions.map((command, index) => (
+                        <li key={command.name}>
+                          <button
+                            type="button"
+                            onMouseDown={(e) => { e.preventDefault(); pickCommand(command) }}
+                            className={`w-full text-left px-4 py-2 flex items-baseline space-x-3 ${index === commandIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                          >
+                            <span className="font-mono text-sm text-gray-900">{command.usage}</span>
+                            <span className="text-xs text-gray-500 truncate">{command.description}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <input
+                    type="text"
+                    value={input}
+                    onChange={(e) => { setInput(e.target.value); setCommandIndex(0) }}
+                    onKeyDown={handleInputKeyDown}
+                    placeholder={planMode ? 'Describe a multi-step task to plan...' : 'Type your message, or / for commands...'}
+                    className="w-full px-5 py-3.5 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-400 text-base transition-all"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading || !input.trim()}
+                  className="px-6 py-3.5 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl hover:from-blue-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-md hover:shadow-lg flex items-center space-x-2 font-medium"
+                >
+                  <span>Send</span>
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
+                  </svg>
+                </button>
+              </form>
+
+              <p className="text-center text-xs text-gray-400 mt-3">
+                Shree AI can make mistakes. Consider checking important information.
+              </p>
+            </div>
+          </div>
         </div>
       </div>
 
@@ -297,6 +791,8 @@ export default function ChatInterface() {
       {showProfile && <ProfileSettings onClose={() => setShowProfile(false)} />}
       {showGoals && <GoalsDashboard onClose={() => setShowGoals(false)} />}
       {showWellbeing && <WellbeingDashboard onClose={() => setShowWellbeing(false)} />}
+      {showCaptures && <CapturedFeed onClose={() => setShowCaptures(false)} onChange={loadPendingCaptures} />}
+      {traceExecutionId && <TraceDrawer executionId={traceExecutionId} onClose={() => setTraceExecutionId(null)} />}
     </div>
   )
 }
@@ -1,16 +1,28 @@
 'use client'
 
+import { useState } from 'react'
+
 interface Message {
   id: string
   message: string
   response?: string
   role: 'user' | 'assistant'
+  executionId?: string | null
+  status?: 'queued' | 'running' | 'done' | 'failed' | null
+  // Every version of an edited message or regenerated reply, oldest first
+  alternatives?: { index: number; ids: string[] } | null
   timestamp?: string
   created_at?: string
 }
 
 interface MessageBubbleProps {
   message: Message
+  onShowTrace?: (executionId: string) => void
+  // Edit, regenerate and switching versions are offered only for messages stored on the server
+  onEdit?: (id: string, text: string) => void
+  onRegenerate?: (id: string) => void
+  onSelectAlternative?: (id: string) => void
+  disabled?: boolean
 }
 
 function formatTime(dateStr?: string): string {
@@ -24,10 +36,26 @@ function formatTime(dateStr?: string): string {
   }
 }
 
-export default function MessageBubble({ message }: MessageBubbleProps) {
+export default function MessageBubble({ message, onShowTrace, onEdit, onRegenerate, onSelectAlternative, disabled }: MessageBubbleProps) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState('')
   const isUser = message.role === 'user'
   const content = message.response || message.message
   const timeStr = formatTime(message.timestamp || message.created_at)
+  const alternatives = message.alternatives
+  const canEdit = isUser && onEdit && message.status !== 'queued' && message.status !== 'running'
+
+  const startEditing = () => {
+    setDraft(message.message)
+    setEditing(true)
+  }
+
+  const submitEdit = () => {
+    setEditing(false)
+    if (draft.trim() && draft !== message.message) {
+      onEdit?.(message.id, draft)
+    }
+  }
 
   return (
     <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
@@ -49,18 +77,95 @@ export default function MessageBubble({ message }: MessageBubbleProps) {
               : 'bg-white text-gray-800 shadow-sm border border-gray-100 rounded-bl-md'
           }`}
         >
-          <p className={`text-sm leading-relaxed whitespace-pre-wrap ${
-            isUser ? 'text-white' : 'text-gray-800'
-          }`}>
-            {content}
-          </p>
-          {timeStr && (
-            <p className={`text-xs mt-2 ${
-              isUser ? 'text-blue-100' : 'text-gray-400'
+          {editing ? (
+            <div className="space-y-2">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); submitEdit() }
+                  if (e.key === 'Escape') setEditing(false)
+                }}
+                autoFocus
+                rows={Math.min(6, draft.split('\n').length + 1)}
+                className="w-64 max-w-full px-2 py-1 text-sm text-gray-900 bg-white rounded-lg focus:outline-none"
+              />
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setEditing(false)} className="text-xs text-blue-100 hover:text-white">
+                  Cancel
+                </button>
+                <button onClick={submitEdit} className="px-2 py-0.5 text-xs bg-white text-blue-700 rounded-md">
+                  Send
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className={`text-sm leading-relaxed whitespace-pre-wrap ${
+              isUser ? 'text-white' : 'text-gray-800'
             }`}>
-              {timeStr}
+              {content}
             </p>
           )}
+          {isUser && (message.status === 'queued' || message.status === 'running') && (
+            <p className="text-xs text-blue-100 mt-2">Waiting for the reply...</p>
+          )}
+          {isUser && message.status === 'failed' && (
+            <p className="text-xs text-red-200 mt-2">Not answered - send it again</p>
+          )}
+          {!editing && (
+            <div className="flex items-center justify-between mt-2 space-x-3">
+              <p className={`text-xs ${
+                isUser ? 'text-blue-100' : 'text-gray-400'
+              }`}>
+                {timeStr}
+              </p>
+              <div className={`flex items-center space-x-2 text-xs ${isUser ? 'text-blue-100' : 'text-gray-300'}`}>
+                {alternatives && onSelectAlternative && (
+                  <span className="flex items-center space-x-1" title="Other versions of this message">
+                    <button
+                      onClick={() => onSelectAlternative(alternatives.ids[alternatives.index - 1])}
+                      disabled={disabled || alternatives.index === 0}
+                      className={`disabled:opacity-40 ${isUser ? 'hover:text-white' : 'hover:text-blue-600'}`}
+                    >
+                      ‹
+                    </button>
+                    <span>{alternatives.index + 1}/{alternatives.ids.length}</span>
+                    <button
+                      onClick={() => onSelectAlternative(alternatives.ids[alternatives.index + 1])}
+                      disabled={disabled || alternatives.index === alternatives.ids.length - 1}
+                      className={`disabled:opacity-40 ${isUser ? 'hover:text-white' : 'hover:text-blue-600'}`}
+                    >
+                      ›
+                    </button>
+                  </span>
+                )}
+                {canEdit && (
+                  <button onClick={startEditing} disabled={disabled} className="hover:text-white disabled:opacity-40">
+                    edit
+                  </button>
+                )}
+                {!isUser && onRegenerate && (
+                  <button
+                    onClick={() => onRegenerate(message.id)}
+                    disabled={disabled}
+                    className="hover:text-blue-600 disabled:opacity-40"
+                    title="Answer the message again"
+                  >
+                    regenerate
+                  </button>
+                )}
+                {!isUser && message.executionId && onShowTrace && (
+                  <button
+                    onClick={() => onShowTrace(message.executionId!)}
+                    className="hover:text-blue-600"
+                    title="Show how this reply was produced"
+                  >
+                    trace
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,229 @@
+'use client'
+
+import { useState } from 'react'
+import api from '@/lib/api'
+
+export interface PlanStep {
+  id: string
+  position: number
+  title: string
+  tools: string[]
+  expectedOutput: string | null
+  status: 'pending' | 'running' | 'waiting_approval' | 'completed' | 'failed' | 'skipped'
+  result: string | null
+  error: string | null
+  pendingActionIds: string[]
+  executionId: string | null
+}
+
+export interface Plan {
+  id: string
+  threadId: string | null
+  request: string
+  status: 'draft' | 'running' | 'waiting_approval' | 'completed' | 'failed' | 'cancelled'
+  error: string | null
+  steps: PlanStep[]
+}
+
+interface PlanCardProps {
+  plan: Plan
+  onUpdate: (plan: Plan) => void
+  onShowTrace?: (executionId: string) => void
+}
+
+const PLAN_STATUS: Record<Plan['status'], { label: string; className: string }> = {
+  draft: { label: 'Waiting for approval', className: 'bg-amber-50 text-amber-700' },
+  running: { label: 'Running…', className: 'bg-blue-50 text-blue-700' },
+  waiting_approval: { label: 'Waiting for an action to be approved', className: 'bg-amber-50 text-amber-700' },
+  completed: { label: 'Done', className: 'bg-emerald-50 text-emerald-700' },
+  failed: { label: 'Failed', className: 'bg-red-50 text-red-700' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' },
+}
+
+const STEP_ICONS: Record<PlanStep['status'], string> = {
+  pending: '○',
+  running: '◐',
+  waiting_approval: '⏸',
+  completed: '✓',
+  failed: '✕',
+  skipped: '–',
+}
+
+interface EditableStep {
+  title: string
+  tools: string[]
+  expectedOutput: string | null
+}
+
+export default function PlanCard({ plan, onUpdate, onShowTrace }: PlanCardProps) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [editing, setEditing] = useState<EditableStep[] | null>(null)
+  const [openStepId, setOpenStepId] = useState<string | null>(null)
+  const status = PLAN_STATUS[plan.status]
+  const editable = plan.status === 'draft' || plan.status === 'failed'
+  const completedCount = plan.steps.filter(step => step.status === 'completed').length
+
+  const call = async (request: () => Promise<{ data: { plan?: Plan } }>) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const response = await request()
+      if (response.data.plan) {
+        onUpdate(response.data.plan)
+      }
+      return true
+    } catch (err: any) {
+      console.error('Plan request failed:', err)
+      setError(err.response?.data?.error || 'Something went wrong')
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const startEditing = () => {
+    setEditing(plan.steps
+      .filter(step => step.status !== 'completed')
+      .map(({ title, tools, expectedOutput }) => ({ title, tools, expectedOutput })))
+  }
+
+  const saveEdits = async () => {
+    if (!editing) return
+    const steps = editing.filter(step => step.title.trim())
+    if (await call(() => api.put(`/plans/${plan.id}/steps`, { steps }))) {
+      setEditing(null)
+    }
+  }
+
+  const updateEditing = (index: number, title: string) => {
+    setEditing(prev => prev && prev.map((step, i) => i === index ? { ...step, title } : step))
+  }
+
+  return (
+    <div className="flex justify-start">
+      <div className="w-full max-w-[85%] lg:max-w-[70%] ml-10 bg-white border border-indigo-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="flex items-center justify-between px-4 py-2 bg-indigo-50/60 border-b border-indigo-100">
+          <span className="text-sm font-medium text-gray-800">
+            Plan · {completedCount}/{plan.steps.length} steps
+          </span>
+          <span className={`px-2 py-0.5 text-xs rounded-full ${status.className}`}>{status.label}</span>
+        </div>
+
+        {editing ? (
+          <div className="px-4 py-3 space-y-2">
+            {plan.steps.filter(step => step.status === 'completed').map(step => (
+              <p key={step.id} className="text-sm text-gray-400">✓ {step.position}. {step.title}</p>
+            ))}
+            {editing.map((step, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <span className="text-xs text-gray-400 w-5 text-right">{completedCount + index + 1}.</span>
+                <input
+                  type="text"
+                  value={step.title}
+                  onChange={(e) => updateEditing(index, e.target.value)}
+                  className="flex-1 px-2 py-1 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-indigo-400"
+                />
+                <button
+                  onClick={() => setEditing(prev => prev && prev.filter((_, i) => i !== index))}
+                  className="text-xs text-gray-400 hover:text-red-500"
+                  title="Remove step"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setEditing(prev => prev && [...prev, { title: '', tools: [], expectedOutput: null }])}
+              className="text-xs text-indigo-600 hover:underline"
+            >
+              + Add step
+            </button>
+          </div>
+        ) : (
+          <ol className="px-4 py-3 space-y-2">
+            {plan.steps.map(step => (
+              <li key={step.id} className="text-sm">
+                <button
+                  onClick={() => setOpenStepId(openStepId === step.id ? null : step.id)}
+                  className="flex items-start space-x-2 text-left w-full"
+                >
+                  <span className={`w-4 ${step.status === 'failed' ? 'text-red-500' : step.status === 'completed' ? 'text-emerald-600' : 'text-gray-400'}`}>
+                    {STEP_ICONS[step.status]}
+                  </span>
+                  <span className={step.status === 'skipped' ? 'text-gray-400 line-through' : 'text-gray-800'}>
+                    {step.position}. {step.title}
+                  </span>
+                </button>
+                {openStepId === step.id && (
+                  <div className="ml-6 mt-1 space-y-1 text-xs text-gray-500">
+                    {step.tools.length > 0 && <p>Tools: {step.tools.join(', ')}</p>}
+                    {step.expectedOutput && <p>Expected: {step.expectedOutput}</p>}
+                    {step.result && <pre className="whitespace-pre-wrap font-sans text-gray-700 max-h-48 overflow-y-auto">{step.result}</pre>}
+                    {step.executionId && onShowTrace && (
+                      <button onClick={() => onShowTrace(step.executionId!)} className="text-indigo-600 hover:underline">
+                        View trace
+                      </button>
+                    )}
+                  </div>
+                )}
+                {step.status === 'failed' && step.error && (
+                  <p className="ml-6 text-xs text-red-500">{step.error}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {error && <p className="px-4 pb-2 text-xs text-red-500">{error}</p>}
+
+        {(editable || plan.status === 'running' || plan.status === 'waiting_approval') && (
+          <div className="flex justify-end space-x-2 px-4 py-2 border-t border-gray-100">
+            <button
+              onClick={() => call(() => api.post(`/plans/${plan.id}/cancel`))}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+            >
+              Cancel plan
+            </button>
+            {editable && (editing ? (
+              <>
+                <button
+                  onClick={() => setEditing(null)}
+                  disabled={busy}
+                  className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                >
+                  Discard edits
+                </button>
+                <button
+                  onClick={saveEdits}
+                  disabled={busy}
+                  className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Save steps
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={startEditing}
+                  disabled={busy}
+                  className="px-3 py-1.5 text-sm text-indigo-700 hover:bg-indigo-50 rounded-lg disabled:opacity-50"
+                >
+                  Edit steps
+                </button>
+                <button
+                  onClick={() => call(() => api.post(`/plans/${plan.id}/approve`))}
+                  disabled={busy}
+                  className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {busy ? 'Working…' : plan.status === 'failed' ? `Retry from step ${completedCount + 1}` : 'Approve & run'}
+                </button>
+              </>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
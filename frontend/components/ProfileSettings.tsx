@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react'
 import api from '@/lib/api'
+import UsagePanel from './UsagePanel'
 
 interface LinkedInStatus {
   connected: boolean
@@ -18,6 +19,11 @@ interface UserProfile {
   work_start_time: string
   work_end_time: string
   communication_style: string
+  assistant_name: string | null
+  persona: string
+  persona_instructions: string | null
+  response_language: string | null
+  response_format: string
   interests: string
   short_term_goals: string
   long_term_goals: string
@@ -29,6 +35,24 @@ interface UserProfile {
   money_focus_mode: boolean
 }
 
+interface AgentTool {
+  name: string
+  category: string
+  summary: string
+  sideEffects: 'none' | 'internal' | 'external' | 'destructive'
+  enabled: boolean
+  approvalPolicy: 'ask' | 'auto' | 'threshold' | null
+  approvalThreshold: number | null
+  measureUnit: string | null
+}
+
+const SIDE_EFFECT_LABELS: Record<AgentTool['sideEffects'], { label: string; className: string }> = {
+  none: { label: 'Read only', className: 'bg-gray-100 text-gray-600' },
+  internal: { label: 'Saves data', className: 'bg-blue-50 text-blue-700' },
+  external: { label: 'Acts externally', className: 'bg-amber-50 text-amber-700' },
+  destructive: { label: 'Deletes data', className: 'bg-red-50 text-red-700' },
+}
+
 interface TimeBlock {
   id: string
   block_name: string
@@ -49,6 +73,11 @@ export default function ProfileSettings({ onClose }: { onClose: () => void }) {
     work_start_time: '09:00',
     work_end_time: '18:00',
     communication_style: 'friendly',
+    assistant_name: '',
+    persona: 'life_coach',
+    persona_instructions: '',
+    response_language: '',
+    response_format: 'chat',
     interests: '',
     short_term_goals: '',
     long_term_goals: '',
@@ -63,7 +92,8 @@ export default function ProfileSettings({ onClose }: { onClose: () => void }) {
   const [timeBlocks, setTimeBlocks] = useState<TimeBlock[]>([])
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
-  const [activeTab, setActiveTab] = useState<'profile' | 'schedule' | 'preferences'>('profile')
+  const [activeTab, setActiveTab] = useState<'profile' | 'schedule' | 'preferences' | 'tools' | 'usage'>('profile')
+  const [tools, setTools] = useState<AgentTool[]>([])
 
   const [newBlock, setNewBlock] = useState({
     block_name: '',
@@ -80,6 +110,7 @@ export default function ProfileSettings({ onClose }: { onClose: () => void }) {
     loadProfile()
     loadTimeBlocks()
     loadLinkedInStatus()
+    loadTools()
   }, [])
 
   const loadProfile = async () => {
@@ -113,6 +144,36 @@ export default function ProfileSettings({ onClose }: { onClose: () => void }) {
     }
   }
 
+  const loadTools = async () => {
+    try {
+      const response = await api.get('/agent/tools')
+      setTools(response.data.tools || [])
+    } catch (error) {
+      console.error('Failed to load agent tools:', error)
+    }
+  }
+
+  const toggleTool = async (name: string, enabled: boolean) => {
+    setTools(prev => prev.map(tool => tool.name === name ? { ...tool, enabled } : tool))
+    try {
+      await api.put(`/agent/tools/${name}`, { enabled })
+    } catch (error) {
+      console.error('Failed to update tool:', error)
+      setTools(prev => prev.map(tool => tool.name === name ? { ...tool, enabled: !enabled } : tool))
+    }
+  }
+
+  const updateToolPolicy = async (name: string, approvalPolicy: 'ask' | 'auto' | 'threshold', approvalThreshold: number | null) => {
+    const previous = tools
+    setTools(prev => prev.map(tool => tool.name === name ? { ...tool, approvalPolicy, approvalThreshold } : tool))
+    try {
+      await api.put(`/agent/tools/${name}`, { approvalPolicy, approvalThreshold })
+    } catch (error) {
+      console.error('Failed to update approval policy:', error)
+      setTools(previous)
+    }
+  }
+
   const connectLinkedIn = async () => {
     setConnectingLinkedIn(true)
     try {
@@ -225,7 +286,7 @@ export default function ProfileSettings({ onClose }: { onClose: () => void }) {
 
           {/* Tabs */}
           <div className="flex space-x-2 mt-4">
-            {(['profile', 'schedule', 'preferences'] as const).map((tab) => (
+            {(['profile', 'schedule', 'preferences', 'tools', 'usage'] as const).map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -553,21 +614,153 @@ export default function ProfileSettings({ onClose }: { onClose: () => void }) {
                 </label>
               </div>
 
-              <div className="mt-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Communication Style</label>
-                <select
-                  value={profile.communication_style}
-                  onChange={(e) => setProfile({ ...profile, communication_style: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                >
-                  <option value="friendly">Friendly & Casual</option>
-                  <option value="professional">Professional</option>
-                  <option value="concise">Brief & Concise</option>
-                  <option value="detailed">Detailed & Thorough</option>
-                </select>
+              <div className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+                <h3 className="font-medium text-gray-800">Assistant</h3>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Assistant Name</label>
+                    <input
+                      type="text"
+                      value={profile.assistant_name || ''}
+                      onChange={(e) => setProfile({ ...profile, assistant_name: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Shree AI"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Persona</label>
+                    <select
+                      value={profile.persona}
+                      onChange={(e) => setProfile({ ...profile, persona: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="life_coach">Life Coach - goals, money & time</option>
+                      <option value="assistant">Assistant - gets things done</option>
+                      <option value="companion">Companion - wellbeing first</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Communication Style</label>
+                    <select
+                      value={profile.communication_style}
+                      onChange={(e) => setProfile({ ...profile, communication_style: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="friendly">Friendly & Casual</option>
+                      <option value="professional">Professional</option>
+                      <option value="concise">Brief & Concise</option>
+                      <option value="detailed">Detailed & Thorough</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Formatting</label>
+                    <select
+                      value={profile.response_format}
+                      onChange={(e) => setProfile({ ...profile, response_format: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="chat">Plain chat messages</option>
+                      <option value="markdown">Markdown (lists, tables)</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reply Language</label>
+                  <input
+                    type="text"
+                    value={profile.response_language || ''}
+                    onChange={(e) => setProfile({ ...profile, response_language: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Same as my message (e.g. Hindi, Hinglish, Spanish)"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Custom Instructions</label>
+                  <textarea
+                    value={profile.persona_instructions || ''}
+                    onChange={(e) => setProfile({ ...profile, persona_instructions: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    rows={3}
+                    maxLength={1000}
+                    placeholder="How the assistant should behave, e.g. &quot;Be blunt and skip the pep talk&quot;"
+                  />
+                </div>
               </div>
             </div>
           )}
+
+          {activeTab === 'tools' && (
+            <div className="space-y-6">
+              <p className="text-sm text-gray-500">
+                Choose which tools the assistant may use. Changes apply immediately.
+              </p>
+              {Array.from(new Set(tools.map(tool => tool.category))).map((category) => (
+                <div key={category}>
+                  <h3 className="text-sm font-semibold text-gray-800 mb-2">{category}</h3>
+                  <div className="space-y-2">
+                    {tools.filter(tool => tool.category === category).map((tool) => (
+                      <div key={tool.name} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                        <div className="pr-4">
+                          <div className="flex items-center space-x-2">
+                            <h4 className="font-medium text-gray-800 text-sm">{tool.name.replace(/_/g, ' ')}</h4>
+                            <span className={`px-2 py-0.5 text-xs rounded-full ${SIDE_EFFECT_LABELS[tool.sideEffects].className}`}>
+                              {SIDE_EFFECT_LABELS[tool.sideEffects].label}
+                            </span>
+                          </div>
+                          <p className="text-xs text-gray-500">{tool.summary}</p>
+                          {tool.approvalPolicy && (
+                            <div className="flex items-center space-x-2 mt-2">
+                              <select
+                                value={tool.approvalPolicy}
+                                onChange={(e) => {
+                                  const policy = e.target.value as 'ask' | 'auto' | 'threshold'
+                                  updateToolPolicy(tool.name, policy, policy === 'threshold' ? (tool.approvalThreshold ?? 1) : null)
+                                }}
+                                className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 bg-white"
+                              >
+                                <option value="ask">Always ask me first</option>
+                                <option value="auto">Run without asking</option>
+                                {tool.measureUnit && <option value="threshold">Ask only above a limit</option>}
+                              </select>
+                              {tool.approvalPolicy === 'threshold' && (
+                                <>
+                                  <input
+                                    type="number"
+                                    min={0}
+                                    value={tool.approvalThreshold ?? 1}
+                                    onChange={(e) => updateToolPolicy(tool.name, 'threshold', Math.max(0, Number(e.target.value)))}
+                                    className="w-16 px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700"
+                                  />
+                                  <span className="text-xs text-gray-500">{tool.measureUnit}</span>
+                                </>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                        <label className="relative inline-flex items-center cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={tool.enabled}
+                            onChange={(e) => toggleTool(tool.name, e.target.checked)}
+                            className="sr-only peer"
+                          />
+                          <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {activeTab === 'usage' && <UsagePanel />}
         </div>
 
         {/* Footer */}
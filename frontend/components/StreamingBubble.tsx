@@ -0,0 +1,68 @@
+'use client'
+
+export interface ToolProgress {
+  toolUseId: string
+  tool: string
+  status: 'running' | 'done' | 'failed' | 'pending'
+  error?: string
+  durationMs?: number
+}
+
+interface StreamingBubbleProps {
+  text: string
+  tools: ToolProgress[]
+}
+
+function formatToolName(tool: string): string {
+  return tool.replace(/_/g, ' ')
+}
+
+export default function StreamingBubble({ text, tools }: StreamingBubbleProps) {
+  return (
+    <div className="flex justify-start">
+      <div className="flex items-end space-x-2 max-w-[85%] lg:max-w-[70%]">
+        {/* Avatar */}
+        <div className="flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center text-xs font-bold bg-gradient-to-br from-emerald-500 to-teal-600 text-white">
+          AI
+        </div>
+
+        {/* Message Bubble */}
+        <div className="px-4 py-3 rounded-2xl bg-white text-gray-800 shadow-sm border border-gray-100 rounded-bl-md">
+          {tools.length > 0 && (
+            <div className="space-y-1 mb-2">
+              {tools.map((tool) => (
+                <div key={tool.toolUseId} className="flex items-center space-x-2 text-xs text-gray-500">
+                  {tool.status === 'running' && (
+                    <div className="w-3 h-3 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+                  )}
+                  {tool.status === 'done' && <span className="text-emerald-600">✓</span>}
+                  {tool.status === 'failed' && <span className="text-red-500">✕</span>}
+                  {tool.status === 'pending' && <span className="text-amber-500">⏸</span>}
+                  <span className="capitalize">{formatToolName(tool.tool)}</span>
+                  {tool.durationMs !== undefined && (
+                    <span className="text-gray-400">{(tool.durationMs / 1000).toFixed(1)}s</span>
+                  )}
+                  {tool.status === 'pending' && <span className="text-amber-600">needs your approval</span>}
+                  {tool.error && <span className="text-red-400 truncate">{tool.error}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {text ? (
+            <p className="text-sm leading-relaxed whitespace-pre-wrap text-gray-800">
+              {text}
+              <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-blue-500 animate-pulse"></span>
+            </p>
+          ) : (
+            <div className="flex space-x-1 py-1">
+              <div className="w-2 h-2 bg-blue-500 rounded-full animate-bounce"></div>
+              <div className="w-2 h-2 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0.15s' }}></div>
+              <div className="w-2 h-2 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0.3s' }}></div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+'use client'
+
+import { useState } from 'react'
+
+export interface Thread {
+  id: string
+  title: string | null
+  archived: boolean
+  lastMessageAt: string
+}
+
+interface ThreadSidebarProps {
+  threads: Thread[]
+  activeThreadId: string | null
+  showArchived: boolean
+  hasMore: boolean
+  onSelect: (threadId: string) => void
+  onNew: () => void
+  onRename: (threadId: string, title: string) => void
+  onArchive: (threadId: string, archived: boolean) => void
+  onDelete: (threadId: string) => void
+  onToggleArchived: () => void
+  onLoadMore: () => void
+}
+
+export default function ThreadSidebar({
+  threads,
+  activeThreadId,
+  showArchived,
+  hasMore,
+  onSelect,
+  onNew,
+  onRename,
+  onArchive,
+  onDelete,
+  onToggleArchived,
+  onLoadMore,
+}: ThreadSidebarProps) {
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [editTitle, setEditTitle] = useState('')
+
+  const startRename = (thread: Thread) => {
+    setEditingId(thread.id)
+    setEditTitle(thread.title || '')
+  }
+
+  const submitRename = () => {
+    if (editingId && editTitle.trim()) {
+      onRename(editingId, editTitle.trim())
+    }
+    setEditingId(null)
+  }
+
+  return (
+    <aside className="hidden md:flex flex-col w-64 bg-white/80 border-r border-gray-200">
+      <div className="p-3 border-b border-gray-100">
+        <button
+          onClick={onNew}
+          className="w-full px-3 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white text-sm font-medium rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all"
+        >
+          + New chat
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {threads.length === 0 && (
+          <p className="text-xs text-gray-400 text-center py-6">
+            {showArchived ? 'No archived chats' : 'No chats yet'}
+          </p>
+        )}
+
+        {threads.map((thread) => (
+          <div
+            key={thread.id}
+            className={`group rounded-lg px-3 py-2 cursor-pointer ${
+              thread.id === activeThreadId ? 'bg-blue-50 border border-blue-100' : 'hover:bg-gray-50'
+            }`}
+            onClick={() => editingId !== thread.id && onSelect(thread.id)}
+          >
+            {editingId === thread.id ? (
+              <input
+                autoFocus
+                value={editTitle}
+                onChange={(e) => setEditTitle(e.target.value)}
+                onBlur={submitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') submitRename()
+                  if (e.key === 'Escape') setEditingId(null)
+                }}
+                maxLength={120}
+                className="w-full px-2 py-1 text-sm border border-blue-300 rounded text-gray-800"
+              />
+            ) : (
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-700 truncate">{thread.title || 'New chat'}</span>
+                <div className="hidden group-hover:flex items-center space-x-1 ml-2 flex-shrink-0">
+                  <button
+                    onClick={(e) => { e.stopPropagation(); startRename(thread) }}
+                    className="p-1 text-gray-400 hover:text-gray-700"
+                    title="Rename"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onArchive(thread.id, !thread.archived) }}
+                    className="p-1 text-gray-400 hover:text-gray-700"
+                    title={thread.archived ? 'Unarchive' : 'Archive'}
+                  >
+                    {thread.archived ? '↩' : '🗄'}
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      if (confirm('Delete this chat and all of its messages?')) onDelete(thread.id)
+                    }}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Delete"
+                  >
+                    🗑
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+
+        {hasMore && (
+          <button onClick={onLoadMore} className="w-full py-2 text-xs text-blue-600 hover:underline">
+            Load more
+          </button>
+        )}
+      </div>
+
+      <div className="p-3 border-t border-gray-100">
+        <button onClick={onToggleArchived} className="text-xs text-gray-500 hover:text-gray-800">
+          {showArchived ? '← Back to chats' : 'Show archived'}
+        </button>
+      </div>
+    </aside>
+  )
+}
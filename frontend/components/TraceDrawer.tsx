@@ -0,0 +1,174 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import api from '@/lib/api'
+
+interface ModelCallStep {
+  type: 'model_call'
+  iteration: number
+  model: string
+  startedAt: string
+  durationMs?: number
+  stopReason?: string
+  usage?: { inputTokens: number; outputTokens: number }
+  text?: string
+  toolUses?: string[]
+  error?: string
+}
+
+interface ToolCallStep {
+  type: 'tool_call'
+  iteration?: number
+  toolUseId?: string
+  tool: string
+  startedAt?: string
+  input: unknown
+  output: unknown
+  success: boolean
+  pending?: boolean
+  error?: string
+  durationMs?: number
+}
+
+interface Execution {
+  id: string
+  status: string
+  input: string | null
+  error: string | null
+  inputTokens: number
+  outputTokens: number
+  durationMs: number | null
+  createdAt: string
+  steps: (ModelCallStep | ToolCallStep)[]
+  actions: { id: string; toolName: string; status: string }[]
+}
+
+interface TraceDrawerProps {
+  executionId: string
+  onClose: () => void
+}
+
+function formatMs(ms?: number | null): string {
+  if (ms === undefined || ms === null) return '–'
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`
+}
+
+function JsonBlock({ label, value }: { label: string; value: unknown }) {
+  return (
+    <details className="mt-1">
+      <summary className="text-xs text-gray-500 cursor-pointer">{label}</summary>
+      <pre className="mt-1 p-2 bg-gray-50 rounded text-xs text-gray-700 overflow-x-auto max-h-64">
+        {JSON.stringify(value, null, 2)}
+      </pre>
+    </details>
+  )
+}
+
+export default function TraceDrawer({ executionId, onClose }: TraceDrawerProps) {
+  const [execution, setExecution] = useState<Execution | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    setExecution(null)
+    setError(null)
+    api.get(`/agent/executions/${executionId}`)
+      .then(response => setExecution(response.data.execution))
+      .catch(err => {
+        console.error('Failed to load execution trace:', err)
+        setError('Could not load this trace')
+      })
+  }, [executionId])
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-xl h-full bg-white shadow-2xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">Execution trace</h2>
+            <p className="text-xs text-gray-400 font-mono">{executionId}</p>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-700 rounded-lg hover:bg-gray-100">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4 space-y-3">
+          {error && <p className="text-sm text-red-500">{error}</p>}
+          {!execution && !error && <p className="text-sm text-gray-400">Loading…</p>}
+
+          {execution && (
+            <>
+              <div className="grid grid-cols-4 gap-2 text-center">
+                {[
+                  { label: 'Status', value: execution.status },
+                  { label: 'Duration', value: formatMs(execution.durationMs) },
+                  { label: 'Tokens in', value: execution.inputTokens.toLocaleString() },
+                  { label: 'Tokens out', value: execution.outputTokens.toLocaleString() },
+                ].map((stat) => (
+                  <div key={stat.label} className="p-2 bg-gray-50 rounded-lg">
+                    <p className="text-xs text-gray-400">{stat.label}</p>
+                    <p className="text-sm font-medium text-gray-800">{stat.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {execution.error && (
+                <p className="p-3 bg-red-50 text-sm text-red-600 rounded-lg">{execution.error}</p>
+              )}
+
+              {execution.steps.map((step, i) => step.type === 'model_call' ? (
+                <div key={i} className="p-3 border border-gray-200 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-indigo-700">Model call #{step.iteration + 1}</span>
+                    <span className="text-xs text-gray-400">{formatMs(step.durationMs)}</span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {step.model}
+                    {step.usage && ` · ${step.usage.inputTokens} in / ${step.usage.outputTokens} out`}
+                    {step.stopReason && ` · ${step.stopReason}`}
+                  </p>
+                  {step.toolUses && step.toolUses.length > 0 && (
+                    <p className="text-xs text-gray-600 mt-1">Requested: {step.toolUses.join(', ')}</p>
+                  )}
+                  {step.text && (
+                    <p className="text-xs text-gray-700 mt-2 whitespace-pre-wrap line-clamp-6">{step.text}</p>
+                  )}
+                  {step.error && <p className="text-xs text-red-500 mt-1">{step.error}</p>}
+                </div>
+              ) : (
+                <div key={i} className={`p-3 border rounded-lg ml-4 ${
+                  step.pending ? 'border-amber-200' : step.success ? 'border-emerald-200' : 'border-red-200'
+                }`}>
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-800">
+                      {step.pending ? '⏸' : step.success ? '✓' : '✕'} {step.tool}
+                    </span>
+                    <span className="text-xs text-gray-400">{formatMs(step.durationMs)}</span>
+                  </div>
+                  {step.pending && <p className="text-xs text-amber-600 mt-1">Queued for approval</p>}
+                  {step.error && <p className="text-xs text-red-500 mt-1">{step.error}</p>}
+                  <JsonBlock label="Input" value={step.input} />
+                  <JsonBlock label="Output" value={step.output} />
+                </div>
+              ))}
+
+              {execution.actions.length > 0 && (
+                <div className="pt-2">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-1">Proposed actions</h3>
+                  {execution.actions.map((action) => (
+                    <p key={action.id} className="text-xs text-gray-600">
+                      {action.toolName} — {action.status}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,187 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import api from '@/lib/api'
+
+interface Rollup {
+  period: string
+  calls: number
+  inputTokens: number
+  outputTokens: number
+  costUsd: number
+}
+
+interface Breakdown {
+  purpose?: string
+  model?: string
+  calls: number
+  tokens: number
+  costUsd: number
+}
+
+interface BudgetStatus {
+  state: 'ok' | 'soft' | 'hard'
+  monthSpendUsd: number
+  softLimitUsd: number | null
+  hardLimitUsd: number | null
+}
+
+interface UsageSummary {
+  rollups: Rollup[]
+  byPurpose: Breakdown[]
+  byModel: Breakdown[]
+  budget: BudgetStatus
+}
+
+const STATE_LABELS: Record<BudgetStatus['state'], { label: string; className: string }> = {
+  ok: { label: 'Within budget', className: 'bg-emerald-100 text-emerald-700' },
+  soft: { label: 'Soft limit reached – using a cheaper model', className: 'bg-amber-100 text-amber-700' },
+  hard: { label: 'Hard limit reached – background learning paused', className: 'bg-red-100 text-red-700' },
+}
+
+function formatUsd(value: number): string {
+  return value < 0.01 && value > 0 ? '<$0.01' : `$${value.toFixed(2)}`
+}
+
+function limitInput(value: number | null): string {
+  return value === null ? '' : String(value)
+}
+
+export default function UsagePanel() {
+  const [period, setPeriod] = useState<'day' | 'month'>('day')
+  const [usage, setUsage] = useState<UsageSummary | null>(null)
+  const [softLimit, setSoftLimit] = useState('')
+  const [hardLimit, setHardLimit] = useState('')
+  const [budgetError, setBudgetError] = useState<string | null>(null)
+  const [savingBudget, setSavingBudget] = useState(false)
+
+  useEffect(() => {
+    api.get('/usage', { params: { period } })
+      .then(response => {
+        setUsage(response.data)
+        setSoftLimit(limitInput(response.data.budget.softLimitUsd))
+        setHardLimit(limitInput(response.data.budget.hardLimitUsd))
+      })
+      .catch(error => console.error('Failed to load usage:', error))
+  }, [period])
+
+  const saveBudget = async () => {
+    setSavingBudget(true)
+    setBudgetError(null)
+    try {
+      const response = await api.put('/usage/budget', {
+        softLimitUsd: softLimit === '' ? null : Number(softLimit),
+        hardLimitUsd: hardLimit === '' ? null : Number(hardLimit),
+      })
+      const { state, monthSpendUsd, softLimitUsd, hardLimitUsd } = response.data.budget
+      setUsage(prev => prev && { ...prev, budget: { state, monthSpendUsd, softLimitUsd, hardLimitUsd } })
+    } catch (error: any) {
+      setBudgetError(error.response?.data?.error || 'Could not save budget')
+    } finally {
+      setSavingBudget(false)
+    }
+  }
+
+  if (!usage) {
+    return <p className="text-sm text-gray-400">Loading…</p>
+  }
+
+  const maxCost = Math.max(...usage.rollups.map(rollup => rollup.costUsd), 0.0001)
+
+  return (
+    <div className="space-y-6">
+      <div className="p-4 bg-gray-50 rounded-lg">
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-xs text-gray-500">Spent this month</p>
+            <p className="text-2xl font-semibold text-gray-800">{formatUsd(usage.budget.monthSpendUsd)}</p>
+          </div>
+          <span className={`px-3 py-1 text-xs rounded-full ${STATE_LABELS[usage.budget.state].className}`}>
+            {STATE_LABELS[usage.budget.state].label}
+          </span>
+        </div>
+
+        <div className="flex items-end space-x-3 mt-4">
+          <label className="text-xs text-gray-600">
+            Soft limit (USD)
+            <input
+              type="number"
+              min={0}
+              step="0.5"
+              value={softLimit}
+              onChange={(e) => setSoftLimit(e.target.value)}
+              placeholder="none"
+              className="block w-28 mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md text-gray-800"
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            Hard limit (USD)
+            <input
+              type="number"
+              min={0}
+              step="0.5"
+              value={hardLimit}
+              onChange={(e) => setHardLimit(e.target.value)}
+              placeholder="none"
+              className="block w-28 mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md text-gray-800"
+            />
+          </label>
+          <button
+            onClick={saveBudget}
+            disabled={savingBudget}
+            className="px-4 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {savingBudget ? 'Saving...' : 'Save limits'}
+          </button>
+        </div>
+        {budgetError && <p className="text-xs text-red-500 mt-2">{budgetError}</p>}
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-gray-800">Cost over time</h3>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value as 'day' | 'month')}
+            className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 bg-white"
+          >
+            <option value="day">Last 30 days</option>
+            <option value="month">Last 12 months</option>
+          </select>
+        </div>
+        {usage.rollups.length === 0 && <p className="text-xs text-gray-400">No usage yet</p>}
+        <div className="space-y-1">
+          {usage.rollups.map((rollup) => (
+            <div key={rollup.period} className="flex items-center space-x-2 text-xs">
+              <span className="w-20 text-gray-500">{rollup.period}</span>
+              <div className="flex-1 h-2 bg-gray-100 rounded">
+                <div className="h-2 bg-blue-500 rounded" style={{ width: `${(rollup.costUsd / maxCost) * 100}%` }} />
+              </div>
+              <span className="w-16 text-right text-gray-700">{formatUsd(rollup.costUsd)}</span>
+              <span className="w-24 text-right text-gray-400">
+                {(rollup.inputTokens + rollup.outputTokens).toLocaleString()} tok
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        {[
+          { title: 'By purpose', rows: usage.byPurpose, key: 'purpose' as const },
+          { title: 'By model', rows: usage.byModel, key: 'model' as const },
+        ].map((table) => (
+          <div key={table.title}>
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">{table.title}</h3>
+            {table.rows.map((row) => (
+              <div key={row[table.key]} className="flex justify-between text-xs py-1 border-b border-gray-100">
+                <span className="text-gray-600 truncate pr-2">{row[table.key]?.replace(/_/g, ' ')}</span>
+                <span className="text-gray-800">{formatUsd(row.costUsd)}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
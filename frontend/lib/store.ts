@@ -1,4 +1,5 @@
 import { create } from 'zustand'
+import { resetSocketEventTracking } from './websocket'
 
 interface AuthState {
   isAuthenticated: boolean
@@ -19,6 +20,7 @@ export const useAuthStore = create<AuthState>((set) => ({
   },
   clearAuth: () => {
     localStorage.removeItem('token')
+    resetSocketEventTracking()
     set({ isAuthenticated: false, token: null, user: null })
   },
   checkAuth: () => {
@@ -1,17 +1,32 @@
 import { io, Socket } from 'socket.io-client'
 
 const WS_URL = process.env.NEXT_PUBLIC_WS_URL || 'http://localhost:3001'
+const LAST_EVENT_KEY = 'lastSocketEventId'
 
 let socket: Socket | null = null
 
+function getLastEventId(): number | undefined {
+  const stored = localStorage.getItem(LAST_EVENT_KEY)
+  return stored ? parseInt(stored) : undefined
+}
+
+function trackEventId(eventId: unknown) {
+  if (typeof eventId !== 'number') return
+  const last = getLastEventId()
+  if (last === undefined || eventId > last) {
+    localStorage.setItem(LAST_EVENT_KEY, String(eventId))
+  }
+}
+
 export function connectSocket(token: string): Socket {
-  if (socket?.connected) {
+  if (socket) {
     return socket
   }
 
   socket = io(WS_URL, {
-    auth: {
-      token,
+    // Evaluated on every (re)connect so the server can replay events we missed
+    auth: (cb) => {
+      cb({ token, lastEventId: getLastEventId() })
     },
     transports: ['websocket', 'polling'],
   })
@@ -20,10 +35,18 @@ export function connectSocket(token: string): Socket {
     console.log('WebSocket connected')
   })
 
+  socket.on('connect_error', (error) => {
+    console.error('WebSocket connection error:', error.message)
+  })
+
   socket.on('disconnect', () => {
     console.log('WebSocket disconnected')
   })
 
+  socket.onAny((_event, data) => {
+    trackEventId(data?.eventId)
+  })
+
   return socket
 }
 
@@ -34,7 +57,11 @@ export function disconnectSocket() {
   }
 }
 
+// Forget replay position, e.g. on logout so the next user starts fresh
+export function resetSocketEventTracking() {
+  localStorage.removeItem(LAST_EVENT_KEY)
+}
+
 export function getSocket(): Socket | null {
   return socket
 }
-